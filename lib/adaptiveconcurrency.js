@@ -0,0 +1,180 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const logger = require("./logger");
+const { IllegalArgumentError } = require("./error");
+const { HTTP } = require("./constants");
+
+const DEFAULT_MIN_CONCURRENT = 1;
+const DEFAULT_MAX_CONCURRENT = 32;
+const DEFAULT_DECREASE_FACTOR = 0.5;
+const DEFAULT_LATENCY_FACTOR = 3;
+// time between decreases until the duration of a part is known
+const DEFAULT_DECREASE_INTERVAL = 1000;
+// weight of the latest part in the smoothed part duration
+const DURATION_SMOOTHING = 0.2;
+// throughput drop that is still accepted as stable when growing the concurrency
+const THROUGHPUT_TOLERANCE = 0.1;
+
+/**
+ * @typedef {Object} AdaptiveConcurrencyOptions
+ * @property {Number} [minConcurrent=1] Lowest concurrency
+ * @property {Number} [maxConcurrent=32] Highest concurrency
+ * @property {Number} [initialConcurrent] Concurrency to start with, defaults to `minConcurrent`
+ * @property {Number} [decreaseFactor=0.5] Factor applied to the concurrency when the server is overloaded
+ * @property {Number} [latencyFactor=3] Decrease the concurrency when the smoothed time per byte of the parts grows
+ *  beyond this factor of the fastest part
+ */
+
+/**
+ * Adjusts the number of concurrent requests AIMD-style (additive increase, multiplicative decrease).
+ *
+ * The concurrency grows by one after every round of parts, as long as the throughput of the round did not drop.
+ * It is multiplied by `decreaseFactor` when the server responds with 429 Too Many Requests or 503 Service Unavailable,
+ * or when parts take much longer than before. Parts in flight all see the same overload, so the concurrency is
+ * decreased at most once per part duration.
+ */
+class AdaptiveConcurrency {
+    /**
+     * Construct an adaptive concurrency
+     *
+     * @param {AdaptiveConcurrencyOptions} [options] Adaptive concurrency options
+     */
+    constructor(options = {}) {
+        this.minConcurrent = Math.max(options.minConcurrent || DEFAULT_MIN_CONCURRENT, 1);
+        this.maxConcurrent = Math.max(options.maxConcurrent || DEFAULT_MAX_CONCURRENT, this.minConcurrent);
+        this.decreaseFactor = options.decreaseFactor || DEFAULT_DECREASE_FACTOR;
+        if (!(this.decreaseFactor > 0 && this.decreaseFactor < 1)) {
+            throw new IllegalArgumentError("'decreaseFactor' must be between 0 and 1", this.decreaseFactor);
+        }
+        this.latencyFactor = options.latencyFactor || DEFAULT_LATENCY_FACTOR;
+        if (!(this.latencyFactor > 1)) {
+            throw new IllegalArgumentError("'latencyFactor' must be larger than 1", this.latencyFactor);
+        }
+        this.concurrency = this.clamp(options.initialConcurrent || this.minConcurrent);
+        this.lastDecrease = 0;
+        this.startRound();
+    }
+
+    /**
+     * Get the adaptive concurrency of the given option value
+     *
+     * @param {Boolean|AdaptiveConcurrencyOptions|AdaptiveConcurrency} [adaptiveConcurrency] True or options to
+     *  enable adaptive concurrency, or an existing instance
+     * @param {Number} [initialConcurrent] Concurrency to start with if not set in the options
+     * @returns {AdaptiveConcurrency} Adaptive concurrency, or undefined if the concurrency is fixed
+     */
+    static from(adaptiveConcurrency, initialConcurrent) {
+        if (adaptiveConcurrency instanceof AdaptiveConcurrency) {
+            return adaptiveConcurrency;
+        } else if (adaptiveConcurrency) {
+            return new AdaptiveConcurrency({
+                initialConcurrent,
+                ...(typeof adaptiveConcurrency === "object" ? adaptiveConcurrency : {})
+            });
+        }
+        return undefined;
+    }
+
+    /**
+     * Round the concurrency and keep it within the bounds
+     *
+     * @param {Number} concurrency Concurrency
+     * @returns {Number} Concurrency between `minConcurrent` and `maxConcurrent`
+     */
+    clamp(concurrency) {
+        return Math.min(Math.max(Math.floor(concurrency), this.minConcurrent), this.maxConcurrent);
+    }
+
+    /**
+     * Start measuring the throughput of a new round of parts
+     */
+    startRound() {
+        this.roundStart = Date.now();
+        this.roundParts = 0;
+        this.roundBytes = 0;
+    }
+
+    /**
+     * Decrease the concurrency, at most once per part duration
+     *
+     * @param {String} reason Reason of the decrease, logged
+     */
+    decrease(reason) {
+        const now = Date.now();
+        if ((now - this.lastDecrease) < (this.smoothedDuration || DEFAULT_DECREASE_INTERVAL)) {
+            return;
+        }
+        const previous = this.concurrency;
+        this.lastDecrease = now;
+        this.concurrency = this.clamp(this.concurrency * this.decreaseFactor);
+        this.lastThroughput = undefined;
+        this.startRound();
+        logger.info(`Adaptive concurrency: ${reason}, decreased from ${previous} to ${this.concurrency}`);
+    }
+
+    /**
+     * Record a response, the concurrency is decreased if the server is overloaded
+     *
+     * @param {Number} status HTTP status of the response
+     */
+    recordResponse(status) {
+        if (status === HTTP.STATUS.TOO_MANY_REQUESTS || status === HTTP.STATUS.SERVICE_UNAVAILABLE) {
+            this.decrease(`server responded with ${status}`);
+        }
+    }
+
+    /**
+     * Record a transferred part
+     *
+     * @param {Number} duration Time it took to transfer the part in milliseconds
+     * @param {Number} bytes Size of the part
+     */
+    recordPart(duration, bytes) {
+        // time per byte, so the small last part of a file does not look fast
+        const timePerByte = duration / Math.max(bytes, 1);
+        if ((this.minTimePerByte === undefined) || (timePerByte < this.minTimePerByte)) {
+            this.minTimePerByte = timePerByte;
+        }
+        this.smoothedTimePerByte = (this.smoothedTimePerByte === undefined)
+            ? timePerByte
+            : (DURATION_SMOOTHING * timePerByte) + ((1 - DURATION_SMOOTHING) * this.smoothedTimePerByte);
+        this.smoothedDuration = (this.smoothedDuration === undefined)
+            ? duration
+            : (DURATION_SMOOTHING * duration) + ((1 - DURATION_SMOOTHING) * this.smoothedDuration);
+
+        if (this.smoothedTimePerByte > (this.minTimePerByte * this.latencyFactor)) {
+            this.decrease(`part latency increased to ${Math.round(this.smoothedDuration)}ms`);
+            return;
+        }
+
+        ++this.roundParts;
+        this.roundBytes += bytes;
+        if (this.roundParts >= this.concurrency) {
+            const throughput = this.roundBytes * 1000 / Math.max(Date.now() - this.roundStart, 1);
+            if ((this.lastThroughput === undefined) || (throughput >= (this.lastThroughput * (1 - THROUGHPUT_TOLERANCE)))) {
+                this.concurrency = this.clamp(this.concurrency + 1);
+            } else {
+                logger.info(`Adaptive concurrency: throughput dropped to ${Math.round(throughput)} bytes/s, keeping ${this.concurrency}`);
+            }
+            this.lastThroughput = throughput;
+            this.startRound();
+        }
+    }
+}
+
+module.exports = {
+    AdaptiveConcurrency
+};
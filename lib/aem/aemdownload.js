@@ -20,6 +20,9 @@ const { TransferController, TransferEvents } = require("../controller/transferco
 const { CreateTransferParts } = require("../functions/transferpartscreate");
 const { JoinTransferParts } = require("../functions/transferpartsjoin");
 const { CloseFiles } = require("../functions/closefiles");
+const { CircuitBreaker } = require("../circuitbreaker");
+const { AgentPool } = require("../agentpool");
+const { AdaptiveConcurrency } = require("../adaptiveconcurrency");
 const { MapConcurrent } = require("../generator/mapconcurrent");
 const { Transfer } = require("../functions/transfer");
 const { executePipeline, Pipeline } = require("../generator/pipeline");
@@ -46,7 +49,8 @@ async function* generateAEMDownloadTransferRecords(options) {
 
         const transferAsset = new TransferAsset(source, target, {
             acceptRanges: true,
-            metadata: new AssetMetadata(downloadFile.filePath, undefined, downloadFile.fileSize)
+            metadata: new AssetMetadata(downloadFile.filePath, undefined, downloadFile.fileSize),
+            expectedDigest: downloadFile.digest
         });
 
         yield transferAsset;
@@ -54,12 +58,43 @@ async function* generateAEMDownloadTransferRecords(options) {
 }
 
 class AEMDownload extends EventEmitter {
+    /**
+     * Constructs a new AEM download (event emitter) instance
+     */
+    constructor() {
+        super();
+        this.controller = null;
+        this.paused = false;
+        this.agentPool = undefined;
+    }
+
+    /**
+     * Pause the download, no new parts are downloaded until it is resumed.
+     * Parts that are in progress are allowed to finish.
+     */
+    pause() {
+        this.paused = true;
+        if (this.controller) {
+            this.controller.pause();
+        }
+    }
+
+    /**
+     * Resume a paused download, only the parts that have not been downloaded yet are transferred
+     */
+    resume() {
+        this.paused = false;
+        if (this.controller) {
+            this.controller.resume();
+        }
+    }
 
     /**
      * @typedef {Object} DownloadFile
      * @property {String} fileUrl AEM url of file to download
      * @property {String} filePath Path on the local disk where to download
      * @property {Number} fileSize Size of the file being downloaded
+     * @property {String} [digest] Expected digest of the file, base64 or hex encoded, verified if `checksumAlgorithm` is set
      */
     /**
      * @typedef {Object} AEMDownloadOptions
@@ -68,7 +103,28 @@ class AEMDownload extends EventEmitter {
      * @property {Boolean} concurrent If true, multiple files in the supplied list of download files will transfer simultaneously. If false, only one file will transfer at a time, and the next file will not begin transferring until the current file finishes.
      * @property {Number} maxConcurrent Maximum number of concurrent HTTP requests that are allowed
      * @property {Number} [preferredPartSize] Preferred part size
+     * @property {Boolean} [streamParts=false] Stream parts to disk instead of buffering them in memory, removes the part size limit
      * @property {Object} requestOptions Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+     * @property {AbortSignal} [abortSignal] Signal that cancels the download when aborted, unfinished files fail with USER_CANCELLED
+     * @property {Boolean} [removePartialDownloads=false] Remove the partially downloaded files when the download is cancelled
+     * @property {String} [checksumAlgorithm] Verify the md5, sha1 or sha256 digest of each part returned by the server in
+     *  the checksum header, and of each file against its expected digest. The digest is reported in the `fileend` event.
+     * @property {String} [checksumHeader] Header carrying the base64 encoded digest, defaults to content-md5 for md5
+     *  and x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256
+     * @property {Number|RateLimiter} [maxBytesPerSecond] Limit the download bandwidth, pass a `RateLimiter` to share the limit with
+     *  other transfers or to change it while downloading
+     * @property {Boolean|AdaptiveConcurrencyOptions|AdaptiveConcurrency} [adaptiveConcurrency] Grow and shrink the number of
+     *  concurrent requests based on the part durations, throughput and 429/503 responses, starting at `maxConcurrent`. The current
+     *  level is reported as `concurrency` in the `fileprogress` event.
+     * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Fail requests to a host right away after repeated
+     *  connect or 5xx failures, instead of retrying each part. State changes are emitted as `circuitstatechange` events.
+     * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the default of 5 retries per request
+     * @property {Number} [partTimeout] Abort and retry an attempt to download a part that takes longer than this many milliseconds
+     * @property {Number} [minBytesPerSecond] Abort and retry an attempt to download a part that is received below this rate
+     *  for `minBytesPerSecondWindow` (default 10000ms)
+     * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Keep-alive agents per origin shared by all requests, enabled by
+     *  default and closed when the download finishes. Pass `false` to disable it, or an `AgentPool` to share it with other
+     *  transfers, which is not closed. Connection statistics are available from `agentPool.getStats()`.
      */
     /**
      * Download files from AEM to local disk
@@ -78,16 +134,23 @@ class AEMDownload extends EventEmitter {
     async downloadFiles(options) {
         const preferredPartSize = options && options.preferredPartSize;
         const maxConcurrent = (options && options.concurrent && options.maxConcurrent) || 1;
-        const requestOptions = options.requestOptions || {};
+        this.agentPool = AgentPool.from(options.agentPool);
+        const requestOptions = { ...options.requestOptions, agentPool: this.agentPool };
 
-        const controller = new TransferController();
+        const adaptiveConcurrency = AdaptiveConcurrency.from(options.adaptiveConcurrency, maxConcurrent);
+        const controller = new TransferController(options.abortSignal);
+        this.controller = controller;
+        if (this.paused) {
+            controller.pause();
+        }
         controller.on(TransferEvents.CREATE_TRANSFER_PARTS, transferEvent => {
             this.emit("filestart", transferEvent.transferAsset.eventData);
         });
         controller.on(TransferEvents.JOIN_TRANSFER_PARTS, transferEvent => {
             this.emit("fileprogress", {
                 ...transferEvent.transferAsset.eventData,
-                transferred: transferEvent.props.transferBytes
+                transferred: transferEvent.props.transferBytes,
+                ...(adaptiveConcurrency ? { concurrency: adaptiveConcurrency.concurrency } : {})
             });
         });
         controller.on(TransferEvents.AFTER_JOIN_TRANSFER_PARTS, transferEvent => {
@@ -104,8 +167,23 @@ class AEMDownload extends EventEmitter {
 
         const transferOptions = {
             retryMaxCount: 5,
-            requestOptions
+            requestOptions,
+            abortSignal: options.abortSignal,
+            checksumAlgorithm: options.checksumAlgorithm,
+            checksumHeader: options.checksumHeader,
+            maxBytesPerSecond: options.maxBytesPerSecond,
+            circuitBreaker: CircuitBreaker.from(options.circuitBreaker),
+            adaptiveConcurrency,
+            retryPolicy: options.retryPolicy,
+            partTimeout: options.partTimeout,
+            minBytesPerSecond: options.minBytesPerSecond,
+            minBytesPerSecondWindow: options.minBytesPerSecondWindow,
+            streamParts: options.streamParts
         };
+        const onCircuitStateChange = event => this.emit("circuitstatechange", event);
+        if (transferOptions.circuitBreaker) {
+            transferOptions.circuitBreaker.on("statechange", onCircuitStateChange);
+        }
 
         // Build and execute pipeline
         const randomFileAccess = new RandomFileAccess();
@@ -113,14 +191,27 @@ class AEMDownload extends EventEmitter {
         try {
             const pipeline = new Pipeline(
                 new CreateTransferParts({ preferredPartSize }),
-                new MapConcurrent(new Transfer(randomFileAccess, httpRequestGenerator, transferOptions), { maxConcurrent }),
-                new JoinTransferParts,
+                new MapConcurrent(new Transfer(randomFileAccess, httpRequestGenerator, transferOptions), {
+                    maxConcurrent,
+                    adaptiveConcurrency
+                }),
+                new JoinTransferParts(transferOptions),
                 new CloseFiles(randomFileAccess),
             );
             pipeline.setFilterFunction(new FilterFailedAssets);
             await executePipeline(pipeline, generateAEMDownloadTransferRecords(options), controller);
         } finally {
+            if (transferOptions.circuitBreaker) {
+                transferOptions.circuitBreaker.removeListener("statechange", onCircuitStateChange);
+            }
+            if (this.agentPool && (this.agentPool !== options.agentPool)) {
+                this.agentPool.close();
+            }
+            this.controller = null;
             await randomFileAccess.close();
+            if (controller.isCancelled && options.removePartialDownloads) {
+                await controller.removeCancelledDownloads();
+            }
         }
     }
 }
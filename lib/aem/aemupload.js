@@ -22,30 +22,101 @@ const UploadError = require("../block/upload-error");
 const { FilterFailedAssets } = require("../functions/filterfailedassets");
 const { DirectBinaryUpload } = require("./directbinaryupload");
 const { CreateAssetServletUpload } = require("./createassetservletupload");
+const { CircuitBreaker } = require("../circuitbreaker");
+const { AgentPool } = require("../agentpool");
+const { AdaptiveConcurrency } = require("../adaptiveconcurrency");
 
 class AEMUpload extends EventEmitter {
+    /**
+     * Constructs a new AEM upload (event emitter) instance
+     */
+    constructor() {
+        super();
+        this.controller = null;
+        this.paused = false;
+        this.initiatedAssets = new Set();
+        this.agentPool = undefined;
+    }
+
+    /**
+     * Retrieve the state of direct binary uploads that were initiated but have not completed, for example
+     * because the upload was cancelled or failed. The state is serializable and can be passed as `resumeState`
+     * to a later `uploadFiles()` call to upload only the missing parts, even from another process.
+     *
+     * @returns {import('./typedefs').AEMUploadResumeState} Resume state
+     */
+    getResumeState() {
+        return DirectBinaryUpload.createResumeState(this.initiatedAssets);
+    }
+
+    /**
+     * Pause the upload, no new parts are uploaded until it is resumed.
+     * Parts that are in progress are allowed to finish.
+     */
+    pause() {
+        this.paused = true;
+        if (this.controller) {
+            this.controller.pause();
+        }
+    }
+
+    /**
+     * Resume a paused upload, only the parts that have not been uploaded yet are transferred
+     */
+    resume() {
+        this.paused = false;
+        if (this.controller) {
+            this.controller.resume();
+        }
+    }
+
     /**
      * Upload files to AEM
      * 
      * @param {import('typedefs').AEMUploadOptions} options AEM upload options
      */
     async uploadFiles(options) {
+        // a single circuit breaker and agent pool are shared by all steps of the upload
+        const circuitBreaker = CircuitBreaker.from(options.circuitBreaker);
+        const agentPool = AgentPool.from(options.agentPool);
+        const sharedAgentPool = options.agentPool;
+        this.agentPool = agentPool;
+        options = {
+            ...options,
+            circuitBreaker,
+            requestOptions: { ...options.requestOptions, agentPool }
+        };
         const isDirectBinaryEnabled = await DirectBinaryUpload.isDirectBinaryAccessEnabled(options);
+        // only direct binary uploads transfer parts concurrently
+        const adaptiveConcurrency = isDirectBinaryEnabled
+            ? AdaptiveConcurrency.from(options.adaptiveConcurrency, (options.concurrent && options.maxConcurrent) || 1)
+            : undefined;
+        options = { ...options, adaptiveConcurrency };
         const binaryUpload = isDirectBinaryEnabled ? new DirectBinaryUpload(options) : new CreateAssetServletUpload(options);
 
-        const controller = new TransferController();
+        const controller = new TransferController(options.abortSignal);
+        this.controller = controller;
+        this.initiatedAssets.clear();
+        if (this.paused) {
+            controller.pause();
+        }
         controller.on(binaryUpload.getFileStartEventName(), transferEvent => {
             this.emit("filestart", transferEvent.transferAsset.eventData);
         });
         controller.on(TransferEvents.JOIN_TRANSFER_PARTS, transferEvent => {
             this.emit("fileprogress", {
                 ...transferEvent.transferAsset.eventData,
-                transferred: transferEvent.props.transferBytes
+                transferred: transferEvent.props.transferBytes,
+                ...(adaptiveConcurrency ? { concurrency: adaptiveConcurrency.concurrency } : {})
             });
         });
         controller.on(binaryUpload.getFileEndEventName(), transferEvent => {
+            this.initiatedAssets.delete(transferEvent.transferAsset);
             this.emit("fileend", transferEvent.transferAsset.eventData);
         });
+        controller.on(TransferEvents.AFTER_AEM_INITIATE_UPLOAD, transferEvent => {
+            this.initiatedAssets.add(transferEvent.transferAsset);
+        });
         controller.on(TransferEvents.ERROR, transferEvent => {
             if (transferEvent.props.firstError) {
                 this.emit("fileerror", {
@@ -55,6 +126,11 @@ class AEMUpload extends EventEmitter {
             }
         });
 
+        const onCircuitStateChange = event => this.emit("circuitstatechange", event);
+        if (circuitBreaker) {
+            circuitBreaker.on("statechange", onCircuitStateChange);
+        }
+
         // Build and execute pipeline
         const randomFileAccess = new RandomFileAccess();
         try {
@@ -62,6 +138,13 @@ class AEMUpload extends EventEmitter {
             pipeline.setFilterFunction(new FilterFailedAssets);
             await executePipeline(pipeline, binaryUpload.generateAEMUploadTransferRecords(), controller);
         } finally {
+            if (circuitBreaker) {
+                circuitBreaker.removeListener("statechange", onCircuitStateChange);
+            }
+            if (agentPool && (agentPool !== sharedAgentPool)) {
+                agentPool.close();
+            }
+            this.controller = null;
             await randomFileAccess.close();
         }
     }
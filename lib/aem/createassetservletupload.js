@@ -48,10 +48,11 @@ class CreateAssetServletUpload extends AEMBinaryUpload {
      * @returns {*} Transfer process options.
      */
     getTransferOptions() {
-        const { requestOptions = {} } = this.getOptions();
+        const { requestOptions = {}, abortSignal } = this.getOptions();
         return {
             retryMaxCount: MAX_RETRY_COUNT,
             requestOptions,
+            abortSignal,
             method: HTTP.METHOD.POST
         };
     }
@@ -121,12 +122,14 @@ class CreateAssetServletUpload extends AEMBinaryUpload {
      */
     getPipelineSteps(randomFileAccess) {
         const transferOptions = this.getTransferOptions();
+        // the parts are sent as multipart forms, only the digest of the whole file applies
+        const { checksumAlgorithm, checksumHeader } = this.getOptions();
         const requestGenerator = new CreateAssetServletRequestGenerator();
         return [
             new FailUnsupportedAssets(),
             new CreateTransferParts({ preferredPartSize: this.getPreferredPartSize() }),
             new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, transferOptions), { maxConcurrent: this.getMaxConcurrent() }),
-            new JoinTransferParts,
+            new JoinTransferParts({ checksumAlgorithm, checksumHeader }),
             new CloseFiles(randomFileAccess),
         ];
     }
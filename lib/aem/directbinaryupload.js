@@ -16,6 +16,7 @@ require("core-js/stable");
 
 const { AEMBinaryUpload } = require("./aembinaryupload");
 const { AssetMetadata } = require("../asset/assetmetadata");
+const { AssetMultipart } = require("../asset/assetmultipart");
 const { NameConflictPolicy } = require("../asset/nameconflictpolicy");
 const { AEMInitiateUpload } = require("../functions/aeminitiateupload");
 const { TransferController, TransferEvents } = require("../controller/transfercontroller");
@@ -27,7 +28,9 @@ const { CloseFiles } = require("../functions/closefiles");
 const { MapConcurrent } = require("../generator/mapconcurrent");
 const { Transfer } = require("../functions/transfer");
 const { BlockRequestGenerator } = require("../asset/blockrequestgenerator");
+const { AdaptiveConcurrency } = require("../adaptiveconcurrency");
 const { filterToRetryOptions } = require("../retry");
+const DRange = require("drange");
 
 const ErrorCodes = require("../http-error-codes");
 
@@ -44,13 +47,24 @@ class DirectBinaryUpload extends AEMBinaryUpload {
      * @returns {import("../functions/transfer").TransferOptions} Transfer process options.
      */
     getTransferOptions() {
-        const { requestOptions = {} } = this.getOptions();
+        const { requestOptions = {}, abortSignal, checksumAlgorithm, checksumHeader, maxBytesPerSecond, circuitBreaker, retryPolicy,
+            partTimeout, minBytesPerSecond, minBytesPerSecondWindow, streamParts } = this.getOptions();
         const { retryOptions = {} } = requestOptions;
         // confirm only expected retry options are used
         const filteredRetryOptions = filterToRetryOptions(retryOptions);
         return {
             retryMaxCount: MAX_RETRY_COUNT,
             requestOptions,
+            abortSignal,
+            checksumAlgorithm,
+            checksumHeader,
+            maxBytesPerSecond,
+            circuitBreaker,
+            retryPolicy,
+            partTimeout,
+            minBytesPerSecond,
+            minBytesPerSecondWindow,
+            streamParts,
             ...filteredRetryOptions
         };
     }
@@ -63,7 +77,7 @@ class DirectBinaryUpload extends AEMBinaryUpload {
      *  to use for the file.
      */
     getTransferAssetOptions(uploadFile) {
-        return {
+        const transferAssetOptions = {
             acceptRanges: true,
             metadata: new AssetMetadata(uploadFile.filePath, undefined, uploadFile.fileSize),
             nameConflictPolicy: new NameConflictPolicy({
@@ -73,6 +87,71 @@ class DirectBinaryUpload extends AEMBinaryUpload {
                 replace: uploadFile.replace
             })
         };
+
+        // resume an upload that was initiated earlier, the multi-part target is not initiated again
+        const resumeFile = this.getResumeFile(uploadFile);
+        if (resumeFile) {
+            const { contentType, uploadURIs, minPartSize, maxPartSize, partSize, completeURI, uploadToken, completedRanges = [] } = resumeFile;
+            transferAssetOptions.metadata = new AssetMetadata(uploadFile.filePath, contentType, uploadFile.fileSize);
+            transferAssetOptions.multipartTarget = new AssetMultipart(
+                uploadURIs,
+                minPartSize,
+                maxPartSize,
+                uploadFile.multipartHeaders,
+                completeURI,
+                uploadToken
+            );
+            if (partSize) {
+                transferAssetOptions.multipartTarget.partSize = partSize;
+            }
+            transferAssetOptions.completedRanges = new DRange();
+            for (const [low, high] of completedRanges) {
+                transferAssetOptions.completedRanges.add(low, high);
+            }
+        }
+        return transferAssetOptions;
+    }
+
+    /**
+     * Find the resume state of an upload file
+     * @param {import('./typedefs').UploadFile} uploadFile File to find the resume state for
+     * @returns {import('./typedefs').ResumeFile} Resume state of the file, or undefined if
+     *  the upload of the file is not resumed
+     */
+    getResumeFile(uploadFile) {
+        const { resumeState } = this.getOptions();
+        if (!resumeState || !Array.isArray(resumeState.files)) {
+            return undefined;
+        }
+        const fileUrl = new URL(uploadFile.fileUrl).toString();
+        return resumeState.files.find(file => (file.fileUrl === fileUrl) && (file.fileSize === uploadFile.fileSize));
+    }
+
+    /**
+     * Create a serializable resume state of transfer assets of which the upload was initiated, but not completed.
+     * @param {Iterable<import('../asset/transferasset').TransferAsset>} transferAssets Initiated transfer assets
+     * @returns {import('./typedefs').AEMUploadResumeState} Resume state that can be passed to a later upload
+     */
+    static createResumeState(transferAssets) {
+        const files = [];
+        for (const transferAsset of transferAssets) {
+            const { metadata, multipartTarget, completedRanges } = transferAsset;
+            files.push({
+                fileUrl: transferAsset.target.url.toString(),
+                fileSize: metadata.contentLength,
+                contentType: metadata.contentType,
+                uploadURIs: multipartTarget.targetUrls.map(url => url.toString()),
+                minPartSize: multipartTarget.minPartSize,
+                maxPartSize: multipartTarget.maxPartSize,
+                partSize: multipartTarget.partSize,
+                completeURI: multipartTarget.completeUrl.toString(),
+                uploadToken: multipartTarget.uploadToken,
+                completedRanges: completedRanges
+                    ? completedRanges.subranges().map(({ low, high }) => [low, high])
+                    : []
+            });
+        }
+        return { files };
     }
 
     /**
@@ -102,16 +181,20 @@ class DirectBinaryUpload extends AEMBinaryUpload {
      *  pipeline.
      */
     getPipelineSteps(randomFileAccess) {
+        const maxConcurrent = this.getMaxConcurrent();
+        // the part uploads report their duration and 429/503 responses to the concurrency they run at
+        const adaptiveConcurrency = AdaptiveConcurrency.from(this.getOptions().adaptiveConcurrency, maxConcurrent);
         const transferOptions = this.getTransferOptions();
         const requestGenerator = new BlockRequestGenerator();
         return [
             new FailUnsupportedAssets(),
             new MapConcurrent(new AEMInitiateUpload(transferOptions), { maxBatchLength: 100 }),
             new CreateTransferParts({ preferredPartSize: this.getPreferredPartSize() }),
-            new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, transferOptions), {
-                maxConcurrent: this.getMaxConcurrent()
+            new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, { ...transferOptions, adaptiveConcurrency }), {
+                maxConcurrent,
+                adaptiveConcurrency
             }),
-            new JoinTransferParts,
+            new JoinTransferParts(transferOptions),
             new CloseFiles(randomFileAccess),
             new MapConcurrent(new AEMCompleteUpload(transferOptions)),
         ];
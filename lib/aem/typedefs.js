@@ -24,6 +24,23 @@
  * @property {String} [versionComment] Version comment to apply to the created/updated file
  * @property {Boolean} [replace=false] True if the existing file should be replaced
  */
+/**
+ * @typedef {Object} ResumeFile
+ * @property {String} fileUrl AEM url where the file is uploaded
+ * @property {Number} fileSize Size of the file
+ * @property {String} contentType Content type of the file
+ * @property {String[]} uploadURIs Part upload urls returned by initiate upload
+ * @property {Number} minPartSize Minimum part size returned by initiate upload
+ * @property {Number} maxPartSize Maximum part size returned by initiate upload
+ * @property {Number} partSize Part size the file was split in, the resumed upload sends the same parts
+ * @property {String} completeURI Complete upload url returned by initiate upload
+ * @property {String} uploadToken Upload token returned by initiate upload
+ * @property {Number[][]} completedRanges Byte ranges that have been uploaded, as [low, high] pairs
+ */
+/**
+ * @typedef {Object} AEMUploadResumeState
+ * @property {ResumeFile[]} files Files of which the direct binary upload was initiated but not completed
+ */
 /**
  * @typedef {Object} AEMUploadOptions
  * @property {UploadFile[]} uploadFiles List of files that will be uploaded to the target URL. 
@@ -31,8 +48,37 @@
  * @property {Boolean} concurrent If true, multiple files in the supplied list of upload files will transfer simultaneously. If false, only one file will transfer at a time, and the next file will not begin transferring until the current file finishes.
  * @property {Number} maxConcurrent Maximum number of concurrent HTTP requests that are allowed
  * @property {Number} [preferredPartSize] Preferred part size
+ * @property {Boolean} [streamParts=false] Stream the parts of direct binary uploads from disk instead of reading them in to
+ *  memory, removes the part size limit for large parts chosen by the server
  * @property {Object} requestOptions Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
  * @property {import('../retry').RetryOptions} requestOptions.retryOptions Options configuring retry behavior for fetch requests
+ * @property {AbortSignal} [abortSignal] Signal that cancels the upload when aborted, unfinished files fail with USER_CANCELLED
+ * @property {AEMUploadResumeState} [resumeState] State returned by `AEMUpload.getResumeState()` of an interrupted direct binary upload,
+ *  files in the state are not initiated again and only their missing parts are uploaded. The parts keep the size of the earlier upload.
+ * @property {String} [checksumAlgorithm] Send the md5, sha1 or sha256 digest of each part in the checksum header of direct binary
+ *  uploads. The digest of the file is reported in the `fileend` event, also of create asset servlet uploads.
+ * @property {String} [checksumHeader] Header carrying the base64 encoded digest, defaults to content-md5 for md5
+ *  and x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256
+ * @property {Number|import('../ratelimiter').RateLimiter} [maxBytesPerSecond] Limit the bandwidth of direct binary uploads, pass a
+ *  `RateLimiter` to share the limit between several uploads or to change it while uploading
+ * @property {Boolean|import('../adaptiveconcurrency').AdaptiveConcurrencyOptions|import('../adaptiveconcurrency').AdaptiveConcurrency}
+ *  [adaptiveConcurrency] Grow and shrink the number of concurrent part uploads of direct binary uploads based on the part
+ *  durations, throughput and 429/503 responses, starting at `maxConcurrent`. The current level is reported as `concurrency`
+ *  in the `fileprogress` event.
+ * @property {Boolean|import('../circuitbreaker').CircuitBreakerOptions|import('../circuitbreaker').CircuitBreaker} [circuitBreaker]
+ *  Fail direct binary upload requests to a host right away after repeated connect or 5xx failures, instead of retrying each part.
+ *  State changes are emitted as `circuitstatechange` events.
+ * @property {import('../retrypolicy').RetryPolicyOptions|import('../retrypolicy').RetryPolicy} [retryPolicy] Retry policy
+ *  for all requests of the upload, replaces `requestOptions.retryOptions`. Phases `initiate`, `transfer` and `complete` can
+ *  have their own limits.
+ * @property {Number} [partTimeout] Abort and retry an attempt to upload a part with direct binary upload that takes longer
+ *  than this many milliseconds
+ * @property {Number} [minBytesPerSecond] Abort and retry an attempt to upload a part with direct binary upload that is sent
+ *  below this rate for `minBytesPerSecondWindow` (default 10000ms)
+ * @property {Boolean|import('../agentpool').AgentPoolOptions|import('../agentpool').AgentPool} [agentPool] Keep-alive agents
+ *  per origin shared by the initiate, part upload and complete requests, enabled by default and closed when the upload
+ *  finishes. Pass `false` to disable it, or an `AgentPool` to share it with other uploads, which is not closed. Connection
+ *  statistics are available from `agentPool.getStats()`.
  */
 
 module.exports = {};
\ No newline at end of file
@@ -28,7 +28,8 @@ const logger = require('./logger');
  * @property {Number} [retryMax=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  */
 /**
  * @typedef {Object} UploadAEMMultipartTarget
@@ -72,7 +73,7 @@ async function uploadAEMMultipartFile(filepath, target, options) {
     const uploadOptions = filterObject(
         options || {},
         [ 'method', 'timeout', 'headers',
-            'retryMaxDuration', 'retryInterval', 'retryEnabled', 'retryAllErrors' ]
+            'retryMaxDuration', 'retryInterval', 'retryEnabled', 'retryAllErrors', 'retryPolicy' ]
     );
 
     // upload blocks
@@ -0,0 +1,256 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const logger = require("./logger");
+const { IllegalArgumentError } = require("./error");
+const { createProxyAgent, getProxyForUrl } = require("./proxy");
+
+const DEFAULT_MAX_SOCKETS = 50;
+const DEFAULT_MAX_FREE_SOCKETS = 10;
+const DEFAULT_IDLE_TIMEOUT = 15000;
+
+// marks sockets that already close themselves when idle
+const IDLE_LISTENER = Symbol("idleListener");
+
+/**
+ * @typedef {Object} AgentPoolOptions
+ * @property {Number} [maxSockets=50] Maximum number of sockets per origin
+ * @property {Number} [maxFreeSockets=10] Maximum number of idle sockets kept open per origin
+ * @property {Number} [idleTimeout=15000] Time in milliseconds after which an idle socket is closed
+ */
+
+/**
+ * @typedef {Object} AgentPoolStats
+ * @property {Number} requests Number of requests sent with the pooled agents
+ * @property {Number} socketsCreated Number of connections opened
+ * @property {Number} socketsReused Number of requests sent over an existing connection
+ * @property {Number} activeSockets Number of connections with a request in progress
+ * @property {Number} idleSockets Number of connections kept open for reuse
+ */
+
+/**
+ * Count the sockets in an agent socket list
+ *
+ * @param {Object} sockets Sockets keyed by agent name
+ * @returns {Number} Number of sockets
+ */
+function countSockets(sockets) {
+    return Object.keys(sockets).reduce((count, name) => count + sockets[name].length, 0);
+}
+
+/**
+ * Check whether a socket is idle in the agent
+ *
+ * @param {http.Agent} agent Agent
+ * @param {net.Socket} socket Socket
+ * @returns {Boolean} True if the socket is in the free list of the agent
+ */
+function isFreeSocket(agent, socket) {
+    return Object.keys(agent.freeSockets).some(name => agent.freeSockets[name].includes(socket));
+}
+
+/**
+ * Pool of keep-alive agents, one per origin, shared by all requests of a transfer so
+ * connections are reused between steps, e.g. the initiate, transfer and complete
+ * requests of an AEM upload.
+ *
+ * Pass the pool as `agentPool` in the fetch options to use it. Requests that pass
+ * an `agent` keep using that agent. Requests through a proxy use pooled proxy agents.
+ */
+class AgentPool {
+    /**
+     * Construct an agent pool
+     *
+     * @param {AgentPoolOptions} [options] Agent pool options
+     */
+    constructor(options = {}) {
+        const maxSockets = options.maxSockets || DEFAULT_MAX_SOCKETS;
+        const maxFreeSockets = options.maxFreeSockets || DEFAULT_MAX_FREE_SOCKETS;
+        const idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+        for (const [name, value] of Object.entries({ maxSockets, maxFreeSockets, idleTimeout })) {
+            if (!(Number.isFinite(value) && value > 0)) {
+                throw new IllegalArgumentError(`'${name}' must be a positive number`, value);
+            }
+        }
+        this.maxSockets = maxSockets;
+        this.maxFreeSockets = maxFreeSockets;
+        this.idleTimeout = idleTimeout;
+        this.agents = new Map();
+        this.origins = new Map();
+    }
+
+    /**
+     * Get the agent pool of the given option value, pools are enabled by default
+     *
+     * @param {Boolean|AgentPoolOptions|AgentPool} [value] `false` disables pooling, `true` or options
+     *  create a new agent pool, an `AgentPool` instance is shared
+     * @returns {AgentPool} Agent pool, or undefined if disabled
+     */
+    static from(value) {
+        if (value instanceof AgentPool) {
+            return value;
+        } else if (value === false) {
+            return undefined;
+        }
+        return new AgentPool((value && typeof value === "object") ? value : {});
+    }
+
+    /**
+     * Get the statistics of an origin, created on first use
+     *
+     * @param {String} origin Origin
+     * @returns {Object} Counters of the origin
+     */
+    getOriginStats(origin) {
+        let stats = this.origins.get(origin);
+        if (!stats) {
+            stats = {
+                requests: 0,
+                socketsCreated: 0,
+                socketsReused: 0,
+                agents: []
+            };
+            this.origins.set(origin, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Create an agent, counting the sockets it opens and reuses, and closing idle sockets
+     * after the idle timeout
+     *
+     * @param {URL} url Request url
+     * @param {{url: URL, authorization: String}} [proxy] Proxy to send the requests through
+     * @param {Object} stats Counters of the origin
+     * @returns {http.Agent} Agent
+     */
+    createAgent(url, proxy, stats) {
+        const secure = url.protocol === "https:";
+        const options = {
+            keepAlive: true,
+            maxSockets: this.maxSockets,
+            maxFreeSockets: this.maxFreeSockets
+        };
+        let agent;
+        if (proxy) {
+            agent = createProxyAgent(proxy, secure, options);
+        } else {
+            agent = secure ? new https.Agent(options) : new http.Agent(options);
+        }
+
+        const createConnection = agent.createConnection;
+        agent.createConnection = (...args) => {
+            stats.socketsCreated++;
+            return createConnection.apply(agent, args);
+        };
+        const reuseSocket = agent.reuseSocket;
+        agent.reuseSocket = (socket, req) => {
+            stats.socketsReused++;
+            socket.setTimeout(0);
+            return reuseSocket.call(agent, socket, req);
+        };
+        agent.on("free", socket => {
+            if (!socket[IDLE_LISTENER]) {
+                socket[IDLE_LISTENER] = true;
+                socket.on("timeout", () => {
+                    if (isFreeSocket(agent, socket)) {
+                        socket.destroy();
+                    }
+                });
+            }
+            socket.setTimeout(this.idleTimeout);
+        });
+        stats.agents.push(agent);
+        return agent;
+    }
+
+    /**
+     * Get the agent for a request
+     *
+     * @param {String|URL} url Request url
+     * @param {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Proxy option of the request
+     * @returns {http.Agent} Keep-alive agent of the origin, undefined for non-http urls
+     */
+    getAgent(url, proxy) {
+        const target = new URL(url);
+        if (target.protocol !== "http:" && target.protocol !== "https:") {
+            return undefined;
+        }
+        const resolvedProxy = getProxyForUrl(target, proxy);
+        const key = resolvedProxy
+            ? `${target.origin} ${resolvedProxy.url.href} ${resolvedProxy.authorization || ""}`
+            : target.origin;
+        const stats = this.getOriginStats(target.origin);
+        stats.requests++;
+
+        let agent = this.agents.get(key);
+        if (!agent) {
+            logger.info(`Creating keep-alive agent for ${target.origin}`);
+            agent = this.createAgent(target, resolvedProxy, stats);
+            this.agents.set(key, agent);
+        }
+        return agent;
+    }
+
+    /**
+     * Get the connection statistics, in total and per origin
+     *
+     * @returns {AgentPoolStats & {origins: Object<String, AgentPoolStats>}} Connection statistics
+     */
+    getStats() {
+        const total = {
+            requests: 0,
+            socketsCreated: 0,
+            socketsReused: 0,
+            activeSockets: 0,
+            idleSockets: 0,
+            origins: {}
+        };
+        for (const [origin, stats] of this.origins) {
+            const originStats = {
+                requests: stats.requests,
+                socketsCreated: stats.socketsCreated,
+                socketsReused: stats.socketsReused,
+                activeSockets: stats.agents.reduce((count, agent) => count + countSockets(agent.sockets), 0),
+                idleSockets: stats.agents.reduce((count, agent) => count + countSockets(agent.freeSockets), 0)
+            };
+            for (const name of Object.keys(originStats)) {
+                total[name] += originStats[name];
+            }
+            total.origins[origin] = originStats;
+        }
+        return total;
+    }
+
+    /**
+     * Close all connections, the statistics are kept. Agents are created again when
+     * the pool is used after it was closed.
+     */
+    close() {
+        for (const agent of this.agents.values()) {
+            agent.destroy();
+        }
+        this.agents.clear();
+        for (const stats of this.origins.values()) {
+            stats.agents = [];
+        }
+    }
+}
+
+module.exports = {
+    AgentPool
+};
@@ -85,6 +85,28 @@ class AssetMultipart {
         return this[PRIVATE].maxPartSize;
     }
 
+    /**
+     * Size of the parts the asset is split in, set when the parts are first created so
+     * a resumed upload sends the same ranges to the same urls
+     *
+     * @returns {Number} Part size, or undefined if the parts have not been created
+     */
+    get partSize() {
+        return this[PRIVATE].partSize;
+    }
+
+    /**
+     * Size of the parts the asset is split in
+     *
+     * @param {Number} partSize Part size
+     */
+    set partSize(partSize) {
+        if (!isPositiveNumber(partSize)) {
+            throw new IllegalArgumentError("'partSize' must be a positive number", partSize);
+        }
+        this[PRIVATE].partSize = partSize;
+    }
+
     /**
      * Optional headers to use to upload the asset to the urls
      */
@@ -109,6 +131,18 @@ class AssetMultipart {
     get uploadToken() {
         return this[PRIVATE].uploadToken;
     }
+
+    /**
+     * Called when a part has been uploaded to one of the target urls, lets targets that need
+     * to complete the upload record the response. Does nothing by default.
+     *
+     * @param {String|URL} targetUrl Target url the part was uploaded to
+     * @param {*} response HTTP response of the upload
+     * @param {String} method HTTP method of the upload
+     */
+    // eslint-disable-next-line no-unused-vars
+    partUploaded(targetUrl, response, method) {
+    }
 }
 
 module.exports = {
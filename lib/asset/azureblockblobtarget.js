@@ -0,0 +1,175 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+require("core-js/stable");
+
+const { AssetMultipart } = require("./assetmultipart");
+const { IllegalArgumentError } = require("../error");
+const { isPositiveNumber, isValidWebUrl } = require("../util");
+
+const PRIVATE = Symbol("PRIVATE");
+
+/**
+ * Maximum number of blocks of a block blob
+ */
+const AZURE_MAX_BLOCKS = 50000;
+
+/**
+ * Maximum size of a block of a block blob
+ */
+const AZURE_MAX_BLOCK_SIZE = 4000 * 1024 * 1024;
+
+// all block ids of a blob must have the same length
+const BLOCK_ID_WIDTH = 10;
+
+/**
+ * Create the block id of a block
+ *
+ * @param {Number} index Index of the block, starting at 0
+ * @returns {String} Base64 encoded fixed width block id
+ */
+function createBlockId(index) {
+    return Buffer.from(String(index).padStart(BLOCK_ID_WIDTH, "0")).toString("base64");
+}
+
+/**
+ * Add query parameters to a SAS url, leaving its signature untouched
+ *
+ * @param {String|URL} sasUrl SAS url of the blob
+ * @param {String} query Query parameters to add
+ * @returns {String} Url with the query parameters added
+ */
+function appendQuery(sasUrl, query) {
+    const url = String(sasUrl);
+    return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+}
+
+/**
+ * @typedef {Object} AzureBlockBlobOptions
+ * @property {String} [contentType] Content type of the blob, sent as `x-ms-blob-content-type` when the block list is committed
+ * @property {Object} [metadata] Metadata of the blob, each name and value is sent as a `x-ms-meta-<name>` header when the
+ *  block list is committed
+ */
+/**
+ * Describes an Azure block blob target
+ *
+ * The parts are uploaded as blocks with Put Block to urls generated from the SAS url of the blob,
+ * each with a fixed width block id. The upload is completed by committing the ids of the uploaded
+ * blocks with Put Block List.
+ */
+class AzureBlockBlobTarget extends AssetMultipart {
+    /**
+     * Construct an Azure block blob target
+     *
+     * @param {String|URL} sasUrl SAS url of the blob, must allow writes
+     * @param {Number} blockCount Number of block urls to generate
+     * @param {Number} minPartSize Minimum part size
+     * @param {Number} maxPartSize Maximum part size
+     * @param {Headers} [headers] Optional headers to upload to the block urls
+     * @param {AzureBlockBlobOptions} [options] Properties of the blob set when the block list is committed
+     */
+    constructor(sasUrl, blockCount, minPartSize, maxPartSize, headers, options) {
+        if (!isValidWebUrl(sasUrl)) {
+            throw new IllegalArgumentError("'sasUrl' must be a http/https url", sasUrl);
+        } else if (!isPositiveNumber(blockCount) || (blockCount > AZURE_MAX_BLOCKS)) {
+            throw new IllegalArgumentError(`'blockCount' must be a positive number up to ${AZURE_MAX_BLOCKS}`, blockCount);
+        }
+        const blockUrls = [];
+        for (let i = 0; i < blockCount; ++i) {
+            blockUrls.push(appendQuery(sasUrl, `comp=block&blockid=${encodeURIComponent(createBlockId(i))}`));
+        }
+        super(blockUrls, minPartSize, maxPartSize, headers, appendQuery(sasUrl, "comp=blocklist"));
+        this[PRIVATE] = {
+            contentType: options && options.contentType,
+            metadata: (options && options.metadata) || {},
+            uploadedBlocks: new Set()
+        };
+    }
+
+    /**
+     * Create an Azure block blob target with enough blocks to upload a file in parts
+     * of the preferred part size
+     *
+     * @param {String|URL} sasUrl SAS url of the blob, must allow writes
+     * @param {Number} fileSize Size of the file to upload
+     * @param {Number} preferredPartSize Preferred part size
+     * @param {Number} [minPartSize] Minimum part size
+     * @param {Number} [maxPartSize] Maximum part size, defaults to the maximum block size
+     * @param {Headers} [headers] Optional headers to upload to the block urls
+     * @param {AzureBlockBlobOptions} [options] Properties of the blob set when the block list is committed
+     * @returns {AzureBlockBlobTarget} Azure block blob target
+     */
+    static create(sasUrl, fileSize, preferredPartSize, minPartSize, maxPartSize, headers, options) {
+        const maxSize = maxPartSize || AZURE_MAX_BLOCK_SIZE;
+        const minSize = minPartSize || Math.min(10, maxSize);
+        const partSize = Math.min(Math.max(preferredPartSize || maxSize, minSize), maxSize);
+        const blockCount = Math.min(Math.max(Math.ceil(fileSize / partSize), 1), AZURE_MAX_BLOCKS);
+        return new AzureBlockBlobTarget(sasUrl, blockCount, minSize, maxSize, headers, options);
+    }
+
+    /**
+     * Content type of the blob
+     *
+     * @returns {String} Content type, or undefined
+     */
+    get contentType() {
+        return this[PRIVATE].contentType;
+    }
+
+    /**
+     * Metadata of the blob
+     *
+     * @returns {Object} Metadata names and values
+     */
+    get metadata() {
+        return this[PRIVATE].metadata;
+    }
+
+    /**
+     * Get the block id of a block url
+     *
+     * @param {String|URL} targetUrl Block url
+     * @returns {String} Base64 encoded block id
+     */
+    getBlockId(targetUrl) {
+        return new URL(targetUrl).searchParams.get("blockid");
+    }
+
+    /**
+     * Record an uploaded block, only uploaded blocks are committed
+     *
+     * @param {String|URL} targetUrl Block url the part was uploaded to
+     */
+    partUploaded(targetUrl) {
+        this[PRIVATE].uploadedBlocks.add(this.getBlockId(targetUrl));
+    }
+
+    /**
+     * Ids of the uploaded blocks, in the order of the block urls
+     *
+     * @returns {String[]} Base64 encoded block ids
+     */
+    get blockIds() {
+        const { uploadedBlocks } = this[PRIVATE];
+        return this.targetUrls
+            .map(targetUrl => this.getBlockId(targetUrl))
+            .filter(blockId => uploadedBlocks.has(blockId));
+    }
+}
+
+module.exports = {
+    AzureBlockBlobTarget,
+    AZURE_MAX_BLOCKS,
+    AZURE_MAX_BLOCK_SIZE
+};
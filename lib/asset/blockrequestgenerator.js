@@ -27,10 +27,11 @@ class BlockRequestGenerator extends HttpRequestGenerator {
     }
 
     createPartHttpHeaders(partHttpInfo) {
-        const { httpBody, transferPart } = partHttpInfo;
-        // the body could be a stream or a blob, use correct property
+        const { httpBody, transferPart, contentRange } = partHttpInfo;
+        // the body could be a buffer or a blob, use correct property,
+        // streams do not know their length so fall back to the range
         return {
-            [HTTP.HEADER.CONTENT_LENGTH]: httpBody.length || httpBody.size,
+            [HTTP.HEADER.CONTENT_LENGTH]: httpBody.length || httpBody.size || (contentRange && contentRange.length),
             [HTTP.HEADER.CONTENT_TYPE]: transferPart.metadata.contentType
         };
     }
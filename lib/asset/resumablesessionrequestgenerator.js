@@ -0,0 +1,74 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+const { HttpRequestGenerator } = require("./httprequestgenerator");
+const { HTTP } = require("../constants");
+
+/**
+ * Helps create the HTTP requests of a resumable upload session: the request that
+ * starts the session, the chunk requests and the status requests.
+ */
+class ResumableSessionRequestGenerator extends HttpRequestGenerator {
+    createPartHttpBody(partInfo) {
+        // chunks use the binary data of the range
+        const { partData } = partInfo;
+        return partData;
+    }
+
+    createPartHttpHeaders(partHttpInfo) {
+        const { httpBody, transferPart, contentRange } = partHttpInfo;
+        const totalSize = transferPart.metadata.contentLength;
+        if (contentRange.length === 0) {
+            // nothing left to upload, finalizes the upload
+            return this.createStatusHttpHeaders(transferPart);
+        }
+        return {
+            [HTTP.HEADER.CONTENT_LENGTH]: httpBody.length || httpBody.size || contentRange.length,
+            [HTTP.HEADER.CONTENT_RANGE]: `${HTTP.RANGE.BYTES} ${contentRange.low}-${contentRange.high}/${totalSize}`
+        };
+    }
+
+    /**
+     * Creates the headers of the request that starts the session
+     *
+     * @param {import('../asset/transferpart').TransferPart} transferPart Part covering the file
+     * @returns {Headers} Simple object containing header information.
+     */
+    createInitiateHttpHeaders(transferPart) {
+        const { contentType, contentLength } = transferPart.metadata;
+        return {
+            "x-goog-resumable": "start",
+            "x-upload-content-length": contentLength,
+            [HTTP.HEADER.CONTENT_LENGTH]: 0,
+            ...(contentType ? { [HTTP.HEADER.CONTENT_TYPE]: contentType } : {})
+        };
+    }
+
+    /**
+     * Creates the headers of the request that queries the committed offset of the session
+     *
+     * @param {import('../asset/transferpart').TransferPart} transferPart Part covering the file
+     * @returns {Headers} Simple object containing header information.
+     */
+    createStatusHttpHeaders(transferPart) {
+        return {
+            [HTTP.HEADER.CONTENT_LENGTH]: 0,
+            [HTTP.HEADER.CONTENT_RANGE]: `${HTTP.RANGE.BYTES} */${transferPart.metadata.contentLength}`
+        };
+    }
+}
+
+module.exports = {
+    ResumableSessionRequestGenerator
+};
@@ -0,0 +1,203 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+require("core-js/stable");
+
+const { IllegalArgumentError } = require("../error");
+const { isPositiveNumber, isValidWebUrl } = require("../util");
+const { HTTP } = require("../constants");
+
+const PRIVATE = Symbol("PRIVATE");
+
+/**
+ * All chunks but the last must be a multiple of this size
+ */
+const RESUMABLE_CHUNK_GRANULARITY = 256 * 1024;
+
+/**
+ * Default chunk size, 8MB
+ */
+const DEFAULT_RESUMABLE_CHUNK_SIZE = 32 * RESUMABLE_CHUNK_GRANULARITY;
+
+/**
+ * Parse the `Range` header of a 308 response, which holds the bytes committed by the server
+ *
+ * @param {String} [range] Range header, for example `bytes=0-262143`
+ * @returns {Number} Number of committed bytes, 0 if no range is provided
+ */
+function parseCommittedRange(range) {
+    if (!range) {
+        return 0;
+    }
+    const match = /^bytes=0-(\d+)$/.exec(range.trim());
+    if (!match) {
+        throw Error(`Unexpected range of a resumable upload: ${range}`);
+    }
+    return Number.parseInt(match[1], 10) + 1;
+}
+
+/**
+ * @typedef {Object} ResumableSessionOptions
+ * @property {Number} [chunkSize=8388608] Size of the chunks, must be a multiple of 256KB
+ * @property {String|URL} [sessionUrl] Session url of a session that was started earlier, the upload resumes
+ *  at the offset reported by the server
+ */
+/**
+ * Describes a Google Cloud Storage resumable upload session
+ *
+ * The session is started with a POST request to the initiate url, which returns the session url
+ * in its `Location` header. Chunks are uploaded in sequence to the session url, each with a
+ * `Content-Range` header. The server responds with 308 and the committed bytes in its `Range`
+ * header until the last chunk is uploaded. After a failure the status of the session is queried
+ * and the upload resumes at the committed offset.
+ */
+class ResumableSessionUpload {
+    /**
+     * Construct a resumable session upload target
+     *
+     * @param {String|URL} initiateUrl Url that starts the session, for example a signed url allowing `x-goog-resumable: start`
+     * @param {ResumableSessionOptions} [options] Resumable session options
+     */
+    constructor(initiateUrl, options) {
+        const { chunkSize = DEFAULT_RESUMABLE_CHUNK_SIZE, sessionUrl } = options || {};
+        if (!isValidWebUrl(initiateUrl)) {
+            throw new IllegalArgumentError("'initiateUrl' must be a http/https url", initiateUrl);
+        } else if (sessionUrl && !isValidWebUrl(sessionUrl)) {
+            throw new IllegalArgumentError("'sessionUrl' must be a http/https url", sessionUrl);
+        } else if (!isPositiveNumber(chunkSize) || (chunkSize % RESUMABLE_CHUNK_GRANULARITY !== 0)) {
+            throw new IllegalArgumentError(`'chunkSize' must be a positive multiple of ${RESUMABLE_CHUNK_GRANULARITY}`, chunkSize);
+        }
+        this[PRIVATE] = {
+            initiateUrl: new URL(initiateUrl),
+            sessionUrl: sessionUrl && new URL(sessionUrl),
+            chunkSize,
+            offset: 0,
+            complete: false,
+            // the offset is not known after a failed chunk, or when resuming an earlier session
+            offsetKnown: !sessionUrl
+        };
+    }
+
+    /**
+     * Url that starts the session
+     *
+     * @returns {URL} Initiate url
+     */
+    get initiateUrl() {
+        return this[PRIVATE].initiateUrl;
+    }
+
+    /**
+     * Url of the started session
+     *
+     * @returns {URL} Session url, or undefined if the session has not been started
+     */
+    get sessionUrl() {
+        return this[PRIVATE].sessionUrl;
+    }
+
+    /**
+     * Url of the started session
+     *
+     * @param {String|URL} sessionUrl Session url returned in the `Location` header
+     */
+    set sessionUrl(sessionUrl) {
+        if (!isValidWebUrl(sessionUrl)) {
+            throw new IllegalArgumentError("'sessionUrl' must be a http/https url", sessionUrl);
+        }
+        this[PRIVATE].sessionUrl = new URL(sessionUrl);
+    }
+
+    /**
+     * Size of the chunks
+     *
+     * @returns {Number} Chunk size
+     */
+    get chunkSize() {
+        return this[PRIVATE].chunkSize;
+    }
+
+    /**
+     * Number of bytes committed by the server
+     *
+     * @returns {Number} Committed offset
+     */
+    get offset() {
+        return this[PRIVATE].offset;
+    }
+
+    /**
+     * True if the committed offset has to be queried before the next chunk is uploaded
+     *
+     * @returns {Boolean} True if the status of the session must be queried
+     */
+    get offsetUnknown() {
+        return !this[PRIVATE].offsetKnown;
+    }
+
+    /**
+     * True if the server has received the whole file
+     *
+     * @returns {Boolean} True if the upload is complete
+     */
+    get complete() {
+        return this[PRIVATE].complete;
+    }
+
+    /**
+     * Range of the next chunk to upload, starting at the committed offset
+     *
+     * @param {Number} totalSize Size of the file
+     * @returns {{low: Number, high: Number, length: Number}} Range of the next chunk, empty if nothing is left to upload
+     */
+    nextChunk(totalSize) {
+        const low = this.offset;
+        const length = Math.max(Math.min(this.chunkSize, totalSize - low), 0);
+        return { low, high: low + length - 1, length };
+    }
+
+    /**
+     * Mark the committed offset as unknown, the status is queried before the next chunk
+     */
+    resetOffset() {
+        this[PRIVATE].offsetKnown = false;
+    }
+
+    /**
+     * Update the state of the session from the response to a chunk or status request
+     *
+     * @param {Number} status Response status, 308 if the upload is incomplete
+     * @param {String} [range] `Range` response header
+     * @param {Number} totalSize Size of the file
+     */
+    update(status, range, totalSize) {
+        if (status === HTTP.STATUS.RESUME_INCOMPLETE) {
+            const offset = parseCommittedRange(range);
+            if (offset > totalSize) {
+                throw Error(`Resumable upload committed ${offset} bytes, more than the file size of ${totalSize} bytes`);
+            }
+            this[PRIVATE].offset = offset;
+        } else {
+            this[PRIVATE].offset = totalSize;
+            this[PRIVATE].complete = true;
+        }
+        this[PRIVATE].offsetKnown = true;
+    }
+}
+
+module.exports = {
+    ResumableSessionUpload,
+    RESUMABLE_CHUNK_GRANULARITY,
+    DEFAULT_RESUMABLE_CHUNK_SIZE
+};
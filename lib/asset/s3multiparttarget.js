@@ -0,0 +1,140 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+require("core-js/stable");
+
+const { AssetMultipart } = require("./assetmultipart");
+const { IllegalArgumentError } = require("../error");
+const { isValidWebUrl } = require("../util");
+const { HTTP } = require("../constants");
+
+const PRIVATE = Symbol("PRIVATE");
+
+/**
+ * Minimum size of all but the last part of a S3 multipart upload
+ */
+const S3_MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Maximum size of a part of a S3 multipart upload
+ */
+const S3_MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+
+/**
+ * @typedef {Object} S3Part
+ * @property {Number} partNumber Part number, starting at 1
+ * @property {String} etag ETag returned by S3 when the part was uploaded
+ */
+/**
+ * Describes a S3 multipart upload target
+ *
+ * The parts are uploaded to presigned UploadPart urls, the ETag returned for each part is
+ * recorded so the upload can be completed with CompleteMultipartUpload. A failed upload is
+ * aborted with AbortMultipartUpload.
+ */
+class S3MultipartTarget extends AssetMultipart {
+    /**
+     * Construct a S3 multipart target
+     *
+     * @param {URL[]} targetUrls Presigned UploadPart urls, in order of the part numbers
+     * @param {Number} minPartSize Minimum part size
+     * @param {Number} maxPartSize Maximum part size
+     * @param {Headers} [headers] Optional headers to upload to the given target urls
+     * @param {URL} completeUrl Presigned CompleteMultipartUpload url
+     * @param {URL} [abortUrl] Presigned AbortMultipartUpload url
+     */
+    constructor(targetUrls, minPartSize, maxPartSize, headers, completeUrl, abortUrl) {
+        if (!completeUrl) {
+            throw new IllegalArgumentError("'completeUrl' must be provided", completeUrl);
+        } else if (abortUrl && !isValidWebUrl(abortUrl)) {
+            throw new IllegalArgumentError("'abortUrl' must be a http/https url", abortUrl);
+        }
+        super(targetUrls, minPartSize, maxPartSize, headers, completeUrl);
+        this[PRIVATE] = {
+            abortUrl: abortUrl && new URL(abortUrl),
+            etags: new Map()
+        };
+    }
+
+    /**
+     * Presigned AbortMultipartUpload url
+     *
+     * @returns {URL} Abort url, or undefined
+     */
+    get abortUrl() {
+        return this[PRIVATE].abortUrl;
+    }
+
+    /**
+     * Get the part number of a target url, from its `partNumber` query parameter or
+     * its position in the target urls
+     *
+     * @param {String|URL} targetUrl Target url of a part
+     * @returns {Number} Part number, starting at 1
+     */
+    getPartNumber(targetUrl) {
+        const partNumber = Number.parseInt(new URL(targetUrl).searchParams.get("partNumber"), 10);
+        if (Number.isFinite(partNumber)) {
+            return partNumber;
+        }
+        const index = this.targetUrls.findIndex(url => String(url) === String(targetUrl));
+        if (index < 0) {
+            throw new IllegalArgumentError("'targetUrl' is not a part of the multipart upload", targetUrl);
+        }
+        return index + 1;
+    }
+
+    /**
+     * Record the ETag returned for an uploaded part
+     *
+     * @param {String|URL} targetUrl Target url the part was uploaded to
+     * @param {String} etag ETag response header
+     */
+    setPartETag(targetUrl, etag) {
+        this[PRIVATE].etags.set(this.getPartNumber(targetUrl), etag);
+    }
+
+    /**
+     * Record the ETag of an uploaded part, it is required to complete the upload
+     *
+     * @param {String|URL} targetUrl Target url the part was uploaded to
+     * @param {*} response HTTP response of the upload
+     * @param {String} method HTTP method of the upload
+     */
+    partUploaded(targetUrl, response, method) {
+        const etag = response && response.headers && response.headers.get(HTTP.HEADER.ETAG);
+        if (!etag) {
+            // browsers only expose the header if the CORS configuration of the bucket allows it
+            throw Error(`${method} '${targetUrl}' did not return an ETag header, which is required to complete the S3 multipart upload`);
+        }
+        this.setPartETag(targetUrl, etag);
+    }
+
+    /**
+     * Uploaded parts ordered by part number
+     *
+     * @returns {S3Part[]} Uploaded parts
+     */
+    get parts() {
+        return Array.from(this[PRIVATE].etags.entries())
+            .map(([partNumber, etag]) => ({ partNumber, etag }))
+            .sort((a, b) => a.partNumber - b.partNumber);
+    }
+}
+
+module.exports = {
+    S3MultipartTarget,
+    S3_MIN_PART_SIZE,
+    S3_MAX_PART_SIZE
+};
@@ -15,10 +15,13 @@
 const { Asset } = require("./asset");
 const { AssetMetadata } = require("./assetmetadata");
 const { AssetMultipart } = require("./assetmultipart");
+const { ResumableSessionUpload } = require("./resumablesessionupload");
 const { AssetVersion } = require("./assetversion");
 const { NameConflictPolicy } = require("./nameconflictpolicy");
 const { IllegalArgumentError } = require("../error");
 const { urlToPath } = require("../util");
+const { DownloadJournal } = require("../downloadjournal");
+const DRange = require("drange");
 
 const PRIVATE = Symbol("PRIVATE");
 
@@ -28,7 +31,10 @@ const PRIVATE = Symbol("PRIVATE");
  * @property {Boolean} [acceptRanges] True if (read) byte range requests are supported (truthy)
  * @property {AssetVersion} [version] Asset version
  * @property {AssetMultipart} [multipartTarget] Asset multi-part target
+ * @property {ResumableSessionUpload} [resumableSession] Resumable upload session target, chunks are uploaded in sequence
  * @property {NameConflictPolicy} [nameConflictPolicy] Name conflict policy, defaults to {@link NameConflictPolicy#defaultPolicy}
+ * @property {DRange} [completedRanges] Ranges that have been transferred in an earlier attempt
+ * @property {String} [expectedDigest] Expected digest of the whole asset, base64 or hex encoded
  */
 /**
  * Reflects a unit of content to be transferred, refers to the complete asset.
@@ -57,9 +63,18 @@ class TransferAsset {
         if (options && options.multipartTarget && !(options.multipartTarget instanceof AssetMultipart)) {
             throw new IllegalArgumentError("'multipartTarget' must be of type AssetMultipart", options.multipartTarget);
         }
+        if (options && options.resumableSession && !(options.resumableSession instanceof ResumableSessionUpload)) {
+            throw new IllegalArgumentError("'resumableSession' must be of type ResumableSessionUpload", options.resumableSession);
+        }
         if (options && options.nameConflictPolicy && !(options.nameConflictPolicy instanceof NameConflictPolicy)) {
             throw new IllegalArgumentError("'nameConflictPolicy' must be of type NameConflictPolicy", options.nameConflictPolicy);
         }
+        if (options && options.completedRanges && !(options.completedRanges instanceof DRange)) {
+            throw new IllegalArgumentError("'completedRanges' must be of type DRange", options.completedRanges);
+        }
+        if (options && options.expectedDigest && (typeof options.expectedDigest !== "string")) {
+            throw new IllegalArgumentError("'expectedDigest' must be a string", options.expectedDigest);
+        }
         this[PRIVATE] = {
             source,
             target,
@@ -67,7 +82,10 @@ class TransferAsset {
             acceptRanges: !!(options && options.acceptRanges),
             version: options && options.version,
             multipartTarget: options && options.multipartTarget,
-            nameConflictPolicy: (options && options.nameConflictPolicy) || NameConflictPolicy.defaultPolicy()
+            resumableSession: options && options.resumableSession,
+            nameConflictPolicy: (options && options.nameConflictPolicy) || NameConflictPolicy.defaultPolicy(),
+            completedRanges: options && options.completedRanges,
+            expectedDigest: options && options.expectedDigest
         };
     }
 
@@ -170,6 +188,108 @@ class TransferAsset {
         this[PRIVATE].multipartTarget = multipart;
     }
 
+    /**
+     * Resumable upload session target
+     * 
+     * @returns {ResumableSessionUpload} Resumable upload session, or undefined
+     */
+    get resumableSession() {
+        return this[PRIVATE].resumableSession;
+    }
+
+    /**
+     * Resumable upload session target
+     * 
+     * @param {ResumableSessionUpload} resumableSession Resumable upload session
+     */
+    set resumableSession(resumableSession) {
+        if (!(resumableSession instanceof ResumableSessionUpload)) {
+            throw new IllegalArgumentError("'resumableSession' must be of type ResumableSessionUpload", resumableSession);
+        }
+        this[PRIVATE].resumableSession = resumableSession;
+    }
+
+    /**
+     * Ranges that have been transferred, including those of an earlier attempt
+     * 
+     * @returns {DRange} Completed ranges, or undefined if no part has been transferred
+     */
+    get completedRanges() {
+        return this[PRIVATE].completedRanges;
+    }
+
+    /**
+     * Ranges that have been transferred, including those of an earlier attempt
+     * 
+     * @param {DRange} completedRanges Completed ranges
+     */
+    set completedRanges(completedRanges) {
+        if (!(completedRanges instanceof DRange)) {
+            throw new IllegalArgumentError("'completedRanges' must be of type DRange", completedRanges);
+        }
+        this[PRIVATE].completedRanges = completedRanges;
+    }
+
+    /**
+     * Expected digest of the whole asset
+     * 
+     * @returns {String} Base64 or hex encoded digest, or undefined if not known
+     */
+    get expectedDigest() {
+        return this[PRIVATE].expectedDigest;
+    }
+
+    /**
+     * Expected digest of the whole asset
+     * 
+     * @param {String} expectedDigest Base64 or hex encoded digest
+     */
+    set expectedDigest(expectedDigest) {
+        if (typeof expectedDigest !== "string") {
+            throw new IllegalArgumentError("'expectedDigest' must be a string", expectedDigest);
+        }
+        this[PRIVATE].expectedDigest = expectedDigest;
+    }
+
+    /**
+     * Digest of the whole asset, computed once the transfer completed
+     * 
+     * @returns {{algorithm: String, value: String}} Checksum algorithm and base64 encoded digest, or undefined
+     */
+    get digest() {
+        return this[PRIVATE].digest;
+    }
+
+    /**
+     * Digest of the whole asset, computed once the transfer completed
+     * 
+     * @param {{algorithm: String, value: String}} digest Checksum algorithm and base64 encoded digest
+     */
+    set digest(digest) {
+        this[PRIVATE].digest = digest;
+    }
+
+    /**
+     * Journal of a resumable download
+     * 
+     * @returns {DownloadJournal} Download journal, or undefined if the download is not resumable
+     */
+    get journal() {
+        return this[PRIVATE].journal;
+    }
+
+    /**
+     * Journal of a resumable download
+     * 
+     * @param {DownloadJournal} journal Download journal
+     */
+    set journal(journal) {
+        if (!(journal instanceof DownloadJournal)) {
+            throw new IllegalArgumentError("'journal' must be of type DownloadJournal", journal);
+        }
+        this[PRIVATE].journal = journal;
+    }
+
     /**
      * Name conflict policy
      * 
@@ -212,6 +332,10 @@ class TransferAsset {
             data.mimeType = this.metadata.contentType;
         }
 
+        if (this.digest) {
+            data.digest = this.digest;
+        }
+
         return data;
     }
 
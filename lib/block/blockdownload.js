@@ -25,12 +25,17 @@ const { CreateTransferParts } = require('../functions/transferpartscreate');
 const { JoinTransferParts } = require('../functions/transferpartsjoin');
 const { CloseFiles } = require('../functions/closefiles');
 const { MapConcurrent } = require('../generator/mapconcurrent');
+const { AdaptiveConcurrency } = require('../adaptiveconcurrency');
+const { CircuitBreaker } = require('../circuitbreaker');
+const { AgentPool } = require('../agentpool');
 const { Transfer } = require('../functions/transfer');
 const { executePipeline, Pipeline } = require('../generator/pipeline');
 const { RandomFileAccess } = require('../randomfileaccess');
 const { FilterFailedAssets } = require('../functions/filterfailedassets');
 const { GetAssetMetadata } = require('../functions/getassetmetadata');
+const { ResumeDownload } = require('../functions/resumedownload');
 const { BlockRequestGenerator } = require('../asset/blockrequestgenerator');
+const { SourceChangedError } = require('../error');
 const logger = require("../logger");
 
 /**
@@ -53,9 +58,13 @@ async function* generateBlockDownloadTransfer(options) {
         const source = new Asset(sourceUrl, options.headers);
         const target = new Asset(targetPath);
 
+        // a resumed download always retrieves the source version to verify it is unchanged
         const transferAsset = new TransferAsset(source, target, {
             acceptRanges: true,
-            metadata: new AssetMetadata(downloadFile.filePath, downloadFile.contentType, downloadFile.fileSize)
+            metadata: options.resume
+                ? new AssetMetadata(downloadFile.filePath)
+                : new AssetMetadata(downloadFile.filePath, downloadFile.contentType, downloadFile.fileSize),
+            expectedDigest: downloadFile.digest
         });
 
         assetCounter++;
@@ -67,6 +76,25 @@ async function* generateBlockDownloadTransfer(options) {
     logger.info(`Generated ${assetCounter} download transfer assets (files to download: ${expectedLength})`);
 }
 
+/**
+ * Generate transfer assets to download changed sources again from scratch
+ *
+ * @generator
+ * @param {TransferAsset[]} transferAssets Transfer assets of which the source changed
+ * @yields {TransferAsset} Transfer asset
+ */
+async function* generateBlockDownloadRestart(transferAssets) {
+    for (const transferAsset of transferAssets) {
+        logger.info(`Generated restarted download transfer asset ${transferAsset.source.url}`);
+
+        // metadata and version are retrieved again, they changed with the source
+        yield new TransferAsset(transferAsset.source, transferAsset.target, {
+            acceptRanges: true,
+            metadata: new AssetMetadata(transferAsset.metadata.filename)
+        });
+    }
+}
+
 /**
  * Provide a single file download process which is allowed to run in parallel
  */
@@ -80,6 +108,7 @@ const DEFAULT_PART_SIZE = 10 * 1024 * 1024;
  * @property {String} fileUrl AEM url of file to download
  * @property {String} filePath Path on the local disk where to download
  * @property {Number} fileSize Size of the file being downloaded
+ * @property {String} [digest] Expected digest of the file, base64 or hex encoded, verified if `checksumAlgorithm` is set
  */
 
 class BlockDownload extends EventEmitter {
@@ -90,6 +119,32 @@ class BlockDownload extends EventEmitter {
      * @property {Boolean} retryEnabled If true, retries will be attempted for failed parts
      * @property {Number} [preferredPartSize] Preferred part size
      * @property {Number} [retryCount] Retry count (default is 5)
+     * @property {Boolean} [streamParts=false] Stream parts to disk instead of buffering them in memory, removes the part size limit
+     * @property {Number} [restartOnSourceChange=0] Number of times a file is downloaded again from scratch when it changes during the download
+     * @property {AbortSignal} [abortSignal] Signal that cancels the download when aborted, unfinished files fail with USER_CANCELLED
+     * @property {Boolean} [removePartialDownloads=false] Remove the partially downloaded files when the download is cancelled
+     * @property {Boolean} [resume=false] Keep a journal next to each file so an interrupted download can be resumed,
+     * only the missing parts are downloaded if the source is unchanged
+     * @property {String} [checksumAlgorithm] Verify the md5, sha1 or sha256 digest of each part returned by the server in
+     * the checksum header, and of each file against its expected digest. The digest is reported in the `fileend` event.
+     * @property {String} [checksumHeader] Header carrying the base64 encoded digest, defaults to content-md5 for md5
+     * and x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256
+     * @property {Number|RateLimiter} [maxBytesPerSecond] Limit the download bandwidth, pass a `RateLimiter` to share the limit with
+     * other transfers or to change it while downloading
+     * @property {Boolean|AdaptiveConcurrencyOptions|AdaptiveConcurrency} [adaptiveConcurrency] Grow and shrink the number of concurrent
+     * requests based on the part durations, throughput and 429/503 responses, starting at `maxConcurrent`. The current level is
+     * reported as `concurrency` in the `fileprogress` event.
+     * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Fail requests to a host right away after repeated
+     * connect or 5xx failures, instead of retrying each part. State changes are emitted as `circuitstatechange` events.
+     * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options. Phases `metadata`
+     * and `transfer` can have their own limits.
+     * @property {Number} [partTimeout] Abort and retry an attempt to transfer a part that takes longer than this many milliseconds,
+     * unlike the socket `timeout` this catches parts that keep trickling in
+     * @property {Number} [minBytesPerSecond] Abort and retry an attempt to transfer a part whose body is sent or received below
+     * this rate for `minBytesPerSecondWindow` (default 10000ms)
+     * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Keep-alive agents per origin shared by all requests, enabled
+     * by default and closed when the transfer finishes. Pass `false` to disable it, or an `AgentPool` to share it with other
+     * transfers, which is not closed. Connection statistics are available from `agentPool.getStats()`.
      */
 
     /**
@@ -98,29 +153,70 @@ class BlockDownload extends EventEmitter {
     constructor(){
         super();
         this.errorEvents = null;
+        this.adaptiveConcurrency = undefined;
+        this.agentPool = undefined;
+        this.restartAssets = null;
+        this.controller = null;
+        this.paused = false;
+    }
+
+    /**
+     * Pause the download, no new parts are downloaded until it is resumed.
+     * Parts that are in progress are allowed to finish.
+     */
+    pause() {
+        this.paused = true;
+        if (this.controller) {
+            this.controller.pause();
+        }
+    }
+
+    /**
+     * Resume a paused download, only the parts that have not been downloaded yet are transferred
+     */
+    resume() {
+        this.paused = false;
+        if (this.controller) {
+            this.controller.resume();
+        }
     }
 
     /**
      * Create a a block download controller, which emits events
      * on file (download) start, file (download) progress, file (download) end
      * and file (download) error.
+     * Files that change during the download are collected in `restartFiles`
+     * instead of failing, if restarts are allowed.
+     *
+     * @param {Boolean} [allowRestart=false] True if files that changed during the download can be restarted
+     * @param {AbortSignal} [abortSignal] Signal that cancels the download when aborted
      * @returns {TransferController} Transfer controller
      */
-    createBlockDownloadController() {
-        const controller = new TransferController();
+    createBlockDownloadController(allowRestart = false, abortSignal) {
+        const controller = new TransferController(abortSignal);
+        const restartingAssets = new Set();
+        this.controller = controller;
+        if (this.paused) {
+            controller.pause();
+        }
         this.errorEvents = [];
+        this.restartAssets = [];
 
         controller.on(TransferEvents.CREATE_TRANSFER_PARTS, transferEvent => {
             logger.info("Block download: block download controller starting file download");
             this.emit("filestart", transferEvent.transferAsset.eventData);
         });
 
-        controller.on(TransferEvents.JOIN_TRANSFER_PARTS, transferEvent => {
+        const onProgress = transferEvent => {
             this.emit("fileprogress", {
                 ...transferEvent.transferAsset.eventData,
-                transferred: transferEvent.props.transferBytes
+                transferred: transferEvent.props.transferBytes,
+                ...(this.adaptiveConcurrency ? { concurrency: this.adaptiveConcurrency.concurrency } : {})
             });
-        });
+        };
+        controller.on(TransferEvents.JOIN_TRANSFER_PARTS, onProgress);
+        // files of sources that do not support range requests are downloaded with a single request
+        controller.on(TransferEvents.TRANSFER_PROGRESS, onProgress);
 
         controller.on(TransferEvents.AFTER_JOIN_TRANSFER_PARTS, transferEvent => {
             logger.info("Block download: block download controller finishing file download");
@@ -129,6 +225,15 @@ class BlockDownload extends EventEmitter {
 
         controller.on(TransferEvents.ERROR, transferEvent => {
             logger.info(`Error during block download: ${transferEvent.error}`);
+            const { transferAsset } = transferEvent;
+            if (restartingAssets.has(transferAsset)) {
+                return;
+            } else if (allowRestart && transferEvent.props.firstError && (transferEvent.error instanceof SourceChangedError)) {
+                logger.info(`Block download: source ${transferAsset.source.url} changed, restarting download`);
+                restartingAssets.add(transferAsset);
+                this.restartAssets.push(transferAsset);
+                return;
+            }
             this.errorEvents.push(transferEvent);
 
             if (transferEvent.props.firstError) {
@@ -143,7 +248,7 @@ class BlockDownload extends EventEmitter {
 
     /**
      * Removes all listeners for events 
-     * `CREATE_TRANSFER_PARTS`, `JOIN_TRANSFER_PARTS`,
+     * `CREATE_TRANSFER_PARTS`, `JOIN_TRANSFER_PARTS`, `TRANSFER_PROGRESS`,
      * `AFTER_JOIN_TRANSFER_PARTS` and `ERROR`
      * from a block download controller
      * @param {TransferController} controller a block download controller
@@ -156,10 +261,12 @@ class BlockDownload extends EventEmitter {
         if (this.errorEvents) {
             this.errorEvents = null;
         }
+        this.controller = null;
         
         try {
             controller.removeAllListeners(TransferEvents.CREATE_TRANSFER_PARTS);
             controller.removeAllListeners(TransferEvents.JOIN_TRANSFER_PARTS);
+            controller.removeAllListeners(TransferEvents.TRANSFER_PROGRESS);
             controller.removeAllListeners(TransferEvents.AFTER_JOIN_TRANSFER_PARTS);
             controller.removeAllListeners(TransferEvents.ERROR);
         } catch (err) {
@@ -174,25 +281,71 @@ class BlockDownload extends EventEmitter {
      * @param {BlockDownloadOptions} options Block download options
      */
     async downloadFiles(options = {}) {
+        let restartsRemaining = options.restartOnSourceChange || 0;
+        let transferAssets = generateBlockDownloadTransfer(options);
+        // connections are reused by all steps of the download, including restarts
+        this.agentPool = AgentPool.from(options.agentPool);
+        const downloadOptions = {
+            ...options,
+            requestOptions: { ...options.requestOptions, agentPool: this.agentPool }
+        };
+        try {
+            for (;;) {
+                await this.executeDownload(downloadOptions, transferAssets, restartsRemaining > 0);
+                if (this.restartAssets.length === 0) {
+                    break;
+                }
+
+                --restartsRemaining;
+                logger.info(`Block download: restarting ${this.restartAssets.length} changed file(s), ${restartsRemaining} restart(s) remaining`);
+                transferAssets = generateBlockDownloadRestart(this.restartAssets);
+            }
+        } finally {
+            if (this.agentPool && (this.agentPool !== options.agentPool)) {
+                this.agentPool.close();
+            }
+        }
+    }
+
+    /**
+     * Execute the download pipeline
+     * Throws the first unrecoverable error if unsuccessful, all others are logged
+     *
+     * @param {BlockDownloadOptions} options Block download options
+     * @param {AsyncGenerator} transferAssets Transfer assets to download
+     * @param {Boolean} allowRestart True if files that changed during the download can be restarted
+     */
+    async executeDownload(options, transferAssets, allowRestart) {
         const preferredPartSize = options.preferredPartSize || DEFAULT_PART_SIZE;
         const maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENCY;
+        this.adaptiveConcurrency = AdaptiveConcurrency.from(options.adaptiveConcurrency, maxConcurrent);
+        const circuitBreaker = CircuitBreaker.from(options.circuitBreaker);
+        const transferOptions = { ...options, adaptiveConcurrency: this.adaptiveConcurrency, circuitBreaker };
+        const onCircuitStateChange = event => this.emit("circuitstatechange", event);
 
         // Build and execute pipeline
-        const controller = this.createBlockDownloadController();
+        const controller = this.createBlockDownloadController(allowRestart, options.abortSignal);
         const randomFileAccess = new RandomFileAccess();
         const requestGenerator = new BlockRequestGenerator();
+        if (circuitBreaker) {
+            circuitBreaker.on("statechange", onCircuitStateChange);
+        }
         try {
             const pipeline = new Pipeline(
                 new GetAssetMetadata(options),
+                ...(options.resume ? [new ResumeDownload()] : []),
                 new CreateTransferParts({ preferredPartSize }),
-                new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, options), { maxConcurrent }),
-                new JoinTransferParts,
+                new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, transferOptions), {
+                    maxConcurrent,
+                    adaptiveConcurrency: this.adaptiveConcurrency
+                }),
+                new JoinTransferParts(options),
                 new CloseFiles(randomFileAccess)
             );
             pipeline.setFilterFunction(new FilterFailedAssets());
 
             logger.info("Block download: executing block download pipeline");
-            await executePipeline(pipeline, generateBlockDownloadTransfer(options), controller);
+            await executePipeline(pipeline, transferAssets, controller);
             logger.info("Block download: finished executing block download pipeline");
 
             if (this.errorEvents && this.errorEvents.length > 0) {
@@ -201,6 +354,9 @@ class BlockDownload extends EventEmitter {
                 throw this.errorEvents[0].error;
             }
         } finally {
+            if (circuitBreaker) {
+                circuitBreaker.removeListener("statechange", onCircuitStateChange);
+            }
             if(controller){
                 this.finalizeController(controller);
             }
@@ -209,10 +365,15 @@ class BlockDownload extends EventEmitter {
                 await randomFileAccess.close();
                 logger.info("Block download: closed random file accessor");
             }
-            if (controller) {
+            // partial downloads are kept to be resumed later
+            if (controller && !options.resume) {
                 await controller.cleanupFailedTransfers();
                 logger.info("Block download: cleaned up failed transfers");
             }
+            if (controller && controller.isCancelled && options.removePartialDownloads) {
+                await controller.removeCancelledDownloads();
+                logger.info("Block download: removed cancelled downloads");
+            }
         }
     }
 }
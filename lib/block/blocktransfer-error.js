@@ -79,6 +79,8 @@ class BlockTransferError extends Error {
             return 401;
         } else if (code === errorCodes.NOT_FOUND) {
             return 404;
+        } else if (code === errorCodes.SOURCE_CHANGED) {
+            return 412;
         } else if (code === errorCodes.TOO_LARGE) {
             return 413;
         } else if (code === errorCodes.NOT_SUPPORTED) {
@@ -0,0 +1,275 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+require("core-js/stable");
+
+const EventEmitter = require('events');
+const CopyError = require('./copy-error');
+const { Asset } = require('../asset/asset');
+const { TransferAsset } = require('../asset/transferasset');
+const { AssetMetadata } = require('../asset/assetmetadata');
+const { AssetMultipart } = require('../asset/assetmultipart');
+const { TransferController, TransferEvents } = require('../controller/transfercontroller');
+const { CreateTransferParts } = require('../functions/transferpartscreate');
+const { JoinTransferParts } = require('../functions/transferpartsjoin');
+const { MapConcurrent } = require('../generator/mapconcurrent');
+const { AdaptiveConcurrency } = require('../adaptiveconcurrency');
+const { CircuitBreaker } = require('../circuitbreaker');
+const { AgentPool } = require('../agentpool');
+const { Transfer } = require('../functions/transfer');
+const { executePipeline, Pipeline } = require('../generator/pipeline');
+const { RandomFileAccess } = require('../randomfileaccess');
+const { FilterFailedAssets } = require('../functions/filterfailedassets');
+const { GetAssetMetadata } = require('../functions/getassetmetadata');
+const { BlockRequestGenerator } = require('../asset/blockrequestgenerator');
+const logger = require("../logger");
+
+const DEFAULT_MAX_CONCURRENCY = 8;
+// Default part size is 10mb
+const DEFAULT_PART_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Generate block transfer assets
+ *
+ * @generator
+ * @param {BlockTransferOptions} options
+ * @yields {TransferAsset} Transfer asset
+ */
+async function* generateBlockTransfer(options) {
+    logger.info(`Generating block transfer parts`);
+    const expectedLength = options.transferFiles && (options.transferFiles.length || options.transferFiles.size);
+
+    let assetCounter = 0;
+    for (const transferFile of options.transferFiles) {
+        const sourceUrl = new URL(transferFile.sourceUrl);
+
+        let assetTarget;
+        if (Array.isArray(transferFile.targetUrl) && transferFile.targetUrl.length > 0) {
+            logger.info("Multiple target urls to copy to");
+            assetTarget = transferFile.targetUrl[0];
+        } else {
+            logger.info("Single target url to copy to");
+            assetTarget = transferFile.targetUrl;
+        }
+        const targetUrl = new URL(assetTarget);
+
+        const source = new Asset(sourceUrl, options.headers);
+        const target = new Asset(targetUrl, transferFile.targetHeaders, transferFile.targetHeaders);
+
+        const transferAsset = new TransferAsset(source, target, {
+            acceptRanges: true,
+            metadata: new AssetMetadata(target.filename, transferFile.contentType, transferFile.fileSize)
+        });
+
+        const uploadURIs = transferFile.targetUrl;
+        if (Array.isArray(uploadURIs) && uploadURIs.length > 0) {
+            const maxPartSize = transferFile.maxPartSize;
+            const minPartSize = transferFile.minPartSize || Math.min(10, maxPartSize); // maxPartSize must be defined
+            logger.info(`Copy target is multipart (${uploadURIs.length} parts), min part size: ${minPartSize}, max part size: ${maxPartSize}`);
+            transferAsset.multipartTarget = new AssetMultipart(
+                uploadURIs,
+                minPartSize,
+                maxPartSize,
+                transferAsset.target.multipartHeaders
+            );
+        }
+
+        assetCounter++;
+        logger.info(`Generated copy transfer asset ${assetCounter} of ${expectedLength}`);
+
+        yield transferAsset;
+    }
+
+    logger.info(`Generated ${assetCounter} copy transfer assets (files to copy: ${expectedLength})`);
+}
+
+/**
+ * @typedef {Object} TransferFile
+ * @property {String} sourceUrl URL of the file to copy, must support range requests to be copied in parts
+ * @property {String|String[]} targetUrl URL, or multi-part URLs, to copy the file to
+ * @property {Number} [fileSize] Size of the file, avoids a HEAD request if provided together with contentType
+ * @property {String} [contentType] Content type of the file
+ * @property {Number} [maxPartSize] Maximum part size, required when targetUrl is an array
+ * @property {Number} [minPartSize] Minimum part size
+ * @property {Object} [targetHeaders] Headers to send with each request to the target urls
+ */
+
+/**
+ * Copy files between http/https urls in parts, without storing them locally
+ */
+class BlockTransfer extends EventEmitter {
+    /**
+     * @typedef {Object} BlockTransferOptions
+     * @property {TransferFile[]} transferFiles Files that will be copied
+     * @property {*} [headers] HTTP headers that will be included in each request sent to the source urls
+     * @property {Number} [maxConcurrent] Maximum number of concurrent HTTP requests that are allowed (default is 8)
+     * @property {Number} [preferredPartSize] Preferred part size
+     * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+     * @property {AbortSignal} [abortSignal] Signal that cancels the copy when aborted, unfinished files fail with USER_CANCELLED
+     * @property {Number|RateLimiter} [maxBytesPerSecond] Limit the bandwidth of both the downloads from the source and uploads
+     * to the target, pass a `RateLimiter` to share the limit with other transfers or to change it while copying
+     * @property {Boolean|AdaptiveConcurrencyOptions|AdaptiveConcurrency} [adaptiveConcurrency] Grow and shrink the number of concurrent
+     * requests based on the part durations, throughput and 429/503 responses, starting at `maxConcurrent`. The current level is
+     * reported as `concurrency` in the `fileprogress` event.
+     * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Fail requests to a host right away after repeated
+     * connect or 5xx failures, instead of retrying each part. State changes are emitted as `circuitstatechange` events.
+     * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options. Phases `metadata`
+     * and `transfer` can have their own limits.
+     * @property {Number} [partTimeout] Abort and retry an attempt to transfer a part that takes longer than this many milliseconds,
+     * unlike the socket `timeout` this catches parts that keep trickling in
+     * @property {Number} [minBytesPerSecond] Abort and retry an attempt to transfer a part whose body is sent or received below
+     * this rate for `minBytesPerSecondWindow` (default 10000ms)
+     * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Keep-alive agents per origin shared by all requests, enabled
+     * by default and closed when the transfer finishes. Pass `false` to disable it, or an `AgentPool` to share it with other
+     * transfers, which is not closed. Connection statistics are available from `agentPool.getStats()`.
+     */
+
+    /**
+     * Constructs a new block transfer (event emitter) instance
+     */
+    constructor() {
+        super();
+        this.errorEvents = null;
+        this.adaptiveConcurrency = undefined;
+        this.agentPool = undefined;
+    }
+
+    /**
+     * Create a block transfer controller, which emits events
+     * on file (copy) start, file (copy) progress, file (copy) end
+     * and file (copy) error.
+     * @param {AbortSignal} [abortSignal] Signal that cancels the copy when aborted
+     * @returns {TransferController} Transfer controller
+     */
+    createBlockTransferController(abortSignal) {
+        const controller = new TransferController(abortSignal);
+        this.errorEvents = [];
+
+        controller.on(TransferEvents.CREATE_TRANSFER_PARTS, transferEvent => {
+            logger.info("Block transfer: block transfer controller starting file copy");
+            this.emit("filestart", transferEvent.transferAsset.eventData);
+        });
+
+        controller.on(TransferEvents.JOIN_TRANSFER_PARTS, transferEvent => {
+            this.emit("fileprogress", {
+                ...transferEvent.transferAsset.eventData,
+                transferred: transferEvent.props.transferBytes,
+                ...(this.adaptiveConcurrency ? { concurrency: this.adaptiveConcurrency.concurrency } : {})
+            });
+        });
+
+        controller.on(TransferEvents.AFTER_JOIN_TRANSFER_PARTS, transferEvent => {
+            logger.info("Block transfer: block transfer controller finishing file copy");
+            this.emit("fileend", transferEvent.transferAsset.eventData);
+        });
+
+        controller.on(TransferEvents.ERROR, transferEvent => {
+            logger.info(`Error during block transfer: ${transferEvent.error}`);
+            this.errorEvents.push(transferEvent);
+
+            if (transferEvent.props.firstError) {
+                this.emit("fileerror", {
+                    ...transferEvent.transferAsset.eventData,
+                    errors: [CopyError.fromError(transferEvent.error)]
+                });
+            }
+        });
+        return controller;
+    }
+
+    /**
+     * Removes all listeners for events
+     * `CREATE_TRANSFER_PARTS`, `JOIN_TRANSFER_PARTS`,
+     * `AFTER_JOIN_TRANSFER_PARTS` and `ERROR`
+     * from a block transfer controller
+     * @param {TransferController} controller a block transfer controller
+     */
+    finalizeController(controller) {
+        if (!controller) {
+            return;
+        }
+
+        if (this.errorEvents) {
+            this.errorEvents = null;
+        }
+
+        try {
+            controller.removeAllListeners(TransferEvents.CREATE_TRANSFER_PARTS);
+            controller.removeAllListeners(TransferEvents.JOIN_TRANSFER_PARTS);
+            controller.removeAllListeners(TransferEvents.AFTER_JOIN_TRANSFER_PARTS);
+            controller.removeAllListeners(TransferEvents.ERROR);
+        } catch (err) {
+            logger.info(`Failed to remove event listeners from block transfer controller: ${err}`);
+        }
+    }
+
+    /**
+     * Copy files from the source urls to the target urls
+     * Throws the first unrecoverable error if unsuccessful, all others are logged
+     *
+     * @param {BlockTransferOptions} options Block transfer options
+     */
+    async transferFiles(options = {}) {
+        const preferredPartSize = options.preferredPartSize || DEFAULT_PART_SIZE;
+        const maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENCY;
+        this.adaptiveConcurrency = AdaptiveConcurrency.from(options.adaptiveConcurrency, maxConcurrent);
+        const circuitBreaker = CircuitBreaker.from(options.circuitBreaker);
+        this.agentPool = AgentPool.from(options.agentPool);
+        const requestOptions = { ...options.requestOptions, agentPool: this.agentPool };
+        const transferOptions = { ...options, adaptiveConcurrency: this.adaptiveConcurrency, circuitBreaker, requestOptions };
+        const onCircuitStateChange = event => this.emit("circuitstatechange", event);
+
+        // Build and execute pipeline
+        const controller = this.createBlockTransferController(options.abortSignal);
+        const randomFileAccess = new RandomFileAccess();
+        const requestGenerator = new BlockRequestGenerator();
+        if (circuitBreaker) {
+            circuitBreaker.on("statechange", onCircuitStateChange);
+        }
+        try {
+            const pipeline = new Pipeline(
+                new GetAssetMetadata({ ...options, requestOptions }),
+                new CreateTransferParts({ preferredPartSize }),
+                new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, transferOptions), {
+                    maxConcurrent,
+                    adaptiveConcurrency: this.adaptiveConcurrency
+                }),
+                new JoinTransferParts
+            );
+            pipeline.setFilterFunction(new FilterFailedAssets());
+
+            logger.info("Block transfer: executing block transfer pipeline");
+            await executePipeline(pipeline, generateBlockTransfer(options), controller);
+            logger.info("Block transfer: finished executing block transfer pipeline");
+
+            if (this.errorEvents && this.errorEvents.length > 0) {
+                // throw the first emitted error during transfer
+                logger.info(`Errors encountered during block transfer (${this.errorEvents.length} total error(s))`);
+                throw this.errorEvents[0].error;
+            }
+        } finally {
+            if (circuitBreaker) {
+                circuitBreaker.removeListener("statechange", onCircuitStateChange);
+            }
+            if (this.agentPool && (this.agentPool !== options.agentPool)) {
+                this.agentPool.close();
+            }
+            this.finalizeController(controller);
+        }
+    }
+}
+
+module.exports = {
+    BlockTransfer
+};
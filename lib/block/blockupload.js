@@ -24,6 +24,9 @@ const { JoinTransferParts } = require("../functions/transferpartsjoin");
 const { FailUnsupportedAssets } = require("../functions/failunsupportedassets");
 const { CloseFiles } = require("../functions/closefiles");
 const { MapConcurrent } = require("../generator/mapconcurrent");
+const { AdaptiveConcurrency } = require("../adaptiveconcurrency");
+const { CircuitBreaker } = require("../circuitbreaker");
+const { AgentPool } = require("../agentpool");
 const { Transfer } = require("../functions/transfer");
 const { executePipeline, Pipeline } = require("../generator/pipeline");
 const { RandomFileAccess } = require("../randomfileaccess");
@@ -33,6 +36,11 @@ const { FilterFailedAssets } = require("../functions/filterfailedassets");
 const { IllegalArgumentError } = require("../error");
 const { getFileStats } = require('../util');
 const { AssetMultipart } = require("../asset/assetmultipart");
+const { S3MultipartTarget, S3_MIN_PART_SIZE, S3_MAX_PART_SIZE } = require("../asset/s3multiparttarget");
+const { S3CompleteUpload } = require("../functions/s3completeupload");
+const { AzureBlockBlobTarget } = require("../asset/azureblockblobtarget");
+const { AzureCommitBlockList } = require("../functions/azurecommitblocklist");
+const { ResumableSessionUpload } = require("../asset/resumablesessionupload");
 const { BlockRequestGenerator } = require("../asset/blockrequestgenerator");
 const logger = require("../logger");
 
@@ -40,6 +48,20 @@ const DEFAULT_MAX_CONCURRENCY = 8;
 // Default part size is 10mb
 const DEFAULT_PART_SIZE = 10 * 1024 * 1024;
 
+/**
+ * Normalize in-memory content to upload. Uint8Arrays are wrapped in a Buffer without
+ * copying them, Buffers and Blobs are used as is.
+ *
+ * @param {Buffer|Uint8Array|Blob} [content] Content to upload
+ * @returns {Buffer|Blob} Blob source, undefined if no content is provided
+ */
+function createBlobSource(content) {
+    if (content instanceof Uint8Array && !Buffer.isBuffer(content)) {
+        return Buffer.from(content.buffer, content.byteOffset, content.byteLength);
+    }
+    return content;
+}
+
 /**
  * Generate Block upload transfer assets
  * mantaining generator pattern in case nui in future
@@ -55,14 +77,14 @@ async function* generateBlockUploadTransfer(options) {
 
     let assetCounter = 0;
     for (const uploadFile of options.uploadFiles) {
-        if (!uploadFile.filePath) {
+        const blob = createBlobSource(uploadFile.blob);
+        if (!uploadFile.filePath && !blob) {
             throw new IllegalArgumentError(
-                'filePath must be provided in uploadFiles',
+                'Either filePath or blob must be provided in uploadFiles',
                 JSON.stringify(uploadFile)
             );
         }
 
-        const sourceUrl = fileUrl(uploadFile.filePath);
         // assetTarget is a required field in block library
         let assetTarget;
         if (typeof uploadFile.fileUrl === "object"
@@ -76,27 +98,58 @@ async function* generateBlockUploadTransfer(options) {
         }
         const targetUrl = new URL(assetTarget);
 
-        const source = new Asset(sourceUrl);
+        const source = blob ? new Asset(blob) : new Asset(fileUrl(uploadFile.filePath));
         const target = new Asset(targetUrl, options.headers, uploadFile.multipartHeaders);
 
-        if (!uploadFile.fileSize) {
+        if (!uploadFile.fileSize && blob) {
+            // buffers know their length, blobs their size
+            uploadFile.fileSize = Buffer.isBuffer(blob) ? blob.length : blob.size;
+        } else if (!uploadFile.fileSize) {
             logger.info("Getting transfer asset size from file to upload");
             const { size } = await getFileStats(uploadFile.filePath);
             uploadFile.fileSize = size;
         }
 
-        const contentType = options.headers && options.headers['content-type'];
+        // the content type header takes precedence over the type of a blob
+        const contentType = (options.headers && options.headers['content-type']) || (blob && blob.type) || undefined;
         logger.info(`Transfer asset to upload is of content type ${contentType} and size ${uploadFile.fileSize} bytes`);
         const transferAsset = new TransferAsset(source, target, {
             acceptRanges: true,
-            metadata: new AssetMetadata(uploadFile.filePath, contentType, uploadFile.fileSize)
+            metadata: new AssetMetadata(uploadFile.filePath || (blob && blob.name), contentType, uploadFile.fileSize)
         });
 
         const uploadURIs = uploadFile.fileUrl;
-        const maxPartSize = uploadFile.maxPartSize;
-        const minPartSize = uploadFile.minPartSize || Math.min(10, maxPartSize); // maxPartSize must be defined
+        if (uploadFile.resumableSession) {
+            logger.info("Upload target is a resumable upload session");
+            transferAsset.resumableSession = new ResumableSessionUpload(assetTarget, uploadFile.resumableSession);
+        } else if (uploadFile.s3Multipart) {
+            const urls = Array.isArray(uploadURIs) ? uploadURIs : [uploadURIs];
+            const maxPartSize = uploadFile.maxPartSize || S3_MAX_PART_SIZE;
+            const minPartSize = uploadFile.minPartSize || Math.min(S3_MIN_PART_SIZE, maxPartSize);
+            logger.info(`Upload target is S3 multipart (${urls.length} parts), min part size: ${minPartSize}, max part size: ${maxPartSize}`);
+            transferAsset.multipartTarget = new S3MultipartTarget(
+                urls,
+                minPartSize,
+                maxPartSize,
+                transferAsset.target.multipartHeaders,
+                uploadFile.s3Multipart.completeUrl,
+                uploadFile.s3Multipart.abortUrl
+            );
+        } else if (uploadFile.azureBlockBlob) {
+            transferAsset.multipartTarget = AzureBlockBlobTarget.create(
+                assetTarget,
+                uploadFile.fileSize,
+                options.preferredPartSize || DEFAULT_PART_SIZE,
+                uploadFile.minPartSize,
+                uploadFile.maxPartSize,
+                transferAsset.target.multipartHeaders,
+                uploadFile.azureBlockBlob
+            );
+            logger.info(`Upload target is an Azure block blob (${transferAsset.multipartTarget.targetUrls.length} blocks)`);
+        } else if (typeof uploadURIs === "object" && Array.isArray(uploadURIs) && uploadURIs.length > 0) {
+            const maxPartSize = uploadFile.maxPartSize;
+            const minPartSize = uploadFile.minPartSize || Math.min(10, maxPartSize); // maxPartSize must be defined
 
-        if (typeof uploadURIs === "object" && Array.isArray(uploadURIs) && uploadURIs.length > 0) {
             logger.info(`Upload target is multipart ( ${uploadURIs.length} parts), min part size: ${minPartSize}, max part size: ${maxPartSize}`);
             transferAsset.multipartTarget = new AssetMultipart(
                 uploadURIs,
@@ -120,13 +173,26 @@ class BlockUpload extends EventEmitter {
     /**
      * @typedef {Object} UploadFile
      * @property {String} fileUrl AEM url where to upload the file
-     * @property {Number} fileSize Size of the file to upload
-     * @property {String} filePath Path on the local disk to upload
-     * @property {Blob} [blob] Browser blob to upload (instead of fileUrl)
+     * @property {Number} [fileSize] Size of the file to upload, defaults to the size of the file or blob
+     * @property {String} [filePath] Path on the local disk to upload
+     * @property {Buffer|Uint8Array|Blob} [blob] Content to upload instead of `filePath`: a Buffer, Uint8Array, browser Blob
+     * or Node.js Blob such as the one returned by `fs.openAsBlob`. The `type` of a blob is used as content type unless a
+     * `content-type` header is provided.
      * @property {Boolean} [createVersion=false] Create version on duplicates
      * @property {String} [versionLabel] Version label to apply to the created/updated file
      * @property {String} [versionComment] Version comment to apply to the created/updated file
      * @property {Boolean} [replace=false] True if the existing file should be replaced
+     * @property {S3MultipartUpload} [s3Multipart] Complete and abort urls of a S3 multipart upload, `fileUrl` are then
+     * the presigned UploadPart urls in order of their part number
+     * @property {AzureBlockBlobOptions|Boolean} [azureBlockBlob] Upload to an Azure block blob, `fileUrl` is then the SAS url of
+     * the blob. Blocks are uploaded with Put Block and committed with Put Block List, which sets the content type and metadata.
+     * @property {ResumableSessionOptions|Boolean} [resumableSession] Upload to a resumable upload session such as a Google Cloud
+     * Storage resumable upload, `fileUrl` is then the url that starts the session. Chunks are uploaded in sequence.
+     */
+    /**
+     * @typedef {Object} S3MultipartUpload
+     * @property {String} completeUrl Presigned CompleteMultipartUpload url, receives the ETags of the parts
+     * @property {String} [abortUrl] Presigned AbortMultipartUpload url, requested when the upload fails or is cancelled
      */
     /**
      * @typedef {Object} BlockUploadOptions
@@ -135,6 +201,28 @@ class BlockUpload extends EventEmitter {
      * @property {Boolean} concurrent If true, multiple files in the supplied list of upload files will transfer simultaneously. If false, only one file will transfer at a time, and the next file will not begin transferring until the current file finishes. (currently not in use)
      * @property {Number} maxConcurrent Maximum number of concurrent HTTP requests that are allowed. If set to 1, only one chunk will transfer at a time, and the next chunk will not begin transferring until the current file finishes.
      * @property {Number} [preferredPartSize] Preferred part size
+     * @property {Boolean} [streamParts=false] Stream parts from disk instead of reading them in to memory, removes the part size limit
+     * @property {AbortSignal} [abortSignal] Signal that cancels the upload when aborted, unfinished files fail with USER_CANCELLED
+     * @property {String} [checksumAlgorithm] Send the md5, sha1 or sha256 digest of each part in the checksum header.
+     * The digest of the file is reported in the `fileend` event.
+     * @property {String} [checksumHeader] Header carrying the base64 encoded digest, defaults to content-md5 for md5
+     * and x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256
+     * @property {Number|RateLimiter} [maxBytesPerSecond] Limit the upload bandwidth, pass a `RateLimiter` to share the limit with
+     * other transfers or to change it while uploading
+     * @property {Boolean|AdaptiveConcurrencyOptions|AdaptiveConcurrency} [adaptiveConcurrency] Grow and shrink the number of concurrent
+     * requests based on the part durations, throughput and 429/503 responses, starting at `maxConcurrent`. The current level is
+     * reported as `concurrency` in the `fileprogress` event.
+     * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Fail requests to a host right away after repeated
+     * connect or 5xx failures, instead of retrying each part. State changes are emitted as `circuitstatechange` events.
+     * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options. The limits of the
+     * `transfer` phase apply to parts.
+     * @property {Number} [partTimeout] Abort and retry an attempt to transfer a part that takes longer than this many milliseconds,
+     * unlike the socket `timeout` this catches parts that keep trickling in
+     * @property {Number} [minBytesPerSecond] Abort and retry an attempt to transfer a part whose body is sent or received below
+     * this rate for `minBytesPerSecondWindow` (default 10000ms)
+     * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Keep-alive agents per origin shared by all requests, enabled
+     * by default and closed when the transfer finishes. Pass `false` to disable it, or an `AgentPool` to share it with other
+     * transfers, which is not closed. Connection statistics are available from `agentPool.getStats()`.
      */
 
     /**
@@ -143,6 +231,31 @@ class BlockUpload extends EventEmitter {
     constructor() {
         super();
         this.errorEvents = null;
+        this.adaptiveConcurrency = undefined;
+        this.agentPool = undefined;
+        this.controller = null;
+        this.paused = false;
+    }
+
+    /**
+     * Pause the upload, no new parts are uploaded until it is resumed.
+     * Parts that are in progress are allowed to finish.
+     */
+    pause() {
+        this.paused = true;
+        if (this.controller) {
+            this.controller.pause();
+        }
+    }
+
+    /**
+     * Resume a paused upload, only the parts that have not been uploaded yet are transferred
+     */
+    resume() {
+        this.paused = false;
+        if (this.controller) {
+            this.controller.resume();
+        }
     }
 
     /**
@@ -151,8 +264,12 @@ class BlockUpload extends EventEmitter {
      * and file (upload) error.
      * @returns {TransferController} Transfer controller (for upload)
      */
-    createBlockUploadController() {
-        const controller = new TransferController();
+    createBlockUploadController(abortSignal) {
+        const controller = new TransferController(abortSignal);
+        this.controller = controller;
+        if (this.paused) {
+            controller.pause();
+        }
         this.errorEvents = [];
 
         controller.on(TransferEvents.TRANSFER, transferEvent => {
@@ -160,18 +277,41 @@ class BlockUpload extends EventEmitter {
             this.emit("transferPart", transferEvent.transferAsset.eventData);
         });
 
-        controller.on(TransferEvents.JOIN_TRANSFER_PARTS, transferEvent => {
+        const onProgress = transferEvent => {
             this.emit("fileprogress", {
                 ...transferEvent.transferAsset.eventData,
-                transferred: transferEvent.props.transferBytes
+                transferred: transferEvent.props.transferBytes,
+                ...(this.adaptiveConcurrency ? { concurrency: this.adaptiveConcurrency.concurrency } : {})
             });
-        });
+        };
+        controller.on(TransferEvents.JOIN_TRANSFER_PARTS, onProgress);
+        // chunks of resumable upload sessions
+        controller.on(TransferEvents.TRANSFER_PROGRESS, onProgress);
 
         controller.on(TransferEvents.AFTER_TRANSFER, transferEvent => {
             logger.info("Block upload: block upload controller finishing part upload");
             this.emit("aftertransfer", transferEvent.transferAsset.eventData);
         });
 
+        controller.on(TransferEvents.AFTER_JOIN_TRANSFER_PARTS, transferEvent => {
+            // S3 multipart uploads end once they are completed, Azure block blobs once the block list is committed
+            const { multipartTarget } = transferEvent.transferAsset;
+            if (!(multipartTarget instanceof S3MultipartTarget) && !(multipartTarget instanceof AzureBlockBlobTarget)) {
+                logger.info("Block upload: block upload controller finishing file upload");
+                this.emit("fileend", transferEvent.transferAsset.eventData);
+            }
+        });
+
+        controller.on(TransferEvents.AFTER_S3_COMPLETE_UPLOAD, transferEvent => {
+            logger.info("Block upload: block upload controller completed S3 multipart upload");
+            this.emit("fileend", transferEvent.transferAsset.eventData);
+        });
+
+        controller.on(TransferEvents.AFTER_AZURE_COMMIT_BLOCK_LIST, transferEvent => {
+            logger.info("Block upload: block upload controller committed Azure block list");
+            this.emit("fileend", transferEvent.transferAsset.eventData);
+        });
+
         controller.on(TransferEvents.ERROR, transferEvent => {
             logger.info(`Error during block upload: ${transferEvent.error}`);
             if (transferEvent.props.firstError) {
@@ -188,8 +328,8 @@ class BlockUpload extends EventEmitter {
 
     /**
     * Removes all listeners for events 
-    * `CREATE_TRANSFER_PARTS`, `JOIN_TRANSFER_PARTS`,
-    * `AFTER_JOIN_TRANSFER_PARTS` and `ERROR`
+    * `CREATE_TRANSFER_PARTS`, `JOIN_TRANSFER_PARTS`, `TRANSFER_PROGRESS`,
+    * `AFTER_JOIN_TRANSFER_PARTS`, `AFTER_S3_COMPLETE_UPLOAD`, `AFTER_AZURE_COMMIT_BLOCK_LIST` and `ERROR`
     * from a block upload controller
     * @param {TransferController} controller a block download controller
     */
@@ -201,11 +341,15 @@ class BlockUpload extends EventEmitter {
         if (this.errorEvents) {
             this.errorEvents = null;
         }
+        this.controller = null;
 
         try {
             controller.removeAllListeners(TransferEvents.CREATE_TRANSFER_PARTS);
             controller.removeAllListeners(TransferEvents.JOIN_TRANSFER_PARTS);
+            controller.removeAllListeners(TransferEvents.TRANSFER_PROGRESS);
             controller.removeAllListeners(TransferEvents.AFTER_JOIN_TRANSFER_PARTS);
+            controller.removeAllListeners(TransferEvents.AFTER_S3_COMPLETE_UPLOAD);
+            controller.removeAllListeners(TransferEvents.AFTER_AZURE_COMMIT_BLOCK_LIST);
             controller.removeAllListeners(TransferEvents.ERROR);
         } catch (err) {
             logger.info(`Failed to remove event listeners from block upload controller: ${err}`);
@@ -220,17 +364,36 @@ class BlockUpload extends EventEmitter {
     async uploadFiles(options = {}) {
         const preferredPartSize = options.preferredPartSize || DEFAULT_PART_SIZE;
         const maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENCY;
+        this.adaptiveConcurrency = AdaptiveConcurrency.from(options.adaptiveConcurrency, maxConcurrent);
+        const circuitBreaker = CircuitBreaker.from(options.circuitBreaker);
+        this.agentPool = AgentPool.from(options.agentPool);
+        const transferOptions = {
+            ...options,
+            adaptiveConcurrency: this.adaptiveConcurrency,
+            circuitBreaker,
+            requestOptions: { ...options.requestOptions, agentPool: this.agentPool }
+        };
+        const onCircuitStateChange = event => this.emit("circuitstatechange", event);
 
         // Build and execute pipeline
-        const controller = this.createBlockUploadController();
+        const controller = this.createBlockUploadController(options.abortSignal);
         const randomFileAccess = new RandomFileAccess();
         const requestGenerator = new BlockRequestGenerator();
+        const s3CompleteUpload = new S3CompleteUpload(transferOptions);
+        if (circuitBreaker) {
+            circuitBreaker.on("statechange", onCircuitStateChange);
+        }
         try {
             const pipeline = new Pipeline(
                 new FailUnsupportedAssets(),
                 new CreateTransferParts({ preferredPartSize }),
-                new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, options), { maxConcurrent }),
-                new JoinTransferParts,
+                new MapConcurrent(new Transfer(randomFileAccess, requestGenerator, transferOptions), {
+                    maxConcurrent,
+                    adaptiveConcurrency: this.adaptiveConcurrency
+                }),
+                new JoinTransferParts(options),
+                s3CompleteUpload,
+                new AzureCommitBlockList(transferOptions),
                 new CloseFiles(randomFileAccess),
             );
             pipeline.setFilterFunction(new FilterFailedAssets);
@@ -246,6 +409,13 @@ class BlockUpload extends EventEmitter {
                 throw this.errorEvents[0].error;
             }
         } finally {
+            if (circuitBreaker) {
+                circuitBreaker.removeListener("statechange", onCircuitStateChange);
+            }
+            await s3CompleteUpload.abortFailedUploads(controller);
+            if (this.agentPool && (this.agentPool !== options.agentPool)) {
+                this.agentPool.close();
+            }
             if (controller) {
                 this.finalizeBlockUploadController(controller);
             }
@@ -0,0 +1,54 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const BlockTransferError = require('./blocktransfer-error');
+const UploadError = require('./upload-error');
+
+/**
+ * Error of a copy between two urls, which fails while downloading from the source as well as
+ * while uploading to the target. The error codes are the same as those of an UploadError.
+ */
+class CopyError extends BlockTransferError {
+    /**
+     * Constructs a new CopyError instance out of a given error, with the code UploadError.fromError() picks.
+     *
+     * @param {*} error Object from which to create the CopyError instance, see UploadError.fromError()
+     * @param {string} errorMessage Will appear in the error's "message" value.
+     * @returns {CopyError} A copy error instance.
+     */
+    static fromError(error, errorMessage = '') {
+        if (error && error.copyError) {
+            return error;
+        }
+        const { message, code, innerStack } = UploadError.fromError(error, errorMessage);
+        return new CopyError(message, code, innerStack);
+    }
+
+    /**
+     * Constructs a new instance containing the provided information.
+     *
+     * @param {string} message The message that will appear with the Error instance.
+     * @param {string} code The code indicating the specific type of error.
+     * @param {string} [innerStack] Additional stack information if the CopyError instance originated
+     *  from another Error.
+     */
+    constructor(message, code, innerStack = '') {
+        super(message, code, innerStack);
+        // a copy fails on either side, it is not an upload error
+        this.uploadError = false;
+        this.copyError = true;
+    }
+}
+
+module.exports = CopyError;
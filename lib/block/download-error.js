@@ -54,6 +54,8 @@ class DownloadError extends BlockTransferError {
                 code = errorCodes.NOT_AUTHORIZED;
             } else if (status === 404) {
                 code = errorCodes.NOT_FOUND;
+            } else if (status === 412) {
+                code = errorCodes.SOURCE_CHANGED;
             } else if (status === 413) {
                 code = errorCodes.TOO_LARGE;
             } else if (status === 429) {
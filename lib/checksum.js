@@ -0,0 +1,191 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { ChecksumMismatchError, IllegalArgumentError } = require("./error");
+const { isFileProtocol, urlToPath } = require("./util");
+
+/**
+ * Supported checksum algorithms, with the length of their digest and the header used by default
+ */
+const CHECKSUM_ALGORITHMS = Object.freeze({
+    md5: { length: 16, header: "content-md5" },
+    sha1: { length: 20, header: "x-amz-checksum-sha1" },
+    sha256: { length: 32, header: "x-amz-checksum-sha256" }
+});
+
+// blobs are hashed in slices to avoid reading them in to memory at once
+const BLOB_SLICE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * @typedef {Object} ChecksumOptions
+ * @property {String} algorithm Checksum algorithm: md5, sha1 or sha256
+ * @property {String} header Header carrying the base64 encoded digest of the request or response body
+ */
+/**
+ * Resolve the checksum options of a transfer
+ *
+ * @param {Object} [options] Transfer options
+ * @param {String} [options.checksumAlgorithm] Checksum algorithm: md5, sha1 or sha256
+ * @param {String} [options.checksumHeader] Header carrying the digest, defaults to content-md5 for md5 and
+ *  x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256
+ * @returns {ChecksumOptions} Checksum options, or undefined if no checksums are computed
+ */
+function getChecksumOptions(options) {
+    const algorithm = options && options.checksumAlgorithm;
+    if (!algorithm) {
+        return undefined;
+    }
+    const algorithmInfo = CHECKSUM_ALGORITHMS[algorithm.toLowerCase()];
+    if (!algorithmInfo) {
+        throw new IllegalArgumentError("'checksumAlgorithm' must be one of md5, sha1 or sha256", algorithm);
+    }
+    return {
+        algorithm: algorithm.toLowerCase(),
+        header: ((options && options.checksumHeader) || algorithmInfo.header).toLowerCase()
+    };
+}
+
+/**
+ * Normalize a digest received from a server or user to base64. Hex encoded digests are accepted as well,
+ * composite digests (e.g. S3 multi-part checksums ending in "-<parts>") can not be verified.
+ *
+ * @param {String} algorithm Checksum algorithm
+ * @param {String} value Base64 or hex encoded digest
+ * @returns {String} Base64 encoded digest, or undefined if the value is not a digest of the algorithm
+ */
+function normalizeDigest(algorithm, value) {
+    if (typeof value !== "string") {
+        return undefined;
+    }
+    const { length } = CHECKSUM_ALGORITHMS[algorithm];
+    const trimmed = value.trim();
+    if (trimmed.length === length * 2 && /^[0-9a-fA-F]+$/.test(trimmed)) {
+        return Buffer.from(trimmed, "hex").toString("base64");
+    }
+    const decoded = Buffer.from(trimmed, "base64");
+    if (decoded.length === length && decoded.toString("base64") === trimmed) {
+        return trimmed;
+    }
+    return undefined;
+}
+
+/**
+ * Compute the digest of a buffer
+ *
+ * @param {String} algorithm Checksum algorithm
+ * @param {Buffer} buffer Data
+ * @returns {String} Base64 encoded digest
+ */
+function digestBuffer(algorithm, buffer) {
+    return crypto.createHash(algorithm).update(buffer).digest("base64");
+}
+
+/**
+ * Compute the digest of a readable stream, the stream is consumed
+ *
+ * @param {String} algorithm Checksum algorithm
+ * @param {Readable} stream Readable stream
+ * @returns {Promise<String>} Base64 encoded digest
+ */
+function digestStream(algorithm, stream) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        stream.on("data", chunk => hash.update(chunk));
+        stream.on("end", () => resolve(hash.digest("base64")));
+        stream.on("error", reject);
+    });
+}
+
+/**
+ * Compute the digest of the data flowing through a readable stream, while it is consumed by others
+ *
+ * @param {String} algorithm Checksum algorithm
+ * @param {Readable} stream Readable stream, the digest must be tracked before the stream is consumed
+ * @returns {Function} Function returning the base64 encoded digest once the stream has ended
+ */
+function trackStreamDigest(algorithm, stream) {
+    const hash = crypto.createHash(algorithm);
+    stream.on("data", chunk => hash.update(chunk));
+    return () => hash.digest("base64");
+}
+
+/**
+ * Compute the digest of a blob, or of a Buffer used as blob
+ *
+ * @param {String} algorithm Checksum algorithm
+ * @param {Blob|Buffer} blob Blob
+ * @returns {Promise<String>} Base64 encoded digest
+ */
+async function digestBlob(algorithm, blob) {
+    if (Buffer.isBuffer(blob)) {
+        return digestBuffer(algorithm, blob);
+    }
+    const hash = crypto.createHash(algorithm);
+    for (let offset = 0; offset < blob.size; offset += BLOB_SLICE_SIZE) {
+        const slice = blob.slice(offset, Math.min(offset + BLOB_SLICE_SIZE, blob.size));
+        hash.update(Buffer.from(await slice.arrayBuffer()));
+    }
+    return hash.digest("base64");
+}
+
+/**
+ * Compute the digest of the local content of a transfer asset: the blob or file that is uploaded,
+ * or the file that has been downloaded.
+ *
+ * @param {String} algorithm Checksum algorithm
+ * @param {TransferAsset} transferAsset Transfer asset
+ * @returns {Promise<String>} Base64 encoded digest, or undefined if the asset has no local content
+ */
+async function digestTransferAsset(algorithm, transferAsset) {
+    const { source, target } = transferAsset;
+    if (source.blob) {
+        return digestBlob(algorithm, source.blob);
+    }
+    const localUrl = (isFileProtocol(target.url) && target.url) || (isFileProtocol(source.url) && source.url);
+    if (!localUrl) {
+        return undefined;
+    }
+    return digestStream(algorithm, fs.createReadStream(urlToPath(localUrl).path));
+}
+
+/**
+ * Verify a digest
+ *
+ * @param {String} method HTTP method that transferred the data
+ * @param {String|URL} url Url the data was transferred from
+ * @param {String} algorithm Checksum algorithm
+ * @param {String} expected Expected digest, base64 or hex encoded. Values that are not a digest are ignored.
+ * @param {String} actual Computed base64 encoded digest
+ * @throws {ChecksumMismatchError} If the digests do not match
+ */
+function verifyDigest(method, url, algorithm, expected, actual) {
+    const expectedDigest = normalizeDigest(algorithm, expected);
+    if (expectedDigest && (expectedDigest !== actual)) {
+        throw new ChecksumMismatchError(method, url, algorithm, expectedDigest, actual);
+    }
+}
+
+module.exports = {
+    getChecksumOptions,
+    normalizeDigest,
+    digestBuffer,
+    digestStream,
+    trackStreamDigest,
+    digestBlob,
+    digestTransferAsset,
+    verifyDigest
+};
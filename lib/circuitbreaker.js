@@ -0,0 +1,237 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const EventEmitter = require("events");
+const logger = require("./logger");
+const { CircuitOpenError, HttpConnectError, HttpResponseError, IllegalArgumentError } = require("./error");
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT = 30000;
+
+const CircuitState = Object.freeze({
+    CLOSED: "closed",
+    OPEN: "open",
+    HALF_OPEN: "half-open"
+});
+
+/**
+ * Check if an error means the host is failing
+ *
+ * @param {Error} error Request error
+ * @returns {Boolean} True for connect failures and 5xx responses
+ */
+function isHostFailure(error) {
+    return (error instanceof HttpConnectError) ||
+        ((error instanceof HttpResponseError) && (error.status >= 500));
+}
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {Number} [failureThreshold=5] Number of consecutive connect or 5xx failures that open the circuit
+ * @property {Number} [resetTimeout=30000] Time in milliseconds the circuit stays open before a single probe request is sent
+ */
+/**
+ * @typedef {Object} CircuitStateChangeEvent
+ * @property {String} origin Origin of the host
+ * @property {String} state New state: `closed`, `open` or `half-open`
+ * @property {String} previousState Previous state
+ * @property {Number} failures Number of consecutive failures
+ */
+
+/**
+ * Circuit breaker keyed by origin, shared by all requests of a transfer.
+ *
+ * After `failureThreshold` consecutive connect or 5xx failures the circuit of the origin opens, and requests to the
+ * origin fail right away with a `CircuitOpenError` (code `ECIRCUITOPEN`) instead of being sent and retried.
+ * Once `resetTimeout` has passed a single probe request is let through (half-open): the circuit closes when it
+ * succeeds, and opens again when it fails. Any other response shows the host is up and resets the failure count.
+ *
+ * Emits a `statechange` event with a `CircuitStateChangeEvent` when the circuit of an origin changes state.
+ */
+class CircuitBreaker extends EventEmitter {
+    /**
+     * Construct a circuit breaker
+     *
+     * @param {CircuitBreakerOptions} [options] Circuit breaker options
+     */
+    constructor(options = {}) {
+        super();
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        if (!(Number.isInteger(this.failureThreshold) && this.failureThreshold > 0)) {
+            throw new IllegalArgumentError("'failureThreshold' must be a positive integer", this.failureThreshold);
+        }
+        this.resetTimeout = options.resetTimeout || DEFAULT_RESET_TIMEOUT;
+        if (!(Number.isFinite(this.resetTimeout) && this.resetTimeout > 0)) {
+            throw new IllegalArgumentError("'resetTimeout' must be a positive number", this.resetTimeout);
+        }
+        this.circuits = new Map();
+    }
+
+    /**
+     * Get the circuit breaker of the given option value
+     *
+     * @param {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] True or options to enable the circuit breaker,
+     *  or an existing instance
+     * @returns {CircuitBreaker} Circuit breaker, or undefined if disabled
+     */
+    static from(circuitBreaker) {
+        if (circuitBreaker instanceof CircuitBreaker) {
+            return circuitBreaker;
+        } else if (circuitBreaker) {
+            return new CircuitBreaker((typeof circuitBreaker === "object") ? circuitBreaker : {});
+        }
+        return undefined;
+    }
+
+    /**
+     * State of the circuit of an origin
+     *
+     * @param {String|URL} url Url or origin of the host
+     * @returns {String} `closed`, `open` or `half-open`
+     */
+    getState(url) {
+        const circuit = this.circuits.get(new URL(url).origin);
+        return circuit ? circuit.state : CircuitState.CLOSED;
+    }
+
+    /**
+     * Get the circuit of an origin, creating a closed one if needed
+     *
+     * @param {String} origin Origin of the host
+     * @returns {Object} Circuit
+     */
+    getCircuit(origin) {
+        let circuit = this.circuits.get(origin);
+        if (!circuit) {
+            circuit = {
+                state: CircuitState.CLOSED,
+                failures: 0,
+                openedAt: 0,
+                probing: false
+            };
+            this.circuits.set(origin, circuit);
+        }
+        return circuit;
+    }
+
+    /**
+     * Change the state of a circuit
+     *
+     * @param {String} origin Origin of the host
+     * @param {Object} circuit Circuit
+     * @param {String} state New state
+     */
+    setState(origin, circuit, state) {
+        const previousState = circuit.state;
+        circuit.state = state;
+        if (state === CircuitState.OPEN) {
+            circuit.openedAt = Date.now();
+        }
+        if (previousState !== state) {
+            logger.warn(`Circuit breaker for ${origin} changed from ${previousState} to ${state} (${circuit.failures} consecutive failures)`);
+            this.emit("statechange", { origin, state, previousState, failures: circuit.failures });
+        }
+    }
+
+    /**
+     * Send a request through the circuit breaker
+     *
+     * @param {String} method HTTP method, used in the error message
+     * @param {String|URL} url Url of the request
+     * @param {Function} asyncFunc Asynchronous function sending the request
+     * @returns {*} Result of the function
+     */
+    async execute(method, url, asyncFunc) {
+        const origin = new URL(url).origin;
+        const circuit = this.getCircuit(origin);
+
+        if (circuit.state === CircuitState.OPEN) {
+            if ((Date.now() - circuit.openedAt) < this.resetTimeout) {
+                throw new CircuitOpenError(method, url, origin);
+            }
+            this.setState(origin, circuit, CircuitState.HALF_OPEN);
+        }
+
+        const probe = (circuit.state === CircuitState.HALF_OPEN);
+        if (probe && circuit.probing) {
+            throw new CircuitOpenError(method, url, origin);
+        }
+        circuit.probing = probe;
+
+        try {
+            const result = await asyncFunc();
+            this.recordSuccess(origin, circuit);
+            return result;
+        } catch (error) {
+            if (isHostFailure(error)) {
+                this.recordFailure(origin, circuit, probe);
+            } else if (error instanceof HttpResponseError) {
+                this.recordSuccess(origin, circuit);
+            }
+            throw error;
+        } finally {
+            if (probe) {
+                circuit.probing = false;
+            }
+        }
+    }
+
+    /**
+     * Record a request that reached the host
+     *
+     * @param {String} origin Origin of the host
+     * @param {Object} circuit Circuit
+     */
+    recordSuccess(origin, circuit) {
+        circuit.failures = 0;
+        this.setState(origin, circuit, CircuitState.CLOSED);
+    }
+
+    /**
+     * Record a connect or 5xx failure
+     *
+     * @param {String} origin Origin of the host
+     * @param {Object} circuit Circuit
+     * @param {Boolean} probe True if the request was the half-open probe
+     */
+    recordFailure(origin, circuit, probe) {
+        ++circuit.failures;
+        if (probe || ((circuit.state === CircuitState.CLOSED) && (circuit.failures >= this.failureThreshold))) {
+            this.setState(origin, circuit, CircuitState.OPEN);
+        }
+    }
+}
+
+/**
+ * Send a request through a circuit breaker, if there is one
+ *
+ * @param {CircuitBreaker} [circuitBreaker] Circuit breaker
+ * @param {String} method HTTP method
+ * @param {String|URL} url Url of the request
+ * @param {Function} asyncFunc Asynchronous function sending the request
+ * @returns {*} Result of the function
+ */
+async function withCircuitBreaker(circuitBreaker, method, url, asyncFunc) {
+    if (circuitBreaker) {
+        return circuitBreaker.execute(method, url, asyncFunc);
+    }
+    return asyncFunc();
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitState,
+    withCircuitBreaker
+};
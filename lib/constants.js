@@ -15,12 +15,16 @@
 module.exports = {
     MIMETYPE: Object.freeze({
         APPLICATION_OCTET_STREAM: "application/octet-stream",
-        APPLICATION_X_WWW_FORM_URLENCODED: "application/x-www-form-urlencoded"
+        APPLICATION_X_WWW_FORM_URLENCODED: "application/x-www-form-urlencoded",
+        APPLICATION_XML: "application/xml"
     }),
     HTTP: Object.freeze({
         RANGE: Object.freeze({
             BYTES: "bytes"
         }),
+        ENCODING: Object.freeze({
+            IDENTITY: "identity"
+        }),
         HEADER: Object.freeze({
             ETAG: "etag",
             IF_MATCH: "if-match",
@@ -30,17 +34,26 @@ module.exports = {
             CONTENT_LENGTH: "content-length",
             CONTENT_TYPE: "content-type",
             CONTENT_DISPOSITION: "content-disposition",
-            RANGE: "range"
+            RANGE: "range",
+            ACCEPT_ENCODING: "accept-encoding",
+            CONTENT_ENCODING: "content-encoding",
+            LOCATION: "location"
         }),
         STATUS: Object.freeze({
             OK: 200,
-            PARTIAL_CONTENT: 206
+            PARTIAL_CONTENT: 206,
+            RESUME_INCOMPLETE: 308,
+            PRECONDITION_FAILED: 412,
+            TOO_MANY_REQUESTS: 429,
+            SERVICE_UNAVAILABLE: 503
         }),
         METHOD: Object.freeze({
             POST: "POST",
             PUT: "PUT",
             GET: "GET",
-            HEAD: "HEAD"
+            HEAD: "HEAD",
+            DELETE: "DELETE",
+            PATCH: "PATCH"
         })
     })
 };
@@ -17,7 +17,9 @@ const EventEmitter = require("events");
 const { TransferAsset } = require("../asset/transferasset");
 const { TransferPart } = require("../asset/transferpart");
 const { TransferEvent } = require("./transferevent");
-const { unlink } = require("fs");
+const { unlink, promises: fsPromises } = require("fs");
+const { UserCancelledError } = require("../error");
+const { isFileProtocol, urlToPath } = require("../util");
 
 /**
  * @typedef {Object} TransferItem
@@ -62,6 +64,22 @@ function splitTransferItem(transferItem) {
  * @event TransferController#AfterAEMInitiateUpload
  * @type {TransferEvent}
  */
+/**
+ * @event TransferController#S3CompleteUpload
+ * @type {TransferEvent}
+ */
+/**
+ * @event TransferController#AfterS3CompleteUpload
+ * @type {TransferEvent}
+ */
+/**
+ * @event TransferController#AzureCommitBlockList
+ * @type {TransferEvent}
+ */
+/**
+ * @event TransferController#AfterAzureCommitBlockList
+ * @type {TransferEvent}
+ */
 /**
  * @event TransferController#GetAssetMetadata
  * @type {TransferEvent}
@@ -78,6 +96,10 @@ function splitTransferItem(transferItem) {
  * @event TransferController#AfterTransfer
  * @type {TransferEvent}
  */
+/**
+ * @event TransferController#TransferProgress
+ * @type {TransferEvent}
+ */
 /**
  * @event TransferController#CreateTransferParts
  * @type {TransferEvent}
@@ -110,11 +132,16 @@ const TransferEvents = {
     AFTER_AEM_COMPLETE_UPLOAD: "AfterAEMCompleteUpload",
     AEM_INITIATE_UPLOAD: "AEMInitiateUpload",
     AFTER_AEM_INITIATE_UPLOAD: "AfterAEMInitiateUpload",
+    S3_COMPLETE_UPLOAD: "S3CompleteUpload",
+    AFTER_S3_COMPLETE_UPLOAD: "AfterS3CompleteUpload",
+    AZURE_COMMIT_BLOCK_LIST: "AzureCommitBlockList",
+    AFTER_AZURE_COMMIT_BLOCK_LIST: "AfterAzureCommitBlockList",
     GET_ASSET_METADATA: "GetAssetMetadata",
     AFTER_GET_ASSET_METADATA: "AfterGetAssetMetadata",
     TRANSFER_ASSET: "TransferAsset",
     TRANSFER: "Transfer",
     AFTER_TRANSFER: "AfterTransfer",
+    TRANSFER_PROGRESS: "TransferProgress",
     CREATE_TRANSFER_PARTS: "CreateTransferParts",
     AFTER_CREATE_TRANSFER_PARTS: "AfterCreateTransferParts",
     JOIN_TRANSFER_PARTS: "JoinTransferParts",
@@ -128,10 +155,76 @@ const TransferEvents = {
 class TransferController extends EventEmitter {
     /**
      * Construct TransferController
+     *
+     * @param {AbortSignal} [abortSignal] Signal that cancels the transfer when aborted
      */
-    constructor() {
+    constructor(abortSignal) {
         super();
         this.failedAssets = new Map();
+        this.abortSignal = abortSignal;
+        this.pauseState = null;
+    }
+
+    /**
+     * Pause the transfer, no new work is started until the transfer is resumed.
+     * Work that is in progress is allowed to finish.
+     */
+    pause() {
+        if (!this.pauseState && !this.isCancelled) {
+            let resume;
+            const promise = new Promise(resolve => {
+                resume = resolve;
+            });
+            const onAbort = () => this.resume();
+            if (this.abortSignal) {
+                this.abortSignal.addEventListener("abort", onAbort);
+            }
+            this.pauseState = { promise, resume, onAbort };
+            logger.info("Transfer paused");
+        }
+    }
+
+    /**
+     * Resume a paused transfer
+     */
+    resume() {
+        if (this.pauseState) {
+            const { resume, onAbort } = this.pauseState;
+            if (this.abortSignal) {
+                this.abortSignal.removeEventListener("abort", onAbort);
+            }
+            this.pauseState = null;
+            resume();
+            logger.info("Transfer resumed");
+        }
+    }
+
+    /**
+     * Check if the transfer is paused
+     *
+     * @returns {Boolean} True if the transfer is paused
+     */
+    get isPaused() {
+        return !!this.pauseState;
+    }
+
+    /**
+     * Wait until the transfer is resumed, returns immediately if the transfer is not paused.
+     * Cancelling the transfer resumes it.
+     */
+    async waitWhilePaused() {
+        while (this.pauseState) {
+            await this.pauseState.promise;
+        }
+    }
+
+    /**
+     * Check if the transfer has been cancelled
+     *
+     * @returns {Boolean} True if the abort signal has been aborted
+     */
+    get isCancelled() {
+        return !!(this.abortSignal && this.abortSignal.aborted);
     }
 
     /**
@@ -229,6 +322,29 @@ class TransferController extends EventEmitter {
             }
         });
     }
+
+    /**
+     * Remove the partially downloaded files of assets that were cancelled
+     */
+    async removeCancelledDownloads() {
+        for (const [transferAsset, failureEvents] of this.failedAssets) {
+            const cancelled = failureEvents.some(event => event.error instanceof UserCancelledError);
+            if (cancelled && isFileProtocol(transferAsset.target.url)) {
+                const { path } = urlToPath(transferAsset.target.url);
+                try {
+                    await fsPromises.unlink(path);
+                    if (transferAsset.journal) {
+                        await transferAsset.journal.remove();
+                    }
+                    logger.info(`Removed cancelled download ${path}`);
+                } catch (error) {
+                    if (error.code !== "ENOENT") {
+                        logger.warn(`Error ${error.message} trying to remove cancelled download ${path}`);
+                    }
+                }
+            }
+        }
+    }
 }
 
 module.exports = {
@@ -19,7 +19,8 @@ const { retry } = require("./retry");
  * Get a CSRF Token from the target Host with options
  *
  * @param {String} host Host to get csrf from 
- * @param {import('./functions/aeminitiateupload').AEMInitiateUploadOptions} options Upload options
+ * @param {import('./functions/aeminitiateupload').AEMInitiateUploadOptions} options Upload options, a `proxy` is
+ *  accepted as in `getHeaders`
  * @param {Object} headers Fetch headers
  * @returns {String} Token
  */
@@ -30,6 +31,7 @@ async function getCSRFToken(host, options = {}, headers) {
             return streamGet(url, {
                 timeout: options && options.timeout,                    
                 headers: headers,
+                proxy: options.proxy,
                 ...options.requestOptions
             });
         }, options);
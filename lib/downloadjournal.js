@@ -0,0 +1,177 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const { promises: fsPromises } = require("fs");
+const DRange = require("drange");
+const logger = require("./logger");
+const { urlToPath } = require("./util");
+
+/**
+ * Suffix of the journal file which is stored next to the download target
+ */
+const JOURNAL_SUFFIX = ".journal";
+
+/**
+ * Checkpoint journal of a resumable download, stored as a small sidecar file
+ * next to the download target.
+ *
+ * The journal records the source url, the source version, the total size and
+ * the byte ranges that have been written to the target. A download can only be
+ * resumed if the source is unchanged.
+ */
+class DownloadJournal {
+    /**
+     * Construct a download journal
+     *
+     * Recommend using `DownloadJournal.load` or `DownloadJournal.create`.
+     *
+     * @param {String} path Path of the download target
+     * @param {Object} state Journal state
+     * @param {String} state.sourceUrl Source url
+     * @param {String} [state.etag] ETag of the source
+     * @param {Number} [state.lastModified] Last modified time of the source in milliseconds since epoch
+     * @param {Number} state.contentLength Size of the source
+     * @param {DRange} [state.completedRanges] Byte ranges that have been written to the target
+     */
+    constructor(path, state) {
+        /**
+         * Path of the download target
+         * @type {String}
+         */
+        this.path = path;
+        /**
+         * Path of the journal file
+         * @type {String}
+         */
+        this.journalPath = `${path}${JOURNAL_SUFFIX}`;
+        this.sourceUrl = state.sourceUrl;
+        this.etag = state.etag;
+        this.lastModified = state.lastModified;
+        this.contentLength = state.contentLength;
+        /**
+         * Byte ranges that have been written to the target
+         * @type {DRange}
+         */
+        this.completedRanges = state.completedRanges || new DRange();
+    }
+
+    /**
+     * Create a new, empty, journal for a transfer asset
+     *
+     * @param {TransferAsset} transferAsset Transfer asset with a file target
+     * @returns {DownloadJournal} Download journal
+     */
+    static create(transferAsset) {
+        const { version, metadata } = transferAsset;
+        return new DownloadJournal(urlToPath(transferAsset.target.url).path, {
+            sourceUrl: transferAsset.source.url.toString(),
+            etag: version && version.etag,
+            lastModified: version && version.lastModified,
+            contentLength: metadata.contentLength
+        });
+    }
+
+    /**
+     * Load the journal of a download target
+     *
+     * @param {URL} target file:// url of the download target
+     * @returns {DownloadJournal} Download journal, or undefined if there is no valid journal
+     */
+    static async load(target) {
+        const { path } = urlToPath(target);
+        let json;
+        try {
+            json = JSON.parse(await fsPromises.readFile(`${path}${JOURNAL_SUFFIX}`, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                logger.warn(`Ignoring unreadable download journal of ${path}: ${error.message}`);
+            }
+            return undefined;
+        }
+
+        const completedRanges = new DRange();
+        for (const [low, high] of json.completedRanges || []) {
+            completedRanges.add(low, high);
+        }
+        return new DownloadJournal(path, {
+            sourceUrl: json.sourceUrl,
+            etag: json.etag,
+            lastModified: json.lastModified,
+            contentLength: json.contentLength,
+            completedRanges
+        });
+    }
+
+    /**
+     * Check if the journal can be used to resume the download of the transfer asset.
+     * The source url, size and version must be unchanged, a source without version
+     * can not be resumed.
+     *
+     * @param {TransferAsset} transferAsset Transfer asset
+     * @returns {Boolean} True if the download of the transfer asset can be resumed
+     */
+    matches(transferAsset) {
+        const { version, metadata } = transferAsset;
+        if (!version || !(version.etag || version.lastModified)) {
+            return false;
+        }
+        return (this.sourceUrl === transferAsset.source.url.toString())
+            && (this.contentLength === metadata.contentLength)
+            && (this.etag === version.etag)
+            && (this.lastModified === version.lastModified);
+    }
+
+    /**
+     * Check if all bytes have been written to the target
+     *
+     * @returns {Boolean} True if the journal records the complete content
+     */
+    get isComplete() {
+        return this.completedRanges.length === this.contentLength;
+    }
+
+    /**
+     * Save the journal, the journal file is replaced atomically
+     */
+    async save() {
+        const json = JSON.stringify({
+            sourceUrl: this.sourceUrl,
+            etag: this.etag,
+            lastModified: this.lastModified,
+            contentLength: this.contentLength,
+            completedRanges: this.completedRanges.subranges().map(({ low, high }) => [low, high])
+        });
+        const tmpPath = `${this.journalPath}.tmp`;
+        await fsPromises.writeFile(tmpPath, json, "utf8");
+        await fsPromises.rename(tmpPath, this.journalPath);
+    }
+
+    /**
+     * Remove the journal file, if it exists
+     */
+    async remove() {
+        try {
+            await fsPromises.unlink(this.journalPath);
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = {
+    DownloadJournal
+};
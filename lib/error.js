@@ -12,8 +12,10 @@
 
 "use strict";
 
+const errorCodes = require("./http-error-codes");
+
 class HttpResponseError extends Error {
-    constructor(method, url, status, errorResponse) {
+    constructor(method, url, status, errorResponse, headers = {}) {
         if (errorResponse) {
             super(`${method} '${url}' failed with status ${status}: ${errorResponse}`);
         } else {
@@ -23,14 +25,16 @@ class HttpResponseError extends Error {
         this.method = method;
         this.url = url;
         this.errorResponse = errorResponse;
+        this.headers = headers;
     }
 }
 
 class HttpConnectError extends Error {
-    constructor(method, url, message) {
+    constructor(method, url, message, errno) {
         super(`${method} '${url}' connect failed: ${message}`);
         this.method = method;
         this.url = url;
+        this.errno = errno;
     }
 }
 
@@ -43,6 +47,70 @@ class HttpStreamError extends Error {
     }
 }
 
+class PartStalledError extends HttpStreamError {
+    constructor(method, url, reason) {
+        super(method, url, undefined, reason);
+        this.message = `${method} '${url}' aborted: ${reason}`;
+        this.reason = reason;
+        this.code = errorCodes.PART_STALLED;
+    }
+}
+
+class SourceChangedError extends Error {
+    constructor(method, url, status) {
+        super(`${method} '${url}' failed with status ${status}: source changed since the transfer started`);
+        this.method = method;
+        this.url = url;
+        this.status = status;
+    }
+}
+
+class RangeNotSupportedError extends Error {
+    constructor(method, url, status) {
+        super(`${method} '${url}' returned status ${status} for a range request: source does not support range requests`);
+        this.method = method;
+        this.url = url;
+        this.status = status;
+    }
+}
+
+class ChecksumMismatchError extends Error {
+    constructor(method, url, algorithm, expected, actual) {
+        super(`${method} '${url}' ${algorithm} checksum mismatch: expected ${expected}, computed ${actual}`);
+        this.method = method;
+        this.url = url;
+        this.algorithm = algorithm;
+        this.expected = expected;
+        this.actual = actual;
+        this.code = errorCodes.CHECKSUM_MISMATCH;
+    }
+}
+
+class CircuitOpenError extends Error {
+    constructor(method, url, origin) {
+        super(`${method} '${url}' not sent: circuit breaker for ${origin} is open after repeated failures`);
+        this.method = method;
+        this.url = url;
+        this.origin = origin;
+        this.code = errorCodes.CIRCUIT_OPEN;
+    }
+}
+
+class StreamTooLargeError extends Error {
+    constructor(capacity, urlCount) {
+        super(`Stream is larger than the ${capacity} bytes the ${urlCount} urls of the target accept`);
+        this.capacity = capacity;
+        this.urlCount = urlCount;
+    }
+}
+
+class UserCancelledError extends Error {
+    constructor(message = "Transfer was cancelled") {
+        super(message);
+        this.code = errorCodes.USER_CANCELLED;
+    }
+}
+
 class IllegalArgumentError extends Error {
     constructor(message, value) {
         if (value === undefined) {
@@ -65,6 +133,13 @@ module.exports = {
     HttpResponseError,
     HttpConnectError,
     HttpStreamError,
+    PartStalledError,
+    SourceChangedError,
+    RangeNotSupportedError,
+    ChecksumMismatchError,
+    CircuitOpenError,
+    StreamTooLargeError,
+    UserCancelledError,
     IllegalArgumentError,
     UnsupportedFileUploadError
 };
@@ -13,8 +13,13 @@
 "use strict";
 
 const nodeFetch = require("node-fetch-npm");
-const { HttpResponseError, HttpConnectError, HttpStreamError } = require("./error");
+const { HttpResponseError, HttpConnectError, HttpStreamError, IllegalArgumentError, UserCancelledError } = require("./error");
 const { HTTP, MIMETYPE } = require("./constants");
+const { getProxyAgent } = require("./proxy");
+const { isWebReadableStream, webStreamToReadable } = require("./util");
+
+// fetch implementation set with setFetch(), used when a request does not pass one
+let defaultFetch;
 
 // --------------------------------- For tests ---------------------------------------------------
 // I could not find a way to return a stream from fetch() using nock that would fail when read.
@@ -79,6 +84,9 @@ function isTextContent(headers) {
  * @param {Function} callback Callback with the text that was read
  */
 async function readTextStream(stream, maxLength) {
+    if (isWebReadableStream(stream)) {
+        stream = webStreamToReadable(stream);
+    }
     return new Promise((resolve, reject) => {
         let text = "";
         let totalLength = 0;
@@ -103,34 +111,254 @@ async function readTextStream(stream, maxLength) {
     });
 }
 
+/**
+ * Set the fetch implementation used by all requests that do not pass a `fetchImplementation`
+ *
+ * @param {Function} [fetch] WHATWG compatible fetch, e.g. `createNativeFetch()`. Resets to the
+ *  default of node-fetch-npm, or the fetch of the browser, if not set.
+ */
+function setFetch(fetch) {
+    if (fetch && (typeof fetch !== "function")) {
+        throw new IllegalArgumentError("'fetch' must be a function", fetch);
+    }
+    defaultFetch = fetch || undefined;
+}
+
+/**
+ * Get the fetch of the browser
+ *
+ * @returns {Function} Fetch of the browser, undefined when running in Node.js
+ */
+function getBrowserFetch() {
+    // eslint-disable-next-line no-undef
+    return ((typeof window !== 'undefined') && window.fetch) || undefined;
+}
+
+/**
+ * Wrap fetch of Node.js 18 or later, or of undici, to accept the options of node-fetch
+ *
+ * Streamed request bodies are sent with `duplex: 'half'`, and the `timeout` is turned in
+ * to an abort signal that fires when the response headers are not received in time,
+ * like node-fetch. The node-fetch `agent`, `compress`, `size` and `follow` options are
+ * not supported and removed, so requests do not go through a proxy or agent pool.
+ *
+ * @param {Function} [fetch=globalThis.fetch] Native fetch, e.g. `require('undici').fetch`
+ * @returns {Function} Fetch implementation to pass as `fetchImplementation` or to `setFetch()`
+ */
+function createNativeFetch(fetch = global.fetch) {
+    if (typeof fetch !== "function") {
+        throw new IllegalArgumentError("'fetch' must be a function, native fetch requires Node.js 18 or later", fetch);
+    }
+    return async function nativeFetch(url, request = {}) {
+        // eslint-disable-next-line no-unused-vars
+        const { timeout, signal, agent, compress, size, follow, ...init } = request;
+        if (init.body && (typeof init.body.pipe === "function")) {
+            init.duplex = "half";
+        }
+        if (!timeout) {
+            return fetch(url, { ...init, signal });
+        }
+
+        // eslint-disable-next-line no-undef
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal && signal.aborted) {
+            controller.abort();
+        } else if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+        const timer = setTimeout(() => {
+            const error = new Error(`network timeout at: ${url}`);
+            error.code = "ETIMEDOUT";
+            controller.abort(error);
+        }, timeout);
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        }
+    };
+}
+
+/**
+ * Response of a fetch implementation that returns a web readable stream body, with the
+ * body converted to a Node.js readable stream
+ */
+class NodeStreamResponse {
+    /**
+     * @param {Response} response WHATWG fetch response
+     */
+    constructor(response) {
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.ok = response.ok;
+        this.url = response.url;
+        this.headers = response.headers;
+        this.body = webStreamToReadable(response.body);
+        // WHATWG fetch decodes the Content-Encoding of the body
+        this.contentDecoded = true;
+    }
+
+    /**
+     * Read the body in to a buffer
+     *
+     * @returns {Buffer} Body
+     */
+    async buffer() {
+        const chunks = [];
+        for await (const chunk of this.body) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    async arrayBuffer() {
+        const buffer = await this.buffer();
+        return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    }
+
+    async text() {
+        return (await this.buffer()).toString("utf8");
+    }
+
+    async json() {
+        return JSON.parse(await this.text());
+    }
+}
+
+/**
+ * Invoke fetch, rejecting as soon as the abort signal is aborted
+ *
+ * node-fetch-npm does not support abort signals, the request is abandoned
+ * instead and the response body destroyed if it still arrives.
+ *
+ * @param {Function} fetch Fetch implementation
+ * @param {String} url URL to connect to
+ * @param {Object} request Fetch options, including the optional `signal`
+ * @returns {*} response
+ */
+async function fetchWithAbortSignal(fetch, url, request) {
+    const { signal } = request;
+    if (!signal) {
+        return fetch(url, request);
+    }
+    return new Promise((resolve, reject) => {
+        function onAbort() {
+            if (request.body && request.body.destroy) {
+                request.body.destroy();
+            }
+            reject(new UserCancelledError());
+        }
+        signal.addEventListener("abort", onAbort);
+
+        fetch(url, request).then(response => {
+            signal.removeEventListener("abort", onAbort);
+            if (signal.aborted && response.body && response.body.destroy) {
+                response.body.destroy();
+            }
+            resolve(response);
+        }, error => {
+            signal.removeEventListener("abort", onAbort);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Destroy the response body when the abort signal is aborted while it is being read
+ *
+ * @param {Readable} body Response body
+ * @param {AbortSignal} [signal] Abort signal
+ * @returns {Function} Stops watching the abort signal, once the body is no longer read
+ */
+function destroyBodyOnAbort(body, signal) {
+    if (signal && body && body.destroy && body.once) {
+        const onAbort = () => {
+            if (!body.destroyed) {
+                // nobody may be listening for errors anymore, do not let the cancellation go uncaught
+                body.on("error", () => {});
+                body.destroy(new UserCancelledError());
+            }
+        };
+        const removeListener = () => signal.removeEventListener("abort", onAbort);
+        signal.addEventListener("abort", onAbort);
+        body.once("end", removeListener);
+        body.once("close", removeListener);
+        body.once("error", removeListener);
+        return removeListener;
+    }
+    return () => {};
+}
+
+/**
+ * Copy response headers in to a plain object, so they can be kept on errors
+ *
+ * @param {Headers} headers Response headers
+ * @returns {Object} Headers keyed by lower case name
+ */
+function headersToObject(headers) {
+    const result = {};
+    if (headers && headers.forEach) {
+        headers.forEach((value, name) => {
+            result[name.toLowerCase()] = value;
+        });
+    }
+    return result;
+}
+
 /**
  * Issue an streaming HTTP request with error handling
  *
+ * Requests are sent through the `proxy` option if set, otherwise through the proxy
+ * of the `HTTP_PROXY` or `HTTPS_PROXY` environment variable, unless the host matches
+ * `NO_PROXY` or an `agent` is passed. The keep-alive agents of the `agentPool` option
+ * are used if set. Proxies and agent pools only apply to node-fetch-npm.
+ *
+ * The request is sent with the `fetchImplementation` option if set, otherwise with the
+ * fetch passed to `setFetch()`, the fetch of the browser, or node-fetch-npm. Web readable
+ * stream bodies are converted to Node.js readable streams when running in Node.js.
+ *
  * @param {String} method HTTP method
  * @param {String} url URL to connect to
- * @param {Object} options Fetch options
+ * @param {Object} options Fetch options, including the optional `proxy` url or `ProxyOptions`
+ *  (`false` ignores the environment variables), the optional `AgentPool` and the optional
+ *  `fetchImplementation`
  * @returns {*} response
  */
 async function stream(method, url, options) {
     // only attempt to use node-fetch if running in the context of Node.js.
     // "window" and "window.fetch" will be defined when running in a
     // browser - so use the browser's fetch in that case
-    let fetch = nodeFetch;
-    // eslint-disable-next-line no-undef
-    if ((typeof window !== 'undefined') && window.fetch) {
-        // eslint-disable-next-line no-undef
-        fetch = window.fetch;
+    const { proxy, agentPool, fetchImplementation, ...fetchOptions } = options || {};
+    const browserFetch = getBrowserFetch();
+    const fetch = fetchImplementation || defaultFetch || browserFetch || nodeFetch;
+    const request = {method, ...fetchOptions};
+    if (request.signal && request.signal.aborted) {
+        throw new UserCancelledError();
+    }
+    if ((fetch === nodeFetch) && !request.agent) {
+        request.agent = agentPool ? agentPool.getAgent(url, proxy) : getProxyAgent(url, proxy);
     }
-    const request = {method, ...options};
+
     let response;
     try {
         // fetch is defined globally by isomorphic-fetch
         // eslint-disable-next-line no-undef
-        response = await fetch(url, request);
+        response = await fetchWithAbortSignal(fetch, url, request);
+        if (!browserFetch && isWebReadableStream(response.body)) {
+            response = new NodeStreamResponse(response);
+        }
         testOverrideResponseBody(method, response);
     } catch (e) {
-        throw new HttpConnectError(request.method, url, e.message);
+        if (request.signal && request.signal.aborted) {
+            throw new UserCancelledError();
+        }
+        throw new HttpConnectError(request.method, url, e.message, e.code || e.errno);
     }
+    const stopDestroyOnAbort = destroyBodyOnAbort(response.body, request.signal);
 
     if (!response.ok) {
         let message;
@@ -139,9 +367,15 @@ async function stream(method, url, options) {
                 message = await readTextStream(response.body, 10000);
             } catch (e) {
                 throw new HttpStreamError(request.method, url, response.status, e);
+            } finally {
+                stopDestroyOnAbort();
             }
+        } else if (response.body && response.body.destroy) {
+            // the body is not read, close it so an abort later on does not fail it
+            stopDestroyOnAbort();
+            response.body.destroy();
         }
-        throw new HttpResponseError(request.method, url, response.status, message);
+        throw new HttpResponseError(request.method, url, response.status, message, headersToObject(response.headers));
     } else {
         return response;
     }
@@ -152,8 +386,9 @@ async function stream(method, url, options) {
  * the request has a body that is a stream, this method will use the stream's
  * events to provide the response to the request.
  *
- * If the response _doesn't_ provide a streamed body, the method will return
- * the response as-is.
+ * Web readable stream bodies, as returned by fetch in the browser, are read
+ * until the end. If the response _doesn't_ provide a streamed body, the method
+ * will return the response as-is.
  *
  * The purpose of this method is primarily to process the response differently,
  * depending on whether it was initiated from Node.JS or from a browser.
@@ -177,6 +412,16 @@ async function handleStream(method, url, options) {
                 reject(new HttpStreamError(errorMethod, url, response.status, error));
             });
         });
+    } else if (response && isWebReadableStream(response.body)) {
+        try {
+            const reader = response.body.getReader();
+            while (!(await reader.read()).done) {
+                // discard the body
+            }
+        } catch (error) {
+            const errorMethod = (options && options.method) || method;
+            throw new HttpStreamError(errorMethod, url, response.status, error);
+        }
     }
     return response;
 }
@@ -217,6 +462,30 @@ async function issuePut(url, options) {
     return handleStream(HTTP.METHOD.PUT, url, options);
 }
 
+/**
+ * Issue a PATCH request.
+ * The response stream is closed on success.
+ *
+ * @param {String} url URL to send request to
+ * @param {Object} options Fetch options
+ * @returns {*} HTTP response
+ */
+async function issuePatch(url, options) {
+    return handleStream(HTTP.METHOD.PATCH, url, options);
+}
+
+/**
+ * Issue a POST request.
+ * The response stream is closed on success.
+ *
+ * @param {String} url URL to send request to
+ * @param {Object} options Fetch options
+ * @returns {*} HTTP response
+ */
+async function issuePost(url, options) {
+    return handleStream(HTTP.METHOD.POST, url, options);
+}
+
 /**
  * Issue a POST form request
  * 
@@ -238,11 +507,46 @@ async function postForm(url, form, options) {
     return response.json();
 }
 
+/**
+ * Issue a POST request with an XML document
+ *
+ * @param {String} url URL to send request to
+ * @param {String} xml XML document to post
+ * @param {Object} options Fetch options
+ * @returns {String} received text
+ */
+async function postXml(url, xml, options) {
+    const response = await stream(HTTP.METHOD.POST, url, Object.assign({}, options, {
+        body: xml,
+        headers: Object.assign({}, options && options.headers, {
+            [HTTP.HEADER.CONTENT_TYPE]: MIMETYPE.APPLICATION_XML
+        })
+    }));
+    return response.text();
+}
+
+/**
+ * Delete the resource at the given URL.
+ * The response stream is closed on success.
+ *
+ * @param {String} url URL of the resource to delete
+ * @param {Object} options Fetch options
+ */
+async function issueDelete(url, options) {
+    return handleStream(HTTP.METHOD.DELETE, url, options);
+}
+
 module.exports = {
     issueHead,
     streamGet,
     issuePut,
+    issuePost,
+    issuePatch,
     postForm,
+    postXml,
+    issueDelete,
+    setFetch,
+    createNativeFetch,
     testSetResponseBodyOverride,
     testHasResponseBodyOverrides
 };
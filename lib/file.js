@@ -25,11 +25,32 @@ const { BlockUpload } = require('./block/blockupload');
 const RETRY_OPTIONS_FILTER = [
     'timeout',
     'retryMaxDuration', 'retryBackoff', 'retryInitialDelay',
-    'retryEnabled', 'retryAllErrors', 'retryMaxCount'
+    'retryEnabled', 'retryAllErrors', 'retryMaxCount', 'retryPolicy'
 ];
 const CONCURRENCY_OPTIONS_FILTER = [
     'maxConcurrent', 'concurrent'
 ];
+const STALL_OPTIONS_FILTER = [
+    'partTimeout', 'minBytesPerSecond', 'minBytesPerSecondWindow'
+];
+const REQUEST_OPTIONS_FILTER = [
+    'requestOptions', 'agentPool'
+];
+
+/**
+ * Extract the options of a block transfer, the `proxy` option is passed in the request options
+ *
+ * @param {Object} options Options of the transfer function
+ * @param {String[]} filter Names of the options passed to the block transfer
+ * @returns {Object} Block transfer options
+ */
+function filterTransferOptions(options, filter) {
+    const transferOptions = filterObject(options || {}, [...filter, ...REQUEST_OPTIONS_FILTER]);
+    if (options && (options.proxy !== undefined)) {
+        transferOptions.requestOptions = { proxy: options.proxy, ...transferOptions.requestOptions };
+    }
+    return transferOptions;
+}
 
 /**
  * Check if file path is a directory, or does not exist (asynchronously)
@@ -89,7 +110,8 @@ async function ensureDir(filepath) {
  * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  */
 /**
  * Download a file from an url
@@ -124,12 +146,30 @@ async function downloadFile(url, filepath, options) {
  * @property {Number} [retryMaxCount] time to retry until throwing an error, overrides retryMaxDuration (ms)
  * @property {Number} [retryInitialDelay=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  * @property {Number} [retryBackoff=2] backoff factor for wait time between retries (defaults to 2.0)
  * @property {Number} [preferredPartSize] Optional custom preferred part size. Might be adjusted depending on the target.
  * @property {Number} [maxConcurrent] Optional concurrent amount.
  * @property {Number} [fileSize] Optional file size if it is known. Pass this through to avoid doing an extra head request.
  * @property {String} [contentType] Optional valid content type if it is known. Pass this through to avoid doing an extra head request.
+ * @property {Boolean} [streamParts=false] Optional, stream parts to disk instead of buffering them in memory.
+ * @property {Number} [restartOnSourceChange=0] Optional, number of times the download restarts when the file changes during the download.
+ * @property {AbortSignal} [abortSignal] Optional signal that cancels the download when aborted.
+ * @property {Boolean} [removePartialDownloads=false] Optional, remove the partially downloaded file when the download is cancelled.
+ * @property {Boolean} [resume=false] Optional, keep a journal next to the file so an interrupted download resumes where it left off.
+ * @property {String} [checksumAlgorithm] Optional, verify the md5, sha1 or sha256 digest of the parts and the file.
+ * @property {String} [checksumHeader] Optional, header carrying the digest (defaults to content-md5 for md5, x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256).
+ * @property {String} [digest] Optional, expected base64 or hex encoded digest of the file.
+ * @property {Number|RateLimiter} [maxBytesPerSecond] Optional, limit the download bandwidth.
+ * @property {Boolean|AdaptiveConcurrencyOptions} [adaptiveConcurrency] Optional, adjust the concurrency to the server, starting at maxConcurrent.
+ * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Optional, fail requests to a host right away after repeated failures.
+ * @property {Number} [partTimeout] Optional, abort and retry a part that takes longer than this many milliseconds.
+ * @property {Number} [minBytesPerSecond] Optional, abort and retry a part transferred slower than this rate.
+ * @property {Number} [minBytesPerSecondWindow=10000] Optional, time in milliseconds over which minBytesPerSecond is measured.
+ * @property {Object} [requestOptions] Optional, options passed to fetch, such as `fetchImplementation`.
+ * @property {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Optional, proxy to send the requests through, `false` ignores the environment variables.
+ * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Optional, keep-alive agents shared by the requests, `false` disables them.
  */
 /**
  * Download file using multiple simultaneous transfers
@@ -147,9 +187,12 @@ async function downloadFileConcurrently(url, filepath, options) {
     const downloader = new BlockDownload();
 
     // extract upload options
-    const downloadOptions = filterObject(
-        options || {},
-        ['headers', ...CONCURRENCY_OPTIONS_FILTER, ...RETRY_OPTIONS_FILTER, 'preferredPartSize']
+    const downloadOptions = filterTransferOptions(
+        options,
+        ['headers', ...CONCURRENCY_OPTIONS_FILTER, ...RETRY_OPTIONS_FILTER, 'preferredPartSize', 'streamParts',
+            'restartOnSourceChange', 'abortSignal', 'removePartialDownloads', 'resume',
+            'checksumAlgorithm', 'checksumHeader', 'maxBytesPerSecond', 'adaptiveConcurrency', 'circuitBreaker',
+            ...STALL_OPTIONS_FILTER]
     );
 
     return downloader.downloadFiles({
@@ -158,7 +201,8 @@ async function downloadFileConcurrently(url, filepath, options) {
                 fileUrl: url,
                 filePath: filepath,
                 fileSize: (options && options.fileSize) || undefined,
-                contentType: (options && options.contentType) || undefined
+                contentType: (options && options.contentType) || undefined,
+                digest: (options && options.digest) || undefined
             }
         ],
         ...downloadOptions
@@ -175,27 +219,55 @@ async function downloadFileConcurrently(url, filepath, options) {
  * @property {Number} [retryMaxCount] time to retry until throwing an error, overrides retryMaxDuration (ms)
  * @property {Number} [retryInitialDelay=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  * @property {Number} [retryBackoff=2] backoff factor for wait time between retries (defaults to 2.0)
  * @property {Number} [maxConcurrent] Optional concurrent amount.
+ * @property {String} [checksumAlgorithm] Optional, send the md5, sha1 or sha256 digest of each part.
+ * @property {String} [checksumHeader] Optional, header carrying the digest (defaults to content-md5 for md5, x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256).
+ * @property {Number|RateLimiter} [maxBytesPerSecond] Optional, limit the upload bandwidth.
+ * @property {Boolean|AdaptiveConcurrencyOptions} [adaptiveConcurrency] Optional, adjust the concurrency to the server, starting at maxConcurrent.
+ * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Optional, fail requests to a host right away after repeated failures.
+ * @property {Number} [partTimeout] Optional, abort and retry a part that takes longer than this many milliseconds.
+ * @property {Number} [minBytesPerSecond] Optional, abort and retry a part transferred slower than this rate.
+ * @property {Number} [minBytesPerSecondWindow=10000] Optional, time in milliseconds over which minBytesPerSecond is measured.
+ * @property {Object} [requestOptions] Optional, options passed to fetch, such as `fetchImplementation`.
+ * @property {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Optional, proxy to send the requests through, `false` ignores the environment variables.
+ * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Optional, keep-alive agents shared by the requests, `false` disables them.
+ */
+/**
+ * Describe the source of an upload: a path to a local file, or in-memory content
+ * such as a Buffer, Uint8Array or Blob of which the size is known
+ *
+ * @param {String|URL|Buffer|Uint8Array|Blob} source Path to a locally saved file, or content to upload
+ * @returns {Promise<Object>} `filePath` and `fileSize` of a local file, or the `blob` to upload
  */
+async function getUploadSource(source) {
+    if (typeof source === "string" || source instanceof URL) {
+        const { size } = await getFileStats(source);
+        return { filePath: source, fileSize: size };
+    }
+    return { blob: source };
+}
+
 /**
  * Upload file using multiple simultaneous transfers
  * Throws the first unrecoverable error if unsuccessful, all others are logged
  * @param {String|URL} url Location to upload (e.g. presigned URL) 
- * @param {String} filepath Path to locally saved file
+ * @param {String|Buffer|Uint8Array|Blob} filepath Path to locally saved file, or a Buffer, Uint8Array or Blob to upload
  * @param {UploadFileOptions} options Additional options such as headers, retry features, etc 
  * @returns {Promise} resolves when upload completes
  */
 async function uploadFileConcurrently(filepath, url, options) {
     // options contains header information
-    const { size } = await getFileStats(filepath);
+    const uploadSource = await getUploadSource(filepath);
 
     // extract upload options
-    const uploadOptions = filterObject(
-        options || {},
+    const uploadOptions = filterTransferOptions(
+        options,
         ['method', 'headers', ...CONCURRENCY_OPTIONS_FILTER,
-            ...RETRY_OPTIONS_FILTER]
+            ...RETRY_OPTIONS_FILTER, 'streamParts', 'abortSignal', 'checksumAlgorithm', 'checksumHeader', 'maxBytesPerSecond', 'adaptiveConcurrency', 'circuitBreaker',
+            ...STALL_OPTIONS_FILTER]
     );
 
     const uploader = new BlockUpload();
@@ -203,8 +275,7 @@ async function uploadFileConcurrently(filepath, url, options) {
         uploadFiles: [
             {
                 fileUrl: url,
-                filePath: filepath,
-                fileSize: size
+                ...uploadSource
             }
         ],
         ...uploadOptions
@@ -221,9 +292,23 @@ async function uploadFileConcurrently(filepath, url, options) {
  * @property {Number} [retryMaxCount] time to retry until throwing an error, overrides retryMaxDuration (ms)
  * @property {Number} [retryInitialDelay=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  * @property {Number} [preferredPartSize] Optional custom preferred part size. Might be adjusted depending on the target.
  * @property {Number} [maxConcurrent] Optional concurrent amount.
+ * @property {Boolean} [streamParts=false] Optional, stream parts from disk instead of reading them in to memory.
+ * @property {AbortSignal} [abortSignal] Optional signal that cancels the upload when aborted.
+ * @property {String} [checksumAlgorithm] Optional, send the md5, sha1 or sha256 digest of each part.
+ * @property {String} [checksumHeader] Optional, header carrying the digest (defaults to content-md5 for md5, x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256).
+ * @property {Number|RateLimiter} [maxBytesPerSecond] Optional, limit the upload bandwidth.
+ * @property {Boolean|AdaptiveConcurrencyOptions} [adaptiveConcurrency] Optional, adjust the concurrency to the server, starting at maxConcurrent.
+ * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Optional, fail requests to a host right away after repeated failures.
+ * @property {Number} [partTimeout] Optional, abort and retry a part that takes longer than this many milliseconds.
+ * @property {Number} [minBytesPerSecond] Optional, abort and retry a part transferred slower than this rate.
+ * @property {Number} [minBytesPerSecondWindow=10000] Optional, time in milliseconds over which minBytesPerSecond is measured.
+ * @property {Object} [requestOptions] Optional, options passed to fetch, such as `fetchImplementation`.
+ * @property {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Optional, proxy to send the requests through, `false` ignores the environment variables.
+ * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Optional, keep-alive agents shared by the requests, `false` disables them.
  */
 /**
  * @typedef {Object} UploadAEMMultipartTarget
@@ -235,7 +320,7 @@ async function uploadFileConcurrently(filepath, url, options) {
  * Upload multi part file using multiple simultaneous transfers
  * Throws the first unrecoverable error if unsuccessful, all others are logged
  * @param {UploadAEMMultipartTarget} target Target urls
- * @param {String} filepath Path to locally saved file
+ * @param {String|Buffer|Uint8Array|Blob} filepath Path to locally saved file, or a Buffer, Uint8Array or Blob to upload
  * @param {UploadAEMMultipartOptions} options Additional options such as headers, retry features, etc 
  * @returns {Promise} resolves when upload completes
  */
@@ -250,16 +335,18 @@ async function uploadMultiPartFileConcurrently(filepath, target, options = {}) {
     }
 
     // Calculate the partSize based on the number of urls
-    const { size } = await getFileStats(filepath);
+    const uploadSource = await getUploadSource(filepath);
 
     // to stay backwards compatible with older `uploadAEMMultipartFile` that uses `partSize`
     options.preferredPartSize = options.partSize ? options.partSize : options.preferredPartSize;
 
     // extract upload options
-    const uploadOptions = filterObject(
-        options || {},
+    const uploadOptions = filterTransferOptions(
+        options,
         ['method', 'headers', ...CONCURRENCY_OPTIONS_FILTER,
-            ...RETRY_OPTIONS_FILTER, 'preferredPartSize']
+            ...RETRY_OPTIONS_FILTER, 'preferredPartSize', 'streamParts',
+            'abortSignal', 'checksumAlgorithm', 'checksumHeader', 'maxBytesPerSecond', 'adaptiveConcurrency', 'circuitBreaker',
+            ...STALL_OPTIONS_FILTER]
     );
 
     const uploader = new BlockUpload();
@@ -267,8 +354,7 @@ async function uploadMultiPartFileConcurrently(filepath, target, options = {}) {
         uploadFiles: [
             {
                 fileUrl: target.urls,
-                filePath: filepath,
-                fileSize: size,
+                ...uploadSource,
                 maxPartSize: target.maxPartSize,
                 multipartHeaders: target.multipartHeaders
             }
@@ -286,9 +372,23 @@ async function uploadMultiPartFileConcurrently(filepath, target, options = {}) {
  * @property {Number} [retryMaxCount] time to retry until throwing an error, overrides retryMaxDuration (ms)
  * @property {Number} [retryInitialDelay=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  * @property {Number} [preferredPartSize] Optional custom preferred part size. Might be adjusted depending on the target.
  * @property {Number} [maxConcurrent] Optional concurrent amount.
+ * @property {Boolean} [streamParts=false] Optional, stream parts from disk instead of reading them in to memory.
+ * @property {AbortSignal} [abortSignal] Optional signal that cancels the upload when aborted.
+ * @property {String} [checksumAlgorithm] Optional, send the md5, sha1 or sha256 digest of each part.
+ * @property {String} [checksumHeader] Optional, header carrying the digest (defaults to content-md5 for md5, x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256).
+ * @property {Number|RateLimiter} [maxBytesPerSecond] Optional, limit the upload bandwidth.
+ * @property {Boolean|AdaptiveConcurrencyOptions} [adaptiveConcurrency] Optional, adjust the concurrency to the server, starting at maxConcurrent.
+ * @property {Boolean|CircuitBreakerOptions|CircuitBreaker} [circuitBreaker] Optional, fail requests to a host right away after repeated failures.
+ * @property {Number} [partTimeout] Optional, abort and retry a part that takes longer than this many milliseconds.
+ * @property {Number} [minBytesPerSecond] Optional, abort and retry a part transferred slower than this rate.
+ * @property {Number} [minBytesPerSecondWindow=10000] Optional, time in milliseconds over which minBytesPerSecond is measured.
+ * @property {Object} [requestOptions] Optional, options passed to fetch, such as `fetchImplementation`.
+ * @property {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Optional, proxy to send the requests through, `false` ignores the environment variables.
+ * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Optional, keep-alive agents shared by the requests, `false` disables them.
  */
 /**
  * @typedef {Object} UploadAEMMultipartTarget
@@ -300,7 +400,8 @@ async function uploadMultiPartFileConcurrently(filepath, target, options = {}) {
  * @typedef {Object} UploadFile Object containing information about file to upload
  *
  * @param {UploadAEMMultipartTarget} target Target urls
- * @param {String} filepath Path to locally saved file
+ * @param {String} [filepath] Path to locally saved file
+ * @param {Buffer|Uint8Array|Blob} [blob] Content to upload instead of a local file
  */
 /**
  * Upload multi part file using multiple simultaneous transfers
@@ -313,7 +414,7 @@ async function uploadFilesConcurrently(files, options = {}) {
     const uploadFiles = [];
     for (const file of files) {
         const target = file.target;
-        const filepath = file.filepath;
+        const source = file.blob || file.filepath;
         // fail fast, keep error handling the same as older, non-concurrent function
         if (!target) {
             throw new IllegalArgumentError('target not provided', target);
@@ -324,12 +425,11 @@ async function uploadFilesConcurrently(files, options = {}) {
         }
    
         // Calculate the partSize based on the number of urls
-        const { size } = await getFileStats(filepath);
+        const uploadSource = await getUploadSource(source);
         uploadFiles.push(
             {
                 fileUrl: target.urls,
-                filePath: filepath,
-                fileSize: size,
+                ...uploadSource,
                 maxPartSize: target.maxPartSize,
                 multipartHeaders: target.multipartHeaders
             }
@@ -339,10 +439,12 @@ async function uploadFilesConcurrently(files, options = {}) {
     options.preferredPartSize = options.partSize ? options.partSize : options.preferredPartSize;
     
     // extract upload options
-    const uploadOptions = filterObject(
-        options || {},
+    const uploadOptions = filterTransferOptions(
+        options,
         ['method', 'headers', ...CONCURRENCY_OPTIONS_FILTER,
-            ...RETRY_OPTIONS_FILTER, 'preferredPartSize']
+            ...RETRY_OPTIONS_FILTER, 'preferredPartSize', 'streamParts',
+            'abortSignal', 'checksumAlgorithm', 'checksumHeader', 'maxBytesPerSecond', 'adaptiveConcurrency', 'circuitBreaker',
+            ...STALL_OPTIONS_FILTER]
     );
     const uploader = new BlockUpload();
     return uploader.uploadFiles({
@@ -363,7 +465,8 @@ async function uploadFilesConcurrently(files, options = {}) {
  * @property {Number} [retryMax=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  *
  * Note that the start and end offsets are not passed to the server. This is intentional.
  * Range upload requests are not widely supported, although could be added optionally.
@@ -69,7 +69,8 @@ class FileHandle {
     static async open(path, flags) {
         return new Promise((resolve, reject) => {
             const filePath = urlToPath(path).path;
-            const openFlags = (flags === FileFlags.WRITEONLY) ? "w" : "r";
+            // writes do not truncate the file, so a resumed download keeps the data written before
+            const openFlags = (flags === FileFlags.WRITEONLY) ? (fs.constants.O_WRONLY | fs.constants.O_CREAT) : "r";
             fs.open(filePath, openFlags, (err, fd) => {
                 if (err) {
                     reject(err);
@@ -19,7 +19,9 @@ const { TransferEvents } = require("../controller/transfercontroller");
 const { postForm } = require("../fetch");
 const { getCSRFToken } = require("../csrf");
 const { retry } = require("../retry");
-const { MIMETYPE } = require("../constants");
+const { RetryPhase } = require("../retrypolicy");
+const { HTTP, MIMETYPE } = require("../constants");
+const { CircuitBreaker, withCircuitBreaker } = require("../circuitbreaker");
 
 /**
  * @typedef {Object} AEMCompleteUploadOptions
@@ -28,8 +30,11 @@ const { MIMETYPE } = require("../constants");
  * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
  * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, the limits of the `complete` phase apply
+ * @property {CircuitBreaker} [circuitBreaker] Fails requests to hosts that keep failing right away, shared with the other
+ *  steps of the upload
  */
 /**
  * Complete upload of assets in AEM.
@@ -44,6 +49,9 @@ class AEMCompleteUpload extends AsyncGeneratorFunction {
     constructor(options) {
         super();
         this.options = options;
+        this.circuitBreaker = (options && options.circuitBreaker instanceof CircuitBreaker)
+            ? options.circuitBreaker
+            : undefined;
     }
 
     /**
@@ -89,12 +97,17 @@ class AEMCompleteUpload extends AsyncGeneratorFunction {
                 }
 
                 await retry(async () => {
-                    return postForm(completeUrl, form, {
-                        timeout: this.options && this.options.timeout,                    
+                    return withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.POST, completeUrl, () => postForm(completeUrl, form, {
+                        timeout: this.options && this.options.timeout,
                         headers,
+                        signal: this.options.abortSignal,
                         ...this.options.requestOptions
-                    });
-                }, this.options);
+                    }));
+                }, this.options, {
+                    phase: RetryPhase.COMPLETE,
+                    url: completeUrl,
+                    transferAsset
+                });
                 
                 controller.notify(TransferEvents.AFTER_AEM_COMPLETE_UPLOAD, this.name, transferAsset);
 
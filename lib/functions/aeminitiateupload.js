@@ -22,9 +22,11 @@ const ErrorCodes = require("../http-error-codes");
 const { postForm } = require("../fetch");
 const { getCSRFToken } = require("../csrf");
 const { retry } = require("../retry");
+const { RetryPhase } = require("../retrypolicy");
 const logger = require("../logger");
 const { TransferEvents } = require("../controller/transfercontroller");
-const { MIMETYPE } = require("../constants");
+const { HTTP, MIMETYPE } = require("../constants");
+const { CircuitBreaker, withCircuitBreaker } = require("../circuitbreaker");
 
 /**
  * @typedef {Object} AEMInitiateUploadOptions
@@ -33,11 +35,17 @@ const { MIMETYPE } = require("../constants");
  * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
  * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, the limits of the `initiate` phase apply
+ * @property {CircuitBreaker} [circuitBreaker] Fails requests to hosts that keep failing right away, shared with the other
+ *  steps of the upload
  */
 /**
  * Initiate upload of assets in AEM.
+ * 
+ * Transfer assets that already have a multi-part target are resumed uploads, these are
+ * passed through without initiating the upload again.
  */
 class AEMInitiateUpload extends AsyncGeneratorFunction {
     /**
@@ -48,6 +56,9 @@ class AEMInitiateUpload extends AsyncGeneratorFunction {
     constructor(options) {
         super();
         this.options = options;
+        this.circuitBreaker = (options && options.circuitBreaker instanceof CircuitBreaker)
+            ? options.circuitBreaker
+            : undefined;
     }
 
     /**
@@ -77,15 +88,27 @@ class AEMInitiateUpload extends AsyncGeneratorFunction {
      */
     async* execute(transferAssets, controller) {
         const assets = [];   
+        const resumedAssets = [];
         const form = new URLSearchParams();
         for await (const transferAsset of transferAssets) {
             controller.notify(TransferEvents.AEM_INITIATE_UPLOAD, this.name, transferAsset);
+            if (transferAsset.multipartTarget) {
+                // resumed upload, the upload was initiated in an earlier attempt
+                resumedAssets.push(transferAsset);
+                continue;
+            }
             assets.push(transferAsset);
             form.append("fileName", transferAsset.target.filename);
             form.append("fileSize", transferAsset.metadata.contentLength);
         }
+        for (const transferAsset of resumedAssets) {
+            controller.notify(TransferEvents.AFTER_AEM_INITIATE_UPLOAD, this.name, transferAsset);
+            yield transferAsset;
+        }
         if (assets.length === 0) {
-            logger.warn("AEMInitiateUpload.execute on empty set of transfer assets");
+            if (resumedAssets.length === 0) {
+                logger.warn("AEMInitiateUpload.execute on empty set of transfer assets");
+            }
             return;
         }
 
@@ -99,13 +122,20 @@ class AEMInitiateUpload extends AsyncGeneratorFunction {
                 headers['csrf-token'] = await getCSRFToken(origin, this.options, assets[0].target.headers);
             }
 
+            const initiateUrl = `${folderUrl}.initiateUpload.json`;
             const initiateResponse = await retry(async () => {
-                return postForm(`${folderUrl}.initiateUpload.json`, form, {
+                return withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.POST, initiateUrl, () => postForm(initiateUrl, form, {
                     timeout: this.options && this.options.timeout,
                     headers,
+                    signal: this.options.abortSignal,
                     ...this.options.requestOptions
-                });
-            }, this.options);
+                }));
+            }, this.options, {
+                phase: RetryPhase.INITIATE,
+                url: initiateUrl,
+                transferAsset: assets[0],
+                transferAssets: assets
+            });
             if (!Array.isArray(initiateResponse.files) || (typeof initiateResponse.completeURI !== "string")) {
                 throw new UploadError('Target AEM instance does not have direct binary upload enabled. Falling back to create asset servlet.', ErrorCodes.NOT_SUPPORTED);
             } else if (initiateResponse.files.length !== assets.length) {
@@ -0,0 +1,145 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+require("core-js/stable");
+
+const { AsyncGeneratorFunction } = require("../generator/function");
+const { TransferEvents } = require("../controller/transfercontroller");
+const { AzureBlockBlobTarget } = require("../asset/azureblockblobtarget");
+const { issuePut } = require("../fetch");
+const { retry } = require("../retry");
+const { RetryPhase } = require("../retrypolicy");
+const { HTTP, MIMETYPE } = require("../constants");
+const { withCircuitBreaker, CircuitBreaker } = require("../circuitbreaker");
+
+/**
+ * Create the Put Block List document, block ids are base64 and need no escaping
+ *
+ * @param {String[]} blockIds Ids of the blocks to commit, in order
+ * @returns {String} XML document
+ */
+function createBlockList(blockIds) {
+    const blockElements = blockIds.map(blockId => `<Latest>${blockId}</Latest>`);
+    return `<?xml version="1.0" encoding="utf-8"?><BlockList>${blockElements.join("")}</BlockList>`;
+}
+
+/**
+ * Create the headers of the Put Block List request
+ *
+ * @param {AzureBlockBlobTarget} blockBlobTarget Azure block blob target
+ * @param {Headers} [headers] Headers of the target
+ * @param {String} [contentType] Content type of the uploaded file
+ * @returns {Headers} Request headers
+ */
+function createBlockListHeaders(blockBlobTarget, headers, contentType) {
+    const blobContentType = blockBlobTarget.contentType || contentType;
+    const result = {
+        ...headers,
+        [HTTP.HEADER.CONTENT_TYPE]: MIMETYPE.APPLICATION_XML,
+        ...(blobContentType ? { "x-ms-blob-content-type": blobContentType } : {})
+    };
+    for (const [name, value] of Object.entries(blockBlobTarget.metadata)) {
+        result[`x-ms-meta-${name}`] = String(value);
+    }
+    return result;
+}
+
+/**
+ * @typedef {Object} AzureCommitBlockListOptions
+ * @property {Number} [timeout=30000] Socket timeout
+ * @property {Number} [retryMaxCount] number of retry attempts, overrides retryMaxDuration
+ * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
+ * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
+ * @property {Boolean} [retryEnabled=true] retry on failure enabled
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, the limits of the `complete` phase apply
+ * @property {AbortSignal} [abortSignal] Signal that cancels the upload when aborted
+ * @property {CircuitBreaker} [circuitBreaker] Fails requests to hosts that keep failing right away, shared with the other
+ *  steps of the upload
+ */
+/**
+ * Commit the uploaded blocks of Azure block blobs with Put Block List. Assets without
+ * an Azure block blob target are passed on unchanged.
+ */
+class AzureCommitBlockList extends AsyncGeneratorFunction {
+    /**
+     * Construct the AzureCommitBlockList function
+     *
+     * @param {AzureCommitBlockListOptions} [options] Azure commit options
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.circuitBreaker = (this.options.circuitBreaker instanceof CircuitBreaker)
+            ? this.options.circuitBreaker
+            : undefined;
+    }
+
+    /**
+     * Put the block list of an asset
+     *
+     * @param {TransferAsset} transferAsset Transfer asset of which all blocks were uploaded
+     */
+    async commitBlockList(transferAsset) {
+        const blockBlobTarget = transferAsset.multipartTarget;
+        const { completeUrl } = blockBlobTarget;
+        const contentType = transferAsset.metadata && transferAsset.metadata.contentType;
+        const body = createBlockList(blockBlobTarget.blockIds);
+        const headers = createBlockListHeaders(blockBlobTarget, transferAsset.target.multipartHeaders, contentType);
+        await retry(async () => {
+            await withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.PUT, completeUrl, () => issuePut(completeUrl, {
+                timeout: this.options.timeout,
+                headers,
+                body,
+                signal: this.options.abortSignal,
+                ...this.options.requestOptions
+            }));
+        }, this.options, {
+            phase: RetryPhase.COMPLETE,
+            url: completeUrl,
+            transferAsset
+        });
+    }
+
+    /**
+     * Commit the block lists
+     *
+     * @generator
+     * @param {TransferAsset[]|Generator|AsyncGenerator} transferAssets Transfer assets of which all blocks were uploaded
+     * @param {TransferController} controller Transfer controller
+     * @yields {TransferAsset} Committed transfer asset
+     */
+    async* execute(transferAssets, controller) {
+        for await (const transferAsset of transferAssets) {
+            if (!(transferAsset.multipartTarget instanceof AzureBlockBlobTarget)) {
+                yield transferAsset;
+                continue;
+            }
+            try {
+                controller.notify(TransferEvents.AZURE_COMMIT_BLOCK_LIST, this.name, transferAsset);
+                await this.commitBlockList(transferAsset);
+                controller.notify(TransferEvents.AFTER_AZURE_COMMIT_BLOCK_LIST, this.name, transferAsset);
+
+                yield transferAsset;
+            } catch (error) {
+                controller.notifyError(this.name, error, transferAsset);
+            }
+        }
+    }
+}
+
+module.exports = {
+    AzureCommitBlockList
+};
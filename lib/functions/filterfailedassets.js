@@ -13,6 +13,7 @@
 "use strict";
 
 const { AsyncGeneratorFunction } = require("../generator/function");
+const { UserCancelledError } = require("../error");
 
 /**
  * Filter out failed assets
@@ -22,13 +23,21 @@ class FilterFailedAssets extends AsyncGeneratorFunction {
      * Filter out failed transfer items, so we don't waste time transferring assets
      * and parts of assets that have failed.
      * 
+     * Items are held back while the transfer is paused, once the transfer is cancelled
+     * all remaining items fail with a UserCancelledError.
+     * 
      * @param {TransferPart[]|TransferAsset[]|AsyncGenerator|Generator} transferItems Transfer assets or parts
      * @param {TransferController} controller Transfer controller
      * @yields {TransferPart|TransferAsset} 
      */
     async* execute(transferItems, controller) {
         for await (const transferItem of transferItems) {
-            if (!controller.hasFailed(transferItem)) {
+            await controller.waitWhilePaused();
+            if (controller.hasFailed(transferItem)) {
+                continue;
+            } else if (controller.isCancelled) {
+                controller.notifyError(this.name, new UserCancelledError(), transferItem);
+            } else {
                 yield transferItem;
             }
         }
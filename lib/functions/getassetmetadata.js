@@ -19,8 +19,10 @@ const { AsyncGeneratorFunction } = require("../generator/function");
 const { getContentType, getETag, getFilename, getHeaders, getLastModified, getSize } = require("../headers");
 const { isFileProtocol, getFileStats } = require("../util");
 const { retry } = require("../retry");
+const { RetryPhase } = require("../retrypolicy");
 const mime = require("mime-types");
 const { TransferEvents } = require("../controller/transfercontroller");
+const { getChecksumOptions } = require("../checksum");
 
 /**
  * @typedef {Object} GetAssetMetadataOptions
@@ -29,8 +31,11 @@ const { TransferEvents } = require("../controller/transfercontroller");
  * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
  * @property {Object} requestOptions Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, the limits of the `metadata` phase apply
+ * @property {String} [checksumAlgorithm] Checksum algorithm, the digest in the checksum header of the response is the expected digest of the asset
+ * @property {String} [checksumHeader] Header carrying the digest
  */
 /**
  * Retrieve asset metadata information from the sources for the transfer asset. 
@@ -47,6 +52,7 @@ class GetAssetMetadata extends AsyncGeneratorFunction {
     constructor(options) {
         super();
         this.options = options;
+        this.checksum = getChecksumOptions(options);
     }
 
     /**
@@ -89,7 +95,8 @@ class GetAssetMetadata extends AsyncGeneratorFunction {
                                 timeout: options && options.timeout,
                                 headers: source.headers,
                                 doGet: source.url.host.includes(".amazonaws.com"),
-                                requestOptions: options && options.requestOptions
+                                requestOptions: options && options.requestOptions,
+                                abortSignal: options && options.abortSignal
                             });
                             transferAsset.acceptRanges = headers.get("accept-ranges") === "bytes";
                             logger.info(`Server accepts ranges: ${transferAsset.acceptRanges} (accept-ranges header set to bytes)`);
@@ -102,7 +109,15 @@ class GetAssetMetadata extends AsyncGeneratorFunction {
                                 getLastModified(headers), 
                                 getETag(headers)
                             );
-                        }, this.options);
+                            const expectedDigest = this.checksum && headers.get(this.checksum.header);
+                            if (expectedDigest && !transferAsset.expectedDigest) {
+                                transferAsset.expectedDigest = expectedDigest;
+                            }
+                        }, this.options, {
+                            phase: RetryPhase.METADATA,
+                            url: source.url,
+                            transferAsset
+                        });
                     }
                 }
 
@@ -0,0 +1,93 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const logger = require("../logger");
+const { AsyncGeneratorFunction } = require("../generator/function");
+const { DownloadJournal } = require("../downloadjournal");
+const { getFileStats, isFileProtocol, urlToPath } = require("../util");
+
+/**
+ * Check if the partially downloaded target still has the expected size
+ *
+ * @param {String} path Path of the download target
+ * @param {Number} contentLength Expected size
+ * @returns {Boolean} True if the target exists and has the expected size
+ */
+async function isTargetIntact(path, contentLength) {
+    try {
+        const { size } = await getFileStats(path);
+        return size === contentLength;
+    } catch (error) {
+        logger.info(`Partially downloaded file ${path} is not available: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Attach a download journal to transfer assets with a file target, so the download can be
+ * resumed after an interruption.
+ *
+ * If a journal of an earlier download exists and the source is unchanged, the transfer asset
+ * is resumed from the journal, otherwise the download starts from scratch with a new journal.
+ * Sources without ETag or Last-Modified can not be resumed and are downloaded without journal.
+ */
+class ResumeDownload extends AsyncGeneratorFunction {
+    /**
+     * Attach download journals to the transfer assets
+     *
+     * @generator
+     * @param {TransferAsset[]|Generator||AsyncGenerator} transferAssets Transfer assets with metadata and version
+     * @param {TransferController} controller Transfer controller
+     * @yields {TransferAsset} Transfer asset, with a journal if the download can be resumed
+     */
+    async* execute(transferAssets, controller) {
+        for await (const transferAsset of transferAssets) {
+            try {
+                const { target, version } = transferAsset;
+                if (!isFileProtocol(target.url) || !transferAsset.acceptRanges) {
+                    yield transferAsset;
+                    continue;
+                } else if (!version || !(version.etag || version.lastModified)) {
+                    logger.warn(`Source ${transferAsset.source.url} has no ETag or Last-Modified, download can not be resumed`);
+                    yield transferAsset;
+                    continue;
+                }
+
+                const { path } = urlToPath(target.url);
+                const journal = await DownloadJournal.load(target.url);
+                if (journal && journal.matches(transferAsset) && !journal.isComplete
+                    && await isTargetIntact(path, journal.contentLength)) {
+                    logger.info(`Resuming download of ${path}, ${journal.completedRanges.length} of ${journal.contentLength} bytes completed`);
+                    transferAsset.journal = journal;
+                    transferAsset.completedRanges = journal.completedRanges.clone();
+                } else {
+                    if (journal) {
+                        logger.info(`Download journal of ${path} does not match the source, restarting download`);
+                    }
+                    transferAsset.journal = DownloadJournal.create(transferAsset);
+                    await transferAsset.journal.save();
+                }
+                yield transferAsset;
+            } catch (error) {
+                logger.error(`Error while resuming download: ${error.message}`);
+                controller.notifyError(this.name, error, transferAsset);
+            }
+        }
+    }
+}
+
+module.exports = {
+    ResumeDownload
+};
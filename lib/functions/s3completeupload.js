@@ -0,0 +1,180 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+"use strict";
+
+require("core-js/stable");
+
+const logger = require("../logger");
+const { AsyncGeneratorFunction } = require("../generator/function");
+const { TransferEvents } = require("../controller/transfercontroller");
+const { S3MultipartTarget } = require("../asset/s3multiparttarget");
+const { issueDelete, postXml } = require("../fetch");
+const { retry } = require("../retry");
+const { RetryPhase } = require("../retrypolicy");
+const { HTTP } = require("../constants");
+const { HttpStreamError } = require("../error");
+const { CircuitBreaker, withCircuitBreaker } = require("../circuitbreaker");
+
+/**
+ * Escape text for use in an XML element
+ *
+ * @param {String} value Text to escape
+ * @returns {String} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Create the CompleteMultipartUpload document
+ *
+ * @param {import('../asset/s3multiparttarget').S3Part[]} parts Uploaded parts ordered by part number
+ * @returns {String} XML document
+ */
+function createCompleteMultipartUpload(parts) {
+    const partElements = parts.map(({ partNumber, etag }) => (
+        `<Part><PartNumber>${partNumber}</PartNumber><ETag>${escapeXml(etag)}</ETag></Part>`
+    ));
+    return `<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUpload xmlns="http://s3.amazonaws.com/doc/2006-03-01/">${partElements.join("")}</CompleteMultipartUpload>`;
+}
+
+/**
+ * Get the error of a CompleteMultipartUpload response. S3 can fail the request after it responded
+ * with 200 OK, the error is then returned in the body.
+ *
+ * @param {String} body Response body
+ * @returns {String} Error code and message, undefined if the upload completed
+ */
+function getCompleteMultipartUploadError(body) {
+    const match = /<Error>[\s\S]*?<Code>([^<]*)<\/Code>(?:[\s\S]*?<Message>([^<]*)<\/Message>)?/.exec(body || "");
+    return match && (match[2] ? `${match[1]}: ${match[2]}` : match[1]);
+}
+
+/**
+ * @typedef {Object} S3CompleteUploadOptions
+ * @property {Number} [timeout=30000] Socket timeout
+ * @property {Number} [retryMaxCount] number of retry attempts, overrides retryMaxDuration
+ * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
+ * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
+ * @property {Boolean} [retryEnabled=true] retry on failure enabled
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, the limits of the `complete` phase apply
+ * @property {AbortSignal} [abortSignal] Signal that cancels the upload when aborted
+ * @property {CircuitBreaker} [circuitBreaker] Fails requests to hosts that keep failing right away, shared with the other
+ *  steps of the upload
+ */
+/**
+ * Complete S3 multipart uploads with the ETags of the uploaded parts. Assets without
+ * a S3 multipart target are passed on unchanged.
+ */
+class S3CompleteUpload extends AsyncGeneratorFunction {
+    /**
+     * Construct the S3CompleteUpload function
+     *
+     * @param {S3CompleteUploadOptions} [options] S3 complete options
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.circuitBreaker = (this.options.circuitBreaker instanceof CircuitBreaker)
+            ? this.options.circuitBreaker
+            : undefined;
+    }
+
+    /**
+     * Post the CompleteMultipartUpload document of an asset
+     *
+     * @param {TransferAsset} transferAsset Transfer asset of which all parts were uploaded
+     */
+    async completeUpload(transferAsset) {
+        const { completeUrl, parts } = transferAsset.multipartTarget;
+        const xml = createCompleteMultipartUpload(parts);
+        await retry(async () => {
+            const body = await withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.POST, completeUrl, () => postXml(completeUrl, xml, {
+                timeout: this.options.timeout,
+                headers: transferAsset.target.multipartHeaders,
+                signal: this.options.abortSignal,
+                ...this.options.requestOptions
+            }));
+            const error = getCompleteMultipartUploadError(body);
+            if (error) {
+                // retried, S3 recommends to retry these errors
+                throw new HttpStreamError(HTTP.METHOD.POST, completeUrl, HTTP.STATUS.OK, error);
+            }
+        }, this.options, {
+            phase: RetryPhase.COMPLETE,
+            url: completeUrl,
+            transferAsset
+        });
+    }
+
+    /**
+     * Abort the S3 multipart uploads of failed assets, so the uploaded parts are removed
+     *
+     * Failures to abort are logged, the upload already failed. The request is sent even if the
+     * upload was cancelled.
+     *
+     * @param {TransferController} controller Transfer controller
+     */
+    async abortFailedUploads(controller) {
+        for (const transferAsset of controller.failedAssets.keys()) {
+            const { multipartTarget } = transferAsset;
+            if ((multipartTarget instanceof S3MultipartTarget) && multipartTarget.abortUrl) {
+                try {
+                    logger.info(`Aborting S3 multipart upload of ${transferAsset.target.url}`);
+                    await issueDelete(multipartTarget.abortUrl, {
+                        timeout: this.options.timeout,
+                        headers: transferAsset.target.multipartHeaders,
+                        ...this.options.requestOptions
+                    });
+                } catch (error) {
+                    logger.warn(`Failed to abort S3 multipart upload of ${transferAsset.target.url}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Complete the S3 multipart uploads
+     *
+     * @generator
+     * @param {TransferAsset[]|Generator|AsyncGenerator} transferAssets Transfer assets of which all parts were uploaded
+     * @param {TransferController} controller Transfer controller
+     * @yields {TransferAsset} Completed transfer asset
+     */
+    async* execute(transferAssets, controller) {
+        for await (const transferAsset of transferAssets) {
+            if (!(transferAsset.multipartTarget instanceof S3MultipartTarget)) {
+                yield transferAsset;
+                continue;
+            }
+            try {
+                controller.notify(TransferEvents.S3_COMPLETE_UPLOAD, this.name, transferAsset);
+                await this.completeUpload(transferAsset);
+                controller.notify(TransferEvents.AFTER_S3_COMPLETE_UPLOAD, this.name, transferAsset);
+
+                yield transferAsset;
+            } catch (error) {
+                controller.notifyError(this.name, error, transferAsset);
+            }
+        }
+    }
+}
+
+module.exports = {
+    S3CompleteUpload
+};
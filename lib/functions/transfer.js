@@ -14,17 +14,30 @@
 
 const logger = require("../logger");
 const { AsyncGeneratorFunction } = require("../generator/function");
-const { isFileProtocol, streamToBuffer } = require("../util");
-const { issuePut, streamGet } = require("../fetch");
+const { isFileProtocol, isValidWebUrl, pipeStream, streamToBuffer } = require("../util");
+const { issuePost, issuePut, streamGet } = require("../fetch");
 const { retry } = require("../retry");
 const { HTTP } = require("../constants");
+const { HttpResponseError, RangeNotSupportedError, SourceChangedError } = require("../error");
 const { TransferEvents } = require("../controller/transfercontroller");
+const { RateLimiter } = require("../ratelimiter");
+const { AdaptiveConcurrency } = require("../adaptiveconcurrency");
+const { CircuitBreaker, withCircuitBreaker } = require("../circuitbreaker");
+const { RetryPhase } = require("../retrypolicy");
+const { PartWatchdog } = require("../partwatchdog");
+const { ResumableSessionRequestGenerator } = require("../asset/resumablesessionrequestgenerator");
+const { digestBlob, digestBuffer, digestStream, getChecksumOptions, trackStreamDigest, verifyDigest } = require("../checksum");
+
+// Blob of Node.js, not available before Node.js 15.7
+const { Blob: NodeBlob } = require("buffer");
 
 const MAX_MEMORY_BUFFER = 100 * 1024 * 1024;
+// minimum time between progress notifications of a file downloaded with a single request
+const PROGRESS_INTERVAL = 500;
 
 /**
  * @callback RetryOnHttpResponseErrorCallback
- * @param {HttpResponseError} error Contains information about the request error
+ * @param {HttpResponseError} error Contains information about the request error, including the response `headers`
  * @returns {Boolean} True if the request should be retried, False otherwise
  */
 
@@ -36,10 +49,73 @@ const MAX_MEMORY_BUFFER = 100 * 1024 * 1024;
  * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options. The limits of the
+ *  `transfer` phase apply to parts.
  * @property {RetryOnHttpResponseErrorCallback} [retryOnHttpResponseError=false] Optional function determining whether to retry a request based on the HttpResponseError
  * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {Boolean} [streamParts=false] Stream file parts from/to disk instead of reading them in to memory, removes the part size limit
+ * @property {AbortSignal} [abortSignal] Signal that cancels the transfer when aborted
+ * @property {String} [checksumAlgorithm] Compute a md5, sha1 or sha256 digest of each part, sent with uploads and
+ *  verified against the digest returned by the server on downloads
+ * @property {String} [checksumHeader] Header carrying the base64 encoded part digest, defaults to content-md5 for md5
+ *  and x-amz-checksum-sha1/x-amz-checksum-sha256 for sha1/sha256
+ * @property {Number|RateLimiter} [maxBytesPerSecond] Limit the bandwidth of all parts of the transfer, upload bodies and download
+ *  responses are throttled. Pass a `RateLimiter` to share the limit with other transfers or to change it while transferring.
+ * @property {AdaptiveConcurrency} [adaptiveConcurrency] Receives the duration of each part and the 429/503 responses,
+ *  to adjust the concurrency of the `MapConcurrent` running the transfer
+ * @property {CircuitBreaker} [circuitBreaker] Fails requests to hosts that keep failing right away, shared with the other
+ *  steps of the transfer
+ * @property {Number} [partTimeout] Maximum time in milliseconds an attempt to transfer a part may take, unlike the socket
+ *  `timeout` this also catches parts that keep trickling in. The attempt fails with a retryable `PartStalledError`.
+ * @property {Number} [minBytesPerSecond] Abort an attempt to transfer a part when its body is sent or received at less
+ *  than this rate for `minBytesPerSecondWindow`. The attempt fails with a retryable `PartStalledError`.
+ * @property {Number} [minBytesPerSecondWindow=10000] Time in milliseconds over which `minBytesPerSecond` is measured
+ */
+/**
+ * Verify that a part can be held in memory
+ *
+ * @param {TransferPart} transferPart Part to transfer
+ * @param {SubRange} contentRange Range of the part
+ */
+function checkMemoryBuffer(transferPart, contentRange) {
+    if (contentRange.length > MAX_MEMORY_BUFFER) {
+        throw Error(`'contentRange.length' too large, not supported yet: ${transferPart.source.url}`);
+    }
+}
+
+/**
+ * Read a range of a blob source. Slices of Node.js Blobs, such as the ones returned by `fs.openAsBlob`, are
+ * read in to a Buffer as node-fetch-npm cannot send them. Buffers and browser Blobs are sliced.
+ *
+ * @param {Blob|Buffer} blob Blob source
+ * @param {SubRange} contentRange Range to read
+ * @returns {Promise<Blob|Buffer>} Data of the range
  */
+async function sliceBlob(blob, contentRange) {
+    const slice = blob.slice(contentRange.low, contentRange.high + 1);
+    if (NodeBlob && slice instanceof NodeBlob) {
+        return Buffer.from(await slice.arrayBuffer());
+    }
+    return slice;
+}
+
+/**
+ * Create headers that make a request fail when the source no longer matches
+ * the version seen when the transfer started
+ *
+ * @param {AssetVersion} [version] Version of the source asset
+ * @returns {Object} Conditional request headers, empty if the version is unknown
+ */
+function createConditionalHeaders(version) {
+    if (version && version.etag) {
+        return { [HTTP.HEADER.IF_MATCH]: version.etag };
+    } else if (version && version.lastModified) {
+        return { [HTTP.HEADER.IF_UNMODIFIED_SINCE]: new Date(version.lastModified).toUTCString() };
+    }
+    return {};
+}
+
 /**
  * Transfer parts
  */
@@ -57,7 +133,510 @@ class Transfer extends AsyncGeneratorFunction {
         this.requestGenerator = requestGenerator;
         this.randomFileAccess = randomFileAccess;
         this.options = options;
+        this.checksum = getChecksumOptions(options);
+        this.rateLimiter = RateLimiter.from(options && options.maxBytesPerSecond);
+        this.adaptiveConcurrency = (options && options.adaptiveConcurrency instanceof AdaptiveConcurrency)
+            ? options.adaptiveConcurrency
+            : undefined;
+        this.circuitBreaker = (options && options.circuitBreaker instanceof CircuitBreaker)
+            ? options.circuitBreaker
+            : undefined;
+        // downloads of sources that do not support range requests, shared by all parts of the asset
+        this.singleDownloads = new WeakMap();
+        this.resumableRequestGenerator = new ResumableSessionRequestGenerator();
+    }
+    /**
+     * True if file parts are streamed instead of held in memory
+     *
+     * @returns {Boolean} True if file parts are streamed
+     */
+    get streamParts() {
+        return !!(this.options && this.options.streamParts);
+    }
+
+    /**
+     * Throttle a response body if the bandwidth is limited
+     *
+     * @param {Readable} body Response body
+     * @returns {Readable} Throttled response body
+     */
+    throttle(body) {
+        return this.rateLimiter ? this.rateLimiter.throttleStream(body) : body;
+    }
+
+    /**
+     * Run an attempt to transfer a part, aborting it when it exceeds the part timeout
+     * or falls below the minimum transfer rate
+     *
+     * @param {String} method HTTP method of the request
+     * @param {String|URL} url Url of the request
+     * @param {Function} asyncFunc Asynchronous function receiving the `PartWatchdog` of the attempt
+     * @returns {*} Result of the function
+     */
+    async watchPart(method, url, asyncFunc) {
+        return PartWatchdog.watch(method, url, this.options, this.options && this.options.abortSignal, asyncFunc);
+    }
+
+    /**
+     * Create the context of a part request passed to the `shouldRetry` callback of the retry policy
+     *
+     * @param {TransferPart} transferPart Part to transfer
+     * @param {String|URL} url Url of the request
+     * @returns {import('../retrypolicy').RetryContext} Retry context
+     */
+    createRetryContext(transferPart, url) {
+        return {
+            phase: RetryPhase.TRANSFER,
+            url,
+            transferPart,
+            transferAsset: transferPart.transferAsset
+        };
+    }
+
+    /**
+     * Let the adaptive concurrency know about a failed request, so it can back off
+     * when the server is overloaded
+     *
+     * @param {Error} error Request error
+     */
+    recordRequestError(error) {
+        if (this.adaptiveConcurrency && (error instanceof HttpResponseError)) {
+            this.adaptiveConcurrency.recordResponse(error.status);
+        }
+    }
+
+    /**
+     * Upload part data to the target url
+     *
+     * The request is retried according to the transfer options, the part data
+     * is requested again for every attempt so streams can be recreated.
+     *
+     * @param {TransferPart} transferPart Part to transfer
+     * @param {String|URL} targetUrl Target url of the part
+     * @param {SubRange} contentRange Range of the part data
+     * @param {Function} getPartData Asynchronous function returning the part data to upload (Buffer, Blob or Readable)
+     * @param {String} [digest] Base64 encoded digest of the part data, sent in the checksum header
+     */
+    async uploadPart(transferPart, targetUrl, contentRange, getPartData, digest) {
+        // to stay backwards compatible, AEMmultiPart upload supports methods `POST` instead of `PUT`
+        const method = (this.options && this.options.method) || HTTP.METHOD.PUT;
+        await retry(async () => this.watchPart(method, targetUrl, async watchdog => {
+            const body = this.requestGenerator.createPartHttpBody({
+                transferPart,
+                partData: await getPartData(),
+                contentRange
+            });
+            const requestOptions = {
+                body: watchdog.monitorBody(this.rateLimiter ? await this.rateLimiter.throttleBody(body) : body),
+                timeout: this.options && this.options.timeout,
+                headers: Object.assign(
+                    this.requestGenerator.createPartHttpHeaders({
+                        transferPart,
+                        httpBody: body,
+                        contentRange
+                    }),
+                    digest ? { [this.checksum.header]: digest } : {},
+                    transferPart.targetHeaders
+                ),
+                signal: watchdog.signal,
+                ...this.options.requestOptions
+            };
+            if (this.options && this.options.method) {
+                requestOptions.method = this.options.method;
+            }
+            let response;
+            try {
+                response = await withCircuitBreaker(this.circuitBreaker, method, targetUrl,
+                    () => issuePut(targetUrl, requestOptions));
+            } catch (error) {
+                this.recordRequestError(error);
+                throw error;
+            }
+            // targets such as S3 multipart uploads need the response to complete the upload
+            const { multipartTarget } = transferPart.transferAsset;
+            if (multipartTarget) {
+                multipartTarget.partUploaded(targetUrl, response, method);
+            }
+        }), this.options, this.createRetryContext(transferPart, targetUrl));
+    }
+
+    /**
+     * Start the resumable upload session of an asset, the server returns the session url
+     * in the `Location` header
+     *
+     * @param {TransferPart} transferPart Part covering the whole asset
+     */
+    async initiateResumableSession(transferPart) {
+        const session = transferPart.transferAsset.resumableSession;
+        const { initiateUrl } = session;
+        await retry(async () => {
+            let response;
+            try {
+                response = await withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.POST, initiateUrl, () => issuePost(initiateUrl, {
+                    timeout: this.options && this.options.timeout,
+                    headers: Object.assign(
+                        this.resumableRequestGenerator.createInitiateHttpHeaders(transferPart),
+                        transferPart.targetHeaders
+                    ),
+                    signal: this.options.abortSignal,
+                    ...this.options.requestOptions
+                }));
+            } catch (error) {
+                this.recordRequestError(error);
+                throw error;
+            }
+            const location = response.headers.get(HTTP.HEADER.LOCATION);
+            if (!location) {
+                throw Error(`POST '${initiateUrl}' did not return the url of the resumable upload session in a Location header`);
+            }
+            session.sessionUrl = new URL(location, initiateUrl);
+            logger.info(`Started resumable upload session ${session.sessionUrl}`);
+        }, this.options, {
+            phase: RetryPhase.INITIATE,
+            url: initiateUrl,
+            transferPart,
+            transferAsset: transferPart.transferAsset
+        });
+    }
+
+    /**
+     * Send a chunk or status request to the session url, and update the committed offset of the
+     * session from the response. The server responds with 308 until it received the whole asset.
+     *
+     * @param {TransferPart} transferPart Part covering the whole asset
+     * @param {Object} requestOptions Body, headers and signal of the request
+     */
+    async requestResumableSession(transferPart, requestOptions) {
+        const session = transferPart.transferAsset.resumableSession;
+        const { sessionUrl } = session;
+        const totalSize = transferPart.metadata.contentLength;
+        try {
+            const response = await withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.PUT, sessionUrl, () => issuePut(sessionUrl, {
+                timeout: this.options && this.options.timeout,
+                // 308 does not redirect, it reports the committed range
+                redirect: "manual",
+                ...requestOptions,
+                ...this.options.requestOptions
+            }));
+            session.update(response.status, undefined, totalSize);
+        } catch (error) {
+            if ((error instanceof HttpResponseError) && (error.status === HTTP.STATUS.RESUME_INCOMPLETE)) {
+                session.update(error.status, error.headers[HTTP.HEADER.RANGE], totalSize);
+            } else {
+                this.recordRequestError(error);
+                throw error;
+            }
+        }
     }
+
+    /**
+     * Read a chunk of the source of a resumable upload
+     *
+     * @param {TransferPart} transferPart Part covering the whole asset
+     * @param {SubRange} chunkRange Range of the chunk
+     * @returns {Buffer|Blob|Readable} Chunk data
+     */
+    async readResumableChunk(transferPart, chunkRange) {
+        if (chunkRange.length === 0) {
+            return Buffer.alloc(0);
+        } else if (transferPart.source.blob) {
+            return sliceBlob(transferPart.source.blob, chunkRange);
+        } else if (this.streamParts) {
+            return this.randomFileAccess.createReadStream(transferPart.source.url, chunkRange);
+        }
+        checkMemoryBuffer(transferPart, chunkRange);
+        return this.randomFileAccess.read(transferPart.source.url, chunkRange);
+    }
+
+    /**
+     * Upload an asset to a resumable upload session, such as a Google Cloud Storage resumable upload
+     *
+     * The session is started if needed, the chunks are uploaded in sequence starting at the offset
+     * committed by the server. A failed chunk is retried according to the transfer options, the
+     * committed offset is queried first so only the bytes the server has not received are sent again.
+     * The upload fails if the server does not advance the committed offset past the start of a chunk.
+     *
+     * @param {TransferPart} transferPart Part covering the whole asset
+     * @param {TransferController} controller Transfer controller
+     */
+    async uploadResumable(transferPart, controller) {
+        const session = transferPart.transferAsset.resumableSession;
+        const totalSize = transferPart.metadata.contentLength;
+        if (!session.sessionUrl) {
+            await this.initiateResumableSession(transferPart);
+        }
+        while (!session.complete) {
+            await retry(async () => this.watchPart(HTTP.METHOD.PUT, session.sessionUrl, async watchdog => {
+                if (session.offsetUnknown) {
+                    logger.info(`Querying the committed offset of resumable upload session ${session.sessionUrl}`);
+                    await this.requestResumableSession(transferPart, {
+                        headers: Object.assign(
+                            this.resumableRequestGenerator.createStatusHttpHeaders(transferPart),
+                            transferPart.targetHeaders
+                        ),
+                        signal: watchdog.signal
+                    });
+                    if (session.complete) {
+                        return;
+                    }
+                }
+                const chunkRange = session.nextChunk(totalSize);
+                logger.info(`Uploading chunk ${chunkRange.low}-${chunkRange.high} of ${totalSize} bytes to resumable upload session`);
+                const body = this.resumableRequestGenerator.createPartHttpBody({
+                    transferPart,
+                    partData: await this.readResumableChunk(transferPart, chunkRange),
+                    contentRange: chunkRange
+                });
+                const headers = Object.assign(
+                    this.resumableRequestGenerator.createPartHttpHeaders({
+                        transferPart,
+                        httpBody: body,
+                        contentRange: chunkRange
+                    }),
+                    transferPart.targetHeaders
+                );
+                // the committed offset is queried again if the chunk fails
+                session.resetOffset();
+                await this.requestResumableSession(transferPart, {
+                    body: watchdog.monitorBody(this.rateLimiter ? await this.rateLimiter.throttleBody(body) : body),
+                    headers,
+                    signal: watchdog.signal
+                });
+                if (!session.complete && (session.offset <= chunkRange.low)) {
+                    throw Error(`PUT '${session.sessionUrl}' did not advance the committed offset of ${chunkRange.low} bytes, the server returned ${session.offset}`);
+                }
+            }), this.options, this.createRetryContext(transferPart, session.sessionUrl));
+            controller.notify(TransferEvents.TRANSFER_PROGRESS, this.name, transferPart, { transferBytes: session.offset });
+        }
+    }
+
+    /**
+     * Issue a ranged GET request to the source of the part
+     *
+     * The request is conditional on the version of the source, so all parts are
+     * guaranteed to come from the same version.
+     *
+     * @param {TransferPart} transferPart Part to transfer
+     * @param {SubRange} contentRange Range to request
+     * @param {AbortSignal} [signal] Signal that aborts the request, defaults to the abort signal of the transfer
+     * @returns {*} HTTP response, the body has the length of the range
+     */
+    async requestPart(transferPart, contentRange, signal = this.options.abortSignal) {
+        let response;
+        try {
+            response = await withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.GET, transferPart.source.url, () => streamGet(transferPart.source.url, {
+                headers: Object.assign({
+                    [HTTP.HEADER.RANGE]: `${HTTP.RANGE.BYTES}=${contentRange.low}-${contentRange.high}`,
+                    // the Content-Length has to match the range, which does not hold for encoded content
+                    [HTTP.HEADER.ACCEPT_ENCODING]: HTTP.ENCODING.IDENTITY
+                }, createConditionalHeaders(transferPart.transferAsset.version), transferPart.sourceHeaders),
+                signal,
+                compress: false,
+                ...this.options.requestOptions,
+            }));
+        } catch (error) {
+            this.recordRequestError(error);
+            // not retried, the source has to be transferred from scratch
+            if ((error instanceof HttpResponseError) && (error.status === HTTP.STATUS.PRECONDITION_FAILED)) {
+                throw new SourceChangedError(HTTP.METHOD.GET, transferPart.source.url, error.status);
+            }
+            throw error;
+        }
+        const contentLengthStr = response.headers.get(HTTP.HEADER.CONTENT_LENGTH);
+        const contentLength = Number.parseInt(contentLengthStr, 10);
+        if (!Number.isFinite(contentLength)) {
+            throw Error(`Server did not respond with a Content-Length header: ${contentLengthStr}`);
+        }
+        if ((response.status === HTTP.STATUS.OK) && (contentLength !== contentRange.length)) {
+            // the server ignored the range and sends the whole source, which is not read
+            if (response.body && response.body.destroy) {
+                response.body.destroy();
+            }
+            throw new RangeNotSupportedError(HTTP.METHOD.GET, transferPart.source.url, response.status);
+        }
+
+        // there have been cases where the server does not honor the range header.
+        // protect against accidentally reading a very large amount of data into memory, or
+        // writing it to the wrong location of the file. For example, if the server responds with
+        // an entire 1GB file even though we only requested a portion of that file, avoid reading
+        // the whole 1GB.
+        if (contentLength !== contentRange.length) {
+            throw Error(`Server does not seem to have respected Range header. Expected range ${contentRange.low}-${contentRange.high}, content length is ${contentLength}B`);
+        }
+        return response;
+    }
+
+    /**
+     * Verify the digest of a downloaded part against the digest returned by the server, if any.
+     * A mismatch is retried as the part is likely corrupted in transit.
+     *
+     * @param {TransferPart} transferPart Part that was downloaded
+     * @param {*} response HTTP response of the part
+     * @param {String} digest Base64 encoded digest of the downloaded part
+     */
+    verifyPartDigest(transferPart, response, digest) {
+        const expected = response.headers.get(this.checksum.header);
+        verifyDigest(HTTP.METHOD.GET, transferPart.source.url, this.checksum.algorithm, expected, digest);
+    }
+
+    /**
+     * Download a range of the source in to memory
+     *
+     * The request is retried according to the transfer options, together with writing the bytes
+     * when `writeBuffer` is passed.
+     *
+     * @param {TransferPart} transferPart Part to transfer
+     * @param {SubRange} contentRange Range to download
+     * @param {Function} [writeBuffer] Asynchronous function that writes the downloaded bytes
+     * @returns {Buffer} Downloaded bytes
+     */
+    async downloadPart(transferPart, contentRange, writeBuffer) {
+        return retry(async () => {
+            const buffer = await this.watchPart(HTTP.METHOD.GET, transferPart.source.url, async watchdog => {
+                const response = await this.requestPart(transferPart, contentRange, watchdog.signal);
+                logger.info("Converting stream to buffer to get response data");
+                const body = this.throttle(watchdog.monitor(response.body));
+                const buffer = await streamToBuffer(HTTP.METHOD.GET, transferPart.source.url, response.status, body, contentRange.length);
+                if (this.checksum) {
+                    this.verifyPartDigest(transferPart, response, digestBuffer(this.checksum.algorithm, buffer));
+                }
+                return buffer;
+            });
+            if (writeBuffer) {
+                await writeBuffer(buffer);
+            }
+            return buffer;
+        }, this.options, this.createRetryContext(transferPart, transferPart.source.url));
+    }
+
+    /**
+     * Download a range of the source directly to the target file
+     *
+     * The request is retried according to the transfer options.
+     *
+     * @param {TransferPart} transferPart Part to transfer
+     * @param {String|URL} targetUrl Target file url
+     * @param {SubRange} contentRange Range to download
+     */
+    async downloadPartToFile(transferPart, targetUrl, contentRange) {
+        const totalSize = transferPart.metadata.contentLength;
+        await retry(async () => this.watchPart(HTTP.METHOD.GET, transferPart.source.url, async watchdog => {
+            const response = await this.requestPart(transferPart, contentRange, watchdog.signal);
+            logger.info(`Streaming response data to file ${targetUrl} at position ${contentRange.low}`);
+            const writeStream = await this.randomFileAccess.createWriteStream(targetUrl, contentRange, totalSize);
+            const body = this.throttle(watchdog.monitor(response.body));
+            const getDigest = this.checksum && trackStreamDigest(this.checksum.algorithm, body);
+            await pipeStream(HTTP.METHOD.GET, transferPart.source.url, response.status, body, writeStream, contentRange.length);
+            if (getDigest) {
+                this.verifyPartDigest(transferPart, response, getDigest());
+            }
+        }), this.options, this.createRetryContext(transferPart, transferPart.source.url));
+    }
+
+    /**
+     * Download the whole source to the target file with a single request, for sources that
+     * do not support range requests
+     *
+     * The response is streamed to the file and the progress notified while it is written.
+     * The request is retried according to the transfer options, the part timeout does not apply.
+     *
+     * @param {TransferPart} transferPart Any part of the asset to download
+     * @param {String|URL} targetUrl Target file url
+     * @param {TransferController} controller Transfer controller
+     */
+    async streamAssetToFile(transferPart, targetUrl, controller) {
+        const totalSize = transferPart.metadata.contentLength;
+        const watchdogOptions = { ...this.options, partTimeout: undefined };
+        await retry(async () => PartWatchdog.watch(HTTP.METHOD.GET, transferPart.source.url, watchdogOptions, this.options && this.options.abortSignal, async watchdog => {
+            let response;
+            try {
+                response = await withCircuitBreaker(this.circuitBreaker, HTTP.METHOD.GET, transferPart.source.url, () => streamGet(transferPart.source.url, {
+                    headers: Object.assign({
+                        [HTTP.HEADER.ACCEPT_ENCODING]: HTTP.ENCODING.IDENTITY
+                    }, createConditionalHeaders(transferPart.transferAsset.version), transferPart.sourceHeaders),
+                    signal: watchdog.signal,
+                    compress: false,
+                    ...this.options.requestOptions,
+                }));
+            } catch (error) {
+                this.recordRequestError(error);
+                if ((error instanceof HttpResponseError) && (error.status === HTTP.STATUS.PRECONDITION_FAILED)) {
+                    throw new SourceChangedError(HTTP.METHOD.GET, transferPart.source.url, error.status);
+                }
+                throw error;
+            }
+            const contentLength = Number.parseInt(response.headers.get(HTTP.HEADER.CONTENT_LENGTH), 10);
+            if (Number.isFinite(contentLength) && (contentLength !== totalSize)) {
+                if (response.body && response.body.destroy) {
+                    response.body.destroy();
+                }
+                throw Error(`Unexpected content length of the whole source. Expected ${totalSize}B, content length is ${contentLength}B`);
+            }
+            logger.info(`Streaming whole response data to file ${targetUrl}`);
+            const writeStream = await this.randomFileAccess.createWriteStream(targetUrl, { low: 0 }, totalSize);
+            const body = this.throttle(watchdog.monitor(response.body));
+            const getDigest = this.checksum && trackStreamDigest(this.checksum.algorithm, body);
+            let transferBytes = 0;
+            let lastNotified = Date.now();
+            body.on("data", chunk => {
+                transferBytes += chunk.length;
+                if ((Date.now() - lastNotified) >= PROGRESS_INTERVAL) {
+                    lastNotified = Date.now();
+                    controller.notify(TransferEvents.TRANSFER_PROGRESS, this.name, transferPart, { transferBytes });
+                }
+            });
+            await pipeStream(HTTP.METHOD.GET, transferPart.source.url, response.status, body, writeStream, totalSize);
+            if (getDigest) {
+                this.verifyPartDigest(transferPart, response, getDigest());
+            }
+        }), this.options, this.createRetryContext(transferPart, transferPart.source.url));
+    }
+
+    /**
+     * Download a range of the source to the target file
+     *
+     * Falls back to downloading the whole source with a single request when the source does not
+     * support range requests, either known from its metadata or when it answers a range request
+     * with the whole source. That download is shared by all parts of the asset.
+     *
+     * @param {TransferPart} transferPart Part to transfer
+     * @param {String|URL} targetUrl Target file url
+     * @param {SubRange} contentRange Range to download
+     * @param {TransferController} controller Transfer controller
+     */
+    async downloadToFile(transferPart, targetUrl, contentRange, controller) {
+        const { transferAsset } = transferPart;
+        if (transferAsset.acceptRanges && !this.singleDownloads.has(transferAsset)) {
+            try {
+                if (this.streamParts) {
+                    logger.info("Target has protocol 'file', streaming part");
+                    await this.downloadPartToFile(transferPart, targetUrl, contentRange);
+                } else {
+                    logger.info("Target has protocol 'file'");
+                    checkMemoryBuffer(transferPart, contentRange);
+
+                    const totalSize = transferPart.metadata.contentLength;
+                    await this.downloadPart(transferPart, contentRange, buffer => this.randomFileAccess.write(targetUrl, contentRange, buffer, totalSize));
+                }
+                return;
+            } catch (error) {
+                if (!(error instanceof RangeNotSupportedError)) {
+                    throw error;
+                }
+                logger.info(`Source ${transferPart.source.url} ignored the range request, downloading it with a single request`);
+                transferAsset.acceptRanges = false;
+            }
+        }
+
+        let download = this.singleDownloads.get(transferAsset);
+        if (!download) {
+            logger.info(`Source ${transferPart.source.url} does not support range requests, streaming it to file ${targetUrl}`);
+            download = this.streamAssetToFile(transferPart, targetUrl, controller);
+            this.singleDownloads.set(transferAsset, download);
+        }
+        await download;
+    }
+
     /**
      * Transfer a part
      * 
@@ -82,13 +661,24 @@ class Transfer extends AsyncGeneratorFunction {
                 }
 
                 const contentRange = contentRanges[0];
-                if (contentRange.length > MAX_MEMORY_BUFFER) {
-                    throw Error(`'contentRange.length' too large, not supported yet: ${transferPart.source.url}`);
-                }
+                const partStartTime = Date.now();
 
                 logger.info(`Transferred content range: ${contentRange}`);
-                if (isFileProtocol(transferPart.source.url) && targetUrl) {
+                if (transferAsset.resumableSession && (isFileProtocol(transferPart.source.url) || transferPart.source.blob)) {
+                    logger.info("Target is a resumable upload session, uploading chunks in sequence");
+                    await this.uploadResumable(transferPart, controller);
+                } else if (isFileProtocol(transferPart.source.url) && targetUrl && this.streamParts) {
+                    logger.info("Source has protocol 'file', streaming part");
+
+                    // the part is read twice when a checksum is needed, the digest is sent before the data
+                    const digest = this.checksum && await digestStream(this.checksum.algorithm,
+                        await this.randomFileAccess.createReadStream(transferPart.source.url, contentRange));
+                    await this.uploadPart(transferPart, targetUrl, contentRange, async () => {
+                        return this.randomFileAccess.createReadStream(transferPart.source.url, contentRange);
+                    }, digest);
+                } else if (isFileProtocol(transferPart.source.url) && targetUrl) {
                     logger.info("Source has protocol 'file'");
+                    checkMemoryBuffer(transferPart, contentRange);
 
                     const buf = await this.randomFileAccess.read(transferPart.source.url, contentRange);
 
@@ -106,91 +696,32 @@ class Transfer extends AsyncGeneratorFunction {
                         }
                     }
 
-                    await retry(async () => {
-                        const body = this.requestGenerator.createPartHttpBody({
-                            transferPart,
-                            partData: buf,
-                            contentRange
-                        });
-                        const requestOptions = {
-                            body,
-                            timeout: this.options && this.options.timeout,
-                            headers: Object.assign(
-                                this.requestGenerator.createPartHttpHeaders({
-                                    transferPart,
-                                    httpBody: body,
-                                    contentRange
-                                }),
-                                transferPart.targetHeaders
-                            ),
-                            ...this.options.requestOptions
-                        };
-                        // to stay backwards compatible, AEMmultiPart upload supports methods `POST` instead of `PUT`
-                        if (this.options && this.options.method) {
-                            requestOptions.method = this.options.method;
-                        }
-                        await issuePut(targetUrl, requestOptions);
-                    }, this.options);
+                    const digest = this.checksum && digestBuffer(this.checksum.algorithm, buf);
+                    await this.uploadPart(transferPart, targetUrl, contentRange, async () => buf, digest);
                 } else if (transferPart.source.blob && targetUrl) {
                     logger.info(`Source is blob, transferring ranges low ${contentRange.low}, to high ${contentRange.high}`);
-                    const blob = transferPart.source.blob.slice(contentRange.low, contentRange.high + 1);
-                    await retry(async () => {
-                        const body = this.requestGenerator.createPartHttpBody({
-                            transferPart,
-                            partData: blob,
-                            contentRange
-                        });
-                        const requestOptions = {
-                            body,
-                            timeout: this.options && this.options.timeout,
-                            headers: Object.assign(
-                                this.requestGenerator.createPartHttpHeaders({
-                                    transferPart,
-                                    httpBody: body,
-                                    contentRange
-                                }),
-                                transferPart.targetHeaders
-                            ),
-                            ...this.options.requestOptions
-                        };
-                        // to stay backwards compatible, AEMmultiPart upload supports methods `POST` instead of `PUT`
-                        if (this.options && this.options.method) {
-                            requestOptions.method = this.options.method;
-                        }
-                        await issuePut(targetUrl, requestOptions);
-                    }, this.options);
-                } else if (targetUrl && isFileProtocol(targetUrl) && transferPart.source.url) {
-                    logger.info("Target has protocol 'file'");
-
-                    await retry(async () => {
-                        const totalSize = transferPart.metadata.contentLength;
-                        const response = await streamGet(transferPart.source.url, {
-                            headers: Object.assign({
-                                [HTTP.HEADER.RANGE]: `${HTTP.RANGE.BYTES}=${contentRange.low}-${contentRange.high}`
-                            }, transferPart.sourceHeaders),
-                            ...this.options.requestOptions,
-                        });
-                        const contentLengthStr = response.headers.get(HTTP.HEADER.CONTENT_LENGTH);
-                        const contentLength = Number.parseInt(contentLengthStr, 10);
-                        if (!Number.isFinite(contentLength)) {
-                            throw Error(`Server did not respond with a Content-Length header: ${contentLengthStr}`);
-                        }
+                    checkMemoryBuffer(transferPart, contentRange);
 
-                        // there have been cases where the server does not honor the range header.
-                        // since we'll be reading the entire response into memory, protect against accidentally
-                        // reading a very large amount of data into memory. For example, if the server responds with
-                        // an entire 1GB file even though we only requested a portion of that file, avoid reading
-                        // the whole 1GB into memory.
-                        if (contentLength !== contentRange.length) {
-                            throw Error(`Server does not seem to have respected Range header. Expected range ${contentRange.low}-${contentRange.high}, content length is ${contentLength}B`);
-                        }
+                    const blob = await sliceBlob(transferPart.source.blob, contentRange);
+                    const digest = this.checksum && await digestBlob(this.checksum.algorithm, blob);
+                    await this.uploadPart(transferPart, targetUrl, contentRange, async () => blob, digest);
+                } else if (targetUrl && isFileProtocol(targetUrl) && transferPart.source.url) {
+                    await this.downloadToFile(transferPart, targetUrl, contentRange, controller);
+                } else if (targetUrl && isValidWebUrl(targetUrl) && isValidWebUrl(transferPart.source.url)) {
+                    logger.info(`Source and target are http/https, copying range low ${contentRange.low}, to high ${contentRange.high}`);
+                    checkMemoryBuffer(transferPart, contentRange);
 
-                        logger.info("Converting stream to buffer to get response data");
-                        const buffer = await streamToBuffer(HTTP.METHOD.GET, transferPart.source.url, response.status, response.body, contentLength);
-                        await this.randomFileAccess.write(targetUrl, contentRange, buffer, totalSize);
-                    }, this.options);
+                    // the part is downloaded once, a failure to upload only retries the upload
+                    const buffer = await this.downloadPart(transferPart, contentRange);
+                    const digest = this.checksum && digestBuffer(this.checksum.algorithm, buffer);
+                    await this.uploadPart(transferPart, targetUrl, contentRange, async () => buffer, digest);
+                } else {
+                    throw Error(`Unsupported transfer from '${transferPart.source.url}' to '${transferPart.targetUrls}'`);
                 }
 
+                if (this.adaptiveConcurrency) {
+                    this.adaptiveConcurrency.recordPart(Date.now() - partStartTime, contentRange.length);
+                }
                 controller.notify(TransferEvents.AFTER_TRANSFER, this.name, transferPart);
                 yield transferPart;
             } catch (error) {
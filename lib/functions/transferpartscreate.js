@@ -22,6 +22,43 @@ const { TransferEvents } = require("../controller/transfercontroller");
 
 const DEFAULT_FILE_TARGET_PART_SIZE = 10485760;
 
+/**
+ * Generate the part ranges that still need to be transferred, ranges completed in an earlier
+ * attempt are skipped. If all parts completed earlier, the last part is generated again
+ * so the transfer asset is still joined and completed.
+ * 
+ * @generator
+ * @param {Number} contentLength Content length
+ * @param {Number} partSize Part size
+ * @param {DRange} [completedRanges] Ranges completed in an earlier attempt
+ * @param {Boolean} [splitParts=false] True if partially completed parts are split in their missing ranges,
+ *  false if they are transferred again as a whole
+ * @yields {{index: Number, range: DRange}} Index of the part and range to transfer
+ */
+function* generateMissingPartRanges(contentLength, partSize, completedRanges, splitParts = false) {
+    let index = 0;
+    let lastPart;
+    let generated = false;
+    for (const range of generatePartRanges(contentLength, partSize)) {
+        const missing = completedRanges ? range.clone().subtract(completedRanges) : range;
+        if (missing.length === 0) {
+            lastPart = { index, range };
+        } else if (splitParts) {
+            for (const { low, high } of missing.subranges()) {
+                yield { index, range: new DRange(low, high) };
+            }
+            generated = true;
+        } else {
+            yield { index, range };
+            generated = true;
+        }
+        ++index;
+    }
+    if (!generated && lastPart) {
+        yield lastPart;
+    }
+}
+
 /**
  * @typedef {Object} CreateTransferPartsOptions
  * @property {Number} [preferredPartSize] Preferred part size, defaults to 10MB when the target is a file:// url
@@ -34,6 +71,8 @@ const DEFAULT_FILE_TARGET_PART_SIZE = 10485760;
  * - Multi-part targets where the transfer asset has multipartTarget
  * - File targets which allow random-access writes
  * 
+ * If the transfer asset has completed ranges from an earlier attempt, only the missing parts are created.
+ * 
  * If the source does not support range requests, or the target is not a multi-part target or file it
  * will default in a single part transfer.
  */
@@ -68,11 +107,16 @@ class CreateTransferParts extends AsyncGeneratorFunction {
 
                 const contentLength = transferAsset.metadata.contentLength;
                 if (transferAsset.acceptRanges && transferAsset.multipartTarget) {
-                    const { targetUrls, minPartSize, maxPartSize, headers: targetHeaders } = transferAsset.multipartTarget;
-                    const partSize = calculatePartSize(targetUrls.length, contentLength, minPartSize, maxPartSize, this.preferredPartSize);
+                    const { multipartTarget } = transferAsset;
+                    const { targetUrls, minPartSize, maxPartSize, headers: targetHeaders } = multipartTarget;
+                    // a resumed upload keeps the part size of the earlier attempt, the completed ranges refer to its parts
+                    if (!multipartTarget.partSize) {
+                        multipartTarget.partSize = calculatePartSize(targetUrls.length, contentLength, minPartSize, maxPartSize, this.preferredPartSize);
+                    }
+                    const { partSize } = multipartTarget;
                     let idx = 0;
-                    for (const range of generatePartRanges(contentLength, partSize)) {
-                        const transferPart = new TransferPart(transferAsset, [targetUrls[idx]], range, targetHeaders);
+                    for (const { index, range } of generateMissingPartRanges(contentLength, partSize, transferAsset.completedRanges)) {
+                        const transferPart = new TransferPart(transferAsset, [targetUrls[index]], range, targetHeaders);
                         controller.notify(TransferEvents.AFTER_CREATE_TRANSFER_PARTS, this.name, transferPart);
                         yield transferPart;
                         ++idx;
@@ -82,7 +126,7 @@ class CreateTransferParts extends AsyncGeneratorFunction {
                     const targetUrls = [transferAsset.target.url];
                     const partSize = this.preferredPartSize || DEFAULT_FILE_TARGET_PART_SIZE;
                     let idx = 0;
-                    for (const range of generatePartRanges(contentLength, partSize)) {
+                    for (const { range } of generateMissingPartRanges(contentLength, partSize, transferAsset.completedRanges, true)) {
                         const transferPart = new TransferPart(transferAsset, targetUrls, range, transferAsset.target.headers);
                         controller.notify(TransferEvents.AFTER_CREATE_TRANSFER_PARTS, this.name, transferPart);
                         yield transferPart;
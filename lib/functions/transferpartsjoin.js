@@ -15,6 +15,8 @@
 const { AsyncGeneratorFunction } = require("../generator/function");
 const DRange = require("drange");
 const { TransferEvents } = require("../controller/transfercontroller");
+const { HTTP } = require("../constants");
+const { digestTransferAsset, getChecksumOptions, verifyDigest } = require("../checksum");
 
 /**
  * Check if all parts have completed
@@ -35,13 +37,32 @@ function isComplete(finishedParts, contentLength) {
 class JoinTransferParts extends AsyncGeneratorFunction {
     /**
      * Construct the JoinTransferParts function.
+     * 
+     * @param {Object} [options] Options
+     * @param {String} [options.checksumAlgorithm] Compute the md5, sha1 or sha256 digest of completed assets with a
+     *  local source or target, and verify it against the expected digest of the asset
      */
-    constructor() {
+    constructor(options) {
         super();
+        this.checksum = getChecksumOptions(options);
         this.trackedAssets = new Map();
         this.totalTransferredBytes = 0;
     }
 
+    /**
+     * Compute the digest of a completed transfer asset and verify it against its expected digest
+     * 
+     * @param {TransferAsset} transferAsset Completed transfer asset
+     */
+    async computeDigest(transferAsset) {
+        const { algorithm } = this.checksum;
+        const value = await digestTransferAsset(algorithm, transferAsset);
+        if (value) {
+            transferAsset.digest = { algorithm, value };
+            verifyDigest(HTTP.METHOD.GET, transferAsset.source.url, algorithm, transferAsset.expectedDigest, value);
+        }
+    }
+
     /**
      * Track progress and completion
      * 
@@ -60,8 +81,9 @@ class JoinTransferParts extends AsyncGeneratorFunction {
                 // find/create a record for all transferred parts
                 let trackedAsset = this.trackedAssets.get(transferAsset);
                 if (!trackedAsset) {
+                    // a resumed transfer starts with the ranges completed in an earlier attempt
                     trackedAsset = {
-                        completedRanges: new DRange()
+                        completedRanges: transferAsset.completedRanges ? transferAsset.completedRanges.clone() : new DRange()
                     };
                     this.trackedAssets.set(transferAsset, trackedAsset);
                 }
@@ -70,6 +92,11 @@ class JoinTransferParts extends AsyncGeneratorFunction {
                 const { completedRanges } = trackedAsset;
                 completedRanges.add(transferPart.contentRange);
                 this.totalTransferredBytes += transferPart.contentRange.length;
+                transferAsset.completedRanges = completedRanges.clone();
+                if (transferAsset.journal) {
+                    transferAsset.journal.completedRanges = transferAsset.completedRanges;
+                    await transferAsset.journal.save();
+                }
                 controller.notify(TransferEvents.JOIN_TRANSFER_PARTS, this.name, transferPart, {
                     transferBytes: completedRanges.length,
                     totalTransferredBytes: this.totalTransferredBytes
@@ -80,6 +107,12 @@ class JoinTransferParts extends AsyncGeneratorFunction {
                 if (isComplete(completedRanges, contentLength)) {
                     transferAsset.transferEndTime = Date.now();
                     this.trackedAssets.delete(transferAsset);
+                    if (transferAsset.journal) {
+                        await transferAsset.journal.remove();
+                    }
+                    if (this.checksum) {
+                        await this.computeDigest(transferAsset);
+                    }
                     controller.notify(TransferEvents.AFTER_JOIN_TRANSFER_PARTS, this.name, transferAsset);
                     yield transferAsset;
                 }
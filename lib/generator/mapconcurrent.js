@@ -92,6 +92,7 @@ async function executeBatch(mapFunction, values, args) {
  * @typedef {Object} MapConcurrentOptions
  * @property {Number} [maxBatchLength=1] Maximum batch length
  * @property {Number} [maxConcurrent=1] Maximum concurrency (defaults to no concurrency)
+ * @property {AdaptiveConcurrency} [adaptiveConcurrency] Adjusts the concurrency while mapping, overrides `maxConcurrent`
  * @property {Boolean} [ordered=false] Map the items out of input concurrently while keeping the results in the same order
  */
 
@@ -107,6 +108,9 @@ async function executeBatch(mapFunction, values, args) {
  * Increasing `maxConcurrent` will result in items to be executed concurrently by invoking the providing function concurrently,
  * this works together with `maxBatchLength` where concurrent batches can be processed.
  * 
+ * Passing `adaptiveConcurrency` lets the concurrency grow and shrink while mapping. The level is checked before each
+ * batch is started, batches in progress are allowed to finish when it shrinks.
+ * 
  * By default the mapping is unordered, so the first result is returned once available. Setting `ordered` to `true` will 
  * ensure the results are in the same order as the input.
  */
@@ -123,6 +127,16 @@ class MapConcurrent extends AsyncGeneratorFunction {
         this.maxBatchLength = Math.max((options && options.maxBatchLength) || 1, 1);
         this.maxConcurrent = Math.max((options && options.maxConcurrent) || 1, 1);
         this.ordered = !!(options && options.ordered);
+        this.adaptiveConcurrency = options && options.adaptiveConcurrency;
+    }
+
+    /**
+     * Current concurrency
+     * 
+     * @returns {Number} Number of batches that may be processed concurrently
+     */
+    get concurrency() {
+        return this.adaptiveConcurrency ? this.adaptiveConcurrency.concurrency : this.maxConcurrent;
     }
 
     /**
@@ -140,7 +154,7 @@ class MapConcurrent extends AsyncGeneratorFunction {
             if (checkAddBatch(this.mapFunction, batch, item, this.maxBatchLength)) {
                 batch.push(item);
             } else {
-                while (pending.length >= this.maxConcurrent) {
+                while (pending.length >= this.concurrency) {
                     yield* await waitResult(pending, this.ordered);
                 }
                 pending.push(executeBatch(this.mapFunction, batch, args));
@@ -150,7 +164,7 @@ class MapConcurrent extends AsyncGeneratorFunction {
 
         while ((batch.length > 0) || (pending.length > 0)) {
             // execute the remainder batch
-            if ((batch.length > 0) && (pending.length < this.maxConcurrent)) {
+            if ((batch.length > 0) && (pending.length < this.concurrency)) {
                 pending.push(executeBatch(this.mapFunction, batch, args));
                 batch = [];
             }
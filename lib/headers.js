@@ -27,6 +27,8 @@ async function getHeaders(url, options={}) {
     const fetchOptions = {
         timeout: timeoutValue,
         headers: { ...options.headers },
+        signal: options.abortSignal,
+        proxy: options.proxy,
         ...requestOptions
     };
 
@@ -224,8 +226,11 @@ function parseResourceHeaders(headers) {
  * @property {Number} [retryMax=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  * @property {Object} requestOptions Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Proxy to send the request through, defaults to the
+ *  `HTTP_PROXY`/`HTTPS_PROXY` environment variables. Pass `false` to ignore them.
  */
 /**
  * Retrieve content information
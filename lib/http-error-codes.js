@@ -70,5 +70,25 @@ module.exports = {
     /**
      * Too many requests in a given amount of time.
      */
-    TOO_MANY_REQUESTS: 'ETOOMANYREQUESTS'
+    TOO_MANY_REQUESTS: 'ETOOMANYREQUESTS',
+
+    /**
+     * The source changed while it was being transferred.
+     */
+    SOURCE_CHANGED: 'ESOURCECHANGED',
+
+    /**
+     * The checksum of transferred content does not match the expected checksum.
+     */
+    CHECKSUM_MISMATCH: 'ECHECKSUMMISMATCH',
+
+    /**
+     * Requests to the host are failing, the request was not sent.
+     */
+    CIRCUIT_OPEN: 'ECIRCUITOPEN',
+
+    /**
+     * A part took longer than the part timeout, or was transferred below the minimum rate.
+     */
+    PART_STALLED: 'EPARTSTALLED'
 };
\ No newline at end of file
@@ -12,17 +12,25 @@
 
 'use strict';
 
-const { downloadStream, uploadStream, transferStream } = require('./stream');
+const { downloadStream, uploadStream, uploadStreamConcurrently, transferStream } = require('./stream');
 const { downloadFile, uploadFile, downloadFileConcurrently, uploadFileConcurrently, uploadMultiPartFileConcurrently, uploadFilesConcurrently } = require('./file');
 const { uploadAEMMultipartFile } = require('./aemmultipart');
 const { getResourceHeaders } = require('./headers');
+const { setFetch, createNativeFetch } = require('./fetch');
 const { AEMUpload } = require("./aem/aemupload");
 const { AEMDownload } = require("./aem/aemdownload");
 const { BlockUpload } = require("./block/blockupload");
 const { BlockDownload } = require("./block/blockdownload");
+const { BlockTransfer } = require("./block/blocktransfer");
+const { TusUpload } = require("./tus/tusupload");
+const { RateLimiter } = require("./ratelimiter");
+const { AdaptiveConcurrency } = require("./adaptiveconcurrency");
+const { CircuitBreaker } = require("./circuitbreaker");
+const { RetryPolicy, RetryPhase, RetryJitter } = require("./retrypolicy");
+const { AgentPool } = require("./agentpool");
 
 module.exports = {
-    downloadStream, uploadStream, transferStream,
+    downloadStream, uploadStream, uploadStreamConcurrently, transferStream,
     downloadFile, 
     downloadFileConcurrently,
     uploadFile,
@@ -31,8 +39,19 @@ module.exports = {
     uploadFilesConcurrently,
     uploadAEMMultipartFile,
     getResourceHeaders,
+    setFetch,
+    createNativeFetch,
     AEMUpload,
     AEMDownload,
     BlockUpload,
-    BlockDownload
+    BlockDownload,
+    BlockTransfer,
+    TusUpload,
+    RateLimiter,
+    AdaptiveConcurrency,
+    CircuitBreaker,
+    RetryPolicy,
+    RetryPhase,
+    RetryJitter,
+    AgentPool
 };
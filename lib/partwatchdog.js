@@ -0,0 +1,265 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const EventEmitter = require("events");
+const { Transform, pipeline } = require("stream");
+const logger = require("./logger");
+const { IllegalArgumentError, PartStalledError } = require("./error");
+const { bufferToStream } = require("./util");
+
+const DEFAULT_MIN_BYTES_PER_SECOND_WINDOW = 10000;
+
+/**
+ * @typedef {Object} PartWatchdogOptions
+ * @property {Number} [partTimeout] Maximum time in milliseconds an attempt to transfer a part may take,
+ *  from sending the request until the body is fully sent or received
+ * @property {Number} [minBytesPerSecond] Minimum transfer rate of a part body, the attempt is aborted
+ *  when the rate stays below it for `minBytesPerSecondWindow`
+ * @property {Number} [minBytesPerSecondWindow=10000] Time in milliseconds over which the transfer rate is measured
+ */
+
+/**
+ * Minimal abort controller, used when the runtime does not provide one
+ */
+class WatchdogAbortController {
+    constructor() {
+        const emitter = new EventEmitter();
+        this.signal = {
+            aborted: false,
+            addEventListener: (name, listener) => emitter.on(name, listener),
+            removeEventListener: (name, listener) => emitter.removeListener(name, listener)
+        };
+        this.emitter = emitter;
+    }
+
+    abort() {
+        if (!this.signal.aborted) {
+            this.signal.aborted = true;
+            this.emitter.emit("abort");
+        }
+    }
+}
+
+/**
+ * Create an abort controller
+ *
+ * @returns {AbortController} Native abort controller if available
+ */
+function createAbortController() {
+    // eslint-disable-next-line no-undef
+    if (typeof AbortController !== "undefined") {
+        // eslint-disable-next-line no-undef
+        return new AbortController();
+    }
+    return new WatchdogAbortController();
+}
+
+/**
+ * Validate an optional positive number option
+ *
+ * @param {String} name Option name
+ * @param {Number} [value] Option value
+ */
+function checkPositive(name, value) {
+    if ((value !== undefined) && !(Number.isFinite(value) && value > 0)) {
+        throw new IllegalArgumentError(`'${name}' must be a positive number`, value);
+    }
+}
+
+/**
+ * Watches a single attempt to transfer a part, and aborts it when it takes longer than
+ * the part timeout or when its body stalls.
+ *
+ * This is different from the socket `timeout`, which only fires when no data at all is
+ * received: a part that trickles in a few bytes at a time never hits the socket timeout.
+ * The aborted attempt fails with a `PartStalledError`, which is retried like any other
+ * stream error.
+ */
+class PartWatchdog {
+    /**
+     * Start watching a part transfer attempt
+     *
+     * @param {String} method HTTP method of the request
+     * @param {String|URL} url URL of the request
+     * @param {PartWatchdogOptions} [options] Watchdog options, nothing is watched if neither limit is set
+     * @param {AbortSignal} [parentSignal] Signal that cancels the transfer, aborts the attempt as well
+     */
+    constructor(method, url, options = {}, parentSignal) {
+        const { partTimeout, minBytesPerSecond } = options;
+        const window = options.minBytesPerSecondWindow || DEFAULT_MIN_BYTES_PER_SECOND_WINDOW;
+        checkPositive("partTimeout", partTimeout);
+        checkPositive("minBytesPerSecond", minBytesPerSecond);
+        checkPositive("minBytesPerSecondWindow", window);
+
+        this.method = method;
+        this.url = url;
+        this.partTimeout = partTimeout;
+        this.minBytesPerSecond = minBytesPerSecond;
+        this.window = window;
+        this.parentSignal = parentSignal;
+        this.error = undefined;
+        this.bytes = 0;
+        this.enabled = !!(partTimeout || minBytesPerSecond);
+        if (!this.enabled) {
+            return;
+        }
+
+        this.controller = createAbortController();
+        this.onParentAbort = () => this.controller.abort();
+        if (parentSignal && parentSignal.aborted) {
+            this.controller.abort();
+        } else if (parentSignal) {
+            parentSignal.addEventListener("abort", this.onParentAbort);
+        }
+        if (partTimeout) {
+            this.timer = setTimeout(() => {
+                this.fire(`part did not complete within ${partTimeout}ms`);
+            }, partTimeout);
+        }
+    }
+
+    /**
+     * Signal to pass to the request, aborted when the watchdog fires or the transfer is cancelled
+     *
+     * @returns {AbortSignal} Abort signal
+     */
+    get signal() {
+        return this.enabled ? this.controller.signal : this.parentSignal;
+    }
+
+    /**
+     * Abort the attempt
+     *
+     * @param {String} reason Why the attempt was aborted
+     */
+    fire(reason) {
+        if (!this.error && !this.controller.signal.aborted) {
+            logger.warn(`${this.method} '${this.url}' aborted: ${reason}`);
+            this.error = new PartStalledError(this.method, this.url, reason);
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Check the transfer rate of the last window
+     */
+    checkRate() {
+        const bytes = this.bytes - this.windowStartBytes;
+        this.windowStartBytes = this.bytes;
+        const rate = Math.round(bytes * 1000 / this.window);
+        if (rate < this.minBytesPerSecond) {
+            this.fire(`transfer rate ${rate} bytes/s below ${this.minBytesPerSecond} bytes/s for ${this.window}ms`);
+        }
+    }
+
+    /**
+     * Count the bytes flowing through a body stream. The transfer rate is only checked while
+     * the body flows, waiting for the response headers is covered by the part timeout.
+     *
+     * @param {Readable} stream Request or response body, errors are forwarded to the returned stream
+     * @returns {Readable} Monitored stream
+     */
+    monitor(stream) {
+        if (!this.minBytesPerSecond) {
+            return stream;
+        }
+        const watchdog = this;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                watchdog.bytes += chunk.length;
+                callback(null, chunk);
+            },
+            flush(callback) {
+                watchdog.stopRateCheck();
+                callback();
+            }
+        });
+        this.stopRateCheck();
+        this.windowStartBytes = this.bytes;
+        this.interval = setInterval(() => this.checkRate(), this.window);
+        // pipeline of Node.js 10 destroys the streams without the error, forward it explicitly
+        stream.on("error", error => counter.destroy(error));
+        return pipeline(stream, counter, () => this.stopRateCheck());
+    }
+
+    /**
+     * Monitor the body of an upload request
+     *
+     * @param {Buffer|Blob|Readable} body Request body
+     * @returns {Buffer|Blob|Readable} Monitored request body, buffers are sent as a stream so their
+     *  progress can be measured, blobs are only covered by the part timeout
+     */
+    monitorBody(body) {
+        if (!this.minBytesPerSecond) {
+            return body;
+        } else if (Buffer.isBuffer(body)) {
+            return this.monitor(bufferToStream(body));
+        } else if (body && typeof body.pipe === "function") {
+            return this.monitor(body);
+        }
+        return body;
+    }
+
+    /**
+     * Stop checking the transfer rate
+     */
+    stopRateCheck() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = undefined;
+        }
+    }
+
+    /**
+     * Stop watching the attempt, must be called when the attempt completes or fails
+     */
+    stop() {
+        if (!this.enabled) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.stopRateCheck();
+        if (this.parentSignal) {
+            this.parentSignal.removeEventListener("abort", this.onParentAbort);
+        }
+    }
+
+    /**
+     * Run an attempt to transfer a part under a new watchdog
+     *
+     * @param {String} method HTTP method of the request
+     * @param {String|URL} url URL of the request
+     * @param {PartWatchdogOptions} [options] Watchdog options
+     * @param {AbortSignal} [parentSignal] Signal that cancels the transfer
+     * @param {Function} asyncFunc Asynchronous function receiving the watchdog
+     * @returns {*} Result of the function
+     * @throws {PartStalledError} If the watchdog aborted the attempt
+     */
+    static async watch(method, url, options, parentSignal, asyncFunc) {
+        const watchdog = new PartWatchdog(method, url, options, parentSignal);
+        try {
+            return await asyncFunc(watchdog);
+        } catch (error) {
+            throw watchdog.error || error;
+        } finally {
+            watchdog.stop();
+        }
+    }
+}
+
+module.exports = {
+    PartWatchdog,
+    createAbortController
+};
@@ -0,0 +1,324 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const tls = require("tls");
+const logger = require("./logger");
+const { IllegalArgumentError } = require("./error");
+
+// largest CONNECT response head accepted from a proxy
+const MAX_CONNECT_RESPONSE_SIZE = 16 * 1024;
+
+const DEFAULT_PORTS = {
+    "http:": "80",
+    "https:": "443"
+};
+
+/**
+ * @typedef {Object} ProxyOptions
+ * @property {String|URL} [url] Proxy url, e.g. `http://proxy.example.com:3128`, defaults to the `HTTP_PROXY`
+ *  or `HTTPS_PROXY` environment variable
+ * @property {String} [username] Username for basic authentication with the proxy, overrides the url
+ * @property {String} [password] Password for basic authentication with the proxy, overrides the url
+ * @property {String} [noProxy] Comma separated hosts that are not proxied, defaults to the `NO_PROXY` environment variable
+ */
+
+/**
+ * Read an environment variable, the lower case variant takes precedence
+ *
+ * @param {Object} env Environment variables
+ * @param {String} name Upper case name of the variable
+ * @returns {String} Value, undefined if not set
+ */
+function getEnv(env, name) {
+    return env[name.toLowerCase()] || env[name] || undefined;
+}
+
+/**
+ * Check whether a host matches the NO_PROXY list. Entries match the host and its
+ * subdomains (`example.com`, `.example.com` and `*.example.com` all match
+ * `www.example.com`), optionally limited to a port (`example.com:8080`). A single
+ * `*` disables the proxy for all hosts.
+ *
+ * @param {URL} url Request url
+ * @param {String} [noProxy] Comma or space separated list of hosts
+ * @returns {Boolean} True if the request must not be proxied
+ */
+function matchesNoProxy(url, noProxy) {
+    if (!noProxy) {
+        return false;
+    }
+    const hostname = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+    const port = url.port || DEFAULT_PORTS[url.protocol];
+    return noProxy.split(/[\s,]+/).some(entry => {
+        if (!entry) {
+            return false;
+        } else if (entry === "*") {
+            return true;
+        }
+        const [, entryHost, entryPort] = entry.toLowerCase().match(/^\[(.*)\](?::(\d+))?$/) ||
+            entry.toLowerCase().match(/^([^:]+)(?::(\d+))?$/) ||
+            [entry, entry.toLowerCase()];
+        if (entryPort && entryPort !== port) {
+            return false;
+        }
+        const domain = entryHost.replace(/^\*?\./, "");
+        return (hostname === domain) || hostname.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * Parse a proxy url, urls without a protocol are assumed to be http
+ *
+ * @param {String|URL} proxyUrl Proxy url
+ * @returns {URL} Parsed proxy url
+ */
+function parseProxyUrl(proxyUrl) {
+    const value = String(proxyUrl);
+    try {
+        const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+        if (url.protocol !== "http:" && url.protocol !== "https:") {
+            throw new IllegalArgumentError("Proxy protocol must be http or https", url.protocol);
+        }
+        return url;
+    } catch (e) {
+        if (e instanceof IllegalArgumentError) {
+            throw e;
+        }
+        throw new IllegalArgumentError("Invalid proxy url", value);
+    }
+}
+
+/**
+ * Resolve the proxy to use for a request
+ *
+ * @param {String|URL} url Request url
+ * @param {Boolean|String|URL|ProxyOptions} [proxy] Proxy option, `false` disables the proxy, undefined
+ *  uses the `HTTP_PROXY` or `HTTPS_PROXY` environment variable
+ * @param {Object} [env=process.env] Environment variables
+ * @returns {{url: URL, authorization: String}} Proxy, undefined if the request is not proxied
+ */
+function getProxyForUrl(url, proxy, env = process.env) {
+    if (proxy === false || proxy === null) {
+        return undefined;
+    }
+    const target = new URL(url);
+    if (target.protocol !== "http:" && target.protocol !== "https:") {
+        return undefined;
+    }
+
+    const options = (proxy && (typeof proxy === "object") && !(proxy instanceof URL)) ? proxy : {};
+    const envProxyUrl = getEnv(env, target.protocol === "https:" ? "HTTPS_PROXY" : "HTTP_PROXY");
+    const proxyUrl = (proxy === options) ? (options.url || envProxyUrl) : (proxy || envProxyUrl);
+    const noProxy = (options.noProxy !== undefined) ? options.noProxy : getEnv(env, "NO_PROXY");
+    if (!proxyUrl || matchesNoProxy(target, noProxy)) {
+        return undefined;
+    }
+
+    const parsed = parseProxyUrl(proxyUrl);
+    const username = (options.username !== undefined) ? options.username : decodeURIComponent(parsed.username);
+    const password = (options.password !== undefined) ? options.password : decodeURIComponent(parsed.password);
+    parsed.username = "";
+    parsed.password = "";
+    return {
+        url: parsed,
+        authorization: (username || password)
+            ? `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`
+            : undefined
+    };
+}
+
+/**
+ * Open a socket to the proxy, using TLS for https proxies
+ *
+ * @param {URL} proxyUrl Proxy url
+ * @returns {net.Socket} Socket connected to the proxy
+ */
+function connectToProxy(proxyUrl) {
+    const host = proxyUrl.hostname.replace(/^\[(.*)\]$/, "$1");
+    const port = Number(proxyUrl.port || DEFAULT_PORTS[proxyUrl.protocol]);
+    if (proxyUrl.protocol === "https:") {
+        return tls.connect({ host, port, servername: net.isIP(host) ? undefined : host });
+    }
+    return net.connect({ host, port });
+}
+
+/**
+ * Agent that sends http requests to the proxy, with the absolute request url as the path
+ */
+class HttpProxyAgent extends http.Agent {
+    /**
+     * @param {{url: URL, authorization: String}} proxy Proxy
+     * @param {Object} [options] Agent options
+     */
+    constructor(proxy, options) {
+        super(options);
+        this.proxy = proxy;
+    }
+
+    addRequest(req, options) {
+        const port = options.port && String(options.port) !== DEFAULT_PORTS["http:"] ? `:${options.port}` : "";
+        req.path = `http://${options.host}${port}${req.path}`;
+        if (this.proxy.authorization) {
+            req.setHeader("Proxy-Authorization", this.proxy.authorization);
+        }
+        super.addRequest(req, options);
+    }
+
+    createConnection() {
+        return connectToProxy(this.proxy.url);
+    }
+}
+
+/**
+ * Open a tunnel to the target through the proxy with a CONNECT request
+ *
+ * @param {{url: URL, authorization: String}} proxy Proxy
+ * @param {String} host Target host
+ * @param {Number} port Target port
+ * @param {Function} callback Called with an error, or the socket of the tunnel
+ */
+function connectTunnel(proxy, host, port, callback) {
+    const socket = connectToProxy(proxy.url);
+    const authority = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+    let response = Buffer.alloc(0);
+
+    function cleanup() {
+        socket.removeListener("data", onData);
+        socket.removeListener("error", onError);
+        socket.removeListener("end", onEnd);
+    }
+    function fail(error) {
+        cleanup();
+        socket.destroy();
+        callback(error);
+    }
+    function onError(error) {
+        fail(error);
+    }
+    function onEnd() {
+        fail(new Error(`Proxy ${proxy.url.host} closed the connection before responding to CONNECT ${authority}`));
+    }
+    function onData(chunk) {
+        response = Buffer.concat([response, chunk]);
+        const end = response.indexOf("\r\n\r\n");
+        if (end < 0) {
+            if (response.length > MAX_CONNECT_RESPONSE_SIZE) {
+                fail(new Error(`Proxy ${proxy.url.host} sent an invalid response to CONNECT ${authority}`));
+            }
+            return;
+        }
+        const statusLine = response.slice(0, response.indexOf("\r\n")).toString();
+        const status = Number(statusLine.split(" ")[1]);
+        if (status !== 200) {
+            fail(new Error(`Proxy ${proxy.url.host} refused CONNECT ${authority}: ${statusLine}`));
+            return;
+        }
+        cleanup();
+        callback(null, socket);
+    }
+
+    socket.on("data", onData);
+    socket.on("error", onError);
+    socket.on("end", onEnd);
+    socket.write([
+        `CONNECT ${authority} HTTP/1.1`,
+        `Host: ${authority}`,
+        ...(proxy.authorization ? [`Proxy-Authorization: ${proxy.authorization}`] : []),
+        "",
+        ""
+    ].join("\r\n"));
+}
+
+/**
+ * Agent that tunnels https requests through the proxy
+ */
+class HttpsProxyAgent extends https.Agent {
+    /**
+     * @param {{url: URL, authorization: String}} proxy Proxy
+     * @param {Object} [options] Agent options
+     */
+    constructor(proxy, options) {
+        super(options);
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        const host = options.host;
+        const port = options.port || Number(DEFAULT_PORTS["https:"]);
+        logger.debug(`Tunneling to ${host}:${port} through proxy ${this.proxy.url.host}`);
+        connectTunnel(this.proxy, host, port, (error, socket) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            // eslint-disable-next-line no-unused-vars
+            const { path, ...tlsOptions } = options;
+            callback(null, tls.connect({
+                ...tlsOptions,
+                socket,
+                servername: options.servername || (net.isIP(host) ? undefined : host)
+            }));
+        });
+    }
+}
+
+/**
+ * Create an agent that sends requests through a proxy
+ *
+ * @param {{url: URL, authorization: String}} proxy Proxy returned by `getProxyForUrl`
+ * @param {Boolean} secure True to tunnel https requests, false for http requests
+ * @param {Object} [options] Agent options, e.g. `keepAlive`
+ * @returns {http.Agent} Proxy agent
+ */
+function createProxyAgent(proxy, secure, options) {
+    logger.info(`Sending ${secure ? "https" : "http"} requests through proxy ${proxy.url.host}`);
+    return secure ? new HttpsProxyAgent(proxy, options) : new HttpProxyAgent(proxy, options);
+}
+
+// agents are reused, so connections to the proxy can be shared
+const agents = new Map();
+
+/**
+ * Get the agent that sends a request through the configured proxy
+ *
+ * @param {String|URL} url Request url
+ * @param {Boolean|String|URL|ProxyOptions} [proxy] Proxy option, `false` disables the proxy, undefined
+ *  uses the `HTTP_PROXY`, `HTTPS_PROXY` and `NO_PROXY` environment variables
+ * @returns {http.Agent} Proxy agent, undefined if the request is not proxied
+ */
+function getProxyAgent(url, proxy) {
+    const resolved = getProxyForUrl(url, proxy);
+    if (!resolved) {
+        return undefined;
+    }
+    const secure = new URL(url).protocol === "https:";
+    const key = `${secure ? "https" : "http"} ${resolved.url.href} ${resolved.authorization || ""}`;
+    let agent = agents.get(key);
+    if (!agent) {
+        agent = createProxyAgent(resolved, secure);
+        agents.set(key, agent);
+    }
+    return agent;
+}
+
+module.exports = {
+    getProxyForUrl,
+    createProxyAgent,
+    getProxyAgent,
+    matchesNoProxy
+};
@@ -14,6 +14,7 @@
 
 const PRIVATE = Symbol("PRIVATE");
 const { FileHandle, FileFlags } = require("./filehandle");
+const { createReadStream, createWriteStream, urlToPath } = require("./util");
 const logger = require("./logger");
 
 /**
@@ -148,6 +149,38 @@ class RandomFileAccess {
         return handle.write(buffer, 0, buffer.length, range.low);
     }
 
+    /**
+     * Open a write stream positioned at the start of a section of a file
+     *
+     * The file is created and extended to the total size first, the stream uses
+     * its own file descriptor which is closed once the stream finishes.
+     *
+     * @param {String|URL} path Path of the file to write to
+     * @param {SubRange} range Range of bytes to write
+     * @param {Number} totalSize Total size of the file written
+     * @returns {fs.WriteStream} Write stream starting at the low-end of the range
+     */
+    async createWriteStream(path, range, totalSize) {
+        const { fileHandles } = this[PRIVATE];
+        const handle = await getOrOpen(fileHandles, path, FileFlags.WRITEONLY, totalSize);
+        logger.info(`Opening write stream for file ${path} at position ${range.low}`);
+        return createWriteStream(handle.path, { flags: "r+", start: range.low });
+    }
+
+    /**
+     * Open a read stream for a section of a file
+     *
+     * The stream uses its own file descriptor which is closed once the stream ends.
+     *
+     * @param {String|URL} path Path of the file to read from
+     * @param {SubRange} range Range of bytes to read
+     * @returns {fs.ReadStream} Read stream of the range
+     */
+    async createReadStream(path, range) {
+        logger.info(`Opening read stream for file ${path} for range ${range.low}-${range.high}`);
+        return createReadStream(urlToPath(path).path, { start: range.low, end: range.high });
+    }
+
     /**
      * Read a section of a file
      * 
@@ -0,0 +1,163 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const { Transform, pipeline } = require("stream");
+const { IllegalArgumentError } = require("./error");
+const { bufferToStream } = require("./util");
+
+// longest time a throttled request waits before checking the limit again, so limit changes apply quickly
+const MAX_WAIT = 100;
+
+/**
+ * Token bucket rate limiter that caps the number of bytes per second transferred.
+ *
+ * A single rate limiter can be shared by several transfers, for example multiple `AEMUpload`
+ * instances in one process, and the limit can be changed while the transfers run.
+ * Up to one second of unused bandwidth is saved up for bursts.
+ */
+class RateLimiter {
+    /**
+     * Construct a rate limiter
+     *
+     * @param {Number} [maxBytesPerSecond] Maximum number of bytes per second, unlimited if not set or 0
+     */
+    constructor(maxBytesPerSecond) {
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+        this.maxBytesPerSecond = maxBytesPerSecond;
+    }
+
+    /**
+     * Get the rate limiter of the given option value
+     *
+     * @param {Number|RateLimiter} [maxBytesPerSecond] Maximum number of bytes per second, or a shared rate limiter
+     * @returns {RateLimiter} Rate limiter, or undefined if the transfer is not limited
+     */
+    static from(maxBytesPerSecond) {
+        if (maxBytesPerSecond instanceof RateLimiter) {
+            return maxBytesPerSecond;
+        } else if (maxBytesPerSecond) {
+            return new RateLimiter(maxBytesPerSecond);
+        }
+        return undefined;
+    }
+
+    /**
+     * Maximum number of bytes per second
+     *
+     * @returns {Number} Maximum number of bytes per second, or 0 if unlimited
+     */
+    get maxBytesPerSecond() {
+        return this.rate;
+    }
+
+    /**
+     * Change the maximum number of bytes per second, applies to transfers in progress
+     *
+     * @param {Number} maxBytesPerSecond Maximum number of bytes per second, unlimited if not set or 0
+     */
+    set maxBytesPerSecond(maxBytesPerSecond) {
+        if (maxBytesPerSecond && !(Number.isFinite(maxBytesPerSecond) && maxBytesPerSecond > 0)) {
+            throw new IllegalArgumentError("'maxBytesPerSecond' must be a positive number", maxBytesPerSecond);
+        }
+        if (this.rate) {
+            this.refill();
+        }
+        this.rate = maxBytesPerSecond || 0;
+        this.tokens = Math.min(this.tokens, this.rate);
+    }
+
+    /**
+     * Add the tokens earned since the last refill, up to one second worth of bytes
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.rate, this.tokens + ((now - this.lastRefill) * this.rate / 1000));
+        this.lastRefill = now;
+    }
+
+    /**
+     * Wait until the given number of bytes may be transferred. Requests are served in order,
+     * a request larger than the available tokens is allowed to go in to debt which is paid
+     * off by later requests.
+     *
+     * @param {Number} bytes Number of bytes to transfer
+     */
+    async consume(bytes) {
+        const turn = this.queue.then(() => this.take(bytes));
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Take tokens from the bucket, waiting until the bucket is out of debt
+     *
+     * @param {Number} bytes Number of bytes to transfer
+     */
+    async take(bytes) {
+        for (;;) {
+            if (!this.rate) {
+                return;
+            }
+            this.refill();
+            if (this.tokens >= 0) {
+                this.tokens -= bytes;
+                return;
+            }
+            const wait = Math.min(MAX_WAIT, Math.ceil(-this.tokens * 1000 / this.rate));
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+
+    /**
+     * Throttle a readable stream
+     *
+     * @param {Readable} stream Readable stream, errors are forwarded to the returned stream
+     * @returns {Readable} Throttled readable stream
+     */
+    throttleStream(stream) {
+        const limiter = this;
+        const throttle = new Transform({
+            transform(chunk, encoding, callback) {
+                limiter.consume(chunk.length).then(() => callback(null, chunk), callback);
+            }
+        });
+        // pipeline of Node.js 10 destroys the streams without the error, forward it explicitly
+        stream.on("error", error => throttle.destroy(error));
+        return pipeline(stream, throttle, () => {});
+    }
+
+    /**
+     * Throttle the body of an upload request
+     *
+     * @param {Buffer|Blob|Readable} body Request body
+     * @returns {Buffer|Blob|Readable} Throttled request body, blobs are throttled as a whole before they are sent
+     */
+    async throttleBody(body) {
+        if (Buffer.isBuffer(body)) {
+            return this.throttleStream(bufferToStream(body));
+        } else if (body && typeof body.pipe === "function") {
+            return this.throttleStream(body);
+        } else if (body && Number.isFinite(body.size)) {
+            await this.consume(body.size);
+        }
+        return body;
+    }
+}
+
+module.exports = {
+    RateLimiter
+};
@@ -14,7 +14,8 @@
 
 const filterObject = require("filter-obj");
 const logger = require("./logger");
-const { HttpConnectError, HttpStreamError, HttpResponseError } = require("./error");
+const { ChecksumMismatchError, HttpConnectError, HttpStreamError, HttpResponseError, UserCancelledError } = require("./error");
+const { RetryPolicy, RetryJitter } = require("./retrypolicy");
 
 const RETRYOPTIONS = Object.freeze([
     "retryEnabled",
@@ -24,7 +25,8 @@ const RETRYOPTIONS = Object.freeze([
     "retryAllErrors",
     "retryBackoff",
     "socketTimeout",
-    "retryOnHttpResponseError"
+    "retryOnHttpResponseError",
+    "retryPolicy"
 ]);
 
 /**
@@ -34,18 +36,52 @@ const RETRYOPTIONS = Object.freeze([
  * @property {Number} retryMaxDuration time to retry until throwing an error
  * @property {Number} retryInitialDelay time between retries, used by exponential backoff (ms)
  * @property {Number} retryBackoff backoff factor for wait time between retries (defaults to 2.0)
- * @property {Boolean} retryAllErrors whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} retryAllErrors whether or not to retry on all http error codes or just >=500 and 429
  * @property {Integer} socketTimeout Optional socket timeout in milliseconds (defaults to 30000ms)
  * @property {import('./functions/transfer').RetryOnHttpResponseErrorCallback} retryOnHttpResponseError Optional function determining whether to retry given the HttpResponseError (defuaults to false)
+ * @property {String} [retryJitter] Randomization of the delay, one of `RetryJitter` (defaults to fixed)
+ * @property {Number} [retryMaxDelay] Longest delay between attempts
+ * @property {Number} [retryBaseDelay] Initial delay, used by decorrelated jitter
+ * @property {Number[]} [retryStatuses] HTTP statuses that are retried, instead of 429 and >=500
+ * @property {String[]} [retryErrorCodes] Error codes of connection failures that are retried, instead of all of them
+ * @property {import('./retrypolicy').ShouldRetryCallback} [shouldRetry] Decides whether to retry before the other rules
+ * @property {import('./retrypolicy').RetryContext} [context] Context of the request passed to `shouldRetry`
  */
 
+/**
+ * Convert the retry policy of a phase to retry options
+ *
+ * @param {RetryPolicy} retryPolicy Retry policy
+ * @param {String} [phase] Phase of the transfer
+ * @param {Object} options Options, only the socket timeout is kept
+ * @returns {Object} Retry options
+ */
+function policyToOptions(retryPolicy, phase, options) {
+    const policy = retryPolicy.getPhaseOptions(phase);
+    return {
+        retryEnabled: policy.enabled,
+        retryMaxCount: policy.maxCount,
+        retryMaxDuration: policy.maxDuration,
+        retryInitialDelay: policy.initialDelay,
+        retryBackoff: policy.backoff,
+        socketTimeout: options.socketTimeout,
+        timeout: options.timeout,
+        policy
+    };
+}
+
 /**
 * Initialize retry options
 *
 * @param {Object} ]options=] Optional object containing retry options
+* @param {String} [phase] Phase of the transfer, selects the limits of the retry policy
 * @returns {RetryOptions} Resolved retry options
 */
-function retryInit(options={}) {
+function retryInit(options={}, phase) {
+    const retryPolicy = RetryPolicy.from(options && options.retryPolicy);
+    if (retryPolicy) {
+        options = policyToOptions(retryPolicy, phase, options);
+    }
 
     // introduced env var to support sharing config with other libs
     const DEFAULT_MAX_RETRY = process.env.NODE_HTTPTRANSFER_MAX_RETRY || 60000; // in custom implementation
@@ -66,7 +102,7 @@ function retryInit(options={}) {
             timeoutValue = retryMaxDuration * 0.5; // make socket timeout half of retryMaxDuration to force at least one retry
         }
 
-        return {
+        const retryOptions = {
             startTime: Date.now(),
             retryMaxCount: options.retryMaxCount,
             retryMaxDuration: retryMaxDuration,
@@ -76,6 +112,17 @@ function retryInit(options={}) {
             retryOnHttpResponseError: options.retryOnHttpResponseError || false,
             timeout: timeoutValue
         };
+        if (options.policy) {
+            Object.assign(retryOptions, {
+                retryJitter: options.policy.jitter || RetryJitter.FIXED,
+                retryMaxDelay: options.policy.maxDelay,
+                retryBaseDelay: retryOptions.retryInitialDelay,
+                retryStatuses: options.policy.retryStatuses,
+                retryErrorCodes: options.policy.retryErrorCodes,
+                shouldRetry: options.policy.shouldRetry
+            });
+        }
+        return retryOptions;
     } else {
         return null;
     }
@@ -115,15 +162,107 @@ function retryDelay(interval) {
     return interval + Math.floor(Math.random() * 100);
 }
 
+/**
+ * Calculate the retry delay using the jitter strategy of the retry options
+ *
+ * @param {RetryOptions} options Retry options, `retryInitialDelay` is the current exponential delay
+ * @returns {Number} Delay in milliseconds
+ */
+function jitterDelay(options) {
+    const interval = options.retryMaxDelay ? Math.min(options.retryInitialDelay, options.retryMaxDelay) : options.retryInitialDelay;
+    switch (options.retryJitter) {
+    case RetryJitter.NONE:
+        return Math.floor(interval);
+    case RetryJitter.FULL:
+        return Math.floor(Math.random() * interval);
+    case RetryJitter.EQUAL:
+        return Math.floor((interval / 2) + (Math.random() * interval / 2));
+    case RetryJitter.DECORRELATED: {
+        const base = options.retryBaseDelay;
+        const previous = options.previousDelay || base;
+        const delay = base + (Math.random() * Math.max((previous * 3) - base, 0));
+        return Math.floor(options.retryMaxDelay ? Math.min(delay, options.retryMaxDelay) : delay);
+    }
+    default:
+        return retryDelay(interval);
+    }
+}
+
+/**
+ * Get the delay requested by the server before retrying, from the `x-ms-retry-after-ms`,
+ * `retry-after-ms` or `Retry-After` response header
+ *
+ * @param {Error} error Error to analyze
+ * @returns {Number} Delay in milliseconds, 0 if the server did not request a delay
+ */
+function getServerRetryDelay(error) {
+    const headers = (error instanceof HttpResponseError) && error.headers;
+    if (!headers) {
+        return 0;
+    }
+
+    for (const name of ["x-ms-retry-after-ms", "retry-after-ms"]) {
+        const ms = Number.parseInt(headers[name], 10);
+        if (Number.isFinite(ms) && ms > 0) {
+            return ms;
+        }
+    }
+
+    // either a number of seconds or a HTTP date
+    const retryAfter = headers["retry-after"];
+    if (retryAfter && /^\s*\d+\s*$/.test(retryAfter)) {
+        return Number.parseInt(retryAfter, 10) * 1000;
+    } else if (retryAfter) {
+        const date = Date.parse(retryAfter);
+        if (Number.isFinite(date)) {
+            return Math.max(date - Date.now(), 0);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Calculate the delay before the next attempt, at least the delay requested by the server
+ *
+ * @param {Error} error Error of the failed attempt
+ * @param {RetryOptions} options Retry options
+ * @returns {Number} Delay in milliseconds, capped by `retryMaxDuration`
+ */
+function retryWait(error, options) {
+    const ms = Math.max(jitterDelay(options), getServerRetryDelay(error));
+    return Math.min(ms, options.retryMaxDuration);
+}
+
+/**
+ * Check whether an error is retryable, using the statuses and error codes of the retry policy if set
+ *
+ * @param {Error} error Error to analyze
+ * @param {RetryOptions} options Retry options
+ * @returns {Boolean} True if the request should be retried
+ */
+function isRetryableError(error, options) {
+    if (error instanceof HttpResponseError) {
+        return options.retryStatuses
+            ? options.retryStatuses.includes(error.status)
+            : (options.retryAllErrors || error.status >= 500 || error.status === 429);
+    } else if (error instanceof HttpConnectError) {
+        return !options.retryErrorCodes || options.retryErrorCodes.includes(error.errno);
+    } else if (options.retryErrorCodes && error && error.code && options.retryErrorCodes.includes(error.code)) {
+        return true;
+    }
+    return (error instanceof HttpStreamError) || (error instanceof ChecksumMismatchError);
+}
+
 /**
  * Check whether a given error requires retry
  *
  * @param {Number} attempt Number of attempts
  * @param {Error} error Error to analyze
  * @param {RetryOptions} options Retry options
+ * @param {Number} [wait] Delay before the next attempt, computed from the options if not set
  * @returns {Boolean} True if the request should be retried
  */
-function retryOn(attempt, error, options) {
+function retryOn(attempt, error, options, wait) {
     if (options) {
         if (options.retryMaxCount) {
             if (attempt >= options.retryMaxCount) {
@@ -131,24 +270,25 @@ function retryOn(attempt, error, options) {
             }
         } else {
             const waited = Date.now() - options.startTime;
-            const toWait = retryDelay(options.retryInitialDelay) + waited;
+            const toWait = ((wait === undefined) ? retryWait(error, options) : wait) + waited;
             if (toWait >= options.retryMaxDuration) {
                 return false;
             }
         }
 
+        if (options.shouldRetry) {
+            const shouldRetry = options.shouldRetry(error, attempt, options.context || {});
+            if (typeof shouldRetry === "boolean") {
+                return shouldRetry;
+            }
+        }
+
         // if HttpResponseError and function provided, determine whether to retry based on the HttpResponseError
         if (options.retryOnHttpResponseError && options.retryOnHttpResponseError instanceof Function && error instanceof HttpResponseError) {
             return options.retryOnHttpResponseError(error);
         }
 
-        return (
-            (error instanceof HttpConnectError) ||
-            (error instanceof HttpStreamError) ||
-            ((error instanceof HttpResponseError) &&
-                (options.retryAllErrors || error.status >= 500)
-            )
-        );
+        return isRetryableError(error, options);
     } else {
         return false;
     }
@@ -157,31 +297,58 @@ function retryOn(attempt, error, options) {
 /**
  * Invoke a function with retry one failure support
  *
+ * Aborting the signal cancels a pending retry, and turns the failure of the
+ * current attempt in to a UserCancelledError.
+ *
  * @param {Function} asyncFunc Asynchronous function to call
  * @param {Object} options Options to pass to asynchronous function
  * @param {RetryOptions} retryOpts Retry options
+ * @param {AbortSignal} [abortSignal] Signal that cancels the retries when aborted
  */
-async function retryInvoke(asyncFunc, options, retryOpts) {
+async function retryInvoke(asyncFunc, options, retryOpts, abortSignal) {
     return new Promise((resolve, reject) => {
+        let timer;
+        function onAbort() {
+            clearTimeout(timer);
+            reject(new UserCancelledError());
+        }
+        function settle(settleFunc, value) {
+            if (abortSignal) {
+                abortSignal.removeEventListener("abort", onAbort);
+            }
+            settleFunc(value);
+        }
+
         async function invoke(attempt, ms) {
+            if (abortSignal && abortSignal.aborted) {
+                return settle(reject, new UserCancelledError());
+            }
             try {
                 if (attempt > 0) {
                     logger.warn(`Attempting retry ${attempt} after waiting ${ms} milliseconds.`);
                 }
-                return resolve(await asyncFunc(options));
+                return settle(resolve, await asyncFunc(options));
             } catch (e) {
-                if (retryOn(attempt, e, retryOpts)) {
-                    retryOpts.retryInitialDelay *= retryOpts.retryBackoff; // update retry interval using backoff
+                // the delay is random with jitter, decide on and wait for the same one
+                const wait = retryOpts && retryWait(e, retryOpts);
+                if (abortSignal && abortSignal.aborted) {
+                    return settle(reject, new UserCancelledError());
+                } else if (retryOn(attempt, e, retryOpts, wait)) {
+                    retryOpts.retryInitialDelay *= retryOpts.retryBackoff; // update retry interval of the next attempt using backoff
 
-                    const ms = retryDelay(retryOpts.retryInitialDelay);
-                    logger.warn(`Waiting ${ms} milliseconds to attempt retry ${attempt + 1}, failure: ${e.message}`);
+                    retryOpts.previousDelay = wait;
+                    logger.warn(`Waiting ${wait} milliseconds to attempt retry ${attempt + 1}, failure: ${e.message}`);
 
-                    setTimeout(invoke, ms, attempt + 1, ms);
+                    timer = setTimeout(invoke, wait, attempt + 1, wait);
                 } else {
-                    return reject(e);
+                    return settle(reject, e);
                 }
             }
         }
+
+        if (abortSignal) {
+            abortSignal.addEventListener("abort", onAbort);
+        }
         setImmediate(invoke, 0, 0);
     });
 }
@@ -190,12 +357,19 @@ async function retryInvoke(asyncFunc, options, retryOpts) {
  * Add retry support to the given asynchronous function
  *
  * @param {Function} asyncFunc Asynchronous function
+ * @param {Object} [options] Retry options, `abortSignal` cancels pending retries
+ * @param {import('./retrypolicy').RetryContext} [context] Context of the request, the phase selects the limits
+ *  of the `retryPolicy` and the context is passed to its `shouldRetry` callback
  * @returns Asynchronous function with retry support
  */
-async function retry(asyncFunc, options) {
-    const retryOpts = retryInit(options || {});
+async function retry(asyncFunc, options, context) {
+    const retryOpts = retryInit(options || {}, context && context.phase);
+    if (retryOpts && context) {
+        retryOpts.context = context;
+    }
+    const abortSignal = options && options.abortSignal;
     options = filterOptions(options); // remove retry options from options passed to actual fetch
-    return retryInvoke(asyncFunc, options, retryOpts);
+    return retryInvoke(asyncFunc, options, retryOpts, abortSignal);
 }
 
 module.exports = {
@@ -0,0 +1,171 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+"use strict";
+
+const { IllegalArgumentError } = require("./error");
+
+/**
+ * Phases of a transfer that can have their own retry limits
+ */
+const RetryPhase = Object.freeze({
+    /** HEAD request retrieving the metadata of the source */
+    METADATA: "metadata",
+    /** AEM initiate upload or resumable upload session request */
+    INITIATE: "initiate",
+    /** Upload or download of a part */
+    TRANSFER: "transfer",
+    /** AEM complete upload or S3 complete multipart upload request */
+    COMPLETE: "complete"
+});
+
+/**
+ * Strategies to randomize the delay between attempts
+ */
+const RetryJitter = Object.freeze({
+    /** Exponential delay plus up to 100ms, the behavior without a retry policy */
+    FIXED: "fixed",
+    /** Exponential delay without randomization */
+    NONE: "none",
+    /** Random delay between 0 and the exponential delay */
+    FULL: "full",
+    /** Half of the exponential delay plus a random delay up to the other half */
+    EQUAL: "equal",
+    /** Random delay between the initial delay and three times the previous delay */
+    DECORRELATED: "decorrelated"
+});
+
+const POLICY_PROPERTIES = Object.freeze([
+    "enabled",
+    "maxCount",
+    "maxDuration",
+    "initialDelay",
+    "backoff",
+    "maxDelay",
+    "jitter",
+    "retryStatuses",
+    "retryErrorCodes",
+    "shouldRetry"
+]);
+
+/**
+ * @typedef {Object} RetryContext
+ * @property {String} [phase] Phase of the transfer, one of `RetryPhase`
+ * @property {String|URL} [url] Url of the request
+ * @property {TransferAsset} [transferAsset] Asset being transferred
+ * @property {TransferPart} [transferPart] Part being transferred, only set in the `transfer` phase
+ */
+/**
+ * @callback ShouldRetryCallback
+ * @param {Error} error Error of the failed attempt
+ * @param {Number} attempt Number of the failed attempt, starting at 0
+ * @param {RetryContext} context Context of the request
+ * @returns {Boolean} True to retry, false to fail, undefined to use the other rules of the policy
+ */
+/**
+ * @typedef {Object} RetryPolicyOptions
+ * @property {Boolean} [enabled=true] Retry on failure
+ * @property {Number} [maxCount] Number of retry attempts, overrides `maxDuration`
+ * @property {Number} [maxDuration=60000] Time to retry until throwing an error (ms)
+ * @property {Number} [initialDelay=100] Delay before the first retry (ms)
+ * @property {Number} [backoff=2.0] Factor applied to the delay after every attempt
+ * @property {Number} [maxDelay] Longest delay between attempts (ms)
+ * @property {String} [jitter="fixed"] Randomization of the delay: `fixed`, `none`, `full`, `equal` or `decorrelated`
+ * @property {Number[]} [retryStatuses] HTTP statuses that are retried, defaults to 429 and all 5xx statuses
+ * @property {String[]} [retryErrorCodes] Node.js error codes of connection failures that are retried, such as
+ *  `ECONNRESET`, `ETIMEDOUT` or `EPIPE`. Defaults to all connection failures.
+ * @property {ShouldRetryCallback} [shouldRetry] Decides whether an error is retried, before the other rules
+ * @property {Object<String,RetryPolicyOptions>} [phases] Options that override the policy for a phase, keyed by `RetryPhase`
+ */
+
+/**
+ * Validate the options of a retry policy or phase
+ *
+ * @param {RetryPolicyOptions} options Options
+ */
+function validateOptions(options) {
+    if (options.jitter && !Object.values(RetryJitter).includes(options.jitter)) {
+        throw new IllegalArgumentError("'jitter' must be one of fixed, none, full, equal or decorrelated", options.jitter);
+    }
+    if (options.retryStatuses && !Array.isArray(options.retryStatuses)) {
+        throw new IllegalArgumentError("'retryStatuses' must be an array", options.retryStatuses);
+    }
+    if (options.retryErrorCodes && !Array.isArray(options.retryErrorCodes)) {
+        throw new IllegalArgumentError("'retryErrorCodes' must be an array", options.retryErrorCodes);
+    }
+    if (options.shouldRetry && (typeof options.shouldRetry !== "function")) {
+        throw new IllegalArgumentError("'shouldRetry' must be a function", options.shouldRetry);
+    }
+}
+
+/**
+ * Declarative retry policy that can be passed as the `retryPolicy` option of all transfers.
+ *
+ * A retry policy replaces the scalar retry options (`retryMaxCount`, `retryBackoff`, ...). Phases of a transfer
+ * can override the policy, for example to retry part uploads longer than the AEM initiate request.
+ */
+class RetryPolicy {
+    /**
+     * Construct a retry policy
+     *
+     * @param {RetryPolicyOptions} [options] Retry policy options
+     */
+    constructor(options = {}) {
+        validateOptions(options);
+        const phases = options.phases || {};
+        for (const [phase, phaseOptions] of Object.entries(phases)) {
+            if (!Object.values(RetryPhase).includes(phase)) {
+                throw new IllegalArgumentError("'phases' must be keyed by metadata, initiate, transfer or complete", phase);
+            }
+            validateOptions(phaseOptions || {});
+        }
+        this.options = options;
+        this.phases = phases;
+    }
+
+    /**
+     * Get the retry policy of the given option value
+     *
+     * @param {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy options or instance
+     * @returns {RetryPolicy} Retry policy, or undefined if not set
+     */
+    static from(retryPolicy) {
+        if (retryPolicy instanceof RetryPolicy) {
+            return retryPolicy;
+        } else if (retryPolicy) {
+            return new RetryPolicy(retryPolicy);
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the options that apply to a phase
+     *
+     * @param {String} [phase] Phase of the transfer, one of `RetryPhase`
+     * @returns {RetryPolicyOptions} Policy options with the overrides of the phase applied, without `phases`
+     */
+    getPhaseOptions(phase) {
+        const result = {};
+        const phaseOptions = (phase && this.phases[phase]) || {};
+        for (const name of POLICY_PROPERTIES) {
+            result[name] = (phaseOptions[name] !== undefined) ? phaseOptions[name] : this.options[name];
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    RetryPolicy,
+    RetryPhase,
+    RetryJitter
+};
@@ -12,60 +12,122 @@
 
 'use strict';
 
+const zlib = require('zlib');
 const fetch = require('./fetch');
 const { retry } = require("./retry");
+const { RetryPhase } = require("./retrypolicy");
 const { parseResourceHeaders } = require('./headers');
-const { HttpStreamError } = require('./error');
+const { HttpStreamError, StreamTooLargeError, UserCancelledError } = require('./error');
 const { HTTP, MIMETYPE } = require("./constants");
+const { AssetMultipart } = require("./asset/assetmultipart");
+const { AgentPool } = require("./agentpool");
+const { createAbortController } = require("./partwatchdog");
+const { isWebReadableStream, webStreamToReadable } = require("./util");
+const { constants: { MAX_LENGTH: BUFFER_MAX_LENGTH } } = require("buffer");
+
+const DEFAULT_MAX_CONCURRENCY = 8;
+// first parts of a stream are 10MB
+const DEFAULT_PART_SIZE = 10 * 1024 * 1024;
+
+// content encodings decoded by downloadStream, brotli requires Node.js 10.16 or later
+const CONTENT_DECODERS = {
+    gzip: () => zlib.createGunzip(),
+    "x-gzip": () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    ...(zlib.createBrotliDecompress ? { br: () => zlib.createBrotliDecompress() } : {})
+};
+const ACCEPT_ENCODING = Object.keys(CONTENT_DECODERS).filter(encoding => encoding !== "x-gzip").join(", ");
+
+/**
+ * Check if a header is set, ignoring the case of the name
+ *
+ * @param {Object} headers Request headers
+ * @param {String} name Lower case header name
+ * @returns {Boolean} True if the header is set
+ */
+function hasHeader(headers, name) {
+    return Object.keys(headers || {}).some(key => key.toLowerCase() === name);
+}
+
+/**
+ * Get the content encoding of a response
+ *
+ * @param {*} response HTTP response
+ * @returns {String} Lower case content encoding, identity if the response is not encoded
+ */
+function getContentEncoding(response) {
+    const contentEncoding = response.headers.get(HTTP.HEADER.CONTENT_ENCODING);
+    return (contentEncoding && contentEncoding.trim().toLowerCase()) || HTTP.ENCODING.IDENTITY;
+}
 
 /**
  * @typedef {Object} DownloadStreamOptions
  *
  * @property {Number} timeout Socket timeout
- * @property {Object} headers An object containing request headers
+ * @property {Object} headers An object containing request headers, pass `Accept-Encoding: identity`
+ *  to download the content without compression
  */
 /**
  * Download content from a URL and write it to a stream
  *
+ * Content compressed with gzip, deflate or br is decoded before it is written. The bytes received
+ * are checked against the `Content-Length` or `Content-Range`, the decoded bytes are returned.
+ *
  * @param {String|URL} url Source URL
  * @param {Object} writeStream Target writable stream
  *
  * @param {DownloadStreamOptions} options Download options
- * @returns {Promise} resolves to the number of bytes downloaded
+ * @returns {Promise} resolves to the number of decoded bytes written
  */
 async function downloadStream(url, writeStream, options={}) {
-    const response = await fetch.streamGet(url, Object.assign(options, {
-        // since we must check the bytes recieved ourselves to check for truncated data
-        // (see lines 60-67 below),
-        // we disable encoding since we cannot access the raw response body 
-        // to check the byte length and compare it with the `Content-Range` header
-        // we plan to remove this and allow encoding when we switch to node-fetch v3
+    const headers = { ...options.headers };
+    if (!hasHeader(headers, HTTP.HEADER.ACCEPT_ENCODING)) {
+        headers[HTTP.HEADER.ACCEPT_ENCODING] = ACCEPT_ENCODING;
+    }
+    const response = await fetch.streamGet(url, {
+        ...options,
+        headers,
+        // we decode the content ourselves, as we must count the raw bytes received to check
+        // for truncated data, which cannot be done once node-fetch-npm decoded them
         compress: false
-    }));
+    });
 
     const expectedBytes = parseResourceHeaders(response.headers).size;
-    let actualBytes = 0;
+    const contentEncoding = getContentEncoding(response);
+    // fetch implementations other than node-fetch-npm always decode the content, the
+    // Content-Length then no longer matches the bytes received
+    const checkSize = !response.contentDecoded || (contentEncoding === HTTP.ENCODING.IDENTITY);
+    const createDecoder = !response.contentDecoded && CONTENT_DECODERS[contentEncoding];
+    let wireBytes = 0;
+    let decodedBytes = 0;
     return new Promise((resolve, reject) => {
-        response.body
+        const onError = err => {
+            reject(new HttpStreamError("GET", url, response.status, err.message));
+        };
+        let body = response.body
             .on("data", chunk => {
-                actualBytes += chunk.length;
+                wireBytes += chunk.length;
             })
-            .on("error", err => {
-                reject(new HttpStreamError("GET", url, response.status, err.message));
+            .on("error", onError);
+        if (createDecoder) {
+            body = body.pipe(createDecoder())
+                .on("error", onError);
+        }
+        body
+            .on("data", chunk => {
+                decodedBytes += chunk.length;
             })
             .pipe(writeStream)
-            .on("error", err => {
-                reject(new HttpStreamError("GET", url, response.status, err.message));
-            })
+            .on("error", onError)
             .on("finish", () => {
                 // for now, we manually check bytes length since there is no stream error event handling in `node-fetch-npm`
                 // there is already a fix in node-fetch v3: https://github.com/node-fetch/node-fetch/blob/master/src/index.js#L226-L230
                 // the fix comes from this issue: https://github.com/node-fetch/node-fetch/issues/309
                 // we plan to switch to node-fetch when v3 release is stable
-                if (expectedBytes && (actualBytes !== expectedBytes)) {
-                    reject(new HttpStreamError("GET", url, response.status, `Unexpected stream-size. Received ${actualBytes} bytes, expected ${expectedBytes} bytes`));
+                if (checkSize && expectedBytes && (wireBytes !== expectedBytes)) {
+                    reject(new HttpStreamError("GET", url, response.status, `Unexpected stream-size. Received ${wireBytes} bytes, expected ${expectedBytes} bytes`));
                 }
-                resolve(actualBytes);
+                resolve(decodedBytes);
             });
     });
 }
@@ -92,6 +154,212 @@ async function uploadStream(readStream, url, options) {
     );
 }
 
+/**
+ * @typedef {Object} UploadStreamTarget
+ *
+ * @property {String[]} urls Urls of the parts, in order
+ * @property {Number} maxPartSize Maximum size of each part
+ * @property {Number} [minPartSize] Minimum size of each part but the last
+ * @property {Object} [multipartHeaders] Headers sent with each part
+ */
+/**
+ * @typedef {Object} UploadStreamConcurrentlyOptions
+ *
+ * @property {String} [method] HTTP method (defaults to 'PUT')
+ * @property {Number} [timeout] Socket timeout
+ * @property {Object} [headers] An object containing request headers, sent with each part
+ * @property {Number} [maxConcurrent=8] Maximum number of parts uploaded in parallel, one more part is read while they upload
+ * @property {Number} [preferredPartSize=10485760] Size of the first parts, bounded by the minimum and maximum part size of the target
+ * @property {AbortSignal} [abortSignal] Signal that cancels the upload when aborted
+ * @property {Number} [retryMaxCount] number of retry attempts, overrides retryMaxDuration
+ * @property {Number} [retryMaxDuration=60000] time to retry until throwing an error (ms)
+ * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
+ * @property {Boolean} [retryEnabled=true] retry on failure enabled
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options. The limits of the
+ *  `transfer` phase apply to parts.
+ * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {Boolean|String|URL|import('./proxy').ProxyOptions} [proxy] Proxy to send the requests through, defaults to the
+ *  `HTTP_PROXY`/`HTTPS_PROXY` environment variables. Pass `false` to ignore them.
+ * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Keep-alive agents per origin shared by the part requests, enabled
+ *  by default and closed when the upload finishes. Pass `false` to disable it, or an `AgentPool` to share it with other transfers.
+ */
+/**
+ * Size of a part of a stream of unknown size. Parts start at the preferred part size and double
+ * each time half of the remaining urls have been used, the last url takes up to the maximum part
+ * size. Small streams are cut in small parts, while large streams can still use most of the urls.
+ *
+ * @param {Number} partIndex Index of the part
+ * @param {Number} urlCount Number of urls of the target
+ * @param {Number} preferredPartSize Size of the first parts
+ * @param {Number} maxPartSize Maximum part size
+ * @returns {Number} Size of the part
+ */
+function getStreamPartSize(partIndex, urlCount, preferredPartSize, maxPartSize) {
+    if (partIndex >= urlCount - 1) {
+        return maxPartSize;
+    }
+    const doublings = Math.floor(Math.log2(urlCount / (urlCount - partIndex)));
+    return Math.min(preferredPartSize * (2 ** doublings), maxPartSize);
+}
+
+/**
+ * Upload a part of a stream, the part is held in memory so it can be retried
+ *
+ * @param {URL} url Part url
+ * @param {Buffer} data Part data
+ * @param {Object} headers Headers sent with the part
+ * @param {UploadStreamConcurrentlyOptions} options Upload options, the `abortSignal` also aborts the part when
+ *  another part fails
+ * @returns {Promise} resolves when the part is uploaded
+ */
+async function uploadStreamPart(url, data, headers, options) {
+    return retry(async () => uploadStream(data, url, {
+        ...(options.method ? { method: options.method } : {}),
+        timeout: options.timeout,
+        headers: {
+            ...headers,
+            [HTTP.HEADER.CONTENT_LENGTH]: data.length
+        },
+        signal: options.abortSignal,
+        proxy: options.proxy,
+        ...options.requestOptions
+    }), options, {
+        phase: RetryPhase.TRANSFER,
+        url
+    });
+}
+
+/**
+ * Upload a stream of unknown size to the urls of a multipart target
+ *
+ * The stream is cut in to parts of `preferredPartSize` bytes (default 10MB), bounded by the minimum and
+ * maximum part size of the target. The parts double in size each time half of the remaining urls have been
+ * used, and the last url takes the remaining bytes, up to the maximum part size. Up to `maxConcurrent` parts
+ * are uploaded in parallel, reading the stream pauses while they are in flight. The memory used is at most
+ * `maxConcurrent + 1` times the current part size, parts larger than the largest possible Buffer are not used.
+ *
+ * The upload fails with a `StreamTooLargeError` once the stream is larger than the parts of all urls together.
+ * When a part fails, the parts in flight are aborted.
+ *
+ * @param {Readable|ReadableStream} readStream Source readable stream
+ * @param {UploadStreamTarget|AssetMultipart} target Target urls and part sizes
+ * @param {UploadStreamConcurrentlyOptions} [options] Upload options
+ * @returns {Promise<Number>} resolves to the number of bytes uploaded when all parts are uploaded
+ */
+async function uploadStreamConcurrently(readStream, target, options={}) {
+    // any part size up to the maximum is accepted when the target has no minimum
+    const multipart = (target instanceof AssetMultipart)
+        ? target
+        : new AssetMultipart(target && target.urls, (target && target.minPartSize) || 1, target && target.maxPartSize, target && target.multipartHeaders);
+    const { targetUrls, minPartSize } = multipart;
+    // parts are buffered, so they can be retried
+    const maxPartSize = Math.min(multipart.maxPartSize, BUFFER_MAX_LENGTH);
+    const preferredPartSize = Math.min(Math.max(options.preferredPartSize || DEFAULT_PART_SIZE, minPartSize), maxPartSize);
+    let capacity = 0;
+    for (let i = 0; i < targetUrls.length; ++i) {
+        capacity += getStreamPartSize(i, targetUrls.length, preferredPartSize, maxPartSize);
+    }
+    const maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENCY;
+    const headers = { ...options.headers, ...multipart.headers };
+    if (isWebReadableStream(readStream)) {
+        readStream = webStreamToReadable(readStream);
+    }
+
+    // each part in flight has its own controller, so parts that already completed are not aborted
+    // when the upload is cancelled or a part fails
+    const partControllers = new Set();
+    let failure;
+    const fail = error => {
+        if (!failure) {
+            failure = error;
+            for (const partController of partControllers) {
+                partController.abort();
+            }
+        }
+    };
+    const onAbort = () => fail(new UserCancelledError());
+    const { abortSignal } = options;
+    if (abortSignal && abortSignal.aborted) {
+        fail(new UserCancelledError());
+    } else if (abortSignal) {
+        abortSignal.addEventListener("abort", onAbort);
+    }
+    const agentPool = AgentPool.from(options.agentPool);
+    const partOptions = {
+        ...options,
+        requestOptions: { ...options.requestOptions, agentPool }
+    };
+
+    const pending = new Set();
+    let partCount = 0;
+    const startPart = async data => {
+        while (pending.size >= maxConcurrent) {
+            await Promise.race(pending);
+        }
+        if (failure) {
+            throw failure;
+        }
+        const url = targetUrls[partCount++];
+        const partController = createAbortController();
+        partControllers.add(partController);
+        const promise = uploadStreamPart(url, data, headers, { ...partOptions, abortSignal: partController.signal })
+            .then(() => partControllers.delete(partController), error => {
+                partControllers.delete(partController);
+                fail(error);
+            })
+            .then(() => pending.delete(promise));
+        pending.add(promise);
+    };
+
+    let chunks = [];
+    let buffered = 0;
+    let size = 0;
+    try {
+        for await (let chunk of readStream) {
+            if (failure) {
+                throw failure;
+            }
+            chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            size += chunk.length;
+            if (size > capacity) {
+                throw new StreamTooLargeError(capacity, targetUrls.length);
+            }
+            chunks.push(chunk);
+            buffered += chunk.length;
+            let partSize = getStreamPartSize(partCount, targetUrls.length, preferredPartSize, maxPartSize);
+            while (buffered >= partSize) {
+                const data = Buffer.concat(chunks, buffered);
+                chunks = [ data.slice(partSize) ];
+                buffered -= partSize;
+                await startPart(data.slice(0, partSize));
+                partSize = getStreamPartSize(partCount, targetUrls.length, preferredPartSize, maxPartSize);
+            }
+        }
+        // the last part holds the remaining bytes, an empty stream is uploaded as a single empty part
+        if (buffered > 0 || partCount === 0) {
+            await startPart(Buffer.concat(chunks, buffered));
+        }
+    } catch (error) {
+        fail(error);
+    }
+
+    try {
+        await Promise.all(pending);
+    } finally {
+        if (abortSignal) {
+            abortSignal.removeEventListener("abort", onAbort);
+        }
+        if (agentPool && (agentPool !== options.agentPool)) {
+            agentPool.close();
+        }
+    }
+    if (failure) {
+        throw failure;
+    }
+    return size;
+}
+
 /**
  * @typedef {Object} TransferStreamOptions
  *
@@ -100,7 +368,8 @@ async function uploadStream(readStream, url, options) {
  * @property {Number} [retryMax=60000] time to retry until throwing an error (ms)
  * @property {Number} [retryInterval=100] time between retries, used by exponential backoff (ms)
  * @property {Boolean} [retryEnabled=true] retry on failure enabled
- * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500
+ * @property {Boolean} [retryAllErrors=false] whether or not to retry on all http error codes or just >=500 and 429
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options
  */
 /**
  * Transfer a stream of content from one url to another
@@ -133,5 +402,6 @@ async function transferStream(sourceUrl, targetUrl, options={}) {
 module.exports = {
     downloadStream,
     uploadStream,
+    uploadStreamConcurrently,
     transferStream
 };
@@ -0,0 +1,416 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+require("core-js/stable");
+
+const EventEmitter = require("events");
+const Path = require("path");
+const fileUrl = require("file-url");
+const UploadError = require("../block/upload-error");
+const { Asset } = require("../asset/asset");
+const { TransferAsset } = require("../asset/transferasset");
+const { AssetMetadata } = require("../asset/assetmetadata");
+const { AgentPool } = require("../agentpool");
+const { RandomFileAccess } = require("../randomfileaccess");
+const { issueDelete, issueHead, issuePatch, issuePost } = require("../fetch");
+const { retry } = require("../retry");
+const { RetryPhase } = require("../retrypolicy");
+const { HTTP } = require("../constants");
+const { ChecksumMismatchError, HttpResponseError, HttpStreamError, IllegalArgumentError, UserCancelledError } = require("../error");
+const { digestBuffer, getChecksumOptions } = require("../checksum");
+const { getFileStats, isPositiveNumber } = require("../util");
+const logger = require("../logger");
+
+const TUS_VERSION = "1.0.0";
+const TUS_CONTENT_TYPE = "application/offset+octet-stream";
+const TUS_HEADER = Object.freeze({
+    RESUMABLE: "tus-resumable",
+    UPLOAD_LENGTH: "upload-length",
+    UPLOAD_OFFSET: "upload-offset",
+    UPLOAD_METADATA: "upload-metadata",
+    UPLOAD_CHECKSUM: "upload-checksum"
+});
+const TUS_STATUS = Object.freeze({
+    CONFLICT: 409,
+    CHECKSUM_MISMATCH: 460
+});
+
+// Default chunk size is 10mb
+const DEFAULT_CHUNK_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Get a header, ignoring the case of the name
+ *
+ * @param {Object} headers Request headers
+ * @param {String} name Lower case header name
+ * @returns {String} Header value, undefined if the header is not set
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+    return key && headers[key];
+}
+
+/**
+ * Encode the `Upload-Metadata` header, values are base64 encoded
+ *
+ * @param {Object} metadata Metadata names and values, a value of `null` is sent as a key without a value
+ * @returns {String} Header value, undefined if there is no metadata
+ */
+function encodeMetadata(metadata) {
+    const pairs = Object.entries(metadata)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => (value === null ? key : `${key} ${Buffer.from(String(value)).toString("base64")}`));
+    return pairs.length > 0 ? pairs.join(",") : undefined;
+}
+
+/**
+ * Get the `Upload-Offset` of a response
+ *
+ * @param {String} method HTTP method of the request
+ * @param {String|URL} url Url of the request
+ * @param {*} response HTTP response
+ * @returns {Number} Upload offset
+ */
+function getUploadOffset(method, url, response) {
+    const value = response.headers.get(TUS_HEADER.UPLOAD_OFFSET);
+    const offset = Number.parseInt(value, 10);
+    if (!Number.isFinite(offset) || (offset < 0)) {
+        throw Error(`${method} '${url}' did not return a valid Upload-Offset header: ${value}`);
+    }
+    return offset;
+}
+
+/**
+ * @typedef {Object} TusUploadFile
+ * @property {String} fileUrl Url of the tus creation endpoint
+ * @property {String} filePath Path on the local disk to upload
+ * @property {Number} [fileSize] Size of the file to upload, read from the file if not provided
+ * @property {String} [uploadUrl] Url of an upload created earlier, the upload resumes at the offset reported by the server
+ * @property {Object} [metadata] Sent in the `Upload-Metadata` header, defaults to the `filename` and the `filetype`
+ * from the `content-type` header
+ */
+/**
+ * @typedef {Object} TusUploadOptions
+ * @property {TusUploadFile[]} uploadFiles Files that will be uploaded, one after the other
+ * @property {*} [headers] HTTP headers that will be included in each request
+ * @property {Number} [chunkSize] Size of the PATCH requests, defaults to 10MB
+ * @property {Boolean} [creationWithUpload=false] Send the first chunk with the request that creates the upload,
+ * requires the `creation-with-upload` extension
+ * @property {String} [checksumAlgorithm] Send the md5, sha1 or sha256 digest of each chunk in the `Upload-Checksum` header,
+ * requires the `checksum` extension. Chunks rejected by the server are retried.
+ * @property {Boolean} [terminate=false] Delete uploads that fail or are cancelled, requires the `termination` extension
+ * @property {AbortSignal} [abortSignal] Signal that cancels the upload when aborted, unfinished files fail with USER_CANCELLED
+ * @property {Number} [timeout] Socket timeout
+ * @property {RetryPolicyOptions|RetryPolicy} [retryPolicy] Retry policy, replaces the other retry options. The limits of the
+ * `initiate` phase apply to the creation of uploads, those of the `transfer` phase to chunks.
+ * @property {Object} [requestOptions] Options that will be passed to fetch (either node-fetch-npm or native fetch, depending on the context)
+ * @property {Boolean|AgentPoolOptions|AgentPool} [agentPool] Keep-alive agents per origin shared by all requests, enabled
+ * by default and closed when the upload finishes
+ */
+/**
+ * Upload files to a tus 1.0 server
+ *
+ * An upload is created with a POST request to the creation endpoint, the file is then sent in
+ * sequential PATCH requests starting at the `Upload-Offset` of the server. After a failed
+ * chunk the offset is requested with HEAD, so only the bytes the server did not receive are
+ * sent again. Emits the `filestart`, `fileprogress`, `fileend` and `fileerror` events of
+ * `BlockUpload`, with the `uploadUrl` of the file once it is known.
+ */
+class TusUpload extends EventEmitter {
+    /**
+     * Creates a new tus upload instance
+     */
+    constructor() {
+        super();
+        this.agentPool = undefined;
+        this.randomFileAccess = undefined;
+    }
+
+    /**
+     * Create the options of a request to the tus server
+     *
+     * @param {TusUploadOptions} options Tus upload options
+     * @param {Object} [headers] Headers of the request
+     * @param {Object} [body] Body of the request
+     * @returns {Object} Fetch options
+     */
+    createRequestOptions(options, headers, body) {
+        const requestHeaders = {
+            ...headers,
+            [TUS_HEADER.RESUMABLE]: TUS_VERSION
+        };
+        // headers of the request replace headers of the options, whatever the case of their names
+        const optionHeaders = {};
+        for (const [name, value] of Object.entries(options.headers || {})) {
+            if (getHeader(requestHeaders, name.toLowerCase()) === undefined) {
+                optionHeaders[name] = value;
+            }
+        }
+        return {
+            timeout: options.timeout,
+            headers: {
+                ...optionHeaders,
+                ...requestHeaders
+            },
+            ...(body ? { body } : {}),
+            signal: options.abortSignal,
+            ...options.requestOptions,
+            agentPool: this.agentPool
+        };
+    }
+
+    /**
+     * Read a chunk of the file and create the headers that describe it
+     *
+     * @param {Object} upload State of the upload
+     * @param {TusUploadOptions} options Tus upload options
+     * @returns {{body: Buffer, headers: Object}} Chunk and headers
+     */
+    async readChunk(upload, options) {
+        const { offset, fileSize } = upload;
+        const length = Math.min(options.chunkSize || DEFAULT_CHUNK_SIZE, fileSize - offset);
+        const body = await this.randomFileAccess.read(upload.sourceUrl, { low: offset, high: offset + length - 1, length });
+        const checksum = getChecksumOptions(options);
+        return {
+            body,
+            headers: {
+                [HTTP.HEADER.CONTENT_TYPE]: TUS_CONTENT_TYPE,
+                [HTTP.HEADER.CONTENT_LENGTH]: body.length,
+                ...(checksum ? { [TUS_HEADER.UPLOAD_CHECKSUM]: `${checksum.algorithm} ${digestBuffer(checksum.algorithm, body)}` } : {})
+            }
+        };
+    }
+
+    /**
+     * Create the upload of a file, with its first chunk if `creationWithUpload` is set
+     *
+     * @param {Object} upload State of the upload
+     * @param {TusUploadOptions} options Tus upload options
+     */
+    async createUpload(upload, options) {
+        const { creationUrl, transferAsset } = upload;
+        await retry(async () => {
+            const chunk = (options.creationWithUpload && upload.fileSize > 0) && await this.readChunk(upload, options);
+            const response = await issuePost(creationUrl, this.createRequestOptions(options, {
+                [TUS_HEADER.UPLOAD_LENGTH]: upload.fileSize,
+                ...(upload.metadata ? { [TUS_HEADER.UPLOAD_METADATA]: upload.metadata } : {}),
+                ...(chunk ? chunk.headers : { [HTTP.HEADER.CONTENT_LENGTH]: 0 })
+            }, chunk && chunk.body));
+            const location = response.headers.get(HTTP.HEADER.LOCATION);
+            if (!location) {
+                throw Error(`POST '${creationUrl}' did not return the url of the upload in a Location header`);
+            }
+            upload.uploadUrl = new URL(location, creationUrl);
+            // the server may accept only part of the chunk, or none if it does not support the extension
+            upload.offset = response.headers.has(TUS_HEADER.UPLOAD_OFFSET)
+                ? getUploadOffset(HTTP.METHOD.POST, creationUrl, response)
+                : 0;
+        }, options, {
+            phase: RetryPhase.INITIATE,
+            url: creationUrl,
+            transferAsset
+        });
+        logger.info(`Created tus upload ${upload.uploadUrl}, offset ${upload.offset}`);
+    }
+
+    /**
+     * Request the offset of an upload from the server
+     *
+     * @param {Object} upload State of the upload
+     * @param {TusUploadOptions} options Tus upload options
+     */
+    async requestOffset(upload, options) {
+        const response = await issueHead(upload.uploadUrl, this.createRequestOptions(options));
+        const offset = getUploadOffset(HTTP.METHOD.HEAD, upload.uploadUrl, response);
+        if (offset > upload.fileSize) {
+            throw Error(`HEAD '${upload.uploadUrl}' returned an offset of ${offset} bytes, more than the file size of ${upload.fileSize} bytes`);
+        }
+        upload.offset = offset;
+        upload.offsetKnown = true;
+    }
+
+    /**
+     * Send the next chunk of a file, the offset is requested first if it is not known
+     *
+     * @param {Object} upload State of the upload
+     * @param {TusUploadOptions} options Tus upload options
+     */
+    async patchChunk(upload, options) {
+        const { uploadUrl, transferAsset } = upload;
+        await retry(async () => {
+            if (!upload.offsetKnown) {
+                await this.requestOffset(upload, options);
+                if (upload.offset === upload.fileSize) {
+                    return;
+                }
+            }
+            const chunk = await this.readChunk(upload, options);
+            // the offset is requested again if the chunk fails
+            upload.offsetKnown = false;
+            try {
+                const response = await issuePatch(uploadUrl, this.createRequestOptions(options, {
+                    ...chunk.headers,
+                    [TUS_HEADER.UPLOAD_OFFSET]: upload.offset
+                }, chunk.body));
+                const offset = getUploadOffset(HTTP.METHOD.PATCH, uploadUrl, response);
+                if (offset <= upload.offset) {
+                    throw Error(`PATCH '${uploadUrl}' did not advance the offset of ${upload.offset} bytes, the server returned ${offset}`);
+                }
+                upload.offset = offset;
+                upload.offsetKnown = true;
+            } catch (error) {
+                if ((error instanceof HttpResponseError) && (error.status === TUS_STATUS.CONFLICT)) {
+                    // the offset does not match the server, retried at the offset of the server within the retry limits
+                    throw new HttpStreamError(HTTP.METHOD.PATCH, uploadUrl, error.status, `offset ${upload.offset} does not match the server`);
+                } else if ((error instanceof HttpResponseError) && (error.status === TUS_STATUS.CHECKSUM_MISMATCH)) {
+                    const checksum = getChecksumOptions(options);
+                    const digest = chunk.headers[TUS_HEADER.UPLOAD_CHECKSUM].split(" ")[1];
+                    throw new ChecksumMismatchError(HTTP.METHOD.PATCH, uploadUrl, checksum.algorithm, digest, "a different digest on the server");
+                }
+                throw error;
+            }
+        }, options, {
+            phase: RetryPhase.TRANSFER,
+            url: uploadUrl,
+            transferAsset
+        });
+    }
+
+    /**
+     * Delete an upload that failed, failures are logged
+     *
+     * @param {Object} upload State of the upload
+     * @param {TusUploadOptions} options Tus upload options
+     */
+    async terminateUpload(upload, options) {
+        try {
+            logger.info(`Terminating tus upload ${upload.uploadUrl}`);
+            await issueDelete(upload.uploadUrl, {
+                ...this.createRequestOptions(options),
+                // also sent when the upload was cancelled
+                signal: undefined
+            });
+        } catch (error) {
+            logger.warn(`Failed to terminate tus upload ${upload.uploadUrl}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Upload a file
+     *
+     * @param {TusUploadFile} uploadFile File to upload
+     * @param {TusUploadOptions} options Tus upload options
+     */
+    async uploadFile(uploadFile, options) {
+        if (!uploadFile.filePath) {
+            throw new IllegalArgumentError('filePath must be provided in uploadFiles', JSON.stringify(uploadFile));
+        }
+        const fileSize = Number.isFinite(uploadFile.fileSize)
+            ? uploadFile.fileSize
+            : (await getFileStats(uploadFile.filePath)).size;
+        const contentType = getHeader(options.headers, HTTP.HEADER.CONTENT_TYPE);
+        const upload = {
+            creationUrl: new URL(uploadFile.fileUrl),
+            sourceUrl: fileUrl(uploadFile.filePath),
+            fileSize,
+            metadata: encodeMetadata(uploadFile.metadata || {
+                filename: Path.basename(uploadFile.filePath),
+                filetype: contentType
+            }),
+            uploadUrl: uploadFile.uploadUrl && new URL(uploadFile.uploadUrl),
+            offset: 0,
+            // the offset of an upload created earlier is requested first
+            offsetKnown: !uploadFile.uploadUrl
+        };
+        upload.transferAsset = new TransferAsset(
+            new Asset(upload.sourceUrl),
+            new Asset(upload.creationUrl, options.headers),
+            { metadata: new AssetMetadata(uploadFile.filePath, contentType, fileSize) }
+        );
+        const eventData = () => ({
+            ...upload.transferAsset.eventData,
+            ...(upload.uploadUrl ? { uploadUrl: upload.uploadUrl.href } : {})
+        });
+
+        try {
+            if (options.abortSignal && options.abortSignal.aborted) {
+                throw new UserCancelledError();
+            }
+            this.emit("filestart", eventData());
+            if (!upload.uploadUrl) {
+                await this.createUpload(upload, options);
+            }
+            while (!upload.offsetKnown || (upload.offset < fileSize)) {
+                await this.patchChunk(upload, options);
+                if (upload.offsetKnown) {
+                    this.emit("fileprogress", {
+                        ...eventData(),
+                        transferred: upload.offset
+                    });
+                }
+            }
+            logger.info(`Tus upload ${upload.uploadUrl} complete`);
+            this.emit("fileend", eventData());
+        } catch (error) {
+            logger.info(`Error during tus upload: ${error}`);
+            this.emit("fileerror", {
+                ...eventData(),
+                errors: [UploadError.fromError(error)]
+            });
+            if (options.terminate && upload.uploadUrl) {
+                await this.terminateUpload(upload, options);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Upload files
+     * Throws the first error if unsuccessful, the files after a failed file are still uploaded
+     *
+     * @param {TusUploadOptions} options Tus upload options
+     */
+    async uploadFiles(options = {}) {
+        if (options.chunkSize && !isPositiveNumber(options.chunkSize)) {
+            throw new IllegalArgumentError("'chunkSize' must be a positive number", options.chunkSize);
+        }
+        // fail early on an unsupported algorithm
+        getChecksumOptions(options);
+
+        this.agentPool = AgentPool.from(options.agentPool);
+        this.randomFileAccess = new RandomFileAccess();
+        let firstError;
+        try {
+            for (const uploadFile of options.uploadFiles || []) {
+                try {
+                    await this.uploadFile(uploadFile, options);
+                } catch (error) {
+                    firstError = firstError || error;
+                }
+            }
+        } finally {
+            if (this.agentPool && (this.agentPool !== options.agentPool)) {
+                this.agentPool.close();
+            }
+            await this.randomFileAccess.close();
+        }
+        if (firstError) {
+            throw firstError;
+        }
+    }
+}
+
+module.exports = {
+    TusUpload
+};
@@ -16,9 +16,13 @@ require("core-js/stable");
 
 const { sep, dirname: filePathDirname, basename: filePathBasename } = require("path");
 const fs = require("fs");
+const { Readable } = require("stream");
 const validUrl = require("valid-url");
 const { HttpStreamError } = require("./error");
 
+// size of the chunks in which buffers are streamed
+const BUFFER_CHUNK_SIZE = 64 * 1024;
+
 /**
  * Get the file stats (asynchronously)
  * 
@@ -123,12 +127,15 @@ function isPositiveNumber(value) {
  * @param {String} method HTTP method
  * @param {String} url URL requested
  * @param {Number} status HTTP status code of response
- * @param {ReadableStream} stream Stream to convert.
+ * @param {ReadableStream} stream Stream to convert, either a Node.js or a web readable stream.
  * @param {number} totalSize Total size of the stream.
  * @returns {Promise<Buffer>} Contents of the stream in a
  *  Buffer.
  */
 async function streamToBuffer(method, url, status, stream, totalSize) {
+    if (isWebReadableStream(stream)) {
+        stream = webStreamToReadable(stream);
+    }
     return new Promise((resolve, reject) => {
         const buffer = Buffer.allocUnsafe(totalSize);
         let bufferOffset = 0;
@@ -152,6 +159,52 @@ async function streamToBuffer(method, url, status, stream, totalSize) {
     });
 }
 
+/**
+ * Pipes the content of a readable Stream into a writable Stream,
+ * without holding more than the stream buffers in memory. Resolves
+ * once all data has been written.
+ *
+ * @param {String} method HTTP method
+ * @param {String} url URL requested
+ * @param {Number} status HTTP status code of response
+ * @param {ReadableStream} readStream Stream to read from, either a Node.js or a web readable stream.
+ * @param {WritableStream} writeStream Stream to write to.
+ * @param {number} totalSize Total size of the stream.
+ * @returns {Promise<Number>} Number of bytes written.
+ */
+async function pipeStream(method, url, status, readStream, writeStream, totalSize) {
+    if (isWebReadableStream(readStream)) {
+        readStream = webStreamToReadable(readStream);
+    }
+    return new Promise((resolve, reject) => {
+        let bytesRead = 0;
+
+        readStream.once('error', (err) => {
+            readStream.unpipe(writeStream);
+            writeStream.destroy();
+            reject(new HttpStreamError(method, url, status, err));
+        });
+
+        writeStream.once('error', (err) => {
+            readStream.unpipe(writeStream);
+            reject(new HttpStreamError(method, url, status, err));
+        });
+
+        writeStream.once('finish', () => {
+            if (bytesRead !== totalSize) {
+                reject(new HttpStreamError(method, url, status, `Unexpected number of bytes read from stream. Expected ${totalSize} but got ${bytesRead}.`));
+                return;
+            }
+            resolve(bytesRead);
+        });
+
+        readStream.on('data', (chunk) => {
+            bytesRead += chunk.length;
+        });
+        readStream.pipe(writeStream);
+    });
+}
+
 /**
  * Ensures that all path separators in a given path are forward
  * slashes. The method will replace any backward slashes with
@@ -222,6 +275,60 @@ function urlToPath(path) {
     };
 }
 
+/**
+ * Split a buffer in to a readable stream of smaller chunks, so the
+ * progress of sending the buffer can be tracked
+ *
+ * @param {Buffer} buffer Buffer
+ * @returns {Readable} Readable stream of the buffer
+ */
+function bufferToStream(buffer) {
+    let offset = 0;
+    return new Readable({
+        read() {
+            if (offset >= buffer.length) {
+                this.push(null);
+            } else {
+                const end = Math.min(offset + BUFFER_CHUNK_SIZE, buffer.length);
+                this.push(buffer.slice(offset, end));
+                offset = end;
+            }
+        }
+    });
+}
+
+/**
+ * Check if a stream is a web (WHATWG) readable stream, as returned by native fetch
+ *
+ * @param {*} stream Stream
+ * @returns {Boolean} True if the stream is a web readable stream and not a Node.js stream
+ */
+function isWebReadableStream(stream) {
+    return !!stream && (typeof stream.getReader === "function") && (typeof stream.pipe !== "function");
+}
+
+/**
+ * Convert a web (WHATWG) readable stream to a Node.js readable stream. Destroying the
+ * returned stream cancels the web stream.
+ *
+ * @param {ReadableStream} webStream Web readable stream
+ * @returns {Readable} Node.js readable stream of buffers
+ */
+function webStreamToReadable(webStream) {
+    const reader = webStream.getReader();
+    return new Readable({
+        read() {
+            reader.read().then(({ done, value }) => {
+                this.push(done ? null : Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+            }, error => this.destroy(error));
+        },
+        destroy(error, callback) {
+            reader.cancel(error).catch(() => {});
+            callback(error);
+        }
+    });
+}
+
 module.exports = {
     getFileStats,
     createReadStream,
@@ -230,6 +337,10 @@ module.exports = {
     isFileProtocol,
     isPositiveNumber,
     streamToBuffer,
+    pipeStream,
+    bufferToStream,
+    isWebReadableStream,
+    webStreamToReadable,
     urlPathDirname,
     urlToPath,
 };
@@ -0,0 +1,104 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const { AdaptiveConcurrency } = require("../lib/adaptiveconcurrency");
+
+describe("AdaptiveConcurrency", function() {
+    // freeze the clock so the measured throughput only depends on the recorded parts
+    const dateNow = Date.now;
+    beforeEach(function() {
+        const now = dateNow();
+        Date.now = () => now;
+    });
+
+    afterEach(function() {
+        Date.now = dateNow;
+    });
+
+    it("is not created unless enabled", function() {
+        assert.strictEqual(AdaptiveConcurrency.from(), undefined);
+        assert.strictEqual(AdaptiveConcurrency.from(false, 8), undefined);
+        assert.strictEqual(AdaptiveConcurrency.from(true, 8).concurrency, 8);
+        assert.strictEqual(AdaptiveConcurrency.from({ maxConcurrent: 4 }, 8).concurrency, 4);
+        assert.strictEqual(AdaptiveConcurrency.from({ initialConcurrent: 2 }, 8).concurrency, 2);
+
+        const shared = new AdaptiveConcurrency();
+        assert.strictEqual(AdaptiveConcurrency.from(shared, 8), shared);
+        assert.throws(() => new AdaptiveConcurrency({ decreaseFactor: 2 }), /'decreaseFactor' must be between 0 and 1/);
+        assert.throws(() => new AdaptiveConcurrency({ latencyFactor: 0.5 }), /'latencyFactor' must be larger than 1/);
+    });
+
+    it("grows by one after each round of parts", function() {
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 2, maxConcurrent: 4 });
+        adaptiveConcurrency.recordPart(10, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 2);
+        adaptiveConcurrency.recordPart(10, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 3);
+
+        for (let i = 0; i < 10; ++i) {
+            adaptiveConcurrency.recordPart(10, 1000);
+        }
+        assert.strictEqual(adaptiveConcurrency.concurrency, 4);
+    });
+
+    it("does not grow when the throughput drops", function() {
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 1 });
+        adaptiveConcurrency.recordPart(10, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 2);
+
+        adaptiveConcurrency.lastThroughput = Number.MAX_SAFE_INTEGER;
+        adaptiveConcurrency.recordPart(10, 1000);
+        adaptiveConcurrency.recordPart(10, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 2);
+    });
+
+    it("halves on 429 and 503 responses, once per part duration", function() {
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 8 });
+        adaptiveConcurrency.recordResponse(500);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 8);
+
+        adaptiveConcurrency.recordResponse(429);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 4);
+        adaptiveConcurrency.recordResponse(503);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 4);
+
+        adaptiveConcurrency.lastDecrease = 0;
+        adaptiveConcurrency.recordResponse(503);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 2);
+    });
+
+    it("stays within the bounds", function() {
+        const adaptiveConcurrency = new AdaptiveConcurrency({ minConcurrent: 3, initialConcurrent: 4 });
+        adaptiveConcurrency.recordResponse(429);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 3);
+    });
+
+    it("shrinks when parts slow down", function() {
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 8 });
+        adaptiveConcurrency.recordPart(10, 1000);
+        adaptiveConcurrency.recordPart(10, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 8);
+
+        // a single slow part is smoothed out
+        adaptiveConcurrency.recordPart(50, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 8);
+
+        adaptiveConcurrency.recordPart(200, 1000);
+        assert.strictEqual(adaptiveConcurrency.concurrency, 4);
+    });
+});
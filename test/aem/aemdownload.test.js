@@ -20,6 +20,8 @@ const nock = require('nock');
 const Path = require('path');
 const { AEMDownload } = require('../../lib/aem/aemdownload');
 const DownloadError = require('../../lib/block/download-error');
+const { RandomFileAccess } = require('../../lib/randomfileaccess');
+const { AdaptiveConcurrency } = require('../../lib/adaptiveconcurrency');
 
 describe('AEM Download', function() {
     afterEach(async function () {
@@ -117,6 +119,47 @@ describe('AEM Download', function() {
         assert.deepStrictEqual(events.fileend[0], fileEventData);
     });
 
+    it('AEM download streams parts to disk', async function() {
+        const testFile = Path.join(__dirname, 'file-stream.jpg');
+        nock('http://test-aem-download-200')
+            .matchHeader('range', 'bytes=0-6')
+            .get('/path/to/file-stream.jpg')
+            .reply(206, 'Hello W', {
+                'Content-Length': 7
+            });
+        nock('http://test-aem-download-200')
+            .matchHeader('range', 'bytes=7-11')
+            .get('/path/to/file-stream.jpg')
+            .reply(206, 'orld!', {
+                'Content-Length': 5
+            });
+
+        const createWriteStream = RandomFileAccess.prototype.createWriteStream;
+        let writeStreams = 0;
+        RandomFileAccess.prototype.createWriteStream = function (...args) {
+            ++writeStreams;
+            return createWriteStream.apply(this, args);
+        };
+        try {
+            await new AEMDownload().downloadFiles({
+                downloadFiles: [{
+                    fileUrl: 'http://test-aem-download-200/path/to/file-stream.jpg',
+                    filePath: testFile,
+                    fileSize: 12
+                }],
+                maxConcurrent: 2,
+                preferredPartSize: 7,
+                streamParts: true
+            });
+        } finally {
+            RandomFileAccess.prototype.createWriteStream = createWriteStream;
+        }
+        const fileData = await fs.readFile(testFile);
+        await fs.unlink(testFile);
+        assert.strictEqual(fileData.toString(), 'Hello World!');
+        assert.strictEqual(writeStreams, 2);
+    });
+
     it('AEM 4xx download failure', async function() {
         const testFile = Path.join(__dirname, 'file-1.jpg');
         nock('http://test-aem-download-400')
@@ -408,4 +451,59 @@ describe('AEM Download', function() {
         }
         assert.strictEqual(fileData.toString(), 'Hello World');
     });
+
+    it('AEM download lowers the concurrency when the server is overloaded', async function() {
+        const testFile = Path.join(__dirname, 'file-adaptive.jpg');
+        nock('http://test-aem-download-adaptive')
+            .matchHeader('range', 'bytes=0-6')
+            .get('/path/to/file-adaptive.jpg')
+            .reply(503)
+            .get('/path/to/file-adaptive.jpg')
+            .reply(206, 'Hello W', {
+                'Content-Length': 7
+            });
+        nock('http://test-aem-download-adaptive')
+            .matchHeader('range', 'bytes=7-11')
+            .get('/path/to/file-adaptive.jpg')
+            .reply(206, 'orld!', {
+                'Content-Length': 5
+            });
+
+        // inject a fixed part duration so the wall clock of the test run does not change the concurrency
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 4, maxConcurrent: 4 });
+        const recordPart = adaptiveConcurrency.recordPart.bind(adaptiveConcurrency);
+        adaptiveConcurrency.recordPart = (duration, bytes) => recordPart(10, bytes);
+        const recordResponse = adaptiveConcurrency.recordResponse.bind(adaptiveConcurrency);
+        const changes = [];
+        adaptiveConcurrency.recordResponse = status => {
+            const before = adaptiveConcurrency.concurrency;
+            recordResponse(status);
+            changes.push({ status, before, after: adaptiveConcurrency.concurrency });
+        };
+
+        const aemDownload = new AEMDownload();
+        const fileprogress = [];
+        aemDownload.on('fileprogress', data => fileprogress.push(data));
+        await aemDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: 'http://test-aem-download-adaptive/path/to/file-adaptive.jpg',
+                filePath: testFile,
+                fileSize: 12
+            }],
+            concurrent: true,
+            maxConcurrent: 4,
+            preferredPartSize: 7,
+            adaptiveConcurrency,
+            retryPolicy: { initialDelay: 10 }
+        });
+        const fileData = await fs.readFile(testFile);
+        await fs.unlink(testFile);
+
+        assert.strictEqual(fileData.toString(), 'Hello World!');
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].status, 503);
+        assert.ok(changes[0].after < changes[0].before, JSON.stringify(changes));
+        assert.strictEqual(fileprogress.length, 2);
+        assert.ok(fileprogress.every(progress => progress.concurrency >= 1 && progress.concurrency <= 4));
+    });
 });
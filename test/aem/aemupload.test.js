@@ -19,6 +19,7 @@ const fs = require('fs').promises;
 const nock = require('nock');
 const Path = require('path');
 const { AEMUpload } = require('../../lib/aem/aemupload');
+const { AdaptiveConcurrency } = require('../../lib/adaptiveconcurrency');
 const { Blob } = require('blob-polyfill');
 const { directBinaryAccessEnabled } = require("../testutils");
 
@@ -268,13 +269,18 @@ describe('AEM Upload', function() {
             .reply(200, '{}');
 
         const aemUpload = new AEMUpload();
-        return aemUpload.uploadFiles({
+        await aemUpload.uploadFiles({
             uploadFiles: [{
                 fileUrl: 'http://test-aem-upload-201/path/to/file-1.jpg',
                 blob,
                 fileSize: 15
             }]
         });
+
+        // the initiate, part and complete requests share the agent pool, which is closed afterwards
+        const stats = aemUpload.agentPool.getStats();
+        assert.strictEqual(stats.origins[HOST].requests, 4);
+        assert.strictEqual(stats.idleSockets, 0);
     });
 
     it('AEM upload no filePath or blob error', function() {
@@ -288,4 +294,247 @@ describe('AEM Upload', function() {
             name: 'IllegalArgumentException'
         });
     });
+
+    it('AEM upload resumes from the resume state of an earlier upload', async function() {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-resume.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+        directBinaryAccessEnabled(nock, HOST, '/path/to');
+        const initResponse = {
+            completeURI: `${HOST}/path/to.completeUpload.json`,
+            folderPath: '/path/to',
+            files: [{
+                fileName: 'file-resume.jpg',
+                mimeType: 'image/jpeg',
+                uploadToken: 'upload-token',
+                uploadURIs: [
+                    `${HOST}/part1`,
+                    `${HOST}/part2`
+                ],
+                minPartSize: 5,
+                maxPartSize: 10
+            }]
+        };
+        const initRaw = JSON.stringify(initResponse);
+        nock(HOST)
+            .post('/path/to.initiateUpload.json', 'fileName=file-resume.jpg&fileSize=15')
+            .reply(201, initRaw, {
+                'Content-Length': initRaw.length
+            });
+        nock(HOST)
+            .put('/part1', 'hello wo')
+            .reply(201)
+            .put('/part2', 'rld 123')
+            .reply(404);
+
+        const uploadOptions = {
+            uploadFiles: [{
+                fileUrl: `${HOST}/path/to/file-resume.jpg`,
+                filePath: testFile,
+                fileSize: 15
+            }],
+            concurrent: true,
+            maxConcurrent: 1
+        };
+        const aemUpload = new AEMUpload();
+        const errors = [];
+        aemUpload.on('fileerror', data => errors.push(data));
+        await aemUpload.uploadFiles(uploadOptions);
+        assert.strictEqual(errors.length, 1);
+
+        // the state is serializable, e.g. to continue in another process
+        const resumeState = JSON.parse(JSON.stringify(aemUpload.getResumeState()));
+        assert.deepStrictEqual(resumeState, {
+            files: [{
+                fileUrl: `${HOST}/path/to/file-resume.jpg`,
+                fileSize: 15,
+                contentType: 'image/jpeg',
+                uploadURIs: [`${HOST}/part1`, `${HOST}/part2`],
+                minPartSize: 5,
+                maxPartSize: 10,
+                partSize: 8,
+                completeURI: `${HOST}/path/to.completeUpload.json`,
+                uploadToken: 'upload-token',
+                completedRanges: [[0, 7]]
+            }]
+        });
+
+        // only the missing part is uploaded, initiate upload is skipped
+        nock(HOST)
+            .put('/part2', 'rld 123')
+            .reply(201);
+        nock(HOST)
+            .post('/path/to.completeUpload.json', body => body.uploadToken === 'upload-token')
+            .reply(200, '{}');
+
+        const resumedUpload = new AEMUpload();
+        const events = {
+            fileprogress: [],
+            fileend: []
+        };
+        resumedUpload.on('fileprogress', data => events.fileprogress.push(data));
+        resumedUpload.on('fileend', data => events.fileend.push(data));
+        await resumedUpload.uploadFiles({
+            ...uploadOptions,
+            resumeState
+        });
+        await fs.unlink(testFile);
+
+        assert.deepStrictEqual(events.fileprogress.map(e => e.transferred), [15]);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.deepStrictEqual(resumedUpload.getResumeState(), { files: [] });
+    });
+
+    it('AEM upload resumes with the part size of the earlier upload', async function() {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-resume-part-size.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+        directBinaryAccessEnabled(nock, HOST, '/path/to');
+        const initRaw = JSON.stringify({
+            completeURI: `${HOST}/path/to.completeUpload.json`,
+            folderPath: '/path/to',
+            files: [{
+                fileName: 'file-resume-part-size.jpg',
+                mimeType: 'image/jpeg',
+                uploadToken: 'upload-token',
+                uploadURIs: [
+                    `${HOST}/part1`,
+                    `${HOST}/part2`,
+                    `${HOST}/part3`
+                ],
+                minPartSize: 5,
+                maxPartSize: 10
+            }]
+        });
+        nock(HOST)
+            .post('/path/to.initiateUpload.json', 'fileName=file-resume-part-size.jpg&fileSize=15')
+            .reply(201, initRaw, {
+                'Content-Length': initRaw.length
+            });
+        nock(HOST)
+            .put('/part1', 'hello')
+            .reply(201)
+            .put('/part2', ' worl')
+            .reply(201)
+            .put('/part3', 'd 123')
+            .reply(404);
+
+        const uploadOptions = {
+            uploadFiles: [{
+                fileUrl: `${HOST}/path/to/file-resume-part-size.jpg`,
+                filePath: testFile,
+                fileSize: 15
+            }],
+            concurrent: true,
+            maxConcurrent: 1
+        };
+        const aemUpload = new AEMUpload();
+        await aemUpload.uploadFiles({
+            ...uploadOptions,
+            preferredPartSize: 5
+        });
+        const resumeState = JSON.parse(JSON.stringify(aemUpload.getResumeState()));
+        assert.strictEqual(resumeState.files[0].partSize, 5);
+        assert.deepStrictEqual(resumeState.files[0].completedRanges, [[0, 9]]);
+
+        // a larger preferred part size would send the missing bytes to the second url, overwriting ' worl'
+        nock(HOST)
+            .put('/part3', 'd 123')
+            .reply(201);
+        nock(HOST)
+            .post('/path/to.completeUpload.json', body => body.uploadToken === 'upload-token')
+            .reply(200, '{}');
+
+        const resumedUpload = new AEMUpload();
+        const fileend = [];
+        resumedUpload.on('fileend', data => fileend.push(data));
+        await resumedUpload.uploadFiles({
+            ...uploadOptions,
+            preferredPartSize: 10,
+            resumeState
+        });
+        await fs.unlink(testFile);
+
+        assert.strictEqual(fileend.length, 1);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('AEM upload lowers the concurrency of direct binary uploads when the server is overloaded', async function() {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-adaptive.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+        directBinaryAccessEnabled(nock, HOST, '/path/to');
+        const initRaw = JSON.stringify({
+            completeURI: `${HOST}/path/to.completeUpload.json`,
+            folderPath: '/path/to',
+            files: [{
+                fileName: 'file-adaptive.jpg',
+                mimeType: 'image/jpeg',
+                uploadToken: 'upload-token',
+                uploadURIs: [
+                    `${HOST}/part1`,
+                    `${HOST}/part2`,
+                    `${HOST}/part3`
+                ],
+                minPartSize: 5,
+                maxPartSize: 5
+            }]
+        });
+        nock(HOST)
+            .post('/path/to.initiateUpload.json', 'fileName=file-adaptive.jpg&fileSize=15')
+            .reply(201, initRaw, {
+                'Content-Length': initRaw.length
+            });
+        nock(HOST)
+            .put('/part1', 'hello')
+            .reply(503)
+            .put('/part1', 'hello')
+            .reply(201)
+            .put('/part2', ' worl')
+            .reply(201)
+            .put('/part3', 'd 123')
+            .reply(201);
+        nock(HOST)
+            .post('/path/to.completeUpload.json', body => body.uploadToken === 'upload-token')
+            .reply(200, '{}');
+
+        // inject a fixed part duration so the wall clock of the test run does not change the concurrency
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 4, maxConcurrent: 4 });
+        const recordPart = adaptiveConcurrency.recordPart.bind(adaptiveConcurrency);
+        adaptiveConcurrency.recordPart = (duration, bytes) => recordPart(10, bytes);
+        const recordResponse = adaptiveConcurrency.recordResponse.bind(adaptiveConcurrency);
+        const changes = [];
+        adaptiveConcurrency.recordResponse = status => {
+            const before = adaptiveConcurrency.concurrency;
+            recordResponse(status);
+            changes.push({ status, before, after: adaptiveConcurrency.concurrency });
+        };
+
+        const aemUpload = new AEMUpload();
+        const fileprogress = [];
+        aemUpload.on('fileprogress', data => fileprogress.push(data));
+        await aemUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/path/to/file-adaptive.jpg`,
+                filePath: testFile,
+                fileSize: 15
+            }],
+            concurrent: true,
+            maxConcurrent: 4,
+            adaptiveConcurrency,
+            requestOptions: {
+                retryOptions: {
+                    retryInitialDelay: 10
+                }
+            }
+        });
+        await fs.unlink(testFile);
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].status, 503);
+        assert.ok(changes[0].after < changes[0].before, JSON.stringify(changes));
+        assert.strictEqual(fileprogress.length, 3);
+        assert.ok(fileprogress.every(progress => progress.concurrency >= 1 && progress.concurrency <= 4));
+    });
 });
@@ -482,6 +482,41 @@ describe("Create Asset Servlet Upload", function() {
         }]);
     });
 
+    it("test asset servlet upload reports the file digest", async function () {
+        const upload = new AEMUpload();
+        directBinaryAccessNotEnabled(nock, HOST, "/content/dam");
+        registerEvents(upload);
+
+        const fileName = "digestfile.jpg";
+        const fileContent = "hello world 123";
+        const filePath = await createTestFile(fileName, fileContent);
+        const assetName = "testassetdigest.jpg";
+        const assetPath = `/content/dam/${assetName}`;
+        const fileInfo = createFileEventInfo(fileContent, filePath, assetName, assetPath);
+
+        registerCreateAssetCall({
+            fileName: assetName,
+            content: fileContent
+        });
+        await upload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}${assetPath}`,
+                filePath: filePath,
+                fileSize: fileContent.length
+            }],
+            checksumAlgorithm: "md5"
+        });
+
+        assertNoEvents(fileError);
+        assertEvents(fileEnd, assetName, [{
+            ...fileInfo,
+            digest: {
+                algorithm: "md5",
+                value: "f3l+mk4sOpsZAiXSmSFM5A=="
+            }
+        }]);
+    });
+
     it("test asset upload servlet failure", async function () {
         const upload = new AEMUpload();
         directBinaryAccessNotEnabled(nock, HOST, "/content/dam");
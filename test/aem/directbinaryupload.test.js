@@ -46,4 +46,12 @@ describe('AEM Binary Upload', function() {
         // confirm invalid retry options are filtered out
         assert.strictEqual(transferOptions.invalidOption, undefined);
     });
+
+    it('test get transfer options streamParts', function () {
+        const upload = new DirectBinaryUpload({
+            streamParts: true
+        });
+        const transferOptions = upload.getTransferOptions();
+        assert.strictEqual(transferOptions.streamParts, true);
+    });
 });
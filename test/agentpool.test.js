@@ -0,0 +1,95 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const http = require("http");
+const { AgentPool } = require("../lib/agentpool");
+const { streamGet } = require("../lib/fetch");
+
+describe("AgentPool", function() {
+    let server;
+    let origin;
+
+    beforeEach(async function() {
+        server = http.createServer((req, res) => res.end(`hello ${req.url}`));
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function() {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it("is created unless disabled", function() {
+        assert.ok(AgentPool.from() instanceof AgentPool);
+        assert.strictEqual(AgentPool.from(false), undefined);
+        assert.strictEqual(AgentPool.from({ maxSockets: 2 }).maxSockets, 2);
+
+        const shared = new AgentPool();
+        assert.strictEqual(AgentPool.from(shared), shared);
+        assert.throws(() => new AgentPool({ idleTimeout: -1 }), /'idleTimeout' must be a positive number/);
+    });
+
+    it("creates one keep-alive agent per origin", function() {
+        const agentPool = new AgentPool({ maxSockets: 4, maxFreeSockets: 2 });
+        const agent = agentPool.getAgent("https://test.com/file1");
+        assert.strictEqual(agentPool.getAgent("https://test.com/file2"), agent);
+        assert.notStrictEqual(agentPool.getAgent("http://test.com/file1"), agent);
+        assert.strictEqual(agentPool.getAgent("file:///tmp/file"), undefined);
+        assert.ok(agent.keepAlive);
+        assert.strictEqual(agent.maxSockets, 4);
+        assert.strictEqual(agent.maxFreeSockets, 2);
+
+        const proxyAgent = agentPool.getAgent("https://test.com/file1", "http://proxy.example.com:3128");
+        assert.notStrictEqual(proxyAgent, agent);
+        assert.ok(proxyAgent.keepAlive);
+        agentPool.close();
+    });
+
+    it("reuses connections", async function() {
+        const agentPool = new AgentPool();
+        for (let i = 0; i < 3; ++i) {
+            const response = await streamGet(`${origin}/file${i}`, { agentPool });
+            assert.strictEqual(await response.text(), `hello /file${i}`);
+        }
+
+        const stats = agentPool.getStats();
+        assert.deepStrictEqual(stats.origins[origin], {
+            requests: 3,
+            socketsCreated: 1,
+            socketsReused: 2,
+            activeSockets: 0,
+            idleSockets: 1
+        });
+        assert.strictEqual(stats.requests, 3);
+
+        agentPool.close();
+        assert.strictEqual(agentPool.getStats().idleSockets, 0);
+        assert.strictEqual(agentPool.getStats().socketsReused, 2);
+    });
+
+    it("closes idle connections", async function() {
+        const agentPool = new AgentPool({ idleTimeout: 50 });
+        const response = await streamGet(`${origin}/file`, { agentPool });
+        await response.text();
+        assert.strictEqual(agentPool.getStats().idleSockets, 1);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.strictEqual(agentPool.getStats().idleSockets, 0);
+        agentPool.close();
+    });
+});
@@ -148,4 +148,18 @@ describe("AssetMultipart", () => {
             }, Error("'completeUrl' must be a http/https url: invalid-url (string)"));
         });
     });
+    describe("partSize", () => {
+        it("set", () => {
+            const multipart = new AssetMultipart([ new URL("http://host/path/to/target") ], 100, 1000);
+            assert.strictEqual(multipart.partSize, undefined);
+            multipart.partSize = 500;
+            assert.strictEqual(multipart.partSize, 500);
+        });
+        it("invalid", () => {
+            const multipart = new AssetMultipart([ new URL("http://host/path/to/target") ], 100, 1000);
+            assert.strict.throws(() => {
+                multipart.partSize = 0;
+            }, Error("'partSize' must be a positive number: 0 (number)"));
+        });
+    });
 });
\ No newline at end of file
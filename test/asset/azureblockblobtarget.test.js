@@ -0,0 +1,73 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const { AssetMultipart } = require('../../lib/asset/assetmultipart');
+const { AzureBlockBlobTarget, AZURE_MAX_BLOCKS } = require('../../lib/asset/azureblockblobtarget');
+
+const SAS_URL = "http://host/container/blob?sv=2020-10-02&sig=abc";
+
+describe("AzureBlockBlobTarget", () => {
+    it("valid", () => {
+        const target = new AzureBlockBlobTarget(SAS_URL, 2, 100, 1000, { header1: "value1" }, {
+            contentType: "image/jpeg",
+            metadata: { owner: "test" }
+        });
+        assert.ok(target instanceof AssetMultipart);
+        assert.deepStrictEqual(target.targetUrls, [
+            `${SAS_URL}&comp=block&blockid=MDAwMDAwMDAwMA%3D%3D`,
+            `${SAS_URL}&comp=block&blockid=MDAwMDAwMDAwMQ%3D%3D`
+        ]);
+        assert.strictEqual(target.minPartSize, 100);
+        assert.strictEqual(target.maxPartSize, 1000);
+        assert.deepStrictEqual(target.headers, { header1: "value1" });
+        assert.deepStrictEqual(target.completeUrl, new URL(`${SAS_URL}&comp=blocklist`));
+        assert.strictEqual(target.contentType, "image/jpeg");
+        assert.deepStrictEqual(target.metadata, { owner: "test" });
+        assert.deepStrictEqual(target.blockIds, []);
+    });
+    it("url without query", () => {
+        const target = new AzureBlockBlobTarget("http://host/container/blob", 1, 100, 1000);
+        assert.deepStrictEqual(target.targetUrls, [ "http://host/container/blob?comp=block&blockid=MDAwMDAwMDAwMA%3D%3D" ]);
+        assert.deepStrictEqual(target.completeUrl, new URL("http://host/container/blob?comp=blocklist"));
+        assert.deepStrictEqual(target.metadata, {});
+    });
+    it("block ids have a fixed width", () => {
+        const target = new AzureBlockBlobTarget(SAS_URL, 12, 100, 1000);
+        const blockIds = target.targetUrls.map(url => target.getBlockId(url));
+        assert.strictEqual(new Set(blockIds.map(blockId => blockId.length)).size, 1);
+        assert.strictEqual(Buffer.from(blockIds[11], "base64").toString(), "0000000011");
+    });
+    it("invalid", () => {
+        assert.throws(() => new AzureBlockBlobTarget("file:///path/to/blob", 1, 100, 1000), /'sasUrl' must be a http\/https url/);
+        assert.throws(() => new AzureBlockBlobTarget(SAS_URL, 0, 100, 1000), /'blockCount' must be a positive number/);
+        assert.throws(() => new AzureBlockBlobTarget(SAS_URL, AZURE_MAX_BLOCKS + 1, 100, 1000), /'blockCount' must be a positive number/);
+    });
+    it("creates enough blocks for the file", () => {
+        assert.strictEqual(AzureBlockBlobTarget.create(SAS_URL, 25, 10).targetUrls.length, 3);
+        assert.strictEqual(AzureBlockBlobTarget.create(SAS_URL, 0, 10).targetUrls.length, 1);
+        // preferred part size is raised to the minimum part size
+        assert.strictEqual(AzureBlockBlobTarget.create(SAS_URL, 25, 1, 5).targetUrls.length, 5);
+        // never more blocks than allowed
+        assert.strictEqual(AzureBlockBlobTarget.create(SAS_URL, 10 * AZURE_MAX_BLOCKS, 1, 1).targetUrls.length, AZURE_MAX_BLOCKS);
+    });
+    it("commits the uploaded blocks in order", () => {
+        const target = new AzureBlockBlobTarget(SAS_URL, 3, 100, 1000);
+        target.partUploaded(target.targetUrls[2]);
+        target.partUploaded(new URL(target.targetUrls[0]));
+        assert.deepStrictEqual(target.blockIds, [ "MDAwMDAwMDAwMA==", "MDAwMDAwMDAwMg==" ]);
+    });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+
+const DRange = require("drange");
+const fileUrl = require("file-url");
+
+const { TransferPart } = require("../../lib/asset/transferpart");
+const { TransferAsset } = require("../../lib/asset/transferasset");
+const { Asset } = require("../../lib/asset/asset");
+const { AssetMetadata } = require("../../lib/asset/assetmetadata");
+const { ResumableSessionRequestGenerator } = require("../../lib/asset/resumablesessionrequestgenerator");
+
+describe("ResumableSessionRequestGenerator", () => {
+    function createPart() {
+        const assetName = "asset.jpg";
+        const targetUrl = new URL(`http://sometestdomainthatreallydoesnotexist.com/bucket/${assetName}`);
+        const source = new Asset(fileUrl("/test/source.jpg"));
+        const target = new Asset(targetUrl);
+        const transferAsset = new TransferAsset(source, target, {
+            metadata: new AssetMetadata(assetName, "image/jpeg", 1024)
+        });
+        return new TransferPart(transferAsset, [targetUrl], new DRange(0, 1023));
+    }
+
+    it("test create chunk http headers", function () {
+        const request = new ResumableSessionRequestGenerator();
+        assert.deepStrictEqual(request.createPartHttpHeaders({
+            transferPart: createPart(),
+            httpBody: Buffer.from("Hello World!"),
+            contentRange: { low: 512, high: 523, length: 12 }
+        }), {
+            "content-length": 12,
+            "content-range": "bytes 512-523/1024"
+        });
+    });
+
+    it("test create empty chunk http headers", function () {
+        const request = new ResumableSessionRequestGenerator();
+        assert.deepStrictEqual(request.createPartHttpHeaders({
+            transferPart: createPart(),
+            httpBody: Buffer.alloc(0),
+            contentRange: { low: 1024, high: 1023, length: 0 }
+        }), {
+            "content-length": 0,
+            "content-range": "bytes */1024"
+        });
+    });
+
+    it("test create initiate http headers", function () {
+        const request = new ResumableSessionRequestGenerator();
+        assert.deepStrictEqual(request.createInitiateHttpHeaders(createPart()), {
+            "x-goog-resumable": "start",
+            "x-upload-content-length": 1024,
+            "content-length": 0,
+            "content-type": "image/jpeg"
+        });
+    });
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const {
+    ResumableSessionUpload,
+    RESUMABLE_CHUNK_GRANULARITY,
+    DEFAULT_RESUMABLE_CHUNK_SIZE
+} = require('../../lib/asset/resumablesessionupload');
+
+describe("ResumableSessionUpload", () => {
+    it("valid", () => {
+        const session = new ResumableSessionUpload("http://host/bucket/object?uploadType=resumable");
+        assert.deepStrictEqual(session.initiateUrl, new URL("http://host/bucket/object?uploadType=resumable"));
+        assert.strictEqual(session.sessionUrl, undefined);
+        assert.strictEqual(session.chunkSize, DEFAULT_RESUMABLE_CHUNK_SIZE);
+        assert.strictEqual(session.offset, 0);
+        assert.strictEqual(session.offsetUnknown, false);
+        assert.strictEqual(session.complete, false);
+    });
+    it("resumes an earlier session", () => {
+        const session = new ResumableSessionUpload("http://host/bucket/object", {
+            sessionUrl: "http://host/bucket/object?upload_id=1",
+            chunkSize: 2 * RESUMABLE_CHUNK_GRANULARITY
+        });
+        assert.deepStrictEqual(session.sessionUrl, new URL("http://host/bucket/object?upload_id=1"));
+        assert.strictEqual(session.chunkSize, 2 * RESUMABLE_CHUNK_GRANULARITY);
+        assert.strictEqual(session.offsetUnknown, true);
+    });
+    it("invalid", () => {
+        assert.throws(() => new ResumableSessionUpload("file:///path/to/object"), /'initiateUrl' must be a http\/https url/);
+        assert.throws(() => new ResumableSessionUpload("http://host/bucket/object", { sessionUrl: "file:///path" }),
+            /'sessionUrl' must be a http\/https url/);
+        assert.throws(() => new ResumableSessionUpload("http://host/bucket/object", { chunkSize: 1000 }),
+            /'chunkSize' must be a positive multiple of 262144/);
+    });
+    it("chunks start at the committed offset", () => {
+        const session = new ResumableSessionUpload("http://host/bucket/object", { chunkSize: RESUMABLE_CHUNK_GRANULARITY });
+        const totalSize = RESUMABLE_CHUNK_GRANULARITY + 100;
+        assert.deepStrictEqual(session.nextChunk(totalSize), { low: 0, high: RESUMABLE_CHUNK_GRANULARITY - 1, length: RESUMABLE_CHUNK_GRANULARITY });
+
+        session.resetOffset();
+        assert.strictEqual(session.offsetUnknown, true);
+        session.update(308, "bytes=0-1023", totalSize);
+        assert.strictEqual(session.offsetUnknown, false);
+        assert.strictEqual(session.offset, 1024);
+        assert.deepStrictEqual(session.nextChunk(totalSize), { low: 1024, high: totalSize - 1, length: totalSize - 1024 });
+
+        session.update(308, "bytes=0-262143", totalSize);
+        assert.deepStrictEqual(session.nextChunk(totalSize), { low: RESUMABLE_CHUNK_GRANULARITY, high: totalSize - 1, length: 100 });
+        assert.strictEqual(session.complete, false);
+
+        session.update(200, undefined, totalSize);
+        assert.strictEqual(session.complete, true);
+        assert.strictEqual(session.offset, totalSize);
+    });
+    it("nothing committed", () => {
+        const session = new ResumableSessionUpload("http://host/bucket/object");
+        session.update(308, undefined, 100);
+        assert.strictEqual(session.offset, 0);
+    });
+    it("unexpected range", () => {
+        const session = new ResumableSessionUpload("http://host/bucket/object");
+        assert.throws(() => session.update(308, "bytes=10-20", 100), /Unexpected range of a resumable upload/);
+        assert.throws(() => session.update(308, "bytes=0-200", 100), /more than the file size/);
+    });
+});
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const { AssetMultipart } = require('../../lib/asset/assetmultipart');
+const { S3MultipartTarget } = require('../../lib/asset/s3multiparttarget');
+
+describe("S3MultipartTarget", () => {
+    it("valid", () => {
+        const multipart = new S3MultipartTarget(
+            [ "http://host/path/to/target?partNumber=1", "http://host/path/to/target?partNumber=2" ],
+            100,
+            1000,
+            { header1: "value1" },
+            "http://host/path/to/target?uploadId=1",
+            "http://host/path/to/target?uploadId=1&abort"
+        );
+        assert.ok(multipart instanceof AssetMultipart);
+        assert.strictEqual(multipart.minPartSize, 100);
+        assert.strictEqual(multipart.maxPartSize, 1000);
+        assert.deepStrictEqual(multipart.headers, { header1: "value1" });
+        assert.deepStrictEqual(multipart.completeUrl, new URL("http://host/path/to/target?uploadId=1"));
+        assert.deepStrictEqual(multipart.abortUrl, new URL("http://host/path/to/target?uploadId=1&abort"));
+        assert.deepStrictEqual(multipart.parts, []);
+    });
+    it("requires a complete url", () => {
+        assert.throws(() => new S3MultipartTarget([ "http://host/path/to/target" ], 100, 1000), /'completeUrl' must be provided/);
+    });
+    it("invalid abort url", () => {
+        assert.throws(() => new S3MultipartTarget([ "http://host/path/to/target" ], 100, 1000, undefined,
+            "http://host/path/to/target?uploadId=1", "file:///path/to/abort"), /'abortUrl' must be a http\/https url/);
+    });
+    it("orders the parts by part number", () => {
+        const multipart = new S3MultipartTarget(
+            [ "http://host/path/to/target?partNumber=1", "http://host/path/to/target?partNumber=2" ],
+            100,
+            1000,
+            undefined,
+            "http://host/path/to/target?uploadId=1"
+        );
+        multipart.setPartETag("http://host/path/to/target?partNumber=2", '"etag2"');
+        multipart.setPartETag(new URL("http://host/path/to/target?partNumber=1"), '"etag1"');
+        assert.deepStrictEqual(multipart.parts, [
+            { partNumber: 1, etag: '"etag1"' },
+            { partNumber: 2, etag: '"etag2"' }
+        ]);
+    });
+    it("part number from the position of the url", () => {
+        const multipart = new S3MultipartTarget(
+            [ "http://host/path/to/part-a", "http://host/path/to/part-b" ],
+            100,
+            1000,
+            undefined,
+            "http://host/path/to/complete"
+        );
+        assert.strictEqual(multipart.getPartNumber("http://host/path/to/part-b"), 2);
+        assert.throws(() => multipart.getPartNumber("http://host/path/to/part-c"), /is not a part of the multipart upload/);
+    });
+});
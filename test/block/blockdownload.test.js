@@ -18,6 +18,9 @@ const assert = require('assert');
 const nock = require('nock');
 const Path = require('path');
 const { BlockDownload } = require('../../lib/block/blockdownload');
+const { RandomFileAccess } = require('../../lib/randomfileaccess');
+const { ChecksumMismatchError, SourceChangedError, UserCancelledError } = require('../../lib/error');
+const { createAbortController } = require('../testutils');
 const fs = require('fs');
 const crypto = require('crypto');
 
@@ -2064,7 +2067,7 @@ describe('Block Download', function () {
             assert.fail("Should have thrown an error");
         } catch (err) {
             console.log(err.message);
-            assert.ok(err.message.includes("not seem to have respected Range header"));
+            assert.ok(err.message.includes("Unexpected content length of the whole source"));
         }
     });
 
@@ -2282,4 +2285,677 @@ describe('Block Download', function () {
 
         //note: additional assertion made in nock callback at begining of this test
     });
+
+    it('Block download streams parts to disk', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-stream.jpeg";
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 12,
+                'accept-ranges': 'bytes'
+            });
+
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-6')
+            .get(filenameToDownload)
+            .reply(206, 'Hello W', {
+                'Content-Length': 7
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=7-11')
+            .get(filenameToDownload)
+            .reply(206, 'orld!', {
+                'Content-Length': 5
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileend: [],
+            error: []
+        };
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+        blockDownload.on('error', (data) => {
+            events.error.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-stream.jpeg");
+        await blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation,
+                fileSize: 12
+            }],
+            maxConcurrent: 2,
+            preferredPartSize: 7,
+            streamParts: true
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World!");
+        assert.equal(events.fileend.length, 1);
+        assert.equal(events.error.length, 0);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download sends conditional range requests and fails when the source changed', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-changed.jpeg";
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 12,
+                'etag': '"version-1"',
+                'accept-ranges': 'bytes'
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-11')
+            .matchHeader('if-match', '"version-1"')
+            .get(filenameToDownload)
+            .reply(412);
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileerror: []
+        };
+        blockDownload.on('fileerror', (data) => {
+            events.fileerror.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-changed.jpeg");
+        await assert.rejects(blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation
+            }],
+            retryAllErrors: true
+        }), SourceChangedError);
+
+        assert.equal(events.fileerror.length, 1);
+        assert.equal(events.fileerror[0].errors[0].code, 'ESOURCECHANGED');
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download restarts when the source changed', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-restart.jpeg";
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 12,
+                'last-modified': 'Thu, 21 Oct 2021 09:00:00 GMT',
+                'accept-ranges': 'bytes'
+            });
+        nock(HOST)
+            .matchHeader('if-unmodified-since', 'Thu, 21 Oct 2021 09:00:00 GMT')
+            .get(filenameToDownload)
+            .reply(412);
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 5,
+                'etag': '"version-2"',
+                'accept-ranges': 'bytes'
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-4')
+            .matchHeader('if-match', '"version-2"')
+            .get(filenameToDownload)
+            .reply(206, 'Hello', {
+                'Content-Length': 5
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+        blockDownload.on('fileerror', (data) => {
+            events.fileerror.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-restart.jpeg");
+        await blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation
+            }],
+            restartOnSourceChange: 1
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello");
+        assert.equal(events.fileend.length, 1);
+        assert.equal(events.fileerror.length, 0);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download cancels unfinished files and removes partial downloads', async function () {
+        const HOST = "http://test-aem-download.com";
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-6')
+            .get('/path/to/image-file-cancel-1.jpeg')
+            .reply(206, 'Hello W', {
+                'Content-Length': 7
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=7-11')
+            .get('/path/to/image-file-cancel-1.jpeg')
+            .delay(1000)
+            .reply(206, 'orld!', {
+                'Content-Length': 5
+            });
+
+        const blockDownload = new BlockDownload();
+        const abortController = createAbortController();
+        const events = {
+            fileprogress: [],
+            fileerror: []
+        };
+        blockDownload.on('fileprogress', (data) => {
+            events.fileprogress.push(data);
+            abortController.abort();
+        });
+        blockDownload.on('fileerror', (data) => {
+            events.fileerror.push(data);
+        });
+
+        const firstFile = Path.resolve("./test/tmp-cancel-1.jpeg");
+        const secondFile = Path.resolve("./test/tmp-cancel-2.jpeg");
+        await assert.rejects(blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}/path/to/image-file-cancel-1.jpeg`,
+                filePath: firstFile,
+                fileSize: 12,
+                contentType: 'image/jpeg'
+            }, {
+                fileUrl: `${HOST}/path/to/image-file-cancel-2.jpeg`,
+                filePath: secondFile,
+                fileSize: 12,
+                contentType: 'image/jpeg'
+            }],
+            maxConcurrent: 2,
+            preferredPartSize: 7,
+            abortSignal: abortController.signal,
+            removePartialDownloads: true
+        }), UserCancelledError);
+
+        assert.equal(events.fileprogress.length, 1);
+        assert.deepStrictEqual(events.fileerror.map(e => e.errors[0].code), ['EUSERCANCELLED', 'EUSERCANCELLED']);
+        assert.ok(!fs.existsSync(firstFile));
+        assert.ok(!fs.existsSync(secondFile));
+    });
+
+    it('Block download pauses and resumes', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-pause.jpeg";
+        const requestedRanges = [];
+        nock(HOST)
+            .get(filenameToDownload)
+            .times(2)
+            .reply(function () {
+                const range = [].concat(this.req.headers.range)[0];
+                requestedRanges.push(range);
+                if (range === 'bytes=0-6') {
+                    return [206, 'Hello W', { 'Content-Length': 7 }];
+                }
+                return [206, 'orld!', { 'Content-Length': 5 }];
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileend: []
+        };
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-pause.jpeg");
+        blockDownload.pause();
+        const download = blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation,
+                fileSize: 12,
+                contentType: 'image/jpeg'
+            }],
+            maxConcurrent: 1,
+            preferredPartSize: 7
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(requestedRanges, []);
+
+        blockDownload.resume();
+        await download;
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World!");
+        assert.deepStrictEqual(requestedRanges, ['bytes=0-6', 'bytes=7-11']);
+        assert.equal(events.fileend.length, 1);
+    });
+
+    it('Block download cancels while paused', async function () {
+        const blockDownload = new BlockDownload();
+        const abortController = createAbortController();
+
+        blockDownload.pause();
+        const download = blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: "http://test-aem-download.com/path/to/image-file-paused.jpeg",
+                filePath: Path.resolve("./test/tmp-paused.jpeg"),
+                fileSize: 12,
+                contentType: 'image/jpeg'
+            }],
+            abortSignal: abortController.signal
+        });
+        setTimeout(() => abortController.abort(), 50);
+
+        await assert.rejects(download, UserCancelledError);
+    });
+
+    it('Block download resumes an interrupted download from the journal', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-resume.jpeg";
+        nock(HOST)
+            .head(filenameToDownload)
+            .times(2)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 12,
+                'etag': '"version-1"',
+                'accept-ranges': 'bytes'
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-6')
+            .get(filenameToDownload)
+            .reply(206, 'Hello W', {
+                'Content-Length': 7
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=7-11')
+            .get(filenameToDownload)
+            .reply(404);
+        nock(HOST)
+            .matchHeader('range', 'bytes=7-11')
+            .matchHeader('if-match', '"version-1"')
+            .get(filenameToDownload)
+            .reply(206, 'orld!', {
+                'Content-Length': 5
+            });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-resume.jpeg");
+        const journalLocation = `${mockDownloadFileLocation}.journal`;
+        const options = {
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation,
+                fileSize: 12,
+                contentType: 'image/jpeg'
+            }],
+            maxConcurrent: 1,
+            preferredPartSize: 7,
+            resume: true
+        };
+        await assert.rejects(new BlockDownload().downloadFiles(options), /404/);
+
+        const journal = JSON.parse(await fs.promises.readFile(journalLocation, "utf8"));
+        assert.deepStrictEqual(journal.completedRanges, [[0, 6]]);
+        assert.strictEqual(journal.etag, '"version-1"');
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileprogress: [],
+            fileend: []
+        };
+        blockDownload.on('fileprogress', (data) => {
+            events.fileprogress.push(data);
+        });
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+        await blockDownload.downloadFiles(options);
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World!");
+        assert.ok(!fs.existsSync(journalLocation));
+        assert.deepStrictEqual(events.fileprogress.map(e => e.transferred), [12]);
+        assert.equal(events.fileend.length, 1);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download does not resume when the source changed', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-resume-changed.jpeg";
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-resume-changed.jpeg");
+        const journalLocation = `${mockDownloadFileLocation}.journal`;
+        await fs.promises.writeFile(mockDownloadFileLocation, "Hello W\0\0\0\0\0");
+        await fs.promises.writeFile(journalLocation, JSON.stringify({
+            sourceUrl: `${HOST}${filenameToDownload}`,
+            etag: '"version-1"',
+            contentLength: 12,
+            completedRanges: [[0, 6]]
+        }));
+
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 12,
+                'etag': '"version-2"',
+                'accept-ranges': 'bytes'
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-11')
+            .matchHeader('if-match', '"version-2"')
+            .get(filenameToDownload)
+            .reply(206, 'Hello Earth!', {
+                'Content-Length': 12
+            });
+
+        await new BlockDownload().downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation
+            }],
+            resume: true
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello Earth!");
+        assert.ok(!fs.existsSync(journalLocation));
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download verifies part checksums and retries corrupted parts', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-checksum.jpeg";
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-6')
+            .get(filenameToDownload)
+            .reply(206, 'Hello W', {
+                'Content-Length': 7,
+                'x-amz-checksum-sha256': 'qR2XbYKmjLbkG66VZzSSeFAG2jY8GIqZuJToR1oNGqo='
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=7-11')
+            .get(filenameToDownload)
+            .reply(206, 'orlD!', {
+                'Content-Length': 5,
+                'x-amz-checksum-sha256': 'ptrhGVKpqmQiKCipULxkajGp3sycV6C8hVSgatWwNKU='
+            });
+        nock(HOST)
+            .matchHeader('range', 'bytes=7-11')
+            .get(filenameToDownload)
+            .reply(206, 'orld!', {
+                'Content-Length': 5,
+                'x-amz-checksum-sha256': 'ptrhGVKpqmQiKCipULxkajGp3sycV6C8hVSgatWwNKU='
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileend: []
+        };
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-checksum.jpeg");
+        await blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation,
+                fileSize: 12,
+                contentType: 'image/jpeg',
+                digest: '7f83b1657ff1fc53b92dc18148a1d65dfc2d4b1fa3d677284addd200126d9069'
+            }],
+            maxConcurrent: 1,
+            preferredPartSize: 7,
+            retryInitialDelay: 10,
+            checksumAlgorithm: 'sha256'
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World!");
+        assert.deepStrictEqual(events.fileend[0].digest, {
+            algorithm: 'sha256',
+            value: 'f4OxZX/x/FO5LcGBSKHWXfwtSx+j1ncoSt3SABJtkGk='
+        });
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download retries a part when writing it to the file fails', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-write-retry.jpeg";
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-11')
+            .get(filenameToDownload)
+            .times(2)
+            .reply(206, 'Hello World!', {
+                'Content-Length': 12
+            });
+
+        const write = RandomFileAccess.prototype.write;
+        let writes = 0;
+        RandomFileAccess.prototype.write = async function (...args) {
+            if (++writes === 1) {
+                const error = Error('resource busy or locked');
+                error.code = 'EBUSY';
+                throw error;
+            }
+            return write.apply(this, args);
+        };
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-write-retry.jpeg");
+        try {
+            await new BlockDownload().downloadFiles({
+                downloadFiles: [{
+                    fileUrl: `${HOST}${filenameToDownload}`,
+                    filePath: mockDownloadFileLocation,
+                    fileSize: 12,
+                    contentType: 'image/jpeg'
+                }],
+                retryPolicy: {
+                    initialDelay: 10,
+                    retryErrorCodes: ['EBUSY']
+                }
+            });
+        } finally {
+            RandomFileAccess.prototype.write = write;
+        }
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World!");
+        assert.strictEqual(writes, 2);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download fails when the file digest does not match', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-digest.jpeg";
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'image/jpeg',
+                'content-length': 12,
+                'content-md5': 'f3l+mk4sOpsZAiXSmSFM5A==',
+                'accept-ranges': 'bytes'
+            });
+        nock(HOST)
+            .get(filenameToDownload)
+            .reply(206, 'Hello World!', {
+                'Content-Length': 12
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+        blockDownload.on('fileerror', (data) => {
+            events.fileerror.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-digest.jpeg");
+        await assert.rejects(blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation
+            }],
+            streamParts: true,
+            checksumAlgorithm: 'md5'
+        }), ChecksumMismatchError);
+
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(events.fileend.length, 0);
+        assert.strictEqual(events.fileerror[0].errors[0].code, 'ECHECKSUMMISMATCH');
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download retries a part that exceeds the part timeout', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/image-file-stalled.jpeg";
+        nock(HOST)
+            .get(filenameToDownload)
+            .delayBody(1000)
+            .reply(206, 'Hello World!', {
+                'Content-Length': 12
+            });
+        nock(HOST)
+            .get(filenameToDownload)
+            .reply(206, 'Hello World!', {
+                'Content-Length': 12
+            });
+
+        const blockDownload = new BlockDownload();
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-stalled.jpeg");
+        const start = Date.now();
+        await blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation,
+                fileSize: 12,
+                contentType: 'image/jpeg'
+            }],
+            retryInitialDelay: 10,
+            partTimeout: 100
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World!");
+        assert.ok(Date.now() - start < 1000);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download streams the file with a single request when the source does not accept ranges', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/file-no-ranges.txt";
+        nock(HOST)
+            .head(filenameToDownload)
+            .reply(200, "OK", {
+                'content-type': 'text/plain',
+                'content-length': 20
+            });
+        nock(HOST, { badheaders: ['range'] })
+            .get(filenameToDownload)
+            .reply(200, 'Hello World, Hello!!', {
+                'Content-Length': 20
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileprogress: [],
+            fileend: []
+        };
+        blockDownload.on('fileprogress', (data) => {
+            events.fileprogress.push(data);
+        });
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-no-ranges.txt");
+        await blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation
+            }],
+            preferredPartSize: 5
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World, Hello!!");
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileprogress[events.fileprogress.length - 1].transferred, 20);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block download falls back to a single request when the server ignores the range', async function () {
+        const HOST = "http://test-aem-download.com";
+        const filenameToDownload = "/path/to/file-ignored-range.txt";
+        nock(HOST)
+            .matchHeader('range', 'bytes=0-4')
+            .get(filenameToDownload)
+            .reply(200, 'Hello World, Hello!!', {
+                'Content-Length': 20
+            });
+        nock(HOST, { badheaders: ['range'] })
+            .get(filenameToDownload)
+            .reply(200, 'Hello World, Hello!!', {
+                'Content-Length': 20
+            });
+
+        const blockDownload = new BlockDownload();
+        const events = {
+            fileprogress: [],
+            fileend: []
+        };
+        blockDownload.on('fileprogress', (data) => {
+            events.fileprogress.push(data);
+        });
+        blockDownload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+
+        const mockDownloadFileLocation = Path.resolve("./test/tmp-ignored-range.txt");
+        await blockDownload.downloadFiles({
+            downloadFiles: [{
+                fileUrl: `${HOST}${filenameToDownload}`,
+                filePath: mockDownloadFileLocation,
+                fileSize: 20,
+                contentType: 'text/plain'
+            }],
+            preferredPartSize: 5,
+            maxConcurrent: 1,
+            streamParts: true
+        });
+
+        const content = await fs.promises.readFile(mockDownloadFileLocation, "utf8");
+        await fs.promises.unlink(mockDownloadFileLocation);
+        assert.strictEqual(content, "Hello World, Hello!!");
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileprogress.length, 4);
+        assert.strictEqual(events.fileprogress[3].transferred, 20);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
 });
@@ -0,0 +1,221 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const nock = require('nock');
+const { BlockTransfer } = require('../../lib/block/blocktransfer');
+const CopyError = require('../../lib/block/copy-error');
+
+const debug = require('debug');
+debug.enable('httptransfer*');
+
+const SOURCE_HOST = 'http://test-block-transfer-source.com';
+const TARGET_HOST = 'http://test-block-transfer-target.com';
+
+function collectEvents(blockTransfer) {
+    const events = {
+        filestart: [],
+        fileprogress: [],
+        fileend: [],
+        fileerror: []
+    };
+    for (const name of Object.keys(events)) {
+        blockTransfer.on(name, data => events[name].push(data));
+    }
+    return events;
+}
+
+describe('Block Transfer', function () {
+    beforeEach(function () {
+        nock.cleanAll();
+    });
+
+    afterEach(function () {
+        nock.cleanAll();
+    });
+
+    it('copies a file to multiple target urls using ranged requests', async function () {
+        nock(SOURCE_HOST)
+            .head('/path/to/source.jpg')
+            .reply(200, '', {
+                'content-type': 'image/jpeg',
+                'content-length': 15,
+                'accept-ranges': 'bytes'
+            });
+        nock(SOURCE_HOST)
+            .matchHeader('range', 'bytes=0-7')
+            .get('/path/to/source.jpg')
+            .reply(206, 'hello wo', {
+                'content-length': 8,
+                'content-range': 'bytes 0-7/15'
+            });
+        nock(SOURCE_HOST)
+            .matchHeader('range', 'bytes=8-14')
+            .get('/path/to/source.jpg')
+            .reply(206, 'rld 123', {
+                'content-length': 7,
+                'content-range': 'bytes 8-14/15'
+            });
+        nock(TARGET_HOST, {
+            reqheaders: {
+                'content-type': 'image/jpeg',
+                'x-target': 'value'
+            }
+        })
+            .put('/path/to/target.jpg?part=1', 'hello wo')
+            .reply(201)
+            .put('/path/to/target.jpg?part=2', 'rld 123')
+            .reply(201);
+
+        const blockTransfer = new BlockTransfer();
+        const events = collectEvents(blockTransfer);
+        await blockTransfer.transferFiles({
+            transferFiles: [{
+                sourceUrl: `${SOURCE_HOST}/path/to/source.jpg`,
+                targetUrl: [
+                    `${TARGET_HOST}/path/to/target.jpg?part=1`,
+                    `${TARGET_HOST}/path/to/target.jpg?part=2`
+                ],
+                maxPartSize: 8,
+                targetHeaders: {
+                    'x-target': 'value'
+                }
+            }],
+            maxConcurrent: 2
+        });
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.filestart.length, 1);
+        assert.strictEqual(events.filestart[0].fileName, 'target.jpg');
+        assert.strictEqual(events.filestart[0].fileSize, 15);
+        assert.strictEqual(events.fileprogress.length, 2);
+        assert.strictEqual(events.fileprogress[1].transferred, 15);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileerror.length, 0);
+    });
+
+    it('copies a file to a single target url, skipping HEAD when metadata is known', async function () {
+        nock(SOURCE_HOST)
+            .matchHeader('range', 'bytes=0-14')
+            .get('/path/to/source.jpg')
+            .reply(206, 'hello world 123', {
+                'content-length': 15
+            });
+        nock(TARGET_HOST, {
+            reqheaders: {
+                'content-length': 15,
+                'content-type': 'image/jpeg'
+            }
+        })
+            .put('/path/to/target.jpg', 'hello world 123')
+            .reply(201);
+
+        const blockTransfer = new BlockTransfer();
+        const events = collectEvents(blockTransfer);
+        await blockTransfer.transferFiles({
+            transferFiles: [{
+                sourceUrl: `${SOURCE_HOST}/path/to/source.jpg`,
+                targetUrl: `${TARGET_HOST}/path/to/target.jpg`,
+                fileSize: 15,
+                contentType: 'image/jpeg'
+            }]
+        });
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileerror.length, 0);
+    });
+
+    it('requests the ranged parts without content encoding', async function () {
+        nock(SOURCE_HOST)
+            .matchHeader('range', 'bytes=0-14')
+            .matchHeader('accept-encoding', 'identity')
+            .get('/path/to/source.json')
+            .reply(206, '{"hello":"wo"}\n', {
+                'content-length': 15
+            });
+        nock(TARGET_HOST)
+            .put('/path/to/target.json', '{"hello":"wo"}\n')
+            .reply(201);
+
+        const blockTransfer = new BlockTransfer();
+        const events = collectEvents(blockTransfer);
+        await blockTransfer.transferFiles({
+            transferFiles: [{
+                sourceUrl: `${SOURCE_HOST}/path/to/source.json`,
+                targetUrl: `${TARGET_HOST}/path/to/target.json`,
+                fileSize: 15,
+                contentType: 'application/json'
+            }]
+        });
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('retries only the upload when the target fails', async function () {
+        nock(SOURCE_HOST)
+            .get('/path/to/source.jpg')
+            .once()
+            .reply(206, 'hello world 123', {
+                'content-length': 15
+            });
+        nock(TARGET_HOST)
+            .put('/path/to/target.jpg', 'hello world 123')
+            .reply(503)
+            .put('/path/to/target.jpg', 'hello world 123')
+            .reply(201);
+
+        const blockTransfer = new BlockTransfer();
+        const events = collectEvents(blockTransfer);
+        await blockTransfer.transferFiles({
+            transferFiles: [{
+                sourceUrl: `${SOURCE_HOST}/path/to/source.jpg`,
+                targetUrl: `${TARGET_HOST}/path/to/target.jpg`,
+                fileSize: 15,
+                contentType: 'image/jpeg'
+            }],
+            retryInitialDelay: 10
+        });
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('fails when the source cannot be read', async function () {
+        nock(SOURCE_HOST)
+            .get('/path/to/source.jpg')
+            .reply(404);
+
+        const blockTransfer = new BlockTransfer();
+        const events = collectEvents(blockTransfer);
+        await assert.rejects(blockTransfer.transferFiles({
+            transferFiles: [{
+                sourceUrl: `${SOURCE_HOST}/path/to/source.jpg`,
+                targetUrl: `${TARGET_HOST}/path/to/target.jpg`,
+                fileSize: 15,
+                contentType: 'image/jpeg'
+            }]
+        }), /failed with status 404/);
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileend.length, 0);
+        assert.strictEqual(events.fileerror.length, 1);
+        assert.strictEqual(events.fileerror[0].errors[0].code, 'ENOTFOUND');
+        assert.ok(events.fileerror[0].errors[0] instanceof CopyError);
+        assert.strictEqual(events.fileerror[0].errors[0].uploadError, false);
+    });
+});
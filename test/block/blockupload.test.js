@@ -19,6 +19,8 @@ const fs = require('fs').promises;
 const nock = require('nock');
 const Path = require('path');
 const { BlockUpload } = require('../../lib/block/blockupload');
+const { RateLimiter } = require('../../lib/ratelimiter');
+const { AdaptiveConcurrency } = require('../../lib/adaptiveconcurrency');
 
 const debug = require('debug');
 debug.enable('httptransfer*');
@@ -1105,4 +1107,794 @@ describe('Block Upload', function () {
             name: 'IllegalArgumentException'
         });
     });
+
+    it('Block upload streams parts from disk', async function () {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-stream.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST, {
+            reqheaders: {
+                'content-length': 10,
+                'content-type': 'image/jpeg'
+            }
+        })
+            .put('/path/to/file-1-1.jpg', 'hello worl')
+            .reply(201);
+        nock(HOST, {
+            reqheaders: {
+                'content-length': 5,
+                'content-type': 'image/jpeg'
+            }
+        })
+            .put('/path/to/file-1-2.jpg', 'd 123')
+            .reply(503)
+            .put('/path/to/file-1-2.jpg', 'd 123')
+            .reply(201);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileprogress: []
+        };
+        blockUpload.on('fileprogress', (data) => {
+            events.fileprogress.push(data);
+        });
+
+        try {
+            await blockUpload.uploadFiles({
+                uploadFiles: [{
+                    fileUrl: [
+                        `${HOST}/path/to/file-1-1.jpg`,
+                        `${HOST}/path/to/file-1-2.jpg`
+                    ],
+                    filePath: testFile,
+                    minPartSize: 10,
+                    maxPartSize: 10
+                }],
+                headers: {
+                    'content-type': 'image/jpeg',
+                },
+                maxConcurrent: 2,
+                retryInitialDelay: 10,
+                streamParts: true
+            });
+        } finally {
+            await fs.unlink(testFile);
+        }
+
+        assert.strictEqual(events.fileprogress.length, 2);
+        assert.strictEqual(events.fileprogress[1].transferred, 15);
+    });
+
+    it('Block upload sends part checksums and reports the file digest', async function () {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-checksum.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST, {
+            reqheaders: {
+                'content-md5': 'MLoPbz0kurDWXBJhiNDPVQ=='
+            }
+        })
+            .put('/path/to/file-1-1.jpg', 'hello worl')
+            .reply(201);
+        nock(HOST, {
+            reqheaders: {
+                'content-md5': 'jHxUiRexx3ADny6QbQoIIQ=='
+            }
+        })
+            .put('/path/to/file-1-2.jpg', 'd 123')
+            .reply(201);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: []
+        };
+        blockUpload.on('fileend', (data) => {
+            events.fileend.push(data);
+        });
+
+        try {
+            await blockUpload.uploadFiles({
+                uploadFiles: [{
+                    fileUrl: [
+                        `${HOST}/path/to/file-1-1.jpg`,
+                        `${HOST}/path/to/file-1-2.jpg`
+                    ],
+                    filePath: testFile,
+                    minPartSize: 10,
+                    maxPartSize: 10
+                }],
+                maxConcurrent: 2,
+                checksumAlgorithm: 'md5'
+            });
+        } finally {
+            await fs.unlink(testFile);
+        }
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileend.length, 1);
+        assert.deepStrictEqual(events.fileend[0].digest, {
+            algorithm: 'md5',
+            value: 'f3l+mk4sOpsZAiXSmSFM5A=='
+        });
+    });
+
+    it('Block upload limits the bandwidth with a shared rate limiter', async function () {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-throttle.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/path/to/file-1-1.jpg', 'hello worl')
+            .reply(201)
+            .put('/path/to/file-1-2.jpg', 'd 123')
+            .reply(201);
+
+        // the first part is sent right away, the second part waits for the first 10 bytes to be paid off
+        const rateLimiter = new RateLimiter(50);
+        const start = Date.now();
+        try {
+            await new BlockUpload().uploadFiles({
+                uploadFiles: [{
+                    fileUrl: [
+                        `${HOST}/path/to/file-1-1.jpg`,
+                        `${HOST}/path/to/file-1-2.jpg`
+                    ],
+                    filePath: testFile,
+                    minPartSize: 10,
+                    maxPartSize: 10
+                }],
+                maxConcurrent: 2,
+                maxBytesPerSecond: rateLimiter
+            });
+        } finally {
+            await fs.unlink(testFile);
+        }
+
+        const elapsed = Date.now() - start;
+        assert.ok(elapsed >= 150, `elapsed: ${elapsed}`);
+        assert.ok(nock.isDone(), nock.pendingMocks());
+    });
+
+    it('Block upload lowers the concurrency when the server is overloaded', async function () {
+        const HOST = 'http://test-aem-upload-201';
+        const testFile = Path.join(__dirname, 'file-adaptive.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/path/to/file-1-1.jpg', 'hello')
+            .reply(503)
+            .put('/path/to/file-1-1.jpg', 'hello')
+            .reply(201)
+            .put('/path/to/file-1-2.jpg', ' worl')
+            .delay(50)
+            .reply(201)
+            .put('/path/to/file-1-3.jpg', 'd 123')
+            .delay(50)
+            .reply(201);
+
+        // inject a fixed part duration so the wall clock of the test run does not change the concurrency
+        const adaptiveConcurrency = new AdaptiveConcurrency({ initialConcurrent: 4, maxConcurrent: 4 });
+        const recordPart = adaptiveConcurrency.recordPart.bind(adaptiveConcurrency);
+        adaptiveConcurrency.recordPart = (duration, bytes) => recordPart(10, bytes);
+        const recordResponse = adaptiveConcurrency.recordResponse.bind(adaptiveConcurrency);
+        const changes = [];
+        adaptiveConcurrency.recordResponse = status => {
+            const before = adaptiveConcurrency.concurrency;
+            recordResponse(status);
+            changes.push({ status, before, after: adaptiveConcurrency.concurrency });
+        };
+
+        const blockUpload = new BlockUpload();
+        const fileprogress = [];
+        blockUpload.on('fileprogress', (data) => {
+            fileprogress.push(data);
+        });
+        try {
+            await blockUpload.uploadFiles({
+                uploadFiles: [{
+                    fileUrl: [
+                        `${HOST}/path/to/file-1-1.jpg`,
+                        `${HOST}/path/to/file-1-2.jpg`,
+                        `${HOST}/path/to/file-1-3.jpg`
+                    ],
+                    filePath: testFile,
+                    minPartSize: 5,
+                    maxPartSize: 5
+                }],
+                maxConcurrent: 4,
+                adaptiveConcurrency,
+                retryInitialDelay: 10
+            });
+        } finally {
+            await fs.unlink(testFile);
+        }
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(fileprogress.length, 3);
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].status, 503);
+        assert.ok(changes[0].after < changes[0].before, JSON.stringify(changes));
+        assert.ok(fileprogress.every(progress => progress.concurrency >= 1 && progress.concurrency <= 4));
+    });
+
+    it('Block upload fails fast when the circuit breaker opens', async function () {
+        const HOST = 'http://test-aem-upload-503';
+        const testFile = Path.join(__dirname, 'file-circuit.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/path/to/file-1-1.jpg', 'hello')
+            .times(2)
+            .reply(503);
+
+        const blockUpload = new BlockUpload();
+        const fileerror = [];
+        const circuitstatechange = [];
+        blockUpload.on('fileerror', data => fileerror.push(data));
+        blockUpload.on('circuitstatechange', data => circuitstatechange.push(data));
+        try {
+            await assert.rejects(blockUpload.uploadFiles({
+                uploadFiles: [{
+                    fileUrl: [
+                        `${HOST}/path/to/file-1-1.jpg`,
+                        `${HOST}/path/to/file-1-2.jpg`,
+                        `${HOST}/path/to/file-1-3.jpg`
+                    ],
+                    filePath: testFile,
+                    minPartSize: 5,
+                    maxPartSize: 5
+                }],
+                maxConcurrent: 1,
+                circuitBreaker: {
+                    failureThreshold: 2
+                },
+                retryInitialDelay: 10
+            }), {
+                code: 'ECIRCUITOPEN'
+            });
+        } finally {
+            await fs.unlink(testFile);
+        }
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(fileerror.length, 1);
+        assert.strictEqual(fileerror[0].errors[0].code, 'ECIRCUITOPEN');
+        assert.deepStrictEqual(circuitstatechange, [{
+            origin: HOST,
+            state: 'open',
+            previousState: 'closed',
+            failures: 2
+        }]);
+    });
+
+    it('Block upload passes the part to the retry policy', async function () {
+        const HOST = 'http://test-aem-upload-policy';
+        const testFile = Path.join(__dirname, 'file-policy.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/path/to/file-1.jpg', 'hello world 123')
+            .reply(404)
+            .put('/path/to/file-1.jpg', 'hello world 123')
+            .reply(201);
+
+        const contexts = [];
+        try {
+            await new BlockUpload().uploadFiles({
+                uploadFiles: [{
+                    fileUrl: `${HOST}/path/to/file-1.jpg`,
+                    filePath: testFile,
+                    fileSize: 15
+                }],
+                retryPolicy: {
+                    initialDelay: 10,
+                    jitter: 'none',
+                    shouldRetry: (error, attempt, context) => {
+                        contexts.push(context);
+                        return error.status === 404;
+                    }
+                }
+            });
+        } finally {
+            await fs.unlink(testFile);
+        }
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(contexts.length, 1);
+        assert.strictEqual(contexts[0].phase, 'transfer');
+        assert.strictEqual(contexts[0].url.toString(), `${HOST}/path/to/file-1.jpg`);
+        assert.strictEqual(contexts[0].transferPart.targetUrls[0].toString(), `${HOST}/path/to/file-1.jpg`);
+        assert.strictEqual(contexts[0].transferAsset, contexts[0].transferPart.transferAsset);
+    });
+
+    it('Block upload completes a S3 multipart upload with the part ETags', async function () {
+        const HOST = 'http://test-s3-multipart.s3.amazonaws.com';
+        const testFile = Path.join(__dirname, 'file-s3.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        let completeBody;
+        nock(HOST)
+            .put('/file-s3.jpg?partNumber=1&uploadId=abc', 'hello wo')
+            .delay(50)
+            .reply(200, '', { etag: '"etag-1"' })
+            .put('/file-s3.jpg?partNumber=2&uploadId=abc', 'rld 123')
+            .reply(200, '', { etag: '"etag-2"' })
+            .post('/file-s3.jpg?uploadId=abc', body => {
+                completeBody = body;
+                return true;
+            })
+            .matchHeader('content-type', 'application/xml')
+            .reply(200, '<CompleteMultipartUploadResult><ETag>"etag-1-2"</ETag></CompleteMultipartUploadResult>', {
+                'content-type': 'application/xml'
+            });
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: [
+                    `${HOST}/file-s3.jpg?partNumber=1&uploadId=abc`,
+                    `${HOST}/file-s3.jpg?partNumber=2&uploadId=abc`
+                ],
+                filePath: testFile,
+                fileSize: 15,
+                maxPartSize: 8,
+                s3Multipart: {
+                    completeUrl: `${HOST}/file-s3.jpg?uploadId=abc`,
+                    abortUrl: `${HOST}/file-s3.jpg?uploadId=abc`
+                }
+            }],
+            headers: {
+                'content-type': 'image/jpeg'
+            },
+            maxConcurrent: 2
+        });
+        await fs.unlink(testFile);
+
+        assert.strictEqual(completeBody,
+            '<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUpload xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+            '<Part><PartNumber>1</PartNumber><ETag>"etag-1"</ETag></Part>' +
+            '<Part><PartNumber>2</PartNumber><ETag>"etag-2"</ETag></Part>' +
+            '</CompleteMultipartUpload>');
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileerror.length, 0);
+    });
+
+    it('Block upload retries a S3 complete multipart upload that returns an error', async function () {
+        const HOST = 'http://test-s3-multipart.s3.amazonaws.com';
+        const testFile = Path.join(__dirname, 'file-s3.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/file-s3.jpg?partNumber=1&uploadId=abc', 'hello world 123')
+            .reply(200, '', { etag: '"etag-1"' })
+            .post('/file-s3.jpg?uploadId=abc')
+            .reply(200, '<Error><Code>InternalError</Code><Message>We encountered an internal error.</Message></Error>')
+            .post('/file-s3.jpg?uploadId=abc')
+            .reply(200, '<CompleteMultipartUploadResult></CompleteMultipartUploadResult>');
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: [ `${HOST}/file-s3.jpg?partNumber=1&uploadId=abc` ],
+                filePath: testFile,
+                fileSize: 15,
+                s3Multipart: {
+                    completeUrl: `${HOST}/file-s3.jpg?uploadId=abc`
+                }
+            }],
+            retryInitialDelay: 10
+        });
+        await fs.unlink(testFile);
+
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('Block upload aborts a failed S3 multipart upload', async function () {
+        const HOST = 'http://test-s3-multipart.s3.amazonaws.com';
+        const testFile = Path.join(__dirname, 'file-s3.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/file-s3.jpg?partNumber=1&uploadId=abc', 'hello wo')
+            .reply(200, '', { etag: '"etag-1"' })
+            .put('/file-s3.jpg?partNumber=2&uploadId=abc', 'rld 123')
+            .reply(403)
+            .delete('/file-s3.jpg?uploadId=abc')
+            .reply(204);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await assert.rejects(blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: [
+                    `${HOST}/file-s3.jpg?partNumber=1&uploadId=abc`,
+                    `${HOST}/file-s3.jpg?partNumber=2&uploadId=abc`
+                ],
+                filePath: testFile,
+                fileSize: 15,
+                maxPartSize: 8,
+                s3Multipart: {
+                    completeUrl: `${HOST}/file-s3.jpg?uploadId=abc`,
+                    abortUrl: `${HOST}/file-s3.jpg?uploadId=abc`
+                }
+            }],
+            maxConcurrent: 1
+        }), /failed with status 403/);
+        await fs.unlink(testFile);
+
+        assert.strictEqual(events.fileend.length, 0);
+        assert.strictEqual(events.fileerror.length, 1);
+    });
+
+    it('Block upload commits the block list of an Azure block blob', async function () {
+        const HOST = 'http://test-azure.blob.core.windows.net';
+        const testFile = Path.join(__dirname, 'file-azure.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        const blockId0 = Buffer.from('0000000000').toString('base64');
+        const blockId1 = Buffer.from('0000000001').toString('base64');
+        let blockListBody;
+        nock(HOST)
+            .put('/container/file-azure.jpg')
+            .query({ sv: '2020-10-02', sig: 'abc', comp: 'block', blockid: blockId0 })
+            .delay(50)
+            .reply(201)
+            .put('/container/file-azure.jpg')
+            .query({ sv: '2020-10-02', sig: 'abc', comp: 'block', blockid: blockId1 })
+            .reply(201)
+            .put('/container/file-azure.jpg', body => {
+                blockListBody = body;
+                return true;
+            })
+            .query({ sv: '2020-10-02', sig: 'abc', comp: 'blocklist' })
+            .matchHeader('content-type', 'application/xml')
+            .matchHeader('x-ms-blob-content-type', 'image/jpeg')
+            .matchHeader('x-ms-meta-owner', 'test')
+            .reply(201);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/container/file-azure.jpg?sv=2020-10-02&sig=abc`,
+                filePath: testFile,
+                fileSize: 15,
+                minPartSize: 8,
+                azureBlockBlob: {
+                    metadata: { owner: 'test' }
+                }
+            }],
+            headers: {
+                'content-type': 'image/jpeg'
+            },
+            preferredPartSize: 8,
+            maxConcurrent: 2
+        });
+        await fs.unlink(testFile);
+
+        assert.strictEqual(blockListBody,
+            `<?xml version="1.0" encoding="utf-8"?><BlockList><Latest>${blockId0}</Latest><Latest>${blockId1}</Latest></BlockList>`);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileerror.length, 0);
+        assert.ok(nock.isDone());
+    });
+
+    it('Block upload does not commit the block list of a failed Azure block blob', async function () {
+        const HOST = 'http://test-azure.blob.core.windows.net';
+        const testFile = Path.join(__dirname, 'file-azure.jpg');
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+
+        nock(HOST)
+            .put('/container/file-azure.jpg')
+            .query(query => query.comp === 'block')
+            .reply(403);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await assert.rejects(blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/container/file-azure.jpg?sv=2020-10-02&sig=abc`,
+                filePath: testFile,
+                fileSize: 15,
+                azureBlockBlob: true
+            }],
+            maxConcurrent: 1
+        }), /failed with status 403/);
+        await fs.unlink(testFile);
+
+        assert.strictEqual(events.fileend.length, 0);
+        assert.strictEqual(events.fileerror.length, 1);
+    });
+
+    it('Block upload uploads the chunks of a resumable upload session in sequence', async function () {
+        const HOST = 'http://storage.test-resumable.com';
+        const testFile = Path.join(__dirname, 'file-resumable.jpg');
+        const content = Buffer.alloc(600 * 1024, 'a');
+        await fs.writeFile(testFile, content);
+
+        const contentRanges = [];
+        nock(HOST)
+            .post('/bucket/file-resumable.jpg')
+            .matchHeader('x-goog-resumable', 'start')
+            .matchHeader('x-upload-content-length', '614400')
+            .matchHeader('content-type', 'image/jpeg')
+            .reply(201, '', { location: `${HOST}/bucket/file-resumable.jpg?upload_id=xyz` })
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', body => body.length === 262144)
+            .times(2)
+            .reply(function () {
+                contentRanges.push(String(this.req.headers['content-range']));
+                const end = contentRanges.length * 262144 - 1;
+                return [308, '', { range: `bytes=0-${end}` }];
+            })
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', body => body.length === 90112)
+            .reply(function () {
+                contentRanges.push(String(this.req.headers['content-range']));
+                return [200, '{}', { 'content-type': 'application/json' }];
+            });
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileprogress: [],
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileprogress', data => events.fileprogress.push(data.transferred));
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/bucket/file-resumable.jpg`,
+                filePath: testFile,
+                fileSize: content.length,
+                resumableSession: {
+                    chunkSize: 256 * 1024
+                }
+            }],
+            headers: {
+                'content-type': 'image/jpeg'
+            }
+        });
+        await fs.unlink(testFile);
+
+        assert.deepStrictEqual(contentRanges, [
+            'bytes 0-262143/614400',
+            'bytes 262144-524287/614400',
+            'bytes 524288-614399/614400'
+        ]);
+        assert.deepStrictEqual(events.fileprogress, [262144, 524288, 614400, 614400]);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileerror.length, 0);
+        assert.ok(nock.isDone());
+    });
+
+    it('Block upload resumes a resumable upload session at the offset reported by the server', async function () {
+        const HOST = 'http://storage.test-resumable.com';
+        const testFile = Path.join(__dirname, 'file-resumable.jpg');
+        const content = Buffer.alloc(600 * 1024, 'a');
+        await fs.writeFile(testFile, content);
+
+        const contentRanges = [];
+        const reply = (status, headers) => function () {
+            contentRanges.push(String(this.req.headers['content-range']));
+            return [status, '', headers];
+        };
+        const bodyLength = length => body => body.length === length;
+        nock(HOST)
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', bodyLength(0))
+            .reply(reply(308))
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', bodyLength(262144))
+            .reply(reply(503))
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', bodyLength(0))
+            .reply(reply(308, { range: 'bytes=0-99999' }))
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', bodyLength(262144))
+            .reply(reply(308, { range: 'bytes=0-299999' }))
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', bodyLength(262144))
+            .reply(reply(308, { range: 'bytes=0-562143' }))
+            .put('/bucket/file-resumable.jpg?upload_id=xyz', bodyLength(52256))
+            .reply(reply(200));
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/bucket/file-resumable.jpg?upload_id=xyz`,
+                filePath: testFile,
+                fileSize: content.length,
+                resumableSession: {
+                    chunkSize: 256 * 1024,
+                    sessionUrl: `${HOST}/bucket/file-resumable.jpg?upload_id=xyz`
+                }
+            }],
+            retryInitialDelay: 10
+        });
+        await fs.unlink(testFile);
+
+        assert.deepStrictEqual(contentRanges, [
+            // the offset of a session started earlier is queried first
+            'bytes */614400',
+            'bytes 0-262143/614400',
+            // and after a failed chunk, only the bytes that were not committed are sent again
+            'bytes */614400',
+            'bytes 100000-362143/614400',
+            'bytes 300000-562143/614400',
+            'bytes 562144-614399/614400'
+        ]);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileerror.length, 0);
+        assert.ok(nock.isDone());
+    });
+
+    it('Block upload fails a resumable upload session that does not advance the committed offset', async function () {
+        const HOST = 'http://storage.test-resumable.com';
+        const testFile = Path.join(__dirname, 'file-resumable.jpg');
+        const content = Buffer.alloc(300 * 1024, 'a');
+        await fs.writeFile(testFile, content);
+
+        nock(HOST)
+            .post('/bucket/file-resumable.jpg')
+            .reply(201, '', { location: `${HOST}/bucket/file-resumable.jpg?upload_id=xyz` })
+            .put('/bucket/file-resumable.jpg?upload_id=xyz')
+            .reply(308, '', { range: 'bytes=0-262143' })
+            // the server keeps the committed offset
+            .put('/bucket/file-resumable.jpg?upload_id=xyz')
+            .reply(308, '', { range: 'bytes=0-262143' });
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await assert.rejects(blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/bucket/file-resumable.jpg`,
+                filePath: testFile,
+                fileSize: content.length,
+                resumableSession: {
+                    chunkSize: 256 * 1024
+                }
+            }],
+            retryInitialDelay: 10
+        }), /did not advance the committed offset of 262144 bytes/);
+        await fs.unlink(testFile);
+
+        assert.strictEqual(events.fileend.length, 0);
+        assert.strictEqual(events.fileerror.length, 1);
+        assert.ok(nock.isDone());
+    });
+
+    it('Block upload uploads the parts of a Buffer with their digests', async function () {
+        const HOST = 'http://test-aem-upload-201';
+        nock(HOST, {
+            reqheaders: {
+                'content-length': 10,
+                'content-md5': 'MLoPbz0kurDWXBJhiNDPVQ=='
+            }
+        })
+            .put('/path/to/file-1-1.jpg', 'hello worl')
+            .reply(201);
+        nock(HOST, {
+            reqheaders: {
+                'content-length': 5,
+                'content-md5': 'jHxUiRexx3ADny6QbQoIIQ=='
+            }
+        })
+            .put('/path/to/file-1-2.jpg', 'd 123')
+            .reply(201);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: [
+                    `${HOST}/path/to/file-1-1.jpg`,
+                    `${HOST}/path/to/file-1-2.jpg`
+                ],
+                blob: Buffer.from('hello world 123'),
+                minPartSize: 10,
+                maxPartSize: 10
+            }],
+            maxConcurrent: 2,
+            checksumAlgorithm: 'md5'
+        });
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileerror.length, 0);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileend[0].fileSize, 15);
+        assert.deepStrictEqual(events.fileend[0].digest, {
+            algorithm: 'md5',
+            value: 'f3l+mk4sOpsZAiXSmSFM5A=='
+        });
+    });
+
+    it('Block upload takes the size and content type from a Blob', async function () {
+        const { Blob } = require('buffer');
+        if (!Blob) {
+            this.skip();
+        }
+        const HOST = 'http://test-aem-upload-201';
+        nock(HOST, {
+            reqheaders: {
+                'content-type': 'text/plain'
+            }
+        })
+            .put('/path/to/file-1-1.txt', 'hello worl')
+            .reply(201)
+            .put('/path/to/file-1-2.txt', 'd 123')
+            .reply(201);
+
+        const blockUpload = new BlockUpload();
+        const events = {
+            fileend: [],
+            fileerror: []
+        };
+        blockUpload.on('fileend', data => events.fileend.push(data));
+        blockUpload.on('fileerror', data => events.fileerror.push(data));
+
+        await blockUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: [
+                    `${HOST}/path/to/file-1-1.txt`,
+                    `${HOST}/path/to/file-1-2.txt`
+                ],
+                blob: new Blob(['hello world 123'], { type: 'text/plain' }),
+                minPartSize: 10,
+                maxPartSize: 10
+            }]
+        });
+
+        assert.ok(nock.isDone(), nock.pendingMocks());
+        assert.strictEqual(events.fileerror.length, 0);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileend[0].fileSize, 15);
+        assert.strictEqual(events.fileend[0].mimeType, 'text/plain');
+    });
 });
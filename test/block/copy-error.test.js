@@ -0,0 +1,46 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require("assert");
+const CopyError = require("../../lib/block/copy-error");
+const errorCodes = require("../../lib/http-error-codes");
+
+describe('Copy Error', function() {
+    it('from error', function() {
+        const copyError = new CopyError('testing', errorCodes.NOT_FOUND);
+        assert.strictEqual(CopyError.fromError(copyError), copyError);
+        assert.strictEqual(copyError.uploadError, false);
+
+        const statusError = CopyError.fromError({ status: 404 });
+        assert.ok(statusError instanceof CopyError);
+        assert.strictEqual(statusError.getCode(), errorCodes.NOT_FOUND);
+        assert.strictEqual(statusError.getHttpStatusCode(), 404);
+        assert.strictEqual(statusError.uploadError, false);
+
+        const messageError = CopyError.fromError({
+            message: 'test error',
+            code: 'MY CODE'
+        }, 'My Overall Message');
+        assert.strictEqual(messageError.getMessage(), 'My Overall Message: test error');
+        assert.strictEqual(messageError.getCode(), 'MY CODE');
+
+        const error = new Error('some error');
+        const innerError = CopyError.fromError(error);
+        assert.strictEqual(innerError.getMessage(), 'some error');
+        assert.strictEqual(innerError.getCode(), errorCodes.UNKNOWN);
+        assert.strictEqual(innerError.getInnerStack(), error.stack);
+    });
+});
@@ -34,6 +34,7 @@ describe('Upload Error', function() {
         verifyCodes(400, errorCodes.INVALID_OPTIONS);
         verifyCodes(401, errorCodes.NOT_AUTHORIZED);
         verifyCodes(501, errorCodes.NOT_SUPPORTED);
+        verifyCodes(412, errorCodes.SOURCE_CHANGED);
         verifyCodes(413, errorCodes.TOO_LARGE);
         verifyCodes(500, errorCodes.UNKNOWN);
         verifyCodes(429, errorCodes.TOO_MANY_REQUESTS);
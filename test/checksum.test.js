@@ -0,0 +1,77 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const { Readable } = require("stream");
+const { Blob } = require("blob-polyfill");
+const {
+    getChecksumOptions,
+    normalizeDigest,
+    digestBuffer,
+    digestStream,
+    digestBlob,
+    verifyDigest
+} = require("../lib/checksum");
+const { ChecksumMismatchError } = require("../lib/error");
+
+const HELLO_MD5 = "f3l+mk4sOpsZAiXSmSFM5A==";
+
+describe("checksum", function() {
+    it("resolves the checksum options", function() {
+        assert.strictEqual(getChecksumOptions(), undefined);
+        assert.strictEqual(getChecksumOptions({}), undefined);
+        assert.deepStrictEqual(getChecksumOptions({ checksumAlgorithm: "md5" }), {
+            algorithm: "md5",
+            header: "content-md5"
+        });
+        assert.deepStrictEqual(getChecksumOptions({ checksumAlgorithm: "SHA256" }), {
+            algorithm: "sha256",
+            header: "x-amz-checksum-sha256"
+        });
+        assert.deepStrictEqual(getChecksumOptions({ checksumAlgorithm: "md5", checksumHeader: "x-ms-content-md5" }), {
+            algorithm: "md5",
+            header: "x-ms-content-md5"
+        });
+        assert.throws(() => getChecksumOptions({ checksumAlgorithm: "crc32" }), /'checksumAlgorithm' must be one of/);
+    });
+
+    it("normalizes digests", function() {
+        assert.strictEqual(normalizeDigest("md5", HELLO_MD5), HELLO_MD5);
+        assert.strictEqual(normalizeDigest("md5", "7f797e9a4e2c3a9b190225d299214ce4"), HELLO_MD5);
+        assert.strictEqual(normalizeDigest("md5", `${HELLO_MD5}-3`), undefined);
+        assert.strictEqual(normalizeDigest("sha256", HELLO_MD5), undefined);
+        assert.strictEqual(normalizeDigest("md5", undefined), undefined);
+    });
+
+    it("computes digests of buffers, streams and blobs", async function() {
+        assert.strictEqual(digestBuffer("md5", Buffer.from("hello world 123")), HELLO_MD5);
+        assert.strictEqual(await digestStream("md5", Readable.from([Buffer.from("hello "), Buffer.from("world 123")])), HELLO_MD5);
+        assert.strictEqual(await digestBlob("md5", new Blob(["hello world 123"])), HELLO_MD5);
+    });
+
+    it("verifies digests", function() {
+        verifyDigest("GET", "http://test.com/file", "md5", HELLO_MD5, HELLO_MD5);
+        verifyDigest("GET", "http://test.com/file", "md5", undefined, HELLO_MD5);
+        assert.throws(() => verifyDigest("GET", "http://test.com/file", "md5", "1B2M2Y8AsgTpgAmY7PhCfg==", HELLO_MD5), error => {
+            assert.ok(error instanceof ChecksumMismatchError);
+            assert.strictEqual(error.code, "ECHECKSUMMISMATCH");
+            assert.strictEqual(error.expected, "1B2M2Y8AsgTpgAmY7PhCfg==");
+            assert.strictEqual(error.actual, HELLO_MD5);
+            return true;
+        });
+    });
+});
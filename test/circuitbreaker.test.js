@@ -0,0 +1,107 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const { CircuitBreaker, withCircuitBreaker } = require("../lib/circuitbreaker");
+const { CircuitOpenError, HttpConnectError, HttpResponseError } = require("../lib/error");
+
+const URL1 = "http://circuit-test.com/path/to/file";
+const URL2 = "http://circuit-test-other.com/path/to/file";
+
+async function fail(circuitBreaker, url, error) {
+    await assert.rejects(circuitBreaker.execute("PUT", url, async () => {
+        throw error;
+    }), error.constructor);
+}
+
+describe("CircuitBreaker", function() {
+    it("is not created unless enabled", async function() {
+        assert.strictEqual(CircuitBreaker.from(), undefined);
+        assert.strictEqual(CircuitBreaker.from(true).failureThreshold, 5);
+        assert.strictEqual(CircuitBreaker.from({ failureThreshold: 2 }).failureThreshold, 2);
+        const shared = new CircuitBreaker();
+        assert.strictEqual(CircuitBreaker.from(shared), shared);
+        assert.throws(() => new CircuitBreaker({ failureThreshold: 1.5 }), /'failureThreshold' must be a positive integer/);
+        assert.strictEqual(await withCircuitBreaker(undefined, "PUT", URL1, async () => "ok"), "ok");
+    });
+
+    it("opens per origin after consecutive failures", async function() {
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+        const events = [];
+        circuitBreaker.on("statechange", event => events.push(event));
+
+        await fail(circuitBreaker, URL1, new HttpConnectError("PUT", URL1, "connection refused"));
+        assert.strictEqual(circuitBreaker.getState(URL1), "closed");
+        await fail(circuitBreaker, URL1, new HttpResponseError("PUT", URL1, 500));
+        assert.strictEqual(circuitBreaker.getState(URL1), "open");
+        assert.deepStrictEqual(events, [{
+            origin: "http://circuit-test.com",
+            state: "open",
+            previousState: "closed",
+            failures: 2
+        }]);
+
+        let called = false;
+        await assert.rejects(circuitBreaker.execute("PUT", URL1, async () => {
+            called = true;
+        }), error => {
+            assert.ok(error instanceof CircuitOpenError);
+            assert.strictEqual(error.code, "ECIRCUITOPEN");
+            return true;
+        });
+        assert.strictEqual(called, false);
+
+        // other hosts are not affected
+        assert.strictEqual(await circuitBreaker.execute("PUT", URL2, async () => "ok"), "ok");
+    });
+
+    it("does not count client errors and 429 as host failures", async function() {
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+        await fail(circuitBreaker, URL1, new HttpResponseError("PUT", URL1, 503));
+        await fail(circuitBreaker, URL1, new HttpResponseError("PUT", URL1, 404));
+        await fail(circuitBreaker, URL1, new HttpResponseError("PUT", URL1, 503));
+        await fail(circuitBreaker, URL1, new HttpResponseError("PUT", URL1, 429));
+        await fail(circuitBreaker, URL1, new Error("unrelated"));
+        assert.strictEqual(circuitBreaker.getState(URL1), "closed");
+    });
+
+    it("sends a single probe after the reset timeout", async function() {
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 50 });
+        const events = [];
+        circuitBreaker.on("statechange", event => events.push(event.state));
+        await fail(circuitBreaker, URL1, new HttpResponseError("PUT", URL1, 503));
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        // probe fails, the circuit opens again
+        await fail(circuitBreaker, URL1, new HttpConnectError("PUT", URL1, "connection refused"));
+        assert.strictEqual(circuitBreaker.getState(URL1), "open");
+        await assert.rejects(circuitBreaker.execute("PUT", URL1, async () => {}), CircuitOpenError);
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        // only one probe is sent while half-open
+        let resolveProbe;
+        const probe = circuitBreaker.execute("PUT", URL1, () => new Promise(resolve => {
+            resolveProbe = resolve;
+        }));
+        assert.strictEqual(circuitBreaker.getState(URL1), "half-open");
+        await assert.rejects(circuitBreaker.execute("PUT", URL1, async () => {}), CircuitOpenError);
+        resolveProbe("ok");
+        assert.strictEqual(await probe, "ok");
+        assert.strictEqual(circuitBreaker.getState(URL1), "closed");
+        assert.deepStrictEqual(events, ["open", "half-open", "open", "half-open", "closed"]);
+    });
+});
@@ -16,6 +16,7 @@
 
 const nock = require('nock');
 const assert = require('assert');
+const http = require('http');
 const { getCSRFToken } = require('../lib/csrf');
 
 describe('csrf', function () {
@@ -78,6 +79,24 @@ describe('csrf', function () {
         await getCSRFToken("http://test", csrfOptions);
     });
 
+    it('sends the request through the proxy option', async function () {
+        const proxied = [];
+        const proxy = http.createServer((req, res) => {
+            proxied.push(req.url);
+            res.end('{ "token": "test-csrf-token" }');
+        });
+        await new Promise(resolve => proxy.listen(0, "127.0.0.1", resolve));
+        try {
+            const token = await getCSRFToken("http://test", {
+                proxy: `http://127.0.0.1:${proxy.address().port}`
+            });
+            assert.strictEqual(token, 'test-csrf-token');
+            assert.deepStrictEqual(proxied, ['http://test/libs/granite/csrf/token.json']);
+        } finally {
+            await new Promise(resolve => proxy.close(resolve));
+        }
+    });
+
     it('confirm an empty requestOptions does not cause errors', async function () {
         nock('http://test')
             .get('/libs/granite/csrf/token.json')
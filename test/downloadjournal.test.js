@@ -0,0 +1,76 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const path = require("path");
+const DRange = require("drange");
+const { DownloadJournal } = require("../lib/downloadjournal");
+const { Asset } = require("../lib/asset/asset");
+const { AssetMetadata } = require("../lib/asset/assetmetadata");
+const { AssetVersion } = require("../lib/asset/assetversion");
+const { TransferAsset } = require("../lib/asset/transferasset");
+
+function createTransferAsset(targetPath, version, contentLength = 12) {
+    return new TransferAsset(
+        new Asset("http://test-journal.com/path/to/file.jpeg"),
+        new Asset(`file://${targetPath}`),
+        {
+            metadata: new AssetMetadata(targetPath, "image/jpeg", contentLength),
+            version
+        }
+    );
+}
+
+describe("DownloadJournal", function() {
+    const targetPath = path.resolve("./test-download-journal.dat");
+
+    afterEach(async function() {
+        await new DownloadJournal(targetPath, {}).remove();
+    });
+
+    it("returns undefined if there is no journal", async function() {
+        assert.strictEqual(await DownloadJournal.load(`file://${targetPath}`), undefined);
+    });
+
+    it("saves and loads completed ranges", async function() {
+        const transferAsset = createTransferAsset(targetPath, new AssetVersion(undefined, '"etag"'));
+        const journal = DownloadJournal.create(transferAsset);
+        journal.completedRanges = new DRange(0, 3).add(8, 9);
+        await journal.save();
+
+        const loaded = await DownloadJournal.load(`file://${targetPath}`);
+        assert.strictEqual(loaded.path, targetPath);
+        assert.strictEqual(loaded.contentLength, 12);
+        assert.deepStrictEqual(loaded.completedRanges.subranges().map(({ low, high }) => [low, high]), [[0, 3], [8, 9]]);
+        assert.ok(loaded.matches(transferAsset));
+        assert.ok(!loaded.isComplete);
+    });
+
+    it("does not match a changed source", async function() {
+        const journal = DownloadJournal.create(createTransferAsset(targetPath, new AssetVersion(1000, '"etag"')));
+        assert.ok(!journal.matches(createTransferAsset(targetPath, new AssetVersion(1000, '"other"'))));
+        assert.ok(!journal.matches(createTransferAsset(targetPath, new AssetVersion(2000, '"etag"'))));
+        assert.ok(!journal.matches(createTransferAsset(targetPath, new AssetVersion(1000, '"etag"'), 13)));
+        assert.ok(!journal.matches(createTransferAsset(targetPath)));
+    });
+
+    it("ignores an unreadable journal", async function() {
+        await fs.writeFile(`${targetPath}.journal`, "{ not json", "utf8");
+        assert.strictEqual(await DownloadJournal.load(`file://${targetPath}`), undefined);
+    });
+});
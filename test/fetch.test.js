@@ -16,9 +16,64 @@
 
 const assert = require('assert');
 const nock = require('nock');
-const { postForm, testSetResponseBodyOverride, issuePut } = require('../lib/fetch');
+const http = require('http');
+const { Readable } = require('stream');
+const { createNativeFetch, postForm, setFetch, testSetResponseBodyOverride, issuePut, streamGet } = require('../lib/fetch');
+const { HttpConnectError, HttpResponseError, UserCancelledError } = require('../lib/error');
+const { streamToBuffer } = require('../lib/util');
+const { createAbortController } = require('./testutils');
 const fetch = require('node-fetch-npm');
 
+/**
+ * Load the web streams of Node.js, not available before Node.js 16.5
+ *
+ * @returns {*} stream/web module, or undefined
+ */
+function getWebStreams() {
+    try {
+        return require('stream/web');
+    } catch (e) { // eslint-disable-line no-unused-vars
+        return undefined;
+    }
+}
+
+/**
+ * Create a fake fetch that records its requests and returns a response with the given body
+ *
+ * @param {*} body Response body
+ * @param {Object[]} requests Receives the url and options of each request
+ * @returns {Function} Fetch
+ */
+function createFakeFetch(body, requests) {
+    return async (url, options) => {
+        requests.push({ url, options });
+        return {
+            ok: true,
+            status: 200,
+            headers: new fetch.Headers({ 'content-length': '5' }),
+            body: body()
+        };
+    };
+}
+
+/**
+ * Create a web readable stream of the given strings
+ *
+ * @param {String[]} chunks Chunks
+ * @returns {ReadableStream} Web readable stream
+ */
+function createWebStream(chunks) {
+    const { ReadableStream } = getWebStreams();
+    return new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) {
+                controller.enqueue(new TextEncoder().encode(chunk));
+            }
+            controller.close();
+        }
+    });
+}
+
 describe('fetch', function() {
     afterEach(async function() {
         global.window = undefined;
@@ -130,4 +185,190 @@ describe('fetch', function() {
             return issuePut('http://put-without-stream-test/path', {});
         });
     });
+
+    describe('abortSignal', function () {
+        it('aborted before the request', async function() {
+            const abortController = createAbortController();
+            abortController.abort();
+            await assert.rejects(streamGet('http://abort-test/path', {
+                signal: abortController.signal
+            }), UserCancelledError);
+        });
+
+        it('aborted while waiting for the response', async function() {
+            nock('http://abort-test')
+                .get('/path')
+                .delay(500)
+                .reply(200, 'hello');
+
+            const abortController = createAbortController();
+            setTimeout(() => abortController.abort(), 50);
+            await assert.rejects(streamGet('http://abort-test/path', {
+                signal: abortController.signal
+            }), UserCancelledError);
+        });
+
+        it('aborted while reading the response body', async function() {
+            nock('http://abort-test')
+                .get('/path')
+                .reply(200, 'hello');
+
+            const abortController = createAbortController();
+            const response = await streamGet('http://abort-test/path', {
+                signal: abortController.signal
+            });
+            const error = new Promise(resolve => response.body.once('error', resolve));
+            abortController.abort();
+            assert.ok(await error instanceof UserCancelledError);
+        });
+
+        it('aborted after an error response', async function() {
+            nock('http://abort-test')
+                .get('/path')
+                .reply(404, Buffer.from('not found'), {
+                    'content-type': 'application/octet-stream'
+                });
+
+            const abortController = createAbortController();
+            await assert.rejects(streamGet('http://abort-test/path', {
+                signal: abortController.signal
+            }), HttpResponseError);
+            // the body is no longer read, aborting must not fail it with an uncaught error
+            abortController.abort();
+            await new Promise(resolve => setTimeout(resolve, 10));
+        });
+    });
+
+    describe('response errors', function () {
+        it('keep the response headers', async function() {
+            nock('http://error-test')
+                .get('/path')
+                .reply(429, 'slow down', {
+                    'Content-Type': 'text/plain',
+                    'Retry-After': '10'
+                });
+
+            await assert.rejects(streamGet('http://error-test/path'), error => {
+                assert.ok(error instanceof HttpResponseError);
+                assert.strictEqual(error.status, 429);
+                assert.strictEqual(error.errorResponse, 'slow down');
+                assert.strictEqual(error.headers['retry-after'], '10');
+                assert.strictEqual(error.headers['content-type'], 'text/plain');
+                return true;
+            });
+        });
+    });
+
+    describe('fetch implementation', function () {
+        afterEach(function() {
+            setFetch();
+        });
+
+        it('uses the fetchImplementation option', async function() {
+            const requests = [];
+            const response = await streamGet('http://fetch-implementation-test/path', {
+                fetchImplementation: createFakeFetch(() => Readable.from([Buffer.from('hello')]), requests),
+                proxy: false,
+                headers: { 'x-test': 'value' }
+            });
+            const buffer = await streamToBuffer('GET', 'http://fetch-implementation-test/path', 200, response.body, 5);
+            assert.strictEqual(buffer.toString(), 'hello');
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].url, 'http://fetch-implementation-test/path');
+            assert.deepStrictEqual(requests[0].options, {
+                method: 'GET',
+                headers: { 'x-test': 'value' }
+            });
+        });
+
+        it('uses the fetch passed to setFetch', async function() {
+            const requests = [];
+            setFetch(createFakeFetch(() => Readable.from([Buffer.from('hello')]), requests));
+            await issuePut('http://fetch-implementation-test/path', { body: 'hello' });
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].options.method, 'PUT');
+
+            setFetch();
+            nock('http://fetch-implementation-test')
+                .put('/path', 'hello')
+                .reply(201);
+            await issuePut('http://fetch-implementation-test/path', { body: 'hello' });
+            assert.strictEqual(requests.length, 1);
+            assert.throws(() => setFetch('fetch'), /'fetch' must be a function/);
+        });
+
+        it('converts web readable stream bodies', async function() {
+            if (!getWebStreams()) {
+                this.skip();
+            }
+            const fetchImplementation = createFakeFetch(() => createWebStream(['hel', 'lo']), []);
+            const response = await streamGet('http://fetch-implementation-test/path', { fetchImplementation });
+            assert.strictEqual(typeof response.body.pipe, 'function');
+            assert.strictEqual(await response.text(), 'hello');
+
+            const buffer = await streamToBuffer('GET', 'http://fetch-implementation-test/path', 200, createWebStream(['hel', 'lo']), 5);
+            assert.strictEqual(buffer.toString(), 'hello');
+
+            global.window = { fetch: fetchImplementation };
+            await issuePut('http://fetch-implementation-test/path', { body: 'hello' });
+        });
+
+        it('adapts node-fetch options to native fetch', async function() {
+            if (!global.AbortController) {
+                this.skip();
+            }
+            const requests = [];
+            const nativeFetch = createNativeFetch(async (url, init) => {
+                requests.push(init);
+                if (url.endsWith('/slow')) {
+                    return new Promise((resolve, reject) => {
+                        init.signal.addEventListener('abort', () => reject(init.signal.reason || new Error('aborted')));
+                    });
+                }
+                return { ok: true, status: 201, headers: new fetch.Headers(), body: null };
+            });
+
+            await issuePut('http://native-fetch-test/path', {
+                fetchImplementation: nativeFetch,
+                body: Readable.from([Buffer.from('hello')]),
+                compress: false,
+                timeout: 1000
+            });
+            assert.strictEqual(requests[0].duplex, 'half');
+            assert.strictEqual(requests[0].compress, undefined);
+            assert.ok(requests[0].signal);
+
+            await assert.rejects(streamGet('http://native-fetch-test/slow', {
+                fetchImplementation: nativeFetch,
+                timeout: 20
+            }), HttpConnectError);
+            assert.throws(() => createNativeFetch('fetch'), /'fetch' must be a function/);
+        });
+
+        it('sends requests with the fetch of Node.js', async function() {
+            if (!global.fetch) {
+                this.skip();
+            }
+            const received = [];
+            const server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    received.push(`${req.method} ${Buffer.concat(chunks)}`);
+                    res.end('hello');
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const url = `http://127.0.0.1:${server.address().port}/path`;
+            try {
+                setFetch(createNativeFetch());
+                await issuePut(url, { body: Readable.from([Buffer.from('hello '), Buffer.from('world')]) });
+                const response = await streamGet(url, { timeout: 1000 });
+                assert.strictEqual(await response.text(), 'hello');
+                assert.deepStrictEqual(received, ['PUT hello world', 'GET ']);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
 });
@@ -22,6 +22,9 @@ const crypto = require('crypto');
 const { downloadFileConcurrently, uploadFileConcurrently, uploadMultiPartFileConcurrently, uploadFilesConcurrently } = require('../lib/file');
 const { testSetResponseBodyOverride, testHasResponseBodyOverrides } = require('../lib/fetch');
 const { createErrorReadable } = require('./streams');
+const { AgentPool } = require('../lib/agentpool');
+const http = require('http');
+const nodeFetch = require('node-fetch-npm');
 
 describe('download concurrently', function () {
     beforeEach(async function () {
@@ -729,6 +732,66 @@ describe('upload concurrently', function () {
         }
     });
 
+    it('status-201-request-options', async function () {
+        nock('http://test-status-201')
+            .put('/path/to/file.ext', 'hello world 123')
+            .reply(201);
+
+        const urls = [];
+        const fetchImplementation = (url, options) => {
+            urls.push(url.toString());
+            return nodeFetch(url, options);
+        };
+        await uploadFileConcurrently(Buffer.from('hello world 123'), 'http://test-status-201/path/to/file.ext', {
+            requestOptions: { fetchImplementation }
+        });
+        assert.deepStrictEqual(urls, ['http://test-status-201/path/to/file.ext']);
+    });
+
+    it('status-201-agent-pool', async function () {
+        nock('http://test-status-201')
+            .put('/path/to/file.ext', 'hello world 123')
+            .reply(201);
+
+        const agentPool = new AgentPool();
+        try {
+            await uploadFileConcurrently(Buffer.from('hello world 123'), 'http://test-status-201/path/to/file.ext', {
+                agentPool
+            });
+            assert.strictEqual(agentPool.getStats().requests, 1);
+        } finally {
+            agentPool.close();
+        }
+    });
+
+    it('status-201-proxy', async function () {
+        const proxied = [];
+        const proxy = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', data => {
+                body += data;
+            });
+            req.on('end', () => {
+                proxied.push({ method: req.method, url: req.url, body });
+                res.statusCode = 201;
+                res.end();
+            });
+        });
+        await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+        try {
+            await uploadFileConcurrently(Buffer.from('hello world 123'), 'http://test-status-201/path/to/file.ext', {
+                proxy: `http://127.0.0.1:${proxy.address().port}`
+            });
+            assert.deepStrictEqual(proxied, [{
+                method: 'PUT',
+                url: 'http://test-status-201/path/to/file.ext',
+                body: 'hello world 123'
+            }]);
+        } finally {
+            await new Promise(resolve => proxy.close(resolve));
+        }
+    });
+
     it('status-201 (repeated)', async function () {
         for (let i = 0; i < 3; i++) {
             nock('http://test-status-201')
@@ -768,6 +831,58 @@ describe('upload concurrently', function () {
         }
     });
 
+    it('status-201-buffer', async function () {
+        nock('http://test-status-201')
+            .matchHeader('content-length', 15)
+            .put('/path/to/file.ext', 'hello world 123')
+            .reply(201);
+
+        await uploadFileConcurrently(Buffer.from('hello world 123'), 'http://test-status-201/path/to/file.ext');
+    });
+
+    it('status-201-uint8array', async function () {
+        // view on part of a larger array buffer
+        const data = new Uint8Array(Buffer.from('xxhello world 123xx')).subarray(2, 17);
+        nock('http://test-status-201')
+            .matchHeader('content-length', 15)
+            .put('/path/to/file.ext', 'hello world 123')
+            .reply(201);
+
+        await uploadFileConcurrently(data, 'http://test-status-201/path/to/file.ext');
+    });
+
+    it('status-201-blob', async function () {
+        const { Blob } = require('buffer');
+        if (!Blob) {
+            this.skip();
+        }
+        nock('http://test-status-201')
+            .matchHeader('content-length', 15)
+            .matchHeader('content-type', 'text/plain')
+            .put('/path/to/file.ext', 'hello world 123')
+            .reply(201);
+
+        await uploadFileConcurrently(new Blob(['hello world 123'], { type: 'text/plain' }), 'http://test-status-201/path/to/file.ext');
+    });
+
+    it('status-201-openasblob', async function () {
+        if (!require('fs').openAsBlob) {
+            this.skip();
+        }
+        await fs.writeFile(path.resolve('./test-transfer-file-up-blob.dat'), 'hello world 123', 'utf8');
+        nock('http://test-status-201')
+            .matchHeader('content-length', 15)
+            .put('/path/to/file.ext', 'hello world 123')
+            .reply(201);
+
+        try {
+            const blob = await require('fs').openAsBlob(path.resolve('./test-transfer-file-up-blob.dat'));
+            await uploadFileConcurrently(blob, 'http://test-status-201/path/to/file.ext');
+        } finally {
+            await fs.unlink(path.resolve('./test-transfer-file-up-blob.dat'));
+        }
+    });
+
     it('status-404', async function () {
         nock('http://test-status-404')
             .put('/path/to/file.ext', 'hello world 123')
@@ -1896,6 +2011,30 @@ describe('multipart upload concurrently -- multiple files', function () {
             }
         });
 
+        it('status-201-2urls blob', async function () {
+            const data = crypto.randomBytes(100);
+
+            nock('http://test-status-201')
+                .matchHeader('content-length', 50)
+                .put('/path/to/file-1.ext', data.slice(0, 50))
+                .reply(201);
+            nock('http://test-status-201')
+                .matchHeader('content-length', 50)
+                .put('/path/to/file-2.ext', data.slice(50))
+                .reply(201);
+
+            await uploadFilesConcurrently([{
+                blob: data,
+                target: {
+                    urls: [
+                        'http://test-status-201/path/to/file-1.ext',
+                        'http://test-status-201/path/to/file-2.ext'
+                    ],
+                    maxPartSize: 50
+                }
+            }]);
+        });
+
         it('status-201-2urls-maxpartjustenough', async function () {
             await fs.writeFile('test-transfer-file-6.dat', 'hello world 123', 'utf8');
 
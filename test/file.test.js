@@ -50,6 +50,22 @@ describe('file', function () {
             }
         });
 
+        it('status-200-gzip', async function () {
+            const gzipped = require('zlib').gzipSync(Buffer.from('hello world hello world', 'utf8'));
+            nock('http://test-status-200')
+                .get('/path/to/file.ext')
+                .matchHeader('accept-encoding', /gzip/)
+                .reply(200, gzipped, {
+                    'content-length': gzipped.length,
+                    'content-encoding': 'gzip'
+                });
+
+            await downloadFile('http://test-status-200/path/to/file.ext', path.resolve('./test-transfer-file-status-200-gzip.dat'));
+            const result = await fs.readFile(path.resolve('./test-transfer-file-status-200-gzip.dat'), 'utf8');
+            assert.strictEqual(result, 'hello world hello world');
+            await fs.unlink(path.resolve('./test-transfer-file-status-200-gzip.dat'));
+        });
+
         it('status-200-mkdir', async function () {
             nock('http://test-status-200')
                 .get('/path/to/file.ext')
@@ -421,5 +421,32 @@ describe('mapconcurrent', function() {
             const result = await toArray(map.execute([ 1, 2, 3 ], 5));
             assert.deepStrictEqual(result, [ 6, 7, 8  ]);        
         });
+        it('adaptive-concurrency', async function() {
+            const adaptiveConcurrency = { concurrency: 1 };
+            let running = 0;
+            const maxRunning = [];
+            const map = new MapConcurrent({
+                execute: async function*(values) {
+                    for await (const value of values) {
+                        ++running;
+                        maxRunning[value] = running;
+                        await sleep(20);
+                        --running;
+                        // grow after the second item, shrink after the fifth
+                        if (value === 2) {
+                            adaptiveConcurrency.concurrency = 3;
+                        } else if (value === 5) {
+                            adaptiveConcurrency.concurrency = 1;
+                        }
+                        yield value;
+                    }
+                }
+            }, { maxConcurrent: 2, adaptiveConcurrency, ordered: true });
+            const result = await toArray(map.execute([ 1, 2, 3, 4, 5, 6, 7, 8, 9 ]));
+            assert.deepStrictEqual(result, [ 1, 2, 3, 4, 5, 6, 7, 8, 9 ]);
+            assert.strictEqual(Math.max(...maxRunning.slice(1, 3)), 1);
+            assert.strictEqual(Math.max(...maxRunning.slice(3, 6)), 3);
+            assert.strictEqual(Math.max(...maxRunning.slice(8)), 1);
+        });
     });
 });
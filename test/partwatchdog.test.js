@@ -0,0 +1,116 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const { Readable } = require("stream");
+const { PartWatchdog } = require("../lib/partwatchdog");
+const { HttpStreamError, PartStalledError, UserCancelledError } = require("../lib/error");
+const { streamToBuffer } = require("../lib/util");
+const { createAbortController } = require("./testutils");
+
+/**
+ * Resolve when the signal is aborted, like a request that never completes
+ *
+ * @param {AbortSignal} signal Abort signal
+ * @returns {Promise} Rejects with UserCancelledError when aborted
+ */
+function waitForAbort(signal) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new UserCancelledError()));
+    });
+}
+
+describe("PartWatchdog", function() {
+    it("passes through without limits", async function() {
+        const abortController = createAbortController();
+        const watchdog = new PartWatchdog("GET", "http://test.com/file", {}, abortController.signal);
+        const body = Buffer.from("hello");
+        assert.strictEqual(watchdog.signal, abortController.signal);
+        assert.strictEqual(watchdog.monitorBody(body), body);
+        watchdog.stop();
+
+        const result = await PartWatchdog.watch("GET", "http://test.com/file", undefined, undefined, async () => "done");
+        assert.strictEqual(result, "done");
+    });
+
+    it("validates the options", function() {
+        assert.throws(() => new PartWatchdog("GET", "http://test.com/file", { partTimeout: -1 }),
+            /'partTimeout' must be a positive number/);
+        assert.throws(() => new PartWatchdog("GET", "http://test.com/file", { minBytesPerSecond: "fast" }),
+            /'minBytesPerSecond' must be a positive number/);
+    });
+
+    it("aborts an attempt that exceeds the part timeout", async function() {
+        const error = await PartWatchdog.watch("GET", "http://test.com/file", { partTimeout: 50 }, undefined,
+            async watchdog => waitForAbort(watchdog.signal)).catch(e => e);
+        assert.ok(error instanceof PartStalledError, error);
+        assert.ok(error instanceof HttpStreamError);
+        assert.strictEqual(error.code, "EPARTSTALLED");
+        assert.strictEqual(error.message, "GET 'http://test.com/file' aborted: part did not complete within 50ms");
+    });
+
+    it("aborts a body below the minimum rate", async function() {
+        const options = { minBytesPerSecond: 1000, minBytesPerSecondWindow: 50 };
+        const error = await PartWatchdog.watch("GET", "http://test.com/file", options, undefined, async watchdog => {
+            // sends a single byte, then stalls
+            let sent = false;
+            const body = watchdog.monitor(new Readable({
+                read() {
+                    if (!sent) {
+                        sent = true;
+                        this.push(Buffer.from("h"));
+                    }
+                }
+            }));
+            watchdog.signal.addEventListener("abort", () => body.destroy(new UserCancelledError()));
+            return streamToBuffer("GET", "http://test.com/file", 200, body, 5);
+        }).catch(e => e);
+        assert.ok(error instanceof PartStalledError, error);
+        assert.ok(error.message.includes("below 1000 bytes/s for 50ms"), error.message);
+    });
+
+    it("does not abort a body above the minimum rate", async function() {
+        const options = { minBytesPerSecond: 10, minBytesPerSecondWindow: 50, partTimeout: 1000 };
+        const buffer = await PartWatchdog.watch("PUT", "http://test.com/file", options, undefined, async watchdog => {
+            const body = watchdog.monitorBody(Buffer.from("hello"));
+            assert.ok(typeof body.pipe === "function");
+            return streamToBuffer("PUT", "http://test.com/file", 200, body, 5);
+        });
+        assert.strictEqual(buffer.toString(), "hello");
+    });
+
+    it("forwards stream errors", async function() {
+        const options = { minBytesPerSecond: 10, minBytesPerSecondWindow: 50, partTimeout: 1000 };
+        const error = await PartWatchdog.watch("GET", "http://test.com/file", options, undefined, async watchdog => {
+            const source = new Readable({
+                read() {
+                    this.destroy(new Error("stream failed"));
+                }
+            });
+            return streamToBuffer("GET", "http://test.com/file", 200, watchdog.monitor(source), 5);
+        }).catch(e => e);
+        assert.ok(error.message.includes("stream failed"), error.message);
+    });
+
+    it("keeps user cancellation", async function() {
+        const abortController = createAbortController();
+        setTimeout(() => abortController.abort(), 20);
+        const error = await PartWatchdog.watch("GET", "http://test.com/file", { partTimeout: 1000 }, abortController.signal,
+            async watchdog => waitForAbort(watchdog.signal)).catch(e => e);
+        assert.ok(error instanceof UserCancelledError, error);
+    });
+});
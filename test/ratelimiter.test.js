@@ -0,0 +1,80 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const { Readable } = require("stream");
+const { RateLimiter } = require("../lib/ratelimiter");
+const { streamToBuffer } = require("../lib/util");
+
+describe("RateLimiter", function() {
+    it("is not created without a limit", function() {
+        assert.strictEqual(RateLimiter.from(), undefined);
+        assert.strictEqual(RateLimiter.from(0), undefined);
+        assert.strictEqual(RateLimiter.from(100).maxBytesPerSecond, 100);
+
+        const shared = new RateLimiter(100);
+        assert.strictEqual(RateLimiter.from(shared), shared);
+        assert.throws(() => new RateLimiter(-1), /'maxBytesPerSecond' must be a positive number/);
+    });
+
+    it("limits the bytes per second", async function() {
+        const rateLimiter = new RateLimiter(10000);
+        const start = Date.now();
+        await rateLimiter.consume(1000);
+        await rateLimiter.consume(1000);
+        await rateLimiter.consume(1000);
+        const elapsed = Date.now() - start;
+        assert.ok(elapsed >= 180, `elapsed: ${elapsed}`);
+    });
+
+    it("applies limit changes to waiting requests", async function() {
+        const rateLimiter = new RateLimiter(100);
+        await rateLimiter.consume(1000);
+
+        const start = Date.now();
+        setTimeout(() => {
+            rateLimiter.maxBytesPerSecond = 0;
+        }, 20);
+        await rateLimiter.consume(1000);
+        const elapsed = Date.now() - start;
+        assert.ok(elapsed < 1000, `elapsed: ${elapsed}`);
+    });
+
+    it("throttles streams and buffers", async function() {
+        const rateLimiter = new RateLimiter(1000000);
+        const stream = rateLimiter.throttleStream(Readable.from([Buffer.from("hello "), Buffer.from("world")]));
+        const buffer = await streamToBuffer("GET", "http://test.com", 200, stream, 11);
+        assert.strictEqual(buffer.toString(), "hello world");
+
+        const body = await rateLimiter.throttleBody(Buffer.from("hello world"));
+        const bodyBuffer = await streamToBuffer("PUT", "http://test.com", 200, body, 11);
+        assert.strictEqual(bodyBuffer.toString(), "hello world");
+    });
+
+    it("forwards stream errors", async function() {
+        const rateLimiter = new RateLimiter(1000000);
+        const source = new Readable({
+            read() {
+                this.destroy(new Error("stream failed"));
+            }
+        });
+        await assert.rejects(
+            streamToBuffer("GET", "http://test.com", 200, rateLimiter.throttleStream(source), 11),
+            /stream failed/
+        );
+    });
+});
@@ -17,11 +17,15 @@
 const assert = require("assert");
 const rewire = require("rewire");
 
-const { HttpConnectError, HttpStreamError, HttpResponseError } = require("../lib/error");
+const { HttpConnectError, HttpStreamError, HttpResponseError, UserCancelledError } = require("../lib/error");
+const { createAbortController } = require("./testutils");
 const { retry } = require("../lib/retry");
 const rewireRetry = rewire("../lib/retry.js");
 const retryDelay = rewireRetry.__get__("retryDelay");
 const retryOn = rewireRetry.__get__("retryOn");
+const getServerRetryDelay = rewireRetry.__get__("getServerRetryDelay");
+const jitterDelay = rewireRetry.__get__("jitterDelay");
+const { RetryPolicy } = require("../lib/retrypolicy");
 const retryInit = rewireRetry.__get__("retryInit");
 const filterOptions = rewireRetry.__get__("filterOptions");
 const filterToRetryOptions = rewireRetry.__get__("filterToRetryOptions");
@@ -71,6 +75,21 @@ describe("retry", function () {
                 retryInitialDelay: 100,
             }));
         });
+        it("response-error-429", function () {
+            // too many requests is retried by default
+            assert.ok(retryOn(0, new HttpResponseError("GET", "url", 429, "message"), {
+                startTime: Date.now(),
+                retryMaxDuration: 60000,
+                retryInitialDelay: 100,
+            }));
+        });
+        it("response-error-retry-after-exceeds-max-duration", function () {
+            assert.ok(!retryOn(0, new HttpResponseError("GET", "url", 503, "message", { "retry-after": "120" }), {
+                startTime: Date.now(),
+                retryMaxDuration: 60000,
+                retryInitialDelay: 100,
+            }));
+        });
         it("response-error-404", function () {
             // do not retry < 500 status errors
             assert.ok(!retryOn(0, new HttpResponseError("GET", "url", 404, "message"), {
@@ -138,6 +157,15 @@ describe("retry", function () {
                 retryOnHttpResponseError: 'string'
             }));
         });
+        it("checks the given delay against the max duration", function () {
+            const options = {
+                startTime: Date.now(),
+                retryMaxDuration: 1000,
+                retryInitialDelay: 100
+            };
+            assert.ok(retryOn(0, new HttpConnectError("GET", "url", "message"), options, 100));
+            assert.ok(!retryOn(0, new HttpConnectError("GET", "url", "message"), options, 1000));
+        });
     });
 
     describe("retryInit", function () {
@@ -255,6 +283,156 @@ describe("retry", function () {
         });
     });
 
+    describe("retryPolicy", function () {
+        it("replaces the retry options", function () {
+            const options = retryInit({
+                retryMaxCount: 3,
+                retryAllErrors: true,
+                timeout: 5000,
+                retryPolicy: {
+                    maxDuration: 10000,
+                    initialDelay: 50,
+                    jitter: "equal",
+                    retryStatuses: [ 503 ],
+                    phases: {
+                        transfer: {
+                            maxCount: 7
+                        }
+                    }
+                }
+            }, "transfer");
+            assertStartTime(options);
+            assert.deepStrictEqual(options, {
+                startTime: options.startTime,
+                retryMaxCount: 7,
+                retryMaxDuration: 10000,
+                retryOnHttpResponseError: false,
+                retryInitialDelay: 50,
+                retryAllErrors: false,
+                retryBackoff: 2,
+                timeout: 5000,
+                retryJitter: "equal",
+                retryMaxDelay: undefined,
+                retryBaseDelay: 50,
+                retryStatuses: [ 503 ],
+                retryErrorCodes: undefined,
+                shouldRetry: undefined
+            });
+        });
+        it("disabled for a phase", function () {
+            const retryPolicy = new RetryPolicy({ phases: { complete: { enabled: false } } });
+            assert.strictEqual(retryInit({ retryPolicy }, "complete"), null);
+            assert.ok(retryInit({ retryPolicy }, "initiate"));
+        });
+        it("jitter", function () {
+            for (let i = 0; i < 20; ++i) {
+                assert.strictEqual(jitterDelay({ retryInitialDelay: 400, retryJitter: "none" }), 400);
+                assert.strictEqual(jitterDelay({ retryInitialDelay: 400, retryJitter: "none", retryMaxDelay: 300 }), 300);
+
+                const fixed = jitterDelay({ retryInitialDelay: 400 });
+                assert.ok(fixed >= 400 && fixed < 500, `fixed: ${fixed}`);
+                const full = jitterDelay({ retryInitialDelay: 400, retryJitter: "full" });
+                assert.ok(full >= 0 && full < 400, `full: ${full}`);
+                const equal = jitterDelay({ retryInitialDelay: 400, retryJitter: "equal" });
+                assert.ok(equal >= 200 && equal < 400, `equal: ${equal}`);
+                const decorrelated = jitterDelay({
+                    retryInitialDelay: 6400,
+                    retryBaseDelay: 100,
+                    previousDelay: 200,
+                    retryJitter: "decorrelated"
+                });
+                assert.ok(decorrelated >= 100 && decorrelated < 600, `decorrelated: ${decorrelated}`);
+            }
+        });
+        it("retry-statuses", function () {
+            const options = retryInit({ retryPolicy: { retryStatuses: [ 404, 503 ] } });
+            assert.ok(retryOn(0, new HttpResponseError("GET", "url", 404, "message"), options));
+            assert.ok(retryOn(0, new HttpResponseError("GET", "url", 503, "message"), options));
+            assert.ok(!retryOn(0, new HttpResponseError("GET", "url", 500, "message"), options));
+            assert.ok(retryOn(0, new HttpConnectError("GET", "url", "message", "ECONNREFUSED"), options));
+        });
+        it("retry-error-codes", function () {
+            const options = retryInit({ retryPolicy: { retryErrorCodes: [ "ECONNRESET", "EPIPE" ] } });
+            assert.ok(retryOn(0, new HttpConnectError("GET", "url", "message", "ECONNRESET"), options));
+            assert.ok(!retryOn(0, new HttpConnectError("GET", "url", "message", "ENOTFOUND"), options));
+            const error = new Error("write EPIPE");
+            error.code = "EPIPE";
+            assert.ok(retryOn(0, error, options));
+            assert.ok(!retryOn(0, new Error("message"), options));
+            assert.ok(retryOn(0, new HttpResponseError("GET", "url", 503, "message"), options));
+        });
+        it("should-retry", async function () {
+            const calls = [];
+            const context = { phase: "transfer", url: "url" };
+            let attempt = 0;
+            await assert.rejects(retry(async () => {
+                ++attempt;
+                throw new HttpResponseError("GET", "url", attempt === 1 ? 404 : 503, "message");
+            }, {
+                retryPolicy: {
+                    initialDelay: 10,
+                    shouldRetry: (error, attempt, context) => {
+                        calls.push({ status: error.status, attempt, context });
+                        // retry the 404, fail the 503, which are normally the other way around
+                        return error.status === 404;
+                    }
+                }
+            }, context), /failed with status 503/);
+            assert.strictEqual(attempt, 2);
+            assert.deepStrictEqual(calls, [
+                { status: 404, attempt: 0, context },
+                { status: 503, attempt: 1, context }
+            ]);
+        });
+        it("phase-limits", async function () {
+            let attempt = 0;
+            await assert.rejects(retry(async () => {
+                ++attempt;
+                throw new HttpConnectError("GET", "url", "message");
+            }, {
+                retryPolicy: {
+                    maxCount: 1,
+                    initialDelay: 10,
+                    phases: {
+                        transfer: {
+                            maxCount: 3
+                        }
+                    }
+                }
+            }, { phase: "transfer" }), /connect failed/);
+            assert.strictEqual(attempt, 4);
+        });
+    });
+
+    describe("getServerRetryDelay", function () {
+        it("no-headers", function () {
+            assert.strictEqual(getServerRetryDelay(new HttpConnectError("GET", "url", "message")), 0);
+            assert.strictEqual(getServerRetryDelay(new HttpResponseError("GET", "url", 503, "message")), 0);
+        });
+        it("retry-after-seconds", function () {
+            const error = new HttpResponseError("GET", "url", 429, "message", { "retry-after": "2" });
+            assert.strictEqual(getServerRetryDelay(error), 2000);
+        });
+        it("retry-after-date", function () {
+            const date = new Date(Date.now() + 10000).toUTCString();
+            const ms = getServerRetryDelay(new HttpResponseError("GET", "url", 503, "message", { "retry-after": date }));
+            assert.ok(ms > 8000 && ms <= 10000, `ms: ${ms}`);
+            const past = new Date(Date.now() - 10000).toUTCString();
+            assert.strictEqual(getServerRetryDelay(new HttpResponseError("GET", "url", 503, "message", { "retry-after": past })), 0);
+        });
+        it("retry-after-invalid", function () {
+            const error = new HttpResponseError("GET", "url", 503, "message", { "retry-after": "soon" });
+            assert.strictEqual(getServerRetryDelay(error), 0);
+        });
+        it("x-ms-retry-after-ms", function () {
+            const error = new HttpResponseError("GET", "url", 503, "message", {
+                "retry-after": "10",
+                "x-ms-retry-after-ms": "250"
+            });
+            assert.strictEqual(getServerRetryDelay(error), 250);
+        });
+    });
+
     describe("filterOptions", function () {
         it("none", function () {
             const args = filterOptions();
@@ -309,6 +487,33 @@ describe("retry", function () {
             const result = await retry(async () => 1);
             assert.strictEqual(result, 1);
         });
+        it("waits the random delay it checked", async function () {
+            const random = Math.random;
+            let draws = 0;
+            Math.random = () => {
+                ++draws;
+                return 0.5;
+            };
+            const start = Date.now();
+            let attempt = 0;
+            try {
+                const result = await retry(async () => {
+                    if (attempt === 0) {
+                        ++attempt;
+                        throw new HttpConnectError("GET", "url", "message");
+                    }
+                    return 1;
+                }, {
+                    retryPolicy: { maxDuration: 1000, initialDelay: 100, jitter: "full" }
+                });
+                assert.strictEqual(result, 1);
+            } finally {
+                Math.random = random;
+            }
+            // one draw per failed attempt, half of the initial delay
+            assert.strictEqual(draws, 1);
+            assert.ok((Date.now() - start) >= 45, `elapsed: ${Date.now() - start}`);
+        });
         it("options", async function () {
             const result = await retry(async options => options, {
                 myOption: 123,
@@ -477,5 +682,63 @@ describe("retry", function () {
                 assert.strictEqual(attempt, 6); // first invoke, then 5 retries
             }
         });
+        it("waits-for-retry-after", async function () {
+            let attempt = 0;
+            const start = Date.now();
+            const result = await retry(async () => {
+                if (++attempt === 1) {
+                    throw new HttpResponseError("GET", "url", 429, "message", { "retry-after-ms": "300" });
+                }
+                return "success";
+            }, {
+                retryInitialDelay: 10
+            });
+            assert.strictEqual(result, "success");
+            assert.strictEqual(attempt, 2);
+            assert.ok((Date.now() - start) >= 300, `duration: ${Date.now() - start}`);
+        });
+        it("retry-after-capped-by-max-duration", async function () {
+            let attempt = 0;
+            const start = Date.now();
+            await assert.rejects(retry(async () => {
+                ++attempt;
+                throw new HttpResponseError("GET", "url", 503, "message", { "retry-after": "3600" });
+            }, {
+                retryMaxCount: 1,
+                retryMaxDuration: 200,
+                retryInitialDelay: 10
+            }), /failed with status 503/);
+            assert.strictEqual(attempt, 2);
+            assert.ok((Date.now() - start) < 1000, `duration: ${Date.now() - start}`);
+        });
+        it("abort-cancels-pending-retry", async function () {
+            const abortController = createAbortController();
+            let attempt = 0;
+            const start = Date.now();
+            const promise = retry(async () => {
+                ++attempt;
+                setImmediate(() => abortController.abort());
+                throw new HttpConnectError("GET", "url", "message");
+            }, {
+                retryInitialDelay: 10000,
+                abortSignal: abortController.signal
+            });
+            await assert.rejects(promise, UserCancelledError);
+            assert.strictEqual(attempt, 1);
+            assert.ok((Date.now() - start) < 5000);
+        });
+        it("abort-before-start", async function () {
+            const abortController = createAbortController();
+            abortController.abort();
+            let attempt = 0;
+            await assert.rejects(retry(async () => {
+                ++attempt;
+            }, {
+                abortSignal: abortController.signal
+            }), {
+                code: "EUSERCANCELLED"
+            });
+            assert.strictEqual(attempt, 0);
+        });
     });
 });
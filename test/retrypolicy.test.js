@@ -0,0 +1,71 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+"use strict";
+
+const assert = require("assert");
+const { RetryPolicy } = require("../lib/retrypolicy");
+
+describe("RetryPolicy", function() {
+    it("is not created unless set", function() {
+        assert.strictEqual(RetryPolicy.from(), undefined);
+        const policy = new RetryPolicy({ maxCount: 2 });
+        assert.strictEqual(RetryPolicy.from(policy), policy);
+        assert.strictEqual(RetryPolicy.from({ maxCount: 3 }).getPhaseOptions().maxCount, 3);
+    });
+
+    it("applies phase overrides", function() {
+        const shouldRetry = () => true;
+        const policy = new RetryPolicy({
+            maxCount: 2,
+            initialDelay: 50,
+            jitter: "full",
+            shouldRetry,
+            phases: {
+                transfer: {
+                    maxCount: 10,
+                    jitter: "decorrelated"
+                },
+                complete: {
+                    enabled: false
+                }
+            }
+        });
+        assert.deepStrictEqual(policy.getPhaseOptions("transfer"), {
+            enabled: undefined,
+            maxCount: 10,
+            maxDuration: undefined,
+            initialDelay: 50,
+            backoff: undefined,
+            maxDelay: undefined,
+            jitter: "decorrelated",
+            retryStatuses: undefined,
+            retryErrorCodes: undefined,
+            shouldRetry
+        });
+        assert.strictEqual(policy.getPhaseOptions("initiate").maxCount, 2);
+        assert.strictEqual(policy.getPhaseOptions().jitter, "full");
+        assert.strictEqual(policy.getPhaseOptions("complete").enabled, false);
+    });
+
+    it("validates the options", function() {
+        assert.throws(() => new RetryPolicy({ jitter: "random" }), /'jitter' must be one of/);
+        assert.throws(() => new RetryPolicy({ retryStatuses: 503 }), /'retryStatuses' must be an array/);
+        assert.throws(() => new RetryPolicy({ retryErrorCodes: "ECONNRESET" }), /'retryErrorCodes' must be an array/);
+        assert.throws(() => new RetryPolicy({ shouldRetry: true }), /'shouldRetry' must be a function/);
+        assert.throws(() => new RetryPolicy({ phases: { upload: {} } }), /'phases' must be keyed by/);
+        assert.throws(() => new RetryPolicy({ phases: { transfer: { jitter: "random" } } }), /'jitter' must be one of/);
+    });
+});
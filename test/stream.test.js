@@ -18,14 +18,18 @@ const assert = require('assert');
 const nock = require('nock');
 const stream = require('stream');
 const { testSetResponseBodyOverride, testHasResponseBodyOverrides } = require('../lib/fetch');
-const { downloadStream, uploadStream, transferStream } = require('../lib/stream');
+const { downloadStream, uploadStream, uploadStreamConcurrently, transferStream } = require('../lib/stream');
+const { StreamTooLargeError, UserCancelledError } = require('../lib/error');
+const { createAbortController } = require('./testutils');
 const {
     StringReadable,
     StringWritable,
     createErrorReadable,
     createErrorWritable
 } = require('./streams');
-const { gzipSync } = require('zlib');
+const zlib = require('zlib');
+const fetch = require('node-fetch-npm');
+const { gzipSync } = zlib;
 
 describe('stream', function () {
     describe('download', function () {
@@ -91,6 +95,84 @@ describe('stream', function () {
             assert.ok(writeStream.data, stringData);
             nock.cleanAll();
         });
+        it('status-200-gzip-decoded', async function () {
+            const stringData = 'Hello World, Hello World, Hello World';
+            const gzipped = gzipSync(Buffer.from(stringData, 'utf8'));
+
+            nock('http://test-status-200-gzip')
+                .get('/path/to/file.ext')
+                .matchHeader('accept-encoding', /gzip/)
+                .reply(200, gzipped, {
+                    'Content-Length': gzipped.length,
+                    'Content-Encoding': 'gzip'
+                });
+
+            const writeStream = new StringWritable();
+            const transferred = await downloadStream('http://test-status-200-gzip/path/to/file.ext', writeStream);
+            assert.strictEqual(writeStream.data, stringData);
+            assert.strictEqual(transferred, stringData.length);
+        });
+        it('status-200-br', async function () {
+            if (!zlib.brotliCompressSync) {
+                this.skip();
+            }
+            const stringData = 'Hello World, Hello World, Hello World';
+            const compressed = zlib.brotliCompressSync(Buffer.from(stringData, 'utf8'));
+
+            nock('http://test-status-200-br')
+                .get('/path/to/file.ext')
+                .matchHeader('accept-encoding', /br/)
+                .reply(200, compressed, {
+                    'Content-Length': compressed.length,
+                    'Content-Encoding': 'br'
+                });
+
+            const writeStream = new StringWritable();
+            const transferred = await downloadStream('http://test-status-200-br/path/to/file.ext', writeStream);
+            assert.strictEqual(writeStream.data, stringData);
+            assert.strictEqual(transferred, stringData.length);
+        });
+        it('status-200-gzip-truncate', async function () {
+            const gzipped = gzipSync(Buffer.from('Hello World', 'utf8'));
+
+            nock('http://test-status-200-gzip-truncate')
+                .get('/path/to/file.ext')
+                .reply(200, gzipped, {
+                    'Content-Length': gzipped.length + 10,
+                    'Content-Encoding': 'gzip'
+                });
+
+            const writeStream = new StringWritable();
+            await assert.rejects(
+                downloadStream('http://test-status-200-gzip-truncate/path/to/file.ext', writeStream),
+                /Unexpected stream-size. Received \d+ bytes, expected \d+ bytes/
+            );
+        });
+        it('status-200-gzip-corrupt', async function () {
+            nock('http://test-status-200-gzip-corrupt')
+                .get('/path/to/file.ext')
+                .reply(200, 'not gzipped', {
+                    'Content-Encoding': 'gzip'
+                });
+
+            const writeStream = new StringWritable();
+            await assert.rejects(
+                downloadStream('http://test-status-200-gzip-corrupt/path/to/file.ext', writeStream),
+                /response failed/
+            );
+        });
+        it('status-200-identity', async function () {
+            nock('http://test-status-200-identity')
+                .get('/path/to/file.ext')
+                .matchHeader('accept-encoding', 'identity')
+                .reply(200, 'hello world');
+
+            const writeStream = new StringWritable();
+            await downloadStream('http://test-status-200-identity/path/to/file.ext', writeStream, {
+                headers: { 'Accept-Encoding': 'identity' }
+            });
+            assert.strictEqual(writeStream.data, 'hello world');
+        });
         it('status-404-empty', async function () {
             nock('http://test-status-404-empty')
                 .get('/path/to/file.ext')
@@ -402,6 +484,215 @@ describe('stream', function () {
         });
     });
     
+    describe('upload concurrently', function () {
+        afterEach(function () {
+            assert.ok(nock.isDone(), `check if all nocks have been used, ${nock.pendingMocks()}`);
+            nock.cleanAll();
+        });
+        const urls = count => Array.from({ length: count }, (_, i) => `http://test-upload-concurrently/path/to/part-${i + 1}`);
+        it('parts-and-last-part', async function () {
+            nock('http://test-upload-concurrently')
+                .matchHeader('content-length', 4)
+                .put('/path/to/part-1', 'hell')
+                .reply(201)
+                .put('/path/to/part-2', 'o wo')
+                .reply(201)
+                .put('/path/to/part-3', 'rld ')
+                .reply(201);
+            nock('http://test-upload-concurrently')
+                .matchHeader('content-length', 3)
+                .matchHeader('content-type', 'text/plain')
+                .put('/path/to/part-4', '123')
+                .reply(201);
+
+            const size = await uploadStreamConcurrently(new StringReadable('hello world 123'), {
+                urls: urls(5),
+                maxPartSize: 4
+            }, {
+                headers: { 'content-type': 'text/plain' }
+            });
+            assert.strictEqual(size, 15);
+        });
+        it('preferred-part-size-bounded', async function () {
+            nock('http://test-upload-concurrently')
+                .put('/path/to/part-1', 'hello wo')
+                .reply(201)
+                .put('/path/to/part-2', 'rld 123')
+                .reply(201);
+
+            await uploadStreamConcurrently(stream.Readable.from([Buffer.from('hello world 123')]), {
+                urls: urls(2),
+                minPartSize: 8,
+                maxPartSize: 10
+            }, {
+                preferredPartSize: 2
+            });
+        });
+        it('parts-grow', async function () {
+            // parts double once half of the urls are used, the last url takes the rest
+            nock('http://test-upload-concurrently')
+                .put('/path/to/part-1', 'he')
+                .reply(201)
+                .put('/path/to/part-2', 'll')
+                .reply(201)
+                .put('/path/to/part-3', 'o wo')
+                .reply(201)
+                .put('/path/to/part-4', 'rld 123')
+                .reply(201);
+
+            const size = await uploadStreamConcurrently(stream.Readable.from([Buffer.from('hello world 123')]), {
+                urls: urls(4),
+                maxPartSize: 100
+            }, {
+                preferredPartSize: 2
+            });
+            assert.strictEqual(size, 15);
+        });
+        it('default-part-size', async function () {
+            // parts are not cut at the maximum part size of the target
+            nock('http://test-upload-concurrently')
+                .matchHeader('content-length', 10 * 1024 * 1024)
+                .put('/path/to/part-1')
+                .reply(201);
+            nock('http://test-upload-concurrently')
+                .matchHeader('content-length', 1)
+                .put('/path/to/part-2')
+                .reply(201);
+
+            const size = await uploadStreamConcurrently(stream.Readable.from([Buffer.alloc(10 * 1024 * 1024 + 1)]), {
+                urls: urls(3),
+                maxPartSize: 1024 * 1024 * 1024
+            });
+            assert.strictEqual(size, 10 * 1024 * 1024 + 1);
+        });
+        it('max-concurrent', async function () {
+            let inFlight = 0;
+            let maxInFlight = 0;
+            const reply = (uri, body, callback) => {
+                ++inFlight;
+                maxInFlight = Math.max(inFlight, maxInFlight);
+                setTimeout(() => {
+                    --inFlight;
+                    callback(null, [201]);
+                }, 20);
+            };
+            nock('http://test-upload-concurrently')
+                .put(/\/path\/to\/part-\d/)
+                .times(8)
+                .reply(reply);
+
+            const size = await uploadStreamConcurrently(new StringReadable('a'.repeat(30)), {
+                urls: urls(8),
+                maxPartSize: 4
+            }, {
+                maxConcurrent: 3
+            });
+            assert.strictEqual(size, 30);
+            assert.strictEqual(maxInFlight, 3);
+        });
+        it('stream-too-large', async function () {
+            const readStream = stream.Readable.from([Buffer.from('hello world 123')]);
+            await assert.rejects(uploadStreamConcurrently(readStream, {
+                urls: urls(3),
+                maxPartSize: 4
+            }), error => {
+                assert.ok(error instanceof StreamTooLargeError);
+                assert.strictEqual(error.message, 'Stream is larger than the 12 bytes the 3 urls of the target accept');
+                return true;
+            });
+        });
+        it('status-503-retry', async function () {
+            nock('http://test-upload-concurrently')
+                .put('/path/to/part-1', 'hello wo')
+                .reply(503)
+                .put('/path/to/part-1', 'hello wo')
+                .reply(201)
+                .put('/path/to/part-2', 'rld 123')
+                .reply(201);
+
+            await uploadStreamConcurrently(new StringReadable('hello world 123'), {
+                urls: urls(2),
+                maxPartSize: 8
+            }, {
+                retryInitialDelay: 10
+            });
+        });
+        it('status-404', async function () {
+            nock('http://test-upload-concurrently')
+                .put('/path/to/part-1', 'hello wo')
+                .reply(404);
+
+            await assert.rejects(uploadStreamConcurrently(new StringReadable('hello world 123'), {
+                urls: urls(2),
+                maxPartSize: 8
+            }, {
+                maxConcurrent: 1
+            }), /PUT 'http:\/\/test-upload-concurrently\/path\/to\/part-1' failed with status 404/);
+        });
+        it('status-404-aborts-parts-in-flight', async function () {
+            nock('http://test-upload-concurrently')
+                .put('/path/to/part-1', 'hello wo')
+                .reply(404)
+                .put('/path/to/part-2', 'rld 123')
+                .delay(2000)
+                .reply(201);
+
+            const start = Date.now();
+            await assert.rejects(uploadStreamConcurrently(stream.Readable.from([Buffer.from('hello world 123')]), {
+                urls: urls(2),
+                maxPartSize: 8
+            }), /PUT 'http:\/\/test-upload-concurrently\/path\/to\/part-1' failed with status 404/);
+            assert.ok(Date.now() - start < 1000, 'part-2 is aborted');
+        });
+        it('status-404-keeps-completed-parts', async function () {
+            const signals = {};
+            const fetchImplementation = async (url, init) => {
+                const part = String(url).split('/').pop();
+                signals[part] = init.signal;
+                if (part === 'part-1') {
+                    return { ok: true, status: 201, headers: new fetch.Headers(), body: stream.Readable.from([]) };
+                } else if (part === 'part-2') {
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    return { ok: false, status: 404, headers: new fetch.Headers(), body: stream.Readable.from([]) };
+                }
+                // in flight until aborted
+                return new Promise((resolve, reject) => {
+                    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+                });
+            };
+
+            await assert.rejects(uploadStreamConcurrently(stream.Readable.from([Buffer.from('hello world 123')]), {
+                urls: urls(3),
+                maxPartSize: 5
+            }, {
+                requestOptions: { fetchImplementation }
+            }), /PUT 'http:\/\/test-upload-concurrently\/path\/to\/part-2' failed with status 404/);
+            assert.ok(!signals['part-1'].aborted, 'part-1 completed and is not aborted');
+            assert.ok(signals['part-3'].aborted, 'part-3 is aborted');
+        });
+        it('abort-signal', async function () {
+            nock('http://test-upload-concurrently')
+                .put('/path/to/part-1', 'hello wo')
+                .delay(2000)
+                .reply(201);
+
+            const abortController = createAbortController();
+            setTimeout(() => abortController.abort(), 50);
+            await assert.rejects(uploadStreamConcurrently(new StringReadable('hello world 123'), {
+                urls: urls(2),
+                maxPartSize: 8
+            }, {
+                maxConcurrent: 1,
+                abortSignal: abortController.signal
+            }), UserCancelledError);
+        });
+        it('invalid-target', async function () {
+            await assert.rejects(uploadStreamConcurrently(new StringReadable('hello world 123'), {
+                urls: []
+            }), /'targetUrls' must be a non-empty array/);
+        });
+    });
+
     describe('transfer', function () {
         afterEach(async function () {
             assert.ok(!testHasResponseBodyOverrides(), 'ensure no response body overrides are in place');
@@ -12,6 +12,34 @@
 
 'use strict';
 
+const { EventEmitter } = require('events');
+
+/**
+ * Creates an abort controller. Falls back to a minimal implementation on
+ * Node.js versions without a global AbortController.
+ * @returns {AbortController} Abort controller.
+ */
+function createAbortController() {
+    if (global.AbortController) {
+        return new global.AbortController();
+    }
+    const emitter = new EventEmitter();
+    const signal = {
+        aborted: false,
+        addEventListener: (name, listener) => emitter.on(name, listener),
+        removeEventListener: (name, listener) => emitter.removeListener(name, listener)
+    };
+    return {
+        signal,
+        abort() {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                emitter.emit('abort');
+            }
+        }
+    };
+}
+
 /**
  * Registers a mock request that will indicate to the upload process that direct
  * binary access is enabled.
@@ -62,6 +90,7 @@ function directBinaryAccessNotEnabled(nock, host, path) {
 }
 
 module.exports = {
+    createAbortController,
     directBinaryAccessEnabled,
     directBinaryAccessNotEnabled
 };
@@ -0,0 +1,300 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const nock = require('nock');
+const Path = require('path');
+const { TusUpload } = require('../../lib/tus/tusupload');
+
+const HOST = 'http://test-tus-upload';
+
+describe('Tus Upload', function () {
+    const testFile = Path.join(__dirname, 'file-tus.jpg');
+
+    beforeEach(async function () {
+        await fs.writeFile(testFile, 'hello world 123', 'utf8');
+    });
+
+    afterEach(async function () {
+        assert.ok(nock.isDone(), nock.pendingMocks(), 'check if all nocks have been used');
+        nock.cleanAll();
+        await fs.unlink(testFile);
+    });
+
+    function createEvents(tusUpload) {
+        const events = {
+            filestart: [],
+            fileprogress: [],
+            fileend: [],
+            fileerror: []
+        };
+        tusUpload.on('filestart', data => events.filestart.push(data));
+        tusUpload.on('fileprogress', data => events.fileprogress.push(data.transferred));
+        tusUpload.on('fileend', data => events.fileend.push(data));
+        tusUpload.on('fileerror', data => events.fileerror.push(data));
+        return events;
+    }
+
+    it('creates an upload and sends the chunks in sequence', async function () {
+        nock(HOST, {
+            reqheaders: {
+                'tus-resumable': '1.0.0'
+            }
+        })
+            .post('/files/')
+            .matchHeader('upload-length', '15')
+            .matchHeader('upload-metadata', `filename ${Buffer.from('file-tus.jpg').toString('base64')},filetype ${Buffer.from('image/jpeg').toString('base64')}`)
+            .reply(201, '', { location: '/files/abc' })
+            .patch('/files/abc', 'hello wo')
+            .matchHeader('upload-offset', '0')
+            .matchHeader('content-type', 'application/offset+octet-stream')
+            .reply(204, '', { 'upload-offset': '8' })
+            .patch('/files/abc', 'rld 123')
+            .matchHeader('upload-offset', '8')
+            .reply(204, '', { 'upload-offset': '15' });
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            headers: {
+                'content-type': 'image/jpeg'
+            },
+            chunkSize: 8
+        });
+
+        assert.strictEqual(events.filestart.length, 1);
+        assert.deepStrictEqual(events.fileprogress, [8, 15]);
+        assert.strictEqual(events.fileend.length, 1);
+        assert.strictEqual(events.fileend[0].fileSize, 15);
+        assert.strictEqual(events.fileend[0].uploadUrl, `${HOST}/files/abc`);
+        assert.strictEqual(events.fileerror.length, 0);
+    });
+
+    it('sends the first chunk with the creation request', async function () {
+        nock(HOST)
+            .post('/files/', 'hello wo')
+            .matchHeader('upload-length', '15')
+            .matchHeader('content-type', 'application/offset+octet-stream')
+            .reply(201, '', { location: `${HOST}/files/abc`, 'upload-offset': '8' })
+            .patch('/files/abc', 'rld 123')
+            .matchHeader('upload-offset', '8')
+            .reply(204, '', { 'upload-offset': '15' });
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile,
+                fileSize: 15
+            }],
+            chunkSize: 8,
+            creationWithUpload: true
+        });
+
+        assert.deepStrictEqual(events.fileprogress, [15]);
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('resumes at the offset of the server after a failed chunk', async function () {
+        nock(HOST)
+            .head('/files/abc')
+            .reply(200, '', { 'upload-offset': '3', 'upload-length': '15' })
+            .patch('/files/abc', 'lo world 123')
+            .matchHeader('upload-offset', '3')
+            .reply(503)
+            .head('/files/abc')
+            .reply(200, '', { 'upload-offset': '10', 'upload-length': '15' })
+            .patch('/files/abc', 'd 123')
+            .matchHeader('upload-offset', '10')
+            .reply(204, '', { 'upload-offset': '15' });
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile,
+                uploadUrl: `${HOST}/files/abc`
+            }],
+            retryInitialDelay: 10
+        });
+
+        assert.deepStrictEqual(events.fileprogress, [15]);
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('continues at the offset of the server on a conflict', async function () {
+        nock(HOST)
+            .post('/files/')
+            .reply(201, '', { location: `${HOST}/files/abc` })
+            .patch('/files/abc', 'hello world 123')
+            .reply(409)
+            .head('/files/abc')
+            .reply(200, '', { 'upload-offset': '15', 'upload-length': '15' });
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            retryInitialDelay: 10
+        });
+
+        assert.deepStrictEqual(events.fileprogress, [15]);
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('fails when conflicts exceed the retry limits', async function () {
+        nock(HOST)
+            .post('/files/')
+            .reply(201, '', { location: `${HOST}/files/abc` })
+            .patch('/files/abc', 'hello world 123')
+            .reply(409)
+            .head('/files/abc')
+            .times(2)
+            .reply(200, '', { 'upload-offset': '0', 'upload-length': '15' })
+            .patch('/files/abc', 'hello world 123')
+            .times(2)
+            .reply(409);
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await assert.rejects(tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            retryMaxCount: 2,
+            retryInitialDelay: 10
+        }), /PATCH 'http:\/\/test-tus-upload\/files\/abc' stream 409 response failed: offset 0 does not match the server/);
+
+        assert.strictEqual(events.fileerror.length, 1);
+        assert.strictEqual(events.fileend.length, 0);
+    });
+
+    it('fails when a chunk does not advance the offset', async function () {
+        nock(HOST)
+            .post('/files/')
+            .reply(201, '', { location: `${HOST}/files/abc` })
+            .patch('/files/abc', 'hello world 123')
+            .reply(204, '', { 'upload-offset': '0' });
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await assert.rejects(tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }]
+        }), /PATCH 'http:\/\/test-tus-upload\/files\/abc' did not advance the offset of 0 bytes, the server returned 0/);
+
+        assert.strictEqual(events.fileerror.length, 1);
+    });
+
+    it('finds the content type whatever the case of the header name', async function () {
+        nock(HOST)
+            .post('/files/')
+            .matchHeader('upload-metadata', `filename ${Buffer.from('file-tus.jpg').toString('base64')},filetype ${Buffer.from('image/jpeg').toString('base64')}`)
+            .reply(201, '', { location: `${HOST}/files/abc` })
+            .patch('/files/abc', 'hello world 123')
+            .matchHeader('content-type', 'application/offset+octet-stream')
+            .reply(204, '', { 'upload-offset': '15' });
+
+        const tusUpload = new TusUpload();
+        await tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            headers: {
+                'Content-Type': 'image/jpeg'
+            }
+        });
+    });
+
+    it('retries a chunk rejected by the checksum extension', async function () {
+        const checksum = `sha1 ${crypto.createHash('sha1').update('hello world 123').digest('base64')}`;
+        nock(HOST)
+            .post('/files/')
+            .reply(201, '', { location: `${HOST}/files/abc` })
+            .patch('/files/abc', 'hello world 123')
+            .matchHeader('upload-checksum', checksum)
+            .reply(460)
+            .head('/files/abc')
+            .reply(200, '', { 'upload-offset': '0', 'upload-length': '15' })
+            .patch('/files/abc', 'hello world 123')
+            .matchHeader('upload-checksum', checksum)
+            .reply(204, '', { 'upload-offset': '15' });
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            checksumAlgorithm: 'sha1',
+            retryInitialDelay: 10
+        });
+
+        assert.strictEqual(events.fileend.length, 1);
+    });
+
+    it('terminates a failed upload', async function () {
+        nock(HOST)
+            .post('/files/')
+            .reply(201, '', { location: `${HOST}/files/abc` })
+            .patch('/files/abc')
+            .reply(403)
+            .delete('/files/abc')
+            .matchHeader('tus-resumable', '1.0.0')
+            .reply(204);
+
+        const tusUpload = new TusUpload();
+        const events = createEvents(tusUpload);
+        await assert.rejects(tusUpload.uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            terminate: true
+        }), /failed with status 403/);
+
+        assert.strictEqual(events.fileend.length, 0);
+        assert.strictEqual(events.fileerror.length, 1);
+        assert.strictEqual(events.fileerror[0].uploadUrl, `${HOST}/files/abc`);
+        assert.strictEqual(events.fileerror[0].errors[0].code, 'EFORBIDDEN');
+    });
+
+    it('rejects an unsupported checksum algorithm', async function () {
+        await assert.rejects(new TusUpload().uploadFiles({
+            uploadFiles: [{
+                fileUrl: `${HOST}/files/`,
+                filePath: testFile
+            }],
+            checksumAlgorithm: 'crc32'
+        }), /'checksumAlgorithm' must be one of md5, sha1 or sha256/);
+    });
+});
@@ -19,6 +19,7 @@ const util = require("../lib/util");
 const fs = require('fs').promises;
 const path = require('path');
 const { EventEmitter } = require("events");
+const { Readable, Writable } = require("stream");
 
 describe("util", function() {
     it("createReadStream-error", async function() {
@@ -122,6 +123,29 @@ describe("util", function() {
         });
         assert.rejects(util.streamToBuffer("get", "url", 200, stream, 12));
     });
+    it('pipe-stream', async function() {
+        const stream = Readable.from([Buffer.from('Hello W'), Buffer.from('orld!')]);
+        const chunks = [];
+        const writeStream = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            }
+        });
+        const bytes = await util.pipeStream("get", "url", 200, stream, writeStream, 12);
+        assert.strictEqual(bytes, 12);
+        assert.strictEqual(Buffer.concat(chunks).toString(), 'Hello World!');
+    });
+    it('pipe-stream-unexpectedlength', async function() {
+        const stream = Readable.from([Buffer.from('Hello')]);
+        const writeStream = new Writable({
+            write(chunk, encoding, callback) {
+                callback();
+            }
+        });
+        await assert.rejects(util.pipeStream("get", "url", 200, stream, writeStream, 12),
+            /Unexpected number of bytes read from stream. Expected 12 but got 5/);
+    });
 
     it('url to path', function() {
         assert.deepStrictEqual(util.urlToPath('http://host/test%20space/path'), {
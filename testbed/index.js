@@ -107,6 +107,7 @@ async function resolveLocation(value, options) {
             return {
                 minPartSize: options.minPartSize,
                 maxPartSize: options.maxPartSize,
+                sasUrl,
                 urls
             };
         } else {
@@ -264,12 +265,14 @@ async function uploadMultipleBlocks(source, target, params, retryOptions) {
     const upload = new BlockUpload();
     const options = {
         uploadFiles: [{
-            fileUrl: target.urls,
+            fileUrl: target.sasUrl || target.urls,
             filePath: source.file,
             multipartHeaders: { partHeader: 'test' },
             minPartSize: params.minPartSize,
             maxPartSize: params.maxPartSize,
             partSize: params.partSize,
+            // blocks are committed by the upload
+            azureBlockBlob: !!target.sasUrl
         }],
         headers: target.headers,
         ...retryOptions,
@@ -278,9 +281,6 @@ async function uploadMultipleBlocks(source, target, params, retryOptions) {
         preferredPartSize: 7
     };
     await upload.uploadFiles(options);
-    console.log("Commit uncommitted blocks");
-    const url = new URL(params.target);
-    await commitAzureBlocks(params.azureAuth, url.host, url.pathname.substring(1));
 }
 
 async function main() {